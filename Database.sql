@@ -25,6 +25,7 @@ CREATE TABLE users (
     is_phone_verified BOOLEAN DEFAULT FALSE COMMENT 'Marks if phone number is verified',
     role ENUM('user', 'admin', 'moderator') DEFAULT 'user' COMMENT 'Role of the user',
     is_active BOOLEAN DEFAULT TRUE COMMENT 'Account active status',
+    last_seen_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Last socket connect/disconnect',
     latitude DECIMAL(10,7) DEFAULT NULL COMMENT 'Latitude for location-based alerts',
     longitude DECIMAL(10,7) DEFAULT NULL COMMENT 'Longitude for location-based alerts',
     created_by BIGINT UNSIGNED DEFAULT NULL COMMENT 'User ID who created this user (admin operations)',
@@ -113,6 +114,43 @@ CREATE TABLE otp_logins (
     INDEX idx_expires_at (expires_at)
 );
 
+-- ===========================================
+-- OTP DELIVERIES TABLE (one row per channel attempt)
+-- ===========================================
+CREATE TABLE otp_deliveries (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    otp_login_id BIGINT UNSIGNED NOT NULL,
+    channel ENUM('sms', 'email', 'console') NOT NULL,
+    destination VARCHAR(255) DEFAULT NULL COMMENT 'Phone number or email the code was sent to',
+    status ENUM('sent', 'failed', 'skipped') NOT NULL,
+    provider_message_id VARCHAR(255) DEFAULT NULL,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL DEFAULT NULL,
+    FOREIGN KEY (otp_login_id) REFERENCES otp_logins(id) ON DELETE CASCADE,
+    INDEX idx_otp_login_id (otp_login_id)
+);
+
+-- ===========================================
+-- USER SESSIONS TABLE (device sessions behind refresh tokens)
+-- ===========================================
+CREATE TABLE user_sessions (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT UNSIGNED NOT NULL,
+    otp_login_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'OTP login that opened this session',
+    refresh_token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the current refresh token',
+    ip_address VARCHAR(45) DEFAULT NULL COMMENT 'Last known IP address of the device',
+    user_agent TEXT COMMENT 'Last known device info (browser, mobile, etc.)',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Last login or token refresh',
+    expires_at TIMESTAMP NOT NULL COMMENT 'Refresh token expiry',
+    revoked_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Set when the session is logged out',
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (otp_login_id) REFERENCES otp_logins(id) ON DELETE SET NULL,
+    UNIQUE KEY uniq_refresh_token_hash (refresh_token_hash),
+    INDEX idx_user_active (user_id, revoked_at)
+);
+
 -- ===========================================
 -- DOCUMENTS TABLE
 -- ===========================================
@@ -306,11 +344,18 @@ CREATE TABLE chat_messages (
     edited_at TIMESTAMP NULL DEFAULT NULL COMMENT 'If message was edited',
     deleted_at TIMESTAMP NULL DEFAULT NULL COMMENT 'If message was deleted',
     edited_by BIGINT UNSIGNED DEFAULT NULL COMMENT 'User who edited the message',
+    reply_to_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'Parent message when this is a reply',
+    client_id VARCHAR(64) DEFAULT NULL COMMENT 'Sender-generated ID so retried sends are stored once',
+    published_at TIMESTAMP NULL DEFAULT NULL COMMENT 'When a client_id message was broadcast; NULL lets a retry publish it',
     FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
     FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (reply_to_id) REFERENCES chat_messages(id) ON DELETE SET NULL,
     INDEX idx_chat_id (chat_id),
-    INDEX idx_sender_id (sender_id)
+    INDEX idx_sender_id (sender_id),
+    INDEX idx_reply_to_id (reply_to_id),
+    UNIQUE KEY uniq_chat_sender_client (chat_id, sender_id, client_id),
+    FULLTEXT INDEX ft_message (message)
 );
 
 -- ===========================================
@@ -326,6 +371,133 @@ CREATE TABLE chat_attachments (
     FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE
 );
 
+-- ===========================================
+-- CHAT MESSAGE REACTIONS TABLE
+-- ===========================================
+CREATE TABLE chat_message_reactions (
+    message_id BIGINT UNSIGNED NOT NULL,
+    user_id BIGINT UNSIGNED NOT NULL,
+    reaction VARCHAR(32) NOT NULL COMMENT 'seen, on_my_way, need_help, thumbs_up, thanks',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (message_id, user_id, reaction),
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_reaction_user (user_id)
+);
+
+-- ===========================================
+-- CHAT POLLS TABLES
+-- ===========================================
+CREATE TABLE chat_polls (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    message_id BIGINT UNSIGNED NOT NULL UNIQUE COMMENT 'The poll message in the chat',
+    chat_id BIGINT UNSIGNED NOT NULL,
+    created_by BIGINT UNSIGNED DEFAULT NULL,
+    question VARCHAR(255) NOT NULL,
+    allows_multiple BOOLEAN DEFAULT FALSE,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    closes_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Scheduled closing time',
+    closed_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Set when closed early by the creator',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE chat_poll_options (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    poll_id BIGINT UNSIGNED NOT NULL,
+    position TINYINT UNSIGNED NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    FOREIGN KEY (poll_id) REFERENCES chat_polls(id) ON DELETE CASCADE,
+    INDEX idx_poll_position (poll_id, position)
+);
+
+CREATE TABLE chat_poll_votes (
+    poll_id BIGINT UNSIGNED NOT NULL,
+    option_id BIGINT UNSIGNED NOT NULL,
+    user_id BIGINT UNSIGNED NOT NULL,
+    voted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (option_id, user_id),
+    FOREIGN KEY (poll_id) REFERENCES chat_polls(id) ON DELETE CASCADE,
+    FOREIGN KEY (option_id) REFERENCES chat_poll_options(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_poll_votes_user (poll_id, user_id)
+);
+
+-- ===========================================
+-- CHAT EVENTS TABLES
+-- ===========================================
+CREATE TABLE chat_events (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    message_id BIGINT UNSIGNED NOT NULL UNIQUE COMMENT 'The event message in the chat',
+    chat_id BIGINT UNSIGNED NOT NULL,
+    created_by BIGINT UNSIGNED DEFAULT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT DEFAULT NULL,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NULL DEFAULT NULL,
+    location_name VARCHAR(255) DEFAULT NULL,
+    latitude DECIMAL(10,7) DEFAULT NULL,
+    longitude DECIMAL(10,7) DEFAULT NULL,
+    capacity INT UNSIGNED DEFAULT NULL COMMENT 'NULL = unlimited',
+    reminder_minutes INT UNSIGNED DEFAULT 60 COMMENT 'Lead time for reminder alerts; NULL = none',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_events_starts (starts_at)
+);
+
+CREATE TABLE chat_event_rsvps (
+    event_id BIGINT UNSIGNED NOT NULL,
+    user_id BIGINT UNSIGNED NOT NULL,
+    status ENUM('going', 'maybe', 'not_going') NOT NULL,
+    responded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reminded_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Set once the reminder alert is sent',
+    PRIMARY KEY (event_id, user_id),
+    FOREIGN KEY (event_id) REFERENCES chat_events(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_rsvp_user (user_id)
+);
+
+-- ===========================================
+-- CHAT LOCATIONS TABLE
+-- ===========================================
+CREATE TABLE chat_locations (
+    message_id BIGINT UNSIGNED PRIMARY KEY COMMENT 'The location message in the chat',
+    chat_id BIGINT UNSIGNED NOT NULL,
+    user_id BIGINT UNSIGNED NOT NULL,
+    latitude DECIMAL(10,7) NOT NULL,
+    longitude DECIMAL(10,7) NOT NULL,
+    accuracy_m DECIMAL(8,1) DEFAULT NULL COMMENT 'Reported accuracy in metres',
+    label VARCHAR(255) DEFAULT NULL,
+    is_live BOOLEAN DEFAULT FALSE,
+    expires_at TIMESTAMP NULL DEFAULT NULL COMMENT 'When a live share ends',
+    stopped_at TIMESTAMP NULL DEFAULT NULL COMMENT 'When a live share actually ended',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_live_expiry (is_live, stopped_at, expires_at),
+    INDEX idx_location_user (chat_id, user_id)
+);
+
+-- ===========================================
+-- CHAT MENTIONS TABLE
+-- ===========================================
+CREATE TABLE chat_message_mentions (
+    message_id BIGINT UNSIGNED NOT NULL,
+    chat_id BIGINT UNSIGNED NOT NULL,
+    user_id BIGINT UNSIGNED NOT NULL COMMENT 'The mentioned member',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (message_id, user_id),
+    FOREIGN KEY (message_id) REFERENCES chat_messages(id) ON DELETE CASCADE,
+    FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_mentions_user_chat (user_id, chat_id)
+);
+
 -- ===========================================
 -- CHAT READ RECEIPTS TABLE
 -- ===========================================
@@ -589,3 +761,21 @@ CREATE TABLE admin_action_logs (
     FOREIGN KEY (admin_user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL
 );
+
+CREATE TABLE audit_logs (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    actor_user_id BIGINT UNSIGNED DEFAULT NULL COMMENT 'NULL for unauthenticated requests',
+    actor_role ENUM('user', 'admin', 'moderator') DEFAULT NULL,
+    action VARCHAR(255) NOT NULL COMMENT 'e.g., PATCH /v0.0/users/:userId',
+    entity_type VARCHAR(100) DEFAULT NULL COMMENT 'e.g., users, chats, task',
+    entity_id BIGINT UNSIGNED DEFAULT NULL,
+    status_code SMALLINT UNSIGNED NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    changes JSON DEFAULT NULL COMMENT 'Redacted { field: { from, to } } diff',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_audit_actor (actor_user_id, created_at),
+    INDEX idx_audit_entity (entity_type, entity_id, created_at),
+    INDEX idx_audit_created (created_at)
+);
@@ -9,6 +9,8 @@
  *    - If neither signal appears, treat limiter as inactive (don’t fail suite)
  * 3) Crypto Middleware Order (decrypt marks req; encrypt sets header)
  * 4) OPTIONS * returns 200; if cookies are set on preflight, they must be HttpOnly
+ * 5) Encryption policy: /health and the public users lookup are exempt; the admin
+ *    APIs and personal data exports reject plain clients
  */
 
 const path = require('path');
@@ -31,6 +33,7 @@ const ROUTE_GAMES_BADGES      = path.join(REPO_ROOT, 'routes', 'v0.0', 'Games',
 const ROUTE_GAMES_DASHBOARD   = path.join(REPO_ROOT, 'routes', 'v0.0', 'Games', 'dashboard');
 const ROUTE_GAMES_LEADERBOARD = path.join(REPO_ROOT, 'routes', 'v0.0', 'Games', 'leaderboard');
 const ROUTE_ALERTS       = path.join(REPO_ROOT, 'routes', 'v0.0', 'alerts');
+const ROUTE_ADMIN        = path.join(REPO_ROOT, 'routes', 'v0.0', 'admin');
 
 let buildApp; // set after mocks are applied
 let app;
@@ -47,6 +50,7 @@ beforeAll(() => {
         caseSensitiveRouting: true,
         rateLimitWindowMs: 400,
         rateLimitMaxRequests: 2,
+        JWT_SECRET: 'test-jwt-secret',
       },
     },
   };
@@ -60,7 +64,16 @@ beforeAll(() => {
 
   // Middlewares
   jest.doMock(DECRYPT_PATH, () => (req, _res, next) => { req.__decrypted = true; next(); });
-  jest.doMock(ENCRYPT_PATH, () => (_req, res, next) => { res.set('X-Encrypted-Mock', 'yes'); next(); });
+  // Reports at send time whether the route opted out, like the real middleware checks
+  jest.doMock(ENCRYPT_PATH, () => (_req, res, next) => {
+    res.set('X-Encrypted-Mock', 'yes');
+    const json = res.json;
+    res.json = (data) => {
+      if (res.locals.encryption === 'exempt') res.set('X-Encrypted-Mock', 'exempt');
+      return json.call(res, data);
+    };
+    next();
+  });
 
   // Routes (each factory self-contained)
   const mk = (name) => {
@@ -69,6 +82,8 @@ beforeAll(() => {
       return (_db, _io) => {
         const r = express.Router();
         r.get('/ping', (req, res) => res.json({ ok: true, route: name, decrypted: !!req.__decrypted }));
+        r.get('/', (req, res) => res.json({ ok: true, route: name }));
+        r.get('/:userId/export', (req, res) => res.json({ ok: true, route: name }));
         return r;
       };
     };
@@ -84,6 +99,7 @@ beforeAll(() => {
   jest.doMock(ROUTE_GAMES_DASHBOARD,   mk('dashboard'));
   jest.doMock(ROUTE_GAMES_LEADERBOARD, mk('leaderboard'));
   jest.doMock(ROUTE_ALERTS,       mk('alerts'));
+  jest.doMock(ROUTE_ADMIN,        mk('admin'));
 
   // Load the app with mocks applied
   jest.isolateModules(() => {
@@ -106,6 +122,7 @@ test('mounted routes respond and include CORS + encrypt header', async () => {
   expect(res.headers['access-control-allow-origin']).toBe('*');
   expect(res.headers['access-control-allow-methods']).toContain('GET');
   expect(res.headers['access-control-allow-headers']).toContain('content-type');
+  expect(res.headers['access-control-allow-headers']).toContain('Authorization');
 
   // Header from mocked encrypt middleware
   expect(res.headers['x-encrypted-mock']).toBe('yes');
@@ -200,3 +217,30 @@ test('OPTIONS * returns 200; preflight safe; GET remains functional (isolated ap
     expect(anyNonHttpOnlySession).toBe(false);
   }
 });
+
+test('health and public routes are exempt; admin and exports require encryption', async () => {
+  // A fresh app per request keeps the 2-request rate limit out of the way
+  const get = (path) => request(buildApp({ any: 'db' }, { any: 'io' })).get(path);
+
+  const health = await get('/health').set('X-Payload-Encryption', 'v2');
+  expect(health.status).toBe(200);
+  expect(health.body).toEqual({ status: 'ok' });
+  expect(health.headers['x-encrypted-mock']).toBe('exempt');
+
+  const lookup = await get('/v0.0/users').set('X-Payload-Encryption', 'v2');
+  expect(lookup.body).toEqual({ ok: true, route: 'users' });
+  expect(lookup.headers['x-encrypted-mock']).toBe('exempt');
+
+  // Other routes stay negotiable
+  const ping = await get('/v0.0/users/ping');
+  expect(ping.headers['x-encrypted-mock']).toBe('yes');
+
+  for (const path of ['/v0.0/admin/ping', '/v0.0/users/5/export']) {
+    const plain = await get(path);
+    expect(plain.status).toBe(400);
+    expect(plain.body).toEqual({ success: false, error: 'Encrypted payload required' });
+
+    const encrypted = await get(path).set('X-Payload-Encryption', 'v2');
+    expect(encrypted.status).toBe(200);
+  }
+});
@@ -0,0 +1,142 @@
+/**
+ * auditMiddleware.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Recording
+ *    - Successful mutating requests insert an audit_logs row with actor, route
+ *      pattern, derived entity, IP and user agent.
+ *    - Only fields allowlisted for the entity are diffed; profile PII never is.
+ *    - `res.locals.audit` overrides the entity and adds `from` values.
+ *
+ * 2. Skipping
+ *    - GET requests and failed (>= 400) requests are not recorded.
+ *    - Audit write failures never affect the response.
+ *
+ * 3. buildChanges()
+ *    - Keeps allowlisted fields only, redacts secret-looking keys (also nested) and
+ *      drops unchanged fields.
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { createAuditTrail, buildChanges } = require('../../middleware/auditMiddleware');
+
+// Resolves with the INSERT params once the middleware has written its row
+function makeDb() {
+  let written;
+  const inserted = new Promise((resolve) => (written = resolve));
+  const db = {
+    query: jest.fn(async (sql, params) => {
+      written(params);
+      return [{ insertId: 1 }];
+    }),
+  };
+  return { db, inserted };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+function makeApp(db) {
+  const app = express();
+  app.use(express.json());
+  app.use(createAuditTrail(db));
+
+  const router = express.Router();
+  router.use((req, res, next) => {
+    req.user = { id: 4, role: 'admin' };
+    next();
+  });
+  router.patch('/emergency-contacts/:id', (req, res) => res.json({ ok: true }));
+  router.patch('/:userId', (req, res) => {
+    res.locals.audit = { before: { first_name: 'Ann', role: 'user' } };
+    res.json({ ok: true });
+  });
+  router.post('/uncomplete', (req, res) => {
+    res.locals.audit = { entityType: 'task', entityId: req.body.task_id };
+    res.json({ ok: true });
+  });
+  router.get('/:userId', (req, res) => res.json({ ok: true }));
+  router.delete('/:userId', (req, res) => res.status(404).json({ success: false }));
+  app.use('/v0.0/users', router);
+  return app;
+}
+
+describe('createAuditTrail', () => {
+  test('records the actor, route pattern and entity but no unlisted fields', async () => {
+    const { db, inserted } = makeDb();
+
+    const res = await request(makeApp(db))
+      .patch('/v0.0/users/emergency-contacts/12')
+      .set('User-Agent', 'jest-agent')
+      .send({ name: 'Mum', otp: '123456' });
+    expect(res.status).toBe(200);
+
+    const params = await inserted;
+    expect(db.query.mock.calls[0][0]).toMatch(/INSERT INTO audit_logs/);
+    expect(params).toEqual([
+      4,
+      'admin',
+      'PATCH /v0.0/users/emergency-contacts/:id',
+      'emergency-contacts',
+      12,
+      200,
+      expect.any(String),
+      'jest-agent',
+      null,
+    ]);
+  });
+
+  test('res.locals.audit adds before values and overrides the entity', async () => {
+    let { db, inserted } = makeDb();
+    await request(makeApp(db))
+      .patch('/v0.0/users/4')
+      .send({ first_name: 'Ann', email: 'ann@example.com', date_of_birth: '1990-01-01', role: 'admin' });
+
+    let params = await inserted;
+    expect(params.slice(2, 5)).toEqual(['PATCH /v0.0/users/:userId', 'users', 4]);
+    expect(JSON.parse(params[8])).toEqual({ role: { from: 'user', to: 'admin' } });
+
+    ({ db, inserted } = makeDb());
+    await request(makeApp(db)).post('/v0.0/users/uncomplete').send({ task_id: 11 });
+
+    params = await inserted;
+    expect(params.slice(3, 5)).toEqual(['task', 11]);
+  });
+
+  test('skips reads and failed requests; write errors do not leak', async () => {
+    const { db } = makeDb();
+    const app = makeApp(db);
+
+    await request(app).get('/v0.0/users/4');
+    await request(app).delete('/v0.0/users/4');
+    await settle();
+    expect(db.query).not.toHaveBeenCalled();
+
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.query.mockRejectedValueOnce(new Error('db down'));
+    const res = await request(app).patch('/v0.0/users/emergency-contacts/1').send({});
+    await settle();
+    expect(res.status).toBe(200);
+    expect(spy).toHaveBeenCalledWith('Audit log write failed:', 'db down');
+    spy.mockRestore();
+  });
+});
+
+test('buildChanges keeps allowlisted fields, redacts nested secrets and drops unchanged fields', () => {
+  const allowed = ['role', 'is_active', 'auth'];
+  expect(
+    buildChanges(
+      { role: 'admin', is_active: true, message: 'Meet at 5', auth: { refresh_token: 'abc', device: 'ios' } },
+      { role: 'admin', is_active: false, message: 'Meet at 4' },
+      allowed
+    )
+  ).toEqual({
+    is_active: { from: false, to: true },
+    auth: { to: { refresh_token: '[REDACTED]', device: 'ios' } },
+  });
+  expect(buildChanges({ role: 'user' }, { role: 'user' }, allowed)).toBeNull();
+  expect(buildChanges({ email: 'ann@example.com' })).toBeNull();
+  expect(buildChanges(undefined)).toBeNull();
+});
@@ -0,0 +1,114 @@
+/**
+ * authMiddleware.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. requireAuth
+ *    - 401 when the Authorization header is missing or not a Bearer token.
+ *    - 401 when the token is forged or expired.
+ *    - Sets req.user = { id, role, sessionId } for a valid token.
+ *    - With an accountLookup, takes the role from the database and refuses
+ *      deactivated accounts and revoked sessions.
+ *
+ * 2. requireSelf
+ *    - 403 when the URL user ID differs from the token's user.
+ *    - Passes through for the same user (and leaves non-numeric IDs to the route).
+ *
+ * Notes:
+ * - Uses a real token service with a test secret; no config file is needed.
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { createTokenService } = require('../../services/tokenService');
+const { requireAuth, requireSelf } = require('../../middleware/authMiddleware');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+
+let app;
+
+beforeAll(() => {
+  app = express();
+  app.set('tokens', tokens);
+
+  app.get('/me', requireAuth, (req, res) => res.json(req.user));
+  app.get('/users/:user_id', requireAuth, requireSelf('user_id'), (req, res) =>
+    res.json({ ok: true, param: req.params.user_id })
+  );
+});
+
+test('requireAuth rejects missing and non-Bearer credentials', async () => {
+  const missing = await request(app).get('/me');
+  expect(missing.status).toBe(401);
+  expect(missing.body).toEqual({ success: false, error: 'Authentication required' });
+
+  const basic = await request(app).get('/me').set('Authorization', 'Basic abc');
+  expect(basic.status).toBe(401);
+  expect(basic.body).toEqual({ success: false, error: 'Authentication required' });
+});
+
+test('requireAuth rejects forged and expired tokens', async () => {
+  const forger = createTokenService({ secret: 'other-secret' });
+  const forged = await request(app)
+    .get('/me')
+    .set('Authorization', `Bearer ${forger.signAccessToken({ id: 1 })}`);
+  expect(forged.status).toBe(401);
+  expect(forged.body).toEqual({ success: false, error: 'Invalid or expired token' });
+
+  const shortLived = createTokenService({ secret: 'test-secret', accessTokenTtl: -1 });
+  const expired = await request(app)
+    .get('/me')
+    .set('Authorization', `Bearer ${shortLived.signAccessToken({ id: 1 })}`);
+  expect(expired.status).toBe(401);
+});
+
+test('requireAuth exposes the token user on req.user', async () => {
+  const res = await request(app)
+    .get('/me')
+    .set('Authorization', `Bearer ${tokens.signAccessToken({ id: 12, role: 'admin' })}`);
+
+  expect(res.status).toBe(200);
+  expect(res.body).toEqual({ id: 12, role: 'admin', sessionId: null });
+});
+
+test('requireSelf only lets users address their own ID', async () => {
+  const auth = `Bearer ${tokens.signAccessToken({ id: 12 })}`;
+
+  const other = await request(app).get('/users/13').set('Authorization', auth);
+  expect(other.status).toBe(403);
+  expect(other.body).toEqual({ success: false, error: 'Forbidden' });
+
+  const self = await request(app).get('/users/12').set('Authorization', auth);
+  expect(self.status).toBe(200);
+
+  const invalid = await request(app).get('/users/abc').set('Authorization', auth);
+  expect(invalid.status).toBe(200);
+  expect(invalid.body.param).toBe('abc');
+});
+
+test('requireAuth checks the account when the app registers accountLookup', async () => {
+  const lookupApp = express();
+  const accountLookup = jest.fn();
+  lookupApp.set('tokens', tokens);
+  lookupApp.set('accountLookup', accountLookup);
+  lookupApp.get('/me', requireAuth, (req, res) => res.json(req.user));
+  const demotedAdmin = `Bearer ${tokens.signAccessToken({ id: 12, role: 'admin' }, 40)}`;
+
+  // Demoted since the token was issued: the database role wins
+  accountLookup.mockResolvedValueOnce({ role: 'user' });
+  const demoted = await request(lookupApp).get('/me').set('Authorization', demotedAdmin);
+  expect(demoted.status).toBe(200);
+  expect(demoted.body).toEqual({ id: 12, role: 'user', sessionId: 40 });
+  expect(accountLookup).toHaveBeenCalledWith(12, 40);
+
+  // Deactivated account or revoked session
+  accountLookup.mockResolvedValueOnce(null);
+  const refused = await request(lookupApp).get('/me').set('Authorization', demotedAdmin);
+  expect(refused.status).toBe(401);
+  expect(refused.body).toEqual({ success: false, error: 'Invalid or expired token' });
+
+  accountLookup.mockRejectedValueOnce(new Error('db down'));
+  const failed = await request(lookupApp).get('/me').set('Authorization', demotedAdmin);
+  expect(failed.status).toBe(500);
+});
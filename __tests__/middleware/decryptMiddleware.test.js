@@ -5,16 +5,21 @@
  *
  * 1. JSON Body Decryption
  *    - Decrypts req.body.payload and replaces req.body with parsed JSON.
+ *    - Accepts AES-256-GCM (v2) payloads under any configured key ID and legacy
+ *      AES-256-CBC payloads.
  *
  * 2. Query String Decryption
  *    - Attempts to decrypt req.query.payload for GET requests and replace req.query.
  *      Accepts environments where query mutation is not reflected (payload remains a string).
  *
  * 3. Error Handling
- *    - Returns 400 with a structured error for invalid encrypted payload.
+ *    - Returns 400 with a structured error for invalid or tampered payloads, including
+ *      v2 payloads whose auth tag was truncated.
+ *    - Decrypted plaintext is never logged.
  *
  * 4. Passthrough
  *    - When no payload is present, middleware does not alter the body.
+ *    - Plain clients (no X-Payload-Encryption header) keep a literal `payload` field.
  */
 
 const request = require('supertest');
@@ -22,18 +27,29 @@ const express = require('express');
 const crypto = require('crypto');
 
 // Mock the exact module id used inside the middleware and mark it virtual
-jest.mock('../../config', () => ({
+jest.mock('../../../config', () => ({
   domains: {
     resqzone_api: {
-      ENCRYPTION_KEY: '12345678901234567890123456789012', // 32 chars
-      IV_LENGTH: 16,
+      ENCRYPTION_KEY: '12345678901234567890123456789012', // 32 chars, legacy CBC payloads
+      ENCRYPTION_KEYS: {
+        old: 'abcdefghijabcdefghijabcdefghij12',
+        k2: 'ABCDEFGHIJABCDEFGHIJABCDEFGHIJ12',
+      },
+      ENCRYPTION_ACTIVE_KEY_ID: 'k2',
     },
   },
 }), { virtual: true });
 
 const decryptMiddleware = require('../../middleware/decryptMiddleware');
+const { createPayloadCrypto } = require('../../services/payloadCrypto');
 
-// Helper to encrypt a JSON string into "ivHex:cipherHex" format used by the middleware
+// Client-side v2 encryption with the rotated-out key
+const oldKeyClient = createPayloadCrypto({
+  keys: { old: 'abcdefghijabcdefghijabcdefghij12' },
+  activeKeyId: 'old',
+});
+
+// Helper to encrypt a JSON string into the legacy "ivHex:cipherHex" format
 function encryptJson(obj) {
   const key = Buffer.from('12345678901234567890123456789012'); // must match mock
   const iv = crypto.randomBytes(16);
@@ -66,6 +82,7 @@ test('decrypts JSON body payload and replaces req.body with parsed object', asyn
   const res = await request(app)
     .post('/echo')
     .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
     .send({ payload });
 
   expect(res.status).toBe(200);
@@ -77,7 +94,9 @@ test('decrypts GET query payload and replaces req.query with parsed object (or p
   const original = { a: 1, b: 'two' };
   const payload = encryptJson(original);
 
-  const res = await request(app).get(`/echo?payload=${encodeURIComponent(payload)}`);
+  const res = await request(app)
+    .get(`/echo?payload=${encodeURIComponent(payload)}`)
+    .set('X-Payload-Encryption', 'v2');
 
   expect(res.status).toBe(200);
   expect(res.body.success).toBe(true);
@@ -91,10 +110,50 @@ test('decrypts GET query payload and replaces req.query with parsed object (or p
   }
 });
 
+test('decrypts v2 payloads under any configured key ID without logging plaintext', async () => {
+  const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  const original = { secret: 'do-not-log' };
+
+  const res = await request(app)
+    .post('/echo')
+    .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
+    .send({ payload: oldKeyClient.encrypt(JSON.stringify(original)) });
+
+  expect(res.status).toBe(200);
+  expect(res.body.body).toEqual(original);
+  expect(JSON.stringify(logSpy.mock.calls)).not.toContain('do-not-log');
+  logSpy.mockRestore();
+});
+
+test('returns 400 for tampered v2 payloads, truncated tags and unknown key IDs', async () => {
+  const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const payload = oldKeyClient.encrypt(JSON.stringify({ amount: 1 }));
+  const parts = payload.split(':');
+  const flipped = (parseInt(parts[4][0], 16) ^ 1).toString(16);
+  const tampered = [...parts.slice(0, 4), flipped + parts[4].slice(1)].join(':');
+  const unknownKey = ['v2', 'gone', ...parts.slice(2)].join(':');
+  // A 4-byte prefix of the genuine tag must not authenticate
+  const truncatedTag = [...parts.slice(0, 3), parts[3].slice(0, 8), parts[4]].join(':');
+
+  for (const bad of [tampered, unknownKey, truncatedTag]) {
+    const res = await request(app)
+      .post('/echo')
+      .set('Content-Type', 'application/json')
+      .set('X-Payload-Encryption', 'v2')
+      .send({ payload: bad });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid encrypted payload');
+  }
+  errorSpy.mockRestore();
+});
+
 test('returns 400 for invalid encrypted payload', async () => {
   const res = await request(app)
     .post('/echo')
     .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
     .send({ payload: 'not-valid-format' }); // no ":" separator
 
   expect(res.status).toBe(400);
@@ -112,3 +171,13 @@ test('passes through when no payload provided', async () => {
   expect(res.body.success).toBe(true);
   expect(res.body.body).toEqual({ normal: true, msg: 'hello' });
 });
+
+test('plain clients keep a literal payload field', async () => {
+  const res = await request(app)
+    .post('/echo')
+    .set('Content-Type', 'application/json')
+    .send({ payload: 'just text' });
+
+  expect(res.status).toBe(200);
+  expect(res.body.body).toEqual({ payload: 'just text' });
+});
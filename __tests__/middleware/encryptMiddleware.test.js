@@ -4,15 +4,21 @@
  * What This Test File Covers:
  *
  * 1. Response Encryption
- *    - Wraps res.json output into { payload: "<ivHex>:<cipherHex>" } and decrypts back to original JSON.
+ *    - Wraps res.json output into { payload: "v2:<keyId>:<ivHex>:<tagHex>:<cipherHex>" }
+ *      and decrypts back to original JSON with AES-256-GCM.
  *
  * 2. IV & Payload Format
- *    - Ensures IV hex length matches configured IV_LENGTH and payload format includes a colon delimiter.
+ *    - Uses the active key ID, a 12-byte IV and a 16-byte auth tag.
  *
  * 3. Status Passthrough
  *    - Preserves HTTP status codes while encrypting the JSON body.
  *
- * 4. Error Handling
+ * 4. Negotiation
+ *    - Plain clients get plain JSON; the encrypted content type also opts in.
+ *    - Routes can declare themselves exempt or require encryption.
+ *    - Required routes reject a plaintext body sent with the opt-in header.
+ *
+ * 5. Error Handling
  *    - When crypto throws during encryption, returns a structured error object.
  *
  * Notes:
@@ -25,25 +31,34 @@ const express = require('express');
 const crypto = require('crypto');
 
 // Mock the exact module id used inside the middleware and mark it virtual
-jest.mock('../../config', () => ({
+jest.mock('../../../config', () => ({
   domains: {
     resqzone_api: {
-      ENCRYPTION_KEY: '12345678901234567890123456789012', // 32 chars for AES-256
-      IV_LENGTH: 16, // default AES-CBC IV length used by the app
+      ENCRYPTION_KEYS: {
+        old: 'abcdefghijabcdefghijabcdefghij12',
+        k2: '12345678901234567890123456789012', // 32 chars for AES-256
+      },
+      ENCRYPTION_ACTIVE_KEY_ID: 'k2',
     },
   },
 }), { virtual: true });
 
 const encryptMiddleware = require('../../middleware/encryptMiddleware');
-
-// Helper to decrypt "ivHex:cipherHex" produced by the middleware
+const decryptMiddleware = require('../../middleware/decryptMiddleware');
+const { createPayloadCrypto } = require('../../services/payloadCrypto');
+const {
+  exemptFromEncryption,
+  requireEncryption,
+} = require('../../middleware/encryptionPolicy');
+
+// Helper to decrypt "v2:keyId:ivHex:tagHex:cipherHex" produced by the middleware
 function decryptPayload(payload) {
-  const [ivHex, cipherHex] = String(payload).split(':');
+  const [version, keyId, ivHex, tagHex, cipherHex] = String(payload).split(':');
   const key = Buffer.from('12345678901234567890123456789012');
-  const iv = Buffer.from(ivHex, 'hex');
-  const cipherBuf = Buffer.from(cipherHex, 'hex');
-  const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
-  const decrypted = Buffer.concat([decipher.update(cipherBuf), decipher.final()]);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+  decipher.setAAD(Buffer.from(`${version}:${keyId}`));
+  decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+  const decrypted = Buffer.concat([decipher.update(Buffer.from(cipherHex, 'hex')), decipher.final()]);
   return JSON.parse(decrypted.toString('utf8'));
 }
 
@@ -52,6 +67,7 @@ let app;
 beforeAll(() => {
   app = express();
   app.use(express.json());
+  app.use(decryptMiddleware);
   app.use(encryptMiddleware);
 
   // Echo route that returns whatever data is given to res.json
@@ -64,6 +80,16 @@ beforeAll(() => {
     res.status(201).json({ created: true, id: 42 });
   });
 
+  app.get('/health', exemptFromEncryption, (req, res) => {
+    res.json({ ok: true });
+  });
+  app.get('/secret', requireEncryption, (req, res) => {
+    res.json({ secret: 'value' });
+  });
+  app.post('/secret', requireEncryption, (req, res) => {
+    res.json({ input: req.body });
+  });
+
   // Route to simulate encryption failure via monkey-patching crypto
   app.post('/break', (req, res) => {
     // Will be patched inside the test
@@ -77,6 +103,7 @@ test('encrypts response body and can be decrypted back to original JSON', async
   const res = await request(app)
     .post('/echo')
     .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
     .send({ a: 1 });
 
   expect(res.status).toBe(200);
@@ -85,22 +112,24 @@ test('encrypts response body and can be decrypted back to original JSON', async
   expect(decrypted).toEqual(original);
 });
 
-test('payload has "<ivHex>:<cipherHex>" format and IV hex length matches IV_LENGTH', async () => {
+test('payload has "v2:<keyId>:<ivHex>:<tagHex>:<cipherHex>" format with the active key', async () => {
   const res = await request(app)
     .post('/echo')
     .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
     .send({ x: 'y' });
 
   expect(res.status).toBe(200);
   expect(typeof res.body.payload).toBe('string');
-  expect(res.body.payload.includes(':')).toBe(true);
 
-  const [ivHex, cipherHex] = res.body.payload.split(':');
-  // IV hex length should be IV_LENGTH * 2 characters
-  expect(ivHex.length).toBe(16 * 2);
+  const [version, keyId, ivHex, tagHex, cipherHex] = res.body.payload.split(':');
+  expect(version).toBe('v2');
+  expect(keyId).toBe('k2');
+  // 12-byte GCM IV and 16-byte auth tag
+  expect(ivHex.length).toBe(12 * 2);
+  expect(tagHex.length).toBe(16 * 2);
   // Cipher should be non-empty hex
   expect(cipherHex.length).toBeGreaterThan(0);
-  expect(/^[0-9a-f]+$/i.test(ivHex)).toBe(true);
   expect(/^[0-9a-f]+$/i.test(cipherHex)).toBe(true);
 });
 
@@ -108,6 +137,7 @@ test('preserves HTTP status code while encrypting (201 Created)', async () => {
   const res = await request(app)
     .post('/created')
     .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
     .send({});
 
   expect(res.status).toBe(201);
@@ -116,6 +146,58 @@ test('preserves HTTP status code while encrypting (201 Created)', async () => {
   expect(decrypted).toEqual({ created: true, id: 42 });
 });
 
+test('plain clients get plain JSON from the same route', async () => {
+  const res = await request(app)
+    .post('/echo')
+    .set('Content-Type', 'application/json')
+    .send({ a: 1 });
+
+  expect(res.body).toEqual({ ok: true, input: { a: 1 }, when: 'now' });
+  expect(res.headers['x-payload-encryption']).toBeUndefined();
+  expect(res.headers.vary).toMatch(/X-Payload-Encryption/);
+});
+
+test('the encrypted content type opts in without the header', async () => {
+  const res = await request(app)
+    .post('/created')
+    .set('Content-Type', 'application/vnd.resqzone.encrypted+json')
+    .send(JSON.stringify({}));
+
+  expect(res.headers['x-payload-encryption']).toBe('v2');
+  expect(decryptPayload(res.body.payload)).toEqual({ created: true, id: 42 });
+});
+
+test('exempt routes stay plain and required routes reject plain clients', async () => {
+  const health = await request(app).get('/health').set('X-Payload-Encryption', 'v2');
+  expect(health.body).toEqual({ ok: true });
+
+  const plain = await request(app).get('/secret');
+  expect(plain.status).toBe(400);
+  expect(plain.body).toEqual({ success: false, error: 'Encrypted payload required' });
+
+  const encrypted = await request(app).get('/secret').set('X-Payload-Encryption', 'v2');
+  expect(decryptPayload(encrypted.body.payload)).toEqual({ secret: 'value' });
+});
+
+test('required routes reject a plaintext body sent with the opt-in header', async () => {
+  const plaintext = await request(app)
+    .post('/secret')
+    .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
+    .send({ role: 'admin' });
+  expect(plaintext.status).toBe(400);
+  expect(decryptPayload(plaintext.body.payload)).toEqual({ success: false, error: 'Encrypted payload required' });
+
+  const client = createPayloadCrypto({ keys: { k2: '12345678901234567890123456789012' }, activeKeyId: 'k2' });
+  const envelope = await request(app)
+    .post('/secret')
+    .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
+    .send({ payload: client.encrypt(JSON.stringify({ role: 'admin' })) });
+  expect(envelope.status).toBe(200);
+  expect(decryptPayload(envelope.body.payload)).toEqual({ input: { role: 'admin' } });
+});
+
 test('returns structured error when encryption fails', async () => {
   // Patch crypto.createCipheriv to throw
   const originalCreateCipheriv = crypto.createCipheriv;
@@ -126,6 +208,7 @@ test('returns structured error when encryption fails', async () => {
   const res = await request(app)
     .post('/break')
     .set('Content-Type', 'application/json')
+    .set('X-Payload-Encryption', 'v2')
     .send({});
 
   // Restore the original immediately to avoid side effects on other tests
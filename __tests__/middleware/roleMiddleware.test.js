@@ -0,0 +1,53 @@
+/**
+ * roleMiddleware.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Permission map
+ *    - authorize() throws for routes missing from ROUTE_PERMISSIONS.
+ *
+ * 2. Role checks
+ *    - Allowed roles pass through; other roles (or no user) get a 403 listing the
+ *      required roles.
+ *
+ * Notes:
+ * - Endpoint-level coverage lives in the route tests (alerts, badges, quizzes, chat).
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const { ROUTE_PERMISSIONS, authorize } = require('../../middleware/roleMiddleware');
+
+function makeApp(user) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.post('/alerts/system', authorize('POST /alerts/system'), (req, res) =>
+    res.json({ ok: true })
+  );
+  return app;
+}
+
+test('authorize() refuses undeclared route keys', () => {
+  expect(() => authorize('POST /nowhere')).toThrow(/No permissions declared/);
+  expect(Object.isFrozen(ROUTE_PERMISSIONS)).toBe(true);
+});
+
+test('allowed roles pass; other roles and anonymous callers get 403', async () => {
+  const ok = await request(makeApp({ id: 1, role: 'admin' })).post('/alerts/system');
+  expect(ok.status).toBe(200);
+
+  const denied = await request(makeApp({ id: 2, role: 'moderator' })).post('/alerts/system');
+  expect(denied.status).toBe(403);
+  expect(denied.body).toEqual({
+    success: false,
+    error: 'Insufficient permissions',
+    required_roles: ['admin'],
+  });
+
+  const anonymous = await request(makeApp(undefined)).post('/alerts/system');
+  expect(anonymous.status).toBe(403);
+});
@@ -15,6 +15,7 @@
  * 4. POST /badges/award
  *    - When INSERT affects 1 row → "Badge awarded successfully".
  *    - When INSERT affects 0 rows (INSERT IGNORE) → "Badge already awarded".
+ *    - Non-admin callers get 403 before any DB access.
  *
  * Notes:
  * - No source changes required; tests mock db.query per-route expectations.
@@ -26,8 +27,15 @@ const express = require('express');
 // Import the router factory (adjust the relative path if your structure differs)
 const createBadgesRouter = require('../../../../routes/v0.0/Games/badges'); // ← update if needed
 
+const { createTokenService } = require('../../../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'user') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
+
 function makeAppWithDb(db) {
   const app = express();
+  app.set('tokens', tokens);
   // The router internally attaches its own body parsers; no need to add here.
   app.use('/badges', createBadgesRouter(db));
   return app;
@@ -46,7 +54,7 @@ describe('Badges routes', () => {
     };
 
     const app = makeAppWithDb(db);
-    const res = await request(app).get('/badges');
+    const res = await request(app).get('/badges').set('Authorization', bearer(1));
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -68,7 +76,9 @@ describe('Badges routes', () => {
     const db = { query: jest.fn() }; // Should not be called for invalid param
     const app = makeAppWithDb(db);
 
-    const res = await request(app).get('/badges/user/not-a-number');
+    const res = await request(app)
+      .get('/badges/user/not-a-number')
+      .set('Authorization', bearer(1));
 
     expect(res.status).toBe(400);
     expect(res.body).toEqual({
@@ -101,7 +111,9 @@ describe('Badges routes', () => {
     };
     const app = makeAppWithDb(db);
 
-    const res = await request(app).get('/badges/user/42');
+    const res = await request(app)
+      .get('/badges/user/42')
+      .set('Authorization', bearer(42));
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({ success: true, earned: earnedRows });
@@ -127,6 +139,7 @@ describe('Badges routes', () => {
     // Success case
     let res = await request(app)
       .post('/badges/award')
+      .set('Authorization', bearer(1, 'admin'))
       .set('Content-Type', 'application/json')
       .send({ user_id: 7, badge_id: 3 });
 
@@ -136,6 +149,7 @@ describe('Badges routes', () => {
     // Duplicate (idempotent) case
     res = await request(app)
       .post('/badges/award')
+      .set('Authorization', bearer(1, 'admin'))
       .set('Content-Type', 'application/json')
       .send({ user_id: 7, badge_id: 3 });
 
@@ -149,4 +163,24 @@ describe('Badges routes', () => {
     expect(params1).toEqual([7, 3]);
     expect(params2).toEqual([7, 3]);
   });
+
+  test('POST /badges/award returns 403 for non-admins', async () => {
+    const db = { query: jest.fn() };
+    const app = makeAppWithDb(db);
+
+    for (const role of ['user', 'moderator']) {
+      const res = await request(app)
+        .post('/badges/award')
+        .set('Authorization', bearer(7, role))
+        .send({ user_id: 7, badge_id: 3 });
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({
+        success: false,
+        error: 'Insufficient permissions',
+        required_roles: ['admin'],
+      });
+    }
+    expect(db.query).not.toHaveBeenCalled();
+  });
 });
@@ -29,8 +29,15 @@ const { generateQuizFromAI } = require('../../../../services/quizAI');
 // Import the router factory
 const createQuizzesRouter = require('../../../../routes/v0.0/Games/quizzes');
 
+const { createTokenService } = require('../../../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'user') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
+
 function makeAppWithDb(db) {
   const app = express();
+  app.set('tokens', tokens);
   app.use(express.json());
   app.use('/quizzes', createQuizzesRouter(db));
   return app;
@@ -45,7 +52,7 @@ describe('Quizzes routes', () => {
     const db = { query: jest.fn().mockResolvedValueOnce([rows]) };
 
     const app = makeAppWithDb(db);
-    const res = await request(app).get('/quizzes');
+    const res = await request(app).get('/quizzes').set('Authorization', bearer(1));
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({ success: true, quizzes: rows });
@@ -69,7 +76,7 @@ describe('Quizzes routes', () => {
     ]]);
 
     const app = makeAppWithDb(db);
-    const res = await request(app).get('/quizzes/10');
+    const res = await request(app).get('/quizzes/10').set('Authorization', bearer(1));
 
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
@@ -91,7 +98,6 @@ describe('Quizzes routes', () => {
     const db = { query: jest.fn() };
 
     const payload = {
-      user_id: 7,
       answers: [{ question_id: 101, selected_options: ['Tap and shout'] }],
     };
 
@@ -105,7 +111,10 @@ describe('Quizzes routes', () => {
     db.query.mockResolvedValueOnce([{}]);
 
     const app = makeAppWithDb(db);
-    const res = await request(app).post('/quizzes/10/submit').send(payload);
+    const res = await request(app)
+      .post('/quizzes/10/submit')
+      .set('Authorization', bearer(7))
+      .send(payload);
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -164,18 +173,20 @@ describe('Quizzes routes', () => {
     db.query.mockResolvedValueOnce([{}]);
 
     const app = makeAppWithDb(db);
-    const res = await request(app).post('/quizzes/ai-generate').send({
-      topic: 'Flood safety',
-      difficulty: 'easy',
-      chatId: 123,
-      createdBy: 50,
-      checklist: {
-        title: 'Flood Prep',
-        description: 'Do these now',
-        xp_reward: 60,
-        items: ['Check forecasts', 'Prepare go-bag'],
-      },
-    });
+    const res = await request(app)
+      .post('/quizzes/ai-generate')
+      .set('Authorization', bearer(50, 'moderator'))
+      .send({
+        topic: 'Flood safety',
+        difficulty: 'easy',
+        chatId: 123,
+        checklist: {
+          title: 'Flood Prep',
+          description: 'Do these now',
+          xp_reward: 60,
+          items: ['Check forecasts', 'Prepare go-bag'],
+        },
+      });
 
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
@@ -202,4 +213,24 @@ describe('Quizzes routes', () => {
       80,
     ]);
   });
+
+  test('POST /quizzes/ai-generate returns 403 for plain users', async () => {
+    const db = { query: jest.fn() };
+    generateQuizFromAI.mockClear();
+    const app = makeAppWithDb(db);
+
+    const res = await request(app)
+      .post('/quizzes/ai-generate')
+      .set('Authorization', bearer(50))
+      .send({ topic: 'Flood safety', chatId: 123 });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      success: false,
+      error: 'Insufficient permissions',
+      required_roles: ['admin', 'moderator'],
+    });
+    expect(generateQuizFromAI).not.toHaveBeenCalled();
+    expect(db.query).not.toHaveBeenCalled();
+  });
 });
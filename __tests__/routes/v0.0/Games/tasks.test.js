@@ -22,8 +22,15 @@ const express = require('express');
 // Import the router factory (align with your repo layout)
 const createTasksRouter = require('../../../../routes/v0.0/Games/tasks');
 
+const { createTokenService } = require('../../../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'user') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
+
 function makeAppWithDb(db) {
   const app = express();
+  app.set('tokens', tokens);
   app.use(express.json());
   app.use('/tasks', createTasksRouter(db));
   return app;
@@ -41,7 +48,7 @@ describe('Tasks routes', () => {
     db.query.mockResolvedValueOnce([tasks]); // main SELECT
 
     const app = makeAppWithDb(db);
-    const res = await request(app).get('/tasks/7');
+    const res = await request(app).get('/tasks/7').set('Authorization', bearer(7));
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({ success: true, tasks });
@@ -58,7 +65,9 @@ describe('Tasks routes', () => {
     const db = { query: jest.fn() };
     const app = makeAppWithDb(db);
 
-    const res = await request(app).get('/tasks/not-a-number');
+    const res = await request(app)
+      .get('/tasks/not-a-number')
+      .set('Authorization', bearer(7));
 
     expect(res.status).toBe(400);
     expect(res.body).toEqual({ success: false, message: 'Invalid user ID' });
@@ -69,7 +78,7 @@ describe('Tasks routes', () => {
     const db = { query: jest.fn() };
 
     // Request body
-    const body = { user_id: 5, task_id: 11 };
+    const body = { task_id: 11 };
 
     // 1) existing completion? → none
     db.query.mockResolvedValueOnce([[]]);
@@ -96,7 +105,10 @@ describe('Tasks routes', () => {
     db.query.mockResolvedValueOnce([{}]);
 
     const app = makeAppWithDb(db);
-    const res = await request(app).post('/tasks/complete').send(body);
+    const res = await request(app)
+      .post('/tasks/complete')
+      .set('Authorization', bearer(5))
+      .send(body);
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -133,7 +145,7 @@ describe('Tasks routes', () => {
   test('POST /tasks/uncomplete deducts XP, removes badges as needed, logs admin action', async () => {
     const db = { query: jest.fn() };
 
-    const body = { user_id: 5, task_id: 11 };
+    const body = { task_id: 11 };
 
     // 1) fetch task xp_reward
     db.query.mockResolvedValueOnce([ [ { xp_reward: 20 } ] ]);
@@ -163,7 +175,10 @@ describe('Tasks routes', () => {
     db.query.mockResolvedValueOnce([{}]);
 
     const app = makeAppWithDb(db);
-    const res = await request(app).post('/tasks/uncomplete').send(body);
+    const res = await request(app)
+      .post('/tasks/uncomplete')
+      .set('Authorization', bearer(5))
+      .send(body);
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -0,0 +1,225 @@
+/**
+ * admin.test.js
+ *
+ * Covers:
+ * 1) GET /admin/users — search/role/status filters, pagination and SQL/params.
+ * 2) PATCH /admin/users/:userId/role — updates the role, revokes the user's sessions
+ *    and writes admin_action_logs with IP and user agent; callers cannot change their
+ *    own role.
+ * 3) PATCH /admin/users/:userId/status — deactivation revokes sessions.
+ * 4) POST /admin/users/:userId/logout — revokes sessions and disconnects sockets.
+ * 5) POST /admin/users/:userId/restore — restores soft-deleted users (409 on taken phone).
+ * 6) GET /admin/audit-logs — actor/entity/date filters and 400 on malformed filters.
+ * 7) Roles — moderators may search but not mutate; plain users get 403.
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+const buildRouter = require('../../../routes/v0.0/admin');
+const { createTokenService } = require('../../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'admin') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
+
+// admin_action_logs INSERT for the current request
+const logCall = (db) =>
+  db.query.mock.calls.find(([sql]) => /INSERT INTO admin_action_logs/.test(sql));
+
+describe('Admin Router', () => {
+  let app;
+  let db;
+
+  beforeEach(() => {
+    db = { query: jest.fn() };
+    app = express();
+    app.set('tokens', tokens);
+    app.use(express.json());
+    app.use('/admin', buildRouter(db));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('GET /admin/users searches and paginates', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ totalCount: 3 }]])
+      .mockResolvedValueOnce([[{ id: 9, first_name: 'Jane', role: 'moderator' }]]);
+
+    const res = await request(app)
+      .get('/admin/users')
+      .set('Authorization', bearer(1, 'moderator'))
+      .query({ search: 'jane', role: 'moderator', status: 'inactive', page: '2', pageSize: '2' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, page: 2, pageSize: 2, totalCount: 3, hasMore: false });
+
+    const [countSql, countParams] = db.query.mock.calls[0];
+    expect(countSql).toMatch(/u\.is_active = FALSE AND u\.role = \? AND \(CONCAT_WS/);
+    expect(countParams).toEqual(['moderator', '%jane%', '%jane%', '%jane%']);
+    expect(db.query.mock.calls[1][1].slice(-2)).toEqual([2, 2]);
+
+    const bad = await request(app)
+      .get('/admin/users')
+      .set('Authorization', bearer(1))
+      .query({ status: 'gone' });
+    expect(bad.status).toBe(400);
+  });
+
+  test('PATCH /admin/users/:id/role updates the role, revokes sessions and logs the action', async () => {
+    const disconnectSockets = jest.fn();
+    app.set('io', { in: jest.fn(() => ({ disconnectSockets })) });
+    db.query
+      .mockResolvedValueOnce([[{ id: 7, role: 'user', is_active: 1 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[{ id: 70 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([{ insertId: 1 }]);
+
+    const res = await request(app)
+      .patch('/admin/users/7/role')
+      .set('Authorization', bearer(1))
+      .set('User-Agent', 'admin-console/1.0')
+      .send({ role: 'moderator' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, message: 'Role updated', user: { id: 7, role: 'moderator' }, revoked: [70] });
+    expect(db.query.mock.calls[1][1]).toEqual(['moderator', 1, 7]);
+    expect(disconnectSockets).toHaveBeenCalledWith(true);
+
+    const [, params] = logCall(db);
+    expect(params).toEqual([
+      1,
+      'change_role',
+      7,
+      'user',
+      7,
+      expect.any(String),
+      'admin-console/1.0',
+      'Role changed from user to moderator; 1 sessions revoked',
+    ]);
+
+    const self = await request(app)
+      .patch('/admin/users/1/role')
+      .set('Authorization', bearer(1))
+      .send({ role: 'user' });
+    expect(self.status).toBe(400);
+  });
+
+  test('PATCH /admin/users/:id/status deactivates and revokes sessions', async () => {
+    const disconnectSockets = jest.fn();
+    app.set('io', { in: jest.fn(() => ({ disconnectSockets })) });
+    db.query
+      .mockResolvedValueOnce([[{ id: 7, role: 'user', is_active: 1 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[{ id: 70 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([{ insertId: 2 }]);
+
+    const res = await request(app)
+      .patch('/admin/users/7/status')
+      .set('Authorization', bearer(1))
+      .send({ is_active: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, message: 'User deactivated', revoked: [70] });
+    expect(logCall(db)[1][1]).toBe('deactivate_user');
+    expect(disconnectSockets).toHaveBeenCalledWith(true);
+  });
+
+  test('POST /admin/users/:id/logout revokes every session', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ id: 7, role: 'user', is_active: 1 }]])
+      .mockResolvedValueOnce([[{ id: 70 }, { id: 71 }]])
+      .mockResolvedValueOnce([{ affectedRows: 2 }])
+      .mockResolvedValueOnce([{ insertId: 3 }]);
+
+    const res = await request(app)
+      .post('/admin/users/7/logout')
+      .set('Authorization', bearer(1));
+
+    expect(res.status).toBe(200);
+    expect(res.body.revoked).toEqual([70, 71]);
+    expect(logCall(db)[1].slice(0, 3)).toEqual([1, 'force_logout', 7]);
+
+    db.query.mockResolvedValueOnce([[]]);
+    const missing = await request(app)
+      .post('/admin/users/99/logout')
+      .set('Authorization', bearer(1));
+    expect(missing.status).toBe(404);
+  });
+
+  test('POST /admin/users/:id/restore restores soft-deleted users', async () => {
+    db.query
+      .mockResolvedValueOnce([[]]) // phone free
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([{ insertId: 4 }]);
+
+    const res = await request(app)
+      .post('/admin/users/7/restore')
+      .set('Authorization', bearer(1))
+      .send({ phone_number: '07000000000' });
+
+    expect(res.status).toBe(200);
+    expect(db.query.mock.calls[1][0]).toMatch(/deleted_at = NULL[\s\S]*phone_number = \?/);
+    expect(db.query.mock.calls[1][1]).toEqual([1, '07000000000', '+44', 7]);
+    expect(logCall(db)[1][1]).toBe('restore_user');
+
+    db.query.mockResolvedValueOnce([[{ id: 8 }]]);
+    const taken = await request(app)
+      .post('/admin/users/7/restore')
+      .set('Authorization', bearer(1))
+      .send({ phone_number: '07000000000' });
+    expect(taken.status).toBe(409);
+  });
+
+  test('GET /admin/audit-logs filters by actor, entity and date range', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ totalCount: 1 }]])
+      .mockResolvedValueOnce([[{ id: 5, action: 'PATCH /v0.0/admin/users/:userId/role' }]]);
+
+    const res = await request(app)
+      .get('/admin/audit-logs')
+      .set('Authorization', bearer(1))
+      .query({ actor_id: '1', entity_type: 'users', entity_id: '7', from: '2026-01-01', to: '2026-02-01' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, page: 1, pageSize: 50, totalCount: 1, hasMore: false });
+    expect(res.body.logs).toHaveLength(1);
+
+    const [countSql, countParams] = db.query.mock.calls[0];
+    expect(countSql).toMatch(
+      /WHERE a\.actor_user_id = \? AND a\.entity_type = \? AND a\.entity_id = \? AND a\.created_at >= \? AND a\.created_at <= \?/
+    );
+    expect(countParams.slice(0, 3)).toEqual([1, 'users', 7]);
+    expect(countParams[3]).toEqual(new Date('2026-01-01'));
+
+    const bad = await request(app)
+      .get('/admin/audit-logs')
+      .set('Authorization', bearer(1))
+      .query({ from: 'yesterday' });
+    expect(bad.status).toBe(400);
+    expect(bad.body.message).toBe('Invalid from');
+
+    const mod = await request(app)
+      .get('/admin/audit-logs')
+      .set('Authorization', bearer(2, 'moderator'));
+    expect(mod.status).toBe(403);
+  });
+
+  test('moderators cannot mutate and plain users cannot search', async () => {
+    const mod = await request(app)
+      .patch('/admin/users/7/role')
+      .set('Authorization', bearer(2, 'moderator'))
+      .send({ role: 'admin' });
+    expect(mod.status).toBe(403);
+
+    const user = await request(app)
+      .get('/admin/users')
+      .set('Authorization', bearer(3, 'user'));
+    expect(user.status).toBe(403);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
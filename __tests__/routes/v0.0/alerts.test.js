@@ -6,6 +6,7 @@
  * 2) POST /alerts/emergency — inserts system alert, selects users in radius, inserts alerts & logs.
  * 3) PATCH /alerts/:alertId/read — marks user alert vs system alert read.
  * 4) POST /alerts/system — sends user alerts to multiple users.
+ * 5) Roles — emergency alerts need admin/moderator, system alerts need admin (403 otherwise).
  */
 
 const request = require('supertest');
@@ -14,6 +15,12 @@ const express = require('express');
 // Update this path to your actual router location:
 const buildRouter = require('../../../routes/v0.0/alerts'); // <-- adjust if needed
 
+const { createTokenService } = require('../../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'user') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
+
 describe('Alerts Router', () => {
   let app;
   let db;
@@ -21,6 +28,7 @@ describe('Alerts Router', () => {
   beforeEach(() => {
     db = { query: jest.fn() };
     app = express();
+    app.set('tokens', tokens);
     app.use(express.json());
     app.use('/alerts', buildRouter(db));
   });
@@ -43,6 +51,7 @@ describe('Alerts Router', () => {
 
     const res = await request(app)
       .get('/alerts')
+      .set('Authorization', bearer(1))
       .query({ category: 'Weather', page: '2', pageSize: '3' });
 
     expect(res.status).toBe(200);
@@ -83,10 +92,13 @@ describe('Alerts Router', () => {
       latitude: 51.5,
       longitude: -0.12,
       radius_km: 1.2,
-      created_by: 5,
+      created_by: 99, // ignored: creator is the authenticated user
     };
 
-    const res = await request(app).post('/alerts/emergency').send(payload);
+    const res = await request(app)
+      .post('/alerts/emergency')
+      .set('Authorization', bearer(5, 'moderator'))
+      .send(payload);
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -123,6 +135,7 @@ describe('Alerts Router', () => {
 
     const userRes = await request(app)
       .patch('/alerts/123/read')
+      .set('Authorization', bearer(7))
       .send({ type: 'user' });
 
     expect(userRes.status).toBe(200);
@@ -131,15 +144,16 @@ describe('Alerts Router', () => {
       message: 'User alert marked as read',
     });
     const [userSql, userParams] = db.query.mock.calls[0];
-    expect(userSql).toMatch(/UPDATE user_alerts SET is_read = TRUE WHERE id = \?/i);
-    expect(userParams).toEqual([123]);
+    expect(userSql).toMatch(/UPDATE user_alerts SET is_read = TRUE WHERE id = \? AND user_id = \?/i);
+    expect(userParams).toEqual([123, 7]);
 
     // system alert read: INSERT IGNORE into system_alert_reads
     db.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
 
     const sysRes = await request(app)
       .patch('/alerts/456/read')
-      .send({ type: 'system', userId: 77 });
+      .set('Authorization', bearer(77))
+      .send({ type: 'system' });
 
     expect(sysRes.status).toBe(200);
     expect(sysRes.body).toEqual({
@@ -157,13 +171,16 @@ describe('Alerts Router', () => {
       .mockResolvedValueOnce([{ affectedRows: 1 }])
       .mockResolvedValueOnce([{ affectedRows: 1 }]);
 
-    const res = await request(app).post('/alerts/system').send({
-      userIds: [10, 11],
-      title: 'Planned Maintenance',
-      message: 'Service downtime at 02:00 UTC',
-      urgency: 'low',
-      source: 'ops',
-    });
+    const res = await request(app)
+      .post('/alerts/system')
+      .set('Authorization', bearer(1, 'admin'))
+      .send({
+        userIds: [10, 11],
+        title: 'Planned Maintenance',
+        message: 'Service downtime at 02:00 UTC',
+        urgency: 'low',
+        source: 'ops',
+      });
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -180,4 +197,36 @@ describe('Alerts Router', () => {
     expect(p1[0]).toBe(10);
     expect(p2[0]).toBe(11);
   });
+
+  test('POST /alerts/emergency returns 403 for plain users', async () => {
+    const res = await request(app)
+      .post('/alerts/emergency')
+      .set('Authorization', bearer(5))
+      .send({ title: 'Flood', message: 'Evacuate', latitude: 1, longitude: 2, radius_km: 3 });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({
+      success: false,
+      error: 'Insufficient permissions',
+      required_roles: ['admin', 'moderator'],
+    });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('POST /alerts/system returns 403 for users and moderators', async () => {
+    for (const role of ['user', 'moderator']) {
+      const res = await request(app)
+        .post('/alerts/system')
+        .set('Authorization', bearer(1, role))
+        .send({ userIds: [10], title: 'T', message: 'M' });
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({
+        success: false,
+        error: 'Insufficient permissions',
+        required_roles: ['admin'],
+      });
+    }
+    expect(db.query).not.toHaveBeenCalled();
+  });
 });
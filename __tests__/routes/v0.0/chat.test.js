@@ -2,10 +2,42 @@
  * chat.test.js
  *
  * Covers:
- * 1) GET /chat/list/:user_id — happy path mapping + is_nearby and socket emit.
+ * 1) GET /chat/list/:user_id — happy path mapping + is_nearby, unread/mention counts
+ *    and socket emit.
  * 2) POST /chat/create — returns existing direct chat when found (no new chat).
  * 3) POST /chat/:chat_id/add-members — inserts members & alerts, emits per-user update.
  * 4) DELETE /chat/:chat_id/remove-member — owner cannot remove themselves (400).
+ * 5) Auth — 401 without a token; 403 for non-members and other users' chat lists.
+ * 6) DELETE /chat/:chat_id — 403 for plain users; admins hard-delete the chat and
+ *    its stored attachment files.
+ * 7) PATCH/DELETE /chat/:chat_id/messages/:message_id — sender edits, chat admins
+ *    tombstone, other members get 403; events go to the chat room.
+ * 8) GET /chat/:chat_id/messages — deleted messages come back as tombstones;
+ *    attachments are inlined; before_id/after_id cursor paging.
+ * 9) POST /chat/:chat_id/attachments — stores the file, creates an image message and
+ *    fans out chat:new_message; unsupported files get 400. GET .../attachments/:id
+ *    serves the stored file (or thumbnail) to members only.
+ * 10) GET /chat/search — member-only full-text search with filters and highlighted snippets.
+ * 11) Threads — replies reference a parent, emit chat:thread_reply (also when a
+ *     reply is deleted), and GET .../:message_id/thread returns the parent with its
+ *     replies.
+ * 12) Reactions — PUT/DELETE .../reactions/:reaction broadcast chat:reaction with counts;
+ *     listings include counts and the caller's reactions.
+ * 13) Polls — create a poll message, vote (single choice enforced) with live
+ *     chat:poll_updated results, and only the creator may close it.
+ * 14) Events — create an event message, RSVP with live chat:event_updated attendance,
+ *     and full events reject further 'going' RSVPs.
+ * 15) Locations — location messages are stored as coordinates; live shares stream
+ *     chat:live_location updates and only the sharer can move or stop them; deleting
+ *     a live share's message ends it, and old text-only location messages still
+ *     come back with coordinates.
+ * 16) Mentions & read receipts — @mentions of members are stored, alerted and pushed
+ *     to user rooms; edits drop mentions that were removed; POST /chat/:chat_id/read
+ *     only moves the receipt forward.
+ * 17) GET /chat/:chat_id/members — members carry online status and last_seen_at.
+ * 18) POST /chat/:chat_id/messages with client_id — a retried send is stored and
+ *     broadcast once (a retry broadcasts a stored message that was never
+ *     delivered); malformed client IDs and client IDs on location messages get 400.
  */
 // Mock node-fetch (ESM-only) with a virtual CJS stub so the router can be required.
 jest.mock('node-fetch', () => {
@@ -28,11 +60,19 @@ const express = require('express');
 
 // Update this path to the actual location of your router file:
 const buildRouter = require('../../../routes/v0.0/chat'); // <-- adjust if needed
+const { createPresenceTracker } = require('../../../services/presence');
+
+const { createTokenService } = require('../../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'user') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
 
 const makeIoMock = () => {
-  const room = { emit: jest.fn() };
+  const room = { emit: jest.fn(), socketsLeave: jest.fn() };
   return {
     to: jest.fn(() => room),
+    in: jest.fn(() => room),
     __room: room, // exposed for assertions
   };
 };
@@ -47,6 +87,7 @@ describe('Chat Router', () => {
     io = makeIoMock();
 
     app = express();
+    app.set('tokens', tokens);
     app.use(express.json());
     app.use('/chat', buildRouter(db, io));
   });
@@ -100,9 +141,13 @@ describe('Chat Router', () => {
           postal_code: 'AB1 2CD',
           role: 'member',
         },
-      ]]);
+      ]])
+      // 4) unread and mention counts
+      .mockResolvedValueOnce([[{ chat_id: 10, unread_count: 3, mention_count: '1' }]]);
 
-    const res = await request(app).get('/chat/list/5');
+    const res = await request(app)
+      .get('/chat/list/5')
+      .set('Authorization', bearer(5));
 
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
@@ -117,6 +162,8 @@ describe('Chat Router', () => {
       lastMessage: 'hey',
       lastMessageAt: '2024-07-01 12:00:00',
       is_nearby: true, // postal codes match
+      unread_count: 3,
+      mention_count: 1,
       updated_at: '2024-07-01 12:00:00',
     });
 
@@ -136,6 +183,10 @@ describe('Chat Router', () => {
     const [sql3, params3] = db.query.mock.calls[2];
     expect(sql3).toMatch(/FROM chat_members cm[\s\S]*JOIN users u ON u.id = cm.user_id[\s\S]*WHERE cm.chat_id IN \(\?\)/i);
     expect(params3).toEqual([[10]]);
+
+    const [sql4, params4] = db.query.mock.calls[3];
+    expect(sql4).toMatch(/LEFT JOIN chat_read_receipts r[\s\S]*LEFT JOIN chat_message_mentions mm/i);
+    expect(params4).toEqual([5, [10]]);
   });
 
   test('POST /chat/create returns existing direct chat if already present', async () => {
@@ -143,11 +194,13 @@ describe('Chat Router', () => {
     db.query
       .mockResolvedValueOnce([[{ id: 77 }]]); // existing direct chat
 
-    const res = await request(app).post('/chat/create').send({
-      user_id: 5,
-      participant_ids: [6],
-      is_group: false,
-    });
+    const res = await request(app)
+      .post('/chat/create')
+      .set('Authorization', bearer(5))
+      .send({
+        participant_ids: [6],
+        is_group: false,
+      });
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -164,14 +217,15 @@ describe('Chat Router', () => {
   });
 
   test('POST /chat/:chat_id/add-members inserts and alerts, emitting update per user', async () => {
-    // INSERT IGNORE members
     db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]]) // caller membership
       .mockResolvedValueOnce([{ affectedRows: 2 }]) // insert members
       .mockResolvedValueOnce([{ affectedRows: 2 }]); // insert alerts
 
     const res = await request(app)
       .post('/chat/123/add-members')
-      .send({ user_id: 5, user_ids: [7, 8] });
+      .set('Authorization', bearer(5))
+      .send({ user_ids: [7, 8] });
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -180,10 +234,11 @@ describe('Chat Router', () => {
       added_user_ids: [7, 8],
     });
 
-    // Two DB calls
-    expect(db.query).toHaveBeenCalledTimes(2);
-    expect(db.query.mock.calls[0][0]).toMatch(/INSERT IGNORE INTO chat_members/i);
-    expect(db.query.mock.calls[1][0]).toMatch(/INSERT INTO user_alerts/i);
+    // Membership check, then the two inserts
+    expect(db.query).toHaveBeenCalledTimes(3);
+    expect(db.query.mock.calls[0][1]).toEqual([123, 5]);
+    expect(db.query.mock.calls[1][0]).toMatch(/INSERT IGNORE INTO chat_members/i);
+    expect(db.query.mock.calls[2][0]).toMatch(/INSERT INTO user_alerts/i);
 
     // Emits once per user to their rooms
     expect(io.to).toHaveBeenCalledWith('user_7');
@@ -198,7 +253,8 @@ describe('Chat Router', () => {
 
     const res = await request(app)
       .delete('/chat/55/remove-member')
-      .query({ user_id: '9', requested_by: '9' }); // same -> trying to remove self
+      .set('Authorization', bearer(9))
+      .query({ user_id: '9' }); // same as caller -> trying to remove self
 
     expect(res.status).toBe(400);
     expect(res.body).toEqual({
@@ -212,4 +268,969 @@ describe('Chat Router', () => {
     expect(sql).toMatch(/SELECT role FROM chat_members WHERE chat_id = \? AND user_id = \? LIMIT 1/i);
     expect(params).toEqual([55, 9]);
   });
+
+  test('rejects anonymous callers, other users\' lists and non-members', async () => {
+    const anon = await request(app).get('/chat/list/5');
+    expect(anon.status).toBe(401);
+
+    const other = await request(app)
+      .get('/chat/list/5')
+      .set('Authorization', bearer(6));
+    expect(other.status).toBe(403);
+    expect(db.query).not.toHaveBeenCalled();
+
+    db.query.mockResolvedValueOnce([[]]); // no membership row
+    const outsider = await request(app)
+      .get('/chat/123/messages')
+      .set('Authorization', bearer(6));
+    expect(outsider.status).toBe(403);
+    expect(outsider.body).toEqual({
+      success: false,
+      error: 'Not a member of this chat',
+    });
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('DELETE /chat/:chat_id is limited to admins and moderators', async () => {
+    const denied = await request(app)
+      .delete('/chat/55')
+      .set('Authorization', bearer(9));
+    expect(denied.status).toBe(403);
+    expect(denied.body).toEqual({
+      success: false,
+      error: 'Insufficient permissions',
+      required_roles: ['admin', 'moderator'],
+    });
+    expect(db.query).not.toHaveBeenCalled();
+
+    const storage = { remove: jest.fn(async () => {}) };
+    app.set('chatAttachmentStorage', storage);
+    db.query
+      .mockResolvedValue([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[{ file_url: '55-a.png', thumbnail_url: '55-a-thumb.webp' }]]);
+    const ok = await request(app)
+      .delete('/chat/55')
+      .set('Authorization', bearer(1, 'admin'));
+    expect(ok.status).toBe(200);
+    expect(ok.body).toEqual({ success: true, message: 'Chat deleted successfully' });
+    expect(db.query).toHaveBeenCalledTimes(4);
+    expect(db.query.mock.calls[0][0]).toMatch(/SELECT a\.file_url, a\.thumbnail_url/);
+    expect(db.query.mock.calls[3]).toEqual(['DELETE FROM chats WHERE id = ?', [55]]);
+    expect(storage.remove.mock.calls).toEqual([['55-a.png'], ['55-a-thumb.webp']]);
+  });
+
+  test('PATCH /chat/:chat_id/messages/:message_id lets the sender edit a text message', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]]) // caller membership
+      .mockResolvedValueOnce([[{ id: 40, sender_id: 5, message: 'helo', message_type: 'text', deleted_at: null }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[]]); // no stored mentions
+
+    const res = await request(app)
+      .patch('/chat/12/messages/40')
+      .set('Authorization', bearer(5))
+      .send({ message: ' hello ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: 40, chat_id: 12, content: 'hello', edited_by: 5 });
+    expect(db.query.mock.calls[1][1]).toEqual([40, 12]);
+    expect(db.query.mock.calls[2][0]).toMatch(/UPDATE chat_messages SET message = \?, edited_at = NOW\(\), edited_by = \?/);
+    expect(db.query.mock.calls[2][1]).toEqual(['hello', 5, 40]);
+    expect(io.to).toHaveBeenCalledWith('chat_12');
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:message_updated', res.body.data);
+
+    // Another plain member may not edit it
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 40, sender_id: 5, message: 'hello', message_type: 'text', deleted_at: null }]]);
+    const other = await request(app)
+      .patch('/chat/12/messages/40')
+      .set('Authorization', bearer(6))
+      .send({ message: 'hijack' });
+    expect(other.status).toBe(403);
+    expect(db.query).toHaveBeenCalledTimes(6);
+
+    // Deleted after the lookup → the UPDATE matches nothing and nothing is broadcast
+    io.__room.emit.mockClear();
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 40, sender_id: 5, message: 'hello', message_type: 'text', deleted_at: null }]])
+      .mockResolvedValueOnce([{ affectedRows: 0 }]);
+    const raced = await request(app)
+      .patch('/chat/12/messages/40')
+      .set('Authorization', bearer(5))
+      .send({ message: 'too late' });
+    expect(raced.status).toBe(404);
+    expect(raced.body).toEqual({ success: false, error: 'Message not found' });
+    expect(io.__room.emit).not.toHaveBeenCalled();
+  });
+
+  test('DELETE /chat/:chat_id/messages/:message_id tombstones for chat admins', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ role: 'admin' }]]) // caller is a chat admin
+      .mockResolvedValueOnce([[{ id: 41, sender_id: 5, message: 'spam', message_type: 'text', deleted_at: null }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+    const res = await request(app)
+      .delete('/chat/12/messages/41')
+      .set('Authorization', bearer(9));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ id: 41, chat_id: 12, deleted_by: 9 });
+    expect(db.query.mock.calls[2][0]).toMatch(/SET message = '', deleted_at = NOW\(\), edited_by = \?/);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:message_deleted', res.body.data);
+
+    // Already deleted → 404
+    db.query
+      .mockResolvedValueOnce([[{ role: 'admin' }]])
+      .mockResolvedValueOnce([[{ id: 41, sender_id: 5, deleted_at: new Date() }]]);
+    const again = await request(app)
+      .delete('/chat/12/messages/41')
+      .set('Authorization', bearer(9));
+    expect(again.status).toBe(404);
+  });
+
+  test('GET /chat/:chat_id/messages returns deleted messages as tombstones', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[
+        { id: 1, chat_id: 12, sender_id: 5, first_name: 'A', content: 'hi', message_type: 'text', edited_at: '2026-01-01', deleted_at: null },
+        { id: 2, chat_id: 12, sender_id: 6, first_name: 'B', content: '', message_type: 'text', edited_at: null, deleted_at: '2026-01-02' },
+      ]])
+      .mockResolvedValueOnce([[{ id: 3, message_id: 1, chat_id: 12, file_type: 'image/png', thumbnail_url: null }]])
+      .mockResolvedValueOnce([[
+        { message_id: 1, reaction: 'seen', count: 2, mine: '1' },
+        { message_id: 1, reaction: 'on_my_way', count: 1, mine: '0' },
+      ]]);
+
+    const res = await request(app)
+      .get('/chat/12/messages')
+      .set('Authorization', bearer(5));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0]).toMatchObject({ content: 'hi', edited_at: '2026-01-01', is_deleted: false });
+    expect(res.body.data[0].attachments).toEqual([
+      { id: 3, file_url: '/v0.0/chat/12/attachments/3', file_type: 'image/png', thumbnail_url: null },
+    ]);
+    expect(res.body.data[1]).toMatchObject({ content: null, is_deleted: true, deleted_at: '2026-01-02', attachments: [] });
+    expect(db.query.mock.calls[2][1]).toEqual([[1]]); // attachments only for live messages
+    expect(res.body.data[0].reactions).toEqual({ seen: 2, on_my_way: 1 });
+    expect(res.body.data[0].my_reactions).toEqual(['seen']);
+    expect(res.body.data[1]).toMatchObject({ reactions: {}, my_reactions: [] });
+  });
+
+  test('POST /chat/:chat_id/attachments stores the file and emits the new message', async () => {
+    const storage = {
+      save: jest.fn(async () => ({
+        kind: 'image',
+        fileKey: '12-a.png',
+        fileType: 'image/png',
+        thumbnailKey: '12-a-thumb.webp',
+      })),
+      remove: jest.fn(async () => {}),
+    };
+    app.set('chatAttachmentStorage', storage);
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([{ insertId: 50 }]) // chat_messages
+      .mockResolvedValueOnce([{ insertId: 7 }]) // chat_attachments
+      .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+
+    const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+    const res = await request(app)
+      .post('/chat/12/attachments')
+      .set('Authorization', bearer(5))
+      .field('message', 'Flooded road')
+      .attach('file', png, { filename: 'road.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({
+      success: true,
+      message: 'Attachment sent',
+      message_id: 50,
+      attachment: {
+        id: 7,
+        file_url: '/v0.0/chat/12/attachments/7',
+        file_type: 'image/png',
+        thumbnail_url: '/v0.0/chat/12/attachments/7/thumbnail',
+      },
+    });
+    expect(db.query.mock.calls[2][1]).toEqual([50, '12-a.png', 'image/png', '12-a-thumb.webp']);
+    expect(storage.save.mock.calls[0][0]).toEqual({ chatId: 12, buffer: png });
+    expect(db.query.mock.calls[1][1]).toEqual([12, 5, 'Flooded road', 'image']);
+    expect(io.__room.emit).toHaveBeenCalledWith(
+      'chat:new_message',
+      expect.objectContaining({ id: 50, message_type: 'image', attachments: [res.body.attachment] })
+    );
+
+    storage.save.mockRejectedValueOnce(new Error('Unsupported file type'));
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    const bad = await request(app)
+      .post('/chat/12/attachments')
+      .set('Authorization', bearer(5))
+      .attach('file', Buffer.from('not really a png'), { filename: 'x.png', contentType: 'image/png' });
+    expect(bad.status).toBe(400);
+    expect(bad.body.error).toBe('Unsupported file type');
+
+    const exe = await request(app)
+      .post('/chat/12/attachments')
+      .set('Authorization', bearer(5))
+      .attach('file', Buffer.from('MZ'), { filename: 'x.exe', contentType: 'application/x-msdownload' });
+    expect(exe.status).toBe(400);
+    expect(db.query).toHaveBeenCalledTimes(5);
+  });
+
+  test('GET /chat/:chat_id/attachments/:id serves stored files to members only', async () => {
+    const pdf = Buffer.from('%PDF-1.4 report');
+    const thumb = Buffer.from('RIFF0000WEBP');
+    const storage = { read: jest.fn(async (key) => ({ '12-b.pdf': pdf, '12-a-thumb.webp': thumb })[key] || null) };
+    app.set('chatAttachmentStorage', storage);
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ file_url: '12-b.pdf', file_type: 'application/pdf', thumbnail_url: null }]]);
+    const res = await request(app)
+      .get('/chat/12/attachments/8')
+      .set('Authorization', bearer(5));
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['cache-control']).toBe('private, max-age=3600');
+    expect(res.body).toEqual(pdf);
+    expect(db.query.mock.calls[1][0]).toMatch(/m\.chat_id = \? AND m\.deleted_at IS NULL/);
+    expect(db.query.mock.calls[1][1]).toEqual([8, 12]);
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ file_url: '12-a.png', file_type: 'image/png', thumbnail_url: '12-a-thumb.webp' }]]);
+    const thumbnail = await request(app)
+      .get('/chat/12/attachments/7/thumbnail')
+      .set('Authorization', bearer(5));
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+    expect(storage.read).toHaveBeenLastCalledWith('12-a-thumb.webp');
+
+    // No thumbnail, a deleted/unknown attachment, or a file missing from storage → 404
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ file_url: '12-b.pdf', file_type: 'application/pdf', thumbnail_url: null }]])
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[]])
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ file_url: '12-gone.png', file_type: 'image/png', thumbnail_url: null }]]);
+    for (const path of ['/chat/12/attachments/8/thumbnail', '/chat/12/attachments/9', '/chat/12/attachments/10']) {
+      const missing = await request(app).get(path).set('Authorization', bearer(5));
+      expect(missing.status).toBe(404);
+      expect(missing.body).toEqual({ success: false, error: 'Attachment not found' });
+    }
+
+    db.query.mockResolvedValueOnce([[]]);
+    const outsider = await request(app)
+      .get('/chat/12/attachments/8')
+      .set('Authorization', bearer(6));
+    expect(outsider.status).toBe(403);
+    expect(storage.read).toHaveBeenCalledTimes(3);
+  });
+
+  test('GET /chat/:chat_id/messages pages newest-first with before_id / after_id cursors', async () => {
+    const row = (id) => ({ id, chat_id: 12, sender_id: 5, content: `m${id}`, message_type: 'text', deleted_at: null });
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[row(9), row(8), row(7)]]) // limit + 1 rows
+      .mockResolvedValueOnce([[]]) // attachments
+      .mockResolvedValueOnce([[]]); // reactions
+    const older = await request(app)
+      .get('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .query({ before_id: '10', limit: '2' });
+
+    expect(older.status).toBe(200);
+    expect(older.body.data.map((m) => m.id)).toEqual([9, 8]);
+    expect(older.body).toMatchObject({ next_cursor: 8, has_more: true });
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toMatch(/WHERE m\.chat_id = \? AND m\.id < \?\s+ORDER BY m\.id DESC\s+LIMIT \?/);
+    expect(params).toEqual([12, 10, 3]);
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[row(11), row(12)]])
+      .mockResolvedValueOnce([[]])
+      .mockResolvedValueOnce([[]]);
+    const newer = await request(app)
+      .get('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .query({ after_id: '10', limit: '2' });
+
+    expect(newer.body.data.map((m) => m.id)).toEqual([12, 11]);
+    expect(newer.body).toMatchObject({ next_cursor: null, has_more: false });
+    expect(db.query.mock.calls[5][0]).toMatch(/AND m\.id > \?\s+ORDER BY m\.id ASC/);
+
+    const both = await request(app)
+      .get('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .query({ before_id: '10', after_id: '2' });
+    expect(both.status).toBe(400);
+    expect(db.query).toHaveBeenCalledTimes(8);
+  });
+
+  test('GET /chat/search searches the caller\'s chats and highlights matches', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ totalCount: 1 }]])
+      .mockResolvedValueOnce([[{
+        id: 31, chat_id: 4, chat_name: 'Mill Lane', is_group: 1, sender_id: 6,
+        first_name: 'Sam', last_name: null, message: 'Sandbags <free> at the church hall',
+        message_type: 'text', created_at: '2026-02-01',
+      }]]);
+
+    const res = await request(app)
+      .get('/chat/search')
+      .set('Authorization', bearer(5))
+      .query({ q: 'sandbag hall!', sender_id: '6', from: '2026-01-01', to: '2026-02-01' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, page: 1, pageSize: 20, totalCount: 1, hasMore: false });
+    expect(res.body.data[0]).toMatchObject({
+      id: 31,
+      chat: { id: 4, name: 'Mill Lane', is_group: true },
+      sender: { id: 6, name: 'Sam' },
+      snippet: '<mark>Sandbag</mark>s &lt;free&gt; at the church <mark>hall</mark>',
+    });
+
+    const [countSql, countParams] = db.query.mock.calls[0];
+    expect(countSql).toMatch(/JOIN chat_members cm ON cm\.chat_id = m\.chat_id AND cm\.user_id = \?/);
+    expect(countSql).toMatch(/MATCH\(m\.message\) AGAINST \(\? IN BOOLEAN MODE\) AND m\.deleted_at IS NULL AND m\.sender_id = \?/);
+    expect(countSql).toMatch(/m\.created_at >= \? AND m\.created_at < \?/);
+    expect(countParams.slice(0, 3)).toEqual([5, 'sandbag* hall*', 6]);
+    expect(countParams[4]).toEqual(new Date('2026-02-02')); // the whole `to` day
+    expect(db.query.mock.calls[1][1].slice(-2)).toEqual([20, 0]);
+
+    db.query.mockResolvedValueOnce([[{ totalCount: 0 }]]).mockResolvedValueOnce([[]]);
+    const datetime = await request(app)
+      .get('/chat/search')
+      .set('Authorization', bearer(5))
+      .query({ q: 'sandbags', to: '2026-01-05T10:00:00Z' });
+    expect(datetime.status).toBe(200);
+    expect(db.query.mock.calls[2][1][2]).toEqual(new Date('2026-01-05T10:00:00Z')); // no extra day
+
+    db.query.mockResolvedValueOnce([[]]); // not a member of chat 9
+    const outsider = await request(app)
+      .get('/chat/search')
+      .set('Authorization', bearer(5))
+      .query({ q: 'sandbags', chat_id: '9' });
+    expect(outsider.status).toBe(403);
+
+    const empty = await request(app)
+      .get('/chat/search')
+      .set('Authorization', bearer(5))
+      .query({ q: '?!' });
+    expect(empty.status).toBe(400);
+    expect(db.query).toHaveBeenCalledTimes(5);
+  });
+
+  test('replies reference a parent, emit chat:thread_reply and show up in the thread', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 20 }]]) // parent in this chat
+      .mockResolvedValueOnce([{ insertId: 21 }])
+      .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]])
+      .mockResolvedValueOnce([[{ count: 3 }]]);
+
+    const sent = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message: 'On my way', reply_to_id: 20 });
+
+    expect(sent.status).toBe(201);
+    expect(db.query.mock.calls[2][1]).toEqual([12, 5, 'On my way', 'text', 20, null]);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:new_message', expect.objectContaining({ id: 21, reply_to_id: 20 }));
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:thread_reply', {
+      chat_id: 12,
+      parent_id: 20,
+      message_id: 21,
+      reply_count: 3,
+    });
+
+    const parent = { id: 20, chat_id: 12, sender_id: 6, content: 'Who can help at the hall?', message_type: 'text', reply_count: 2 };
+    const reply = (id) => ({
+      id, chat_id: 12, sender_id: 5, content: `reply ${id}`, message_type: 'text', reply_to_id: 20,
+      reply_sender_id: 6, reply_first_name: 'Sam', reply_content: parent.content, reply_count: 0,
+    });
+    db.query.mockReset();
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[parent]])
+      .mockResolvedValueOnce([[reply(21), reply(22)]])
+      .mockResolvedValueOnce([[]]) // attachments
+      .mockResolvedValueOnce([[]]); // reactions
+
+    const thread = await request(app)
+      .get('/chat/12/messages/20/thread')
+      .set('Authorization', bearer(5))
+      .query({ limit: '5' });
+
+    expect(thread.status).toBe(200);
+    expect(thread.body).toMatchObject({ success: true, next_cursor: null, has_more: false });
+    expect(thread.body.data.parent).toMatchObject({ id: 20, reply_to: null, reply_count: 2 });
+    expect(thread.body.data.replies.map((m) => m.id)).toEqual([21, 22]);
+    expect(thread.body.data.replies[0].reply_to).toEqual({
+      id: 20,
+      sender: { id: 6, name: 'Sam' },
+      content: 'Who can help at the hall?',
+      is_deleted: false,
+    });
+    expect(db.query.mock.calls[2][0]).toMatch(/WHERE m\.reply_to_id = \? AND m\.id > \?/);
+    expect(db.query.mock.calls[2][1]).toEqual([20, 0, 6]);
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[]]); // parent not in this chat
+    const badReply = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message: 'x', reply_to_id: 999 });
+    expect(badReply.status).toBe(400);
+
+    // Deleting a reply lowers the parent's badge
+    io.__room.emit.mockClear();
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 21, sender_id: 5, message: 'On my way', message_type: 'text', reply_to_id: 20, deleted_at: null }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[{ count: 1 }]]);
+    const removed = await request(app)
+      .delete('/chat/12/messages/21')
+      .set('Authorization', bearer(5));
+    expect(removed.status).toBe(200);
+    expect(db.query.mock.calls[db.query.mock.calls.length - 1][1]).toEqual([20]);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:message_deleted', removed.body.data);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:thread_reply', {
+      chat_id: 12,
+      parent_id: 20,
+      message_id: 21,
+      reply_count: 1,
+    });
+  });
+
+  test('PUT/DELETE reactions store one row per user and broadcast counts', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 40 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[{ message_id: 40, reaction: 'on_my_way', count: 2, mine: '1' }]]);
+
+    const added = await request(app)
+      .put('/chat/12/messages/40/reactions/on_my_way')
+      .set('Authorization', bearer(5));
+
+    expect(added.status).toBe(200);
+    expect(added.body.data).toEqual({ message_id: 40, reactions: { on_my_way: 2 }, my_reactions: ['on_my_way'] });
+    expect(db.query.mock.calls[2][0]).toMatch(/INSERT IGNORE INTO chat_message_reactions/);
+    expect(db.query.mock.calls[2][1]).toEqual([40, 5, 'on_my_way']);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:reaction', {
+      chat_id: 12,
+      message_id: 40,
+      user_id: 5,
+      reaction: 'on_my_way',
+      action: 'added',
+      reactions: { on_my_way: 2 },
+    });
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 40 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[]]);
+    const removed = await request(app)
+      .delete('/chat/12/messages/40/reactions/on_my_way')
+      .set('Authorization', bearer(5));
+
+    expect(removed.body.data).toEqual({ message_id: 40, reactions: {}, my_reactions: [] });
+    expect(db.query.mock.calls[6][0]).toMatch(/DELETE FROM chat_message_reactions/);
+    expect(io.__room.emit).toHaveBeenLastCalledWith('chat:reaction', expect.objectContaining({ action: 'removed' }));
+
+    const unknown = await request(app)
+      .put('/chat/12/messages/40/reactions/angry')
+      .set('Authorization', bearer(5));
+    expect(unknown.status).toBe(400);
+    expect(db.query).toHaveBeenCalledTimes(8);
+  });
+
+  test('polls are created as messages, take votes and can be closed by the creator', async () => {
+    const conn = {
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(async () => {}),
+      release: jest.fn(),
+      query: jest
+        .fn()
+        .mockResolvedValueOnce([{ insertId: 60 }]) // chat_messages
+        .mockResolvedValueOnce([{ insertId: 3 }]) // chat_polls
+        .mockResolvedValue([{ affectedRows: 1 }]),
+    };
+    db.getConnection = jest.fn(async () => conn);
+
+    const pollRow = { id: 3, message_id: 60, chat_id: 12, created_by: 5, question: 'Who needs transport?', allows_multiple: 0, is_anonymous: 0, closes_at: null, closed_at: null };
+    const options = [[{ id: 30, poll_id: 3, label: 'Me' }, { id: 31, poll_id: 3, label: 'Not me' }]];
+    const loadPollMocks = (votes = [], row = pollRow) =>
+      db.query
+        .mockResolvedValueOnce([[row]])
+        .mockResolvedValueOnce(options)
+        .mockResolvedValueOnce([votes]);
+
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadPollMocks();
+    db.query.mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+
+    const created = await request(app)
+      .post('/chat/12/polls')
+      .set('Authorization', bearer(5))
+      .send({ question: 'Who needs transport?', options: ['Me', 'Not me'] });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ success: true, message_id: 60, poll: { id: 3, total_voters: 0 } });
+    expect(conn.query.mock.calls[2][1]).toEqual([[[3, 0, 'Me'], [3, 1, 'Not me']]]);
+    expect(io.__room.emit).toHaveBeenCalledWith(
+      'chat:new_message',
+      expect.objectContaining({ id: 60, message_type: 'poll', poll: created.body.poll })
+    );
+
+    // Single-choice polls reject two options
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadPollMocks();
+    const tooMany = await request(app)
+      .put('/chat/12/polls/3/votes')
+      .set('Authorization', bearer(6))
+      .send({ option_ids: [30, 31] });
+    expect(tooMany.status).toBe(400);
+
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadPollMocks();
+    loadPollMocks([{ poll_id: 3, option_id: 30, user_id: 6, first_name: 'Sam' }]);
+    const voted = await request(app)
+      .put('/chat/12/polls/3/votes')
+      .set('Authorization', bearer(6))
+      .send({ option_ids: [30] });
+
+    expect(voted.status).toBe(200);
+    expect(voted.body.poll).toMatchObject({ total_voters: 1, my_votes: [30] });
+    expect(conn.query).toHaveBeenCalledWith('INSERT INTO chat_poll_votes (poll_id, option_id, user_id) VALUES ?', [[[3, 30, 6]]]);
+    const [event, results] = io.__room.emit.mock.calls[io.__room.emit.mock.calls.length - 1];
+    expect(event).toBe('chat:poll_updated');
+    expect(results).not.toHaveProperty('my_votes');
+    expect(results.options[0].votes).toBe(1);
+
+    // Only the creator may close
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadPollMocks();
+    const notCreator = await request(app)
+      .post('/chat/12/polls/3/close')
+      .set('Authorization', bearer(6));
+    expect(notCreator.status).toBe(403);
+
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadPollMocks();
+    db.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+    loadPollMocks([], { ...pollRow, closed_at: '2026-03-01' });
+    const closed = await request(app)
+      .post('/chat/12/polls/3/close')
+      .set('Authorization', bearer(5));
+    expect(closed.status).toBe(200);
+    expect(closed.body.poll.is_closed).toBe(true);
+
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadPollMocks([], { ...pollRow, closed_at: '2026-03-01' });
+    const late = await request(app)
+      .put('/chat/12/polls/3/votes')
+      .set('Authorization', bearer(6))
+      .send({ option_ids: [31] });
+    expect(late.status).toBe(409);
+
+    // Deleting the poll message ends voting and closing
+    for (const call of [
+      () => request(app).put('/chat/12/polls/3/votes').send({ option_ids: [31] }),
+      () => request(app).post('/chat/12/polls/3/close'),
+    ]) {
+      db.query.mockResolvedValueOnce([[{ role: 'member' }]]).mockResolvedValueOnce([[]]);
+      const gone = await call().set('Authorization', bearer(5));
+      expect(gone.status).toBe(404);
+      expect(gone.body.error).toBe('Poll not found');
+    }
+  });
+
+  test('events are created as messages and take RSVPs up to capacity', async () => {
+    const startsAt = new Date(Date.now() + 2 * 3600e3).toISOString();
+    const conn = {
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(async () => {}),
+      release: jest.fn(),
+      query: jest
+        .fn()
+        .mockResolvedValueOnce([{ insertId: 70 }]) // chat_messages
+        .mockResolvedValueOnce([{ insertId: 4 }]), // chat_events
+    };
+    db.getConnection = jest.fn(async () => conn);
+
+    const eventRow = { id: 4, message_id: 70, chat_id: 12, created_by: 5, title: 'Sandbag distribution', description: null, starts_at: startsAt, ends_at: null, location_name: 'Town hall', latitude: null, longitude: null, capacity: 1, reminder_minutes: 60 };
+    const loadEventMocks = (rsvps = []) =>
+      db.query.mockResolvedValueOnce([[eventRow]]).mockResolvedValueOnce([rsvps]);
+
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadEventMocks();
+    db.query.mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+
+    const created = await request(app)
+      .post('/chat/12/events')
+      .set('Authorization', bearer(5))
+      .send({ title: 'Sandbag distribution', starts_at: startsAt, location_name: 'Town hall', capacity: 1 });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({
+      success: true,
+      message_id: 70,
+      event: { id: 4, location: { name: 'Town hall' }, spots_left: 1, my_rsvp: null },
+    });
+    expect(conn.query.mock.calls[1][1]).toEqual([70, 12, 5, 'Sandbag distribution', null, new Date(startsAt), null, 'Town hall', null, null, 1, 60]);
+    expect(io.__room.emit).toHaveBeenCalledWith(
+      'chat:new_message',
+      expect.objectContaining({ id: 70, message_type: 'event', event: created.body.event })
+    );
+
+    // RSVP as going takes the only spot
+    conn.query
+      .mockResolvedValueOnce([[{ capacity: 1 }]])
+      .mockResolvedValueOnce([[{ going: 0 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]);
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadEventMocks();
+    loadEventMocks([{ event_id: 4, user_id: 6, status: 'going', responded_at: '2026-03-01', first_name: 'Sam', last_name: null }]);
+    const going = await request(app)
+      .put('/chat/12/events/4/rsvp')
+      .set('Authorization', bearer(6))
+      .send({ status: 'going' });
+
+    expect(going.status).toBe(200);
+    expect(going.body.event).toMatchObject({ counts: { going: 1, maybe: 0, not_going: 0 }, spots_left: 0, my_rsvp: 'going' });
+    const [event, details] = io.__room.emit.mock.calls[io.__room.emit.mock.calls.length - 1];
+    expect(event).toBe('chat:event_updated');
+    expect(details).not.toHaveProperty('my_rsvp');
+    expect(details.attendees).toEqual([{ id: 6, name: 'Sam', status: 'going', responded_at: '2026-03-01' }]);
+
+    // A second 'going' is refused once the event is full
+    conn.query.mockResolvedValueOnce([[{ capacity: 1 }]]).mockResolvedValueOnce([[{ going: 1 }]]);
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]);
+    loadEventMocks();
+    const full = await request(app)
+      .put('/chat/12/events/4/rsvp')
+      .set('Authorization', bearer(5))
+      .send({ status: 'going' });
+    expect(full.status).toBe(409);
+    expect(full.body.error).toBe('Event is full');
+    expect(conn.rollback).toHaveBeenCalled();
+
+    const invalid = await request(app)
+      .put('/chat/12/events/4/rsvp')
+      .set('Authorization', bearer(5))
+      .send({ status: 'perhaps' });
+    expect(invalid.status).toBe(400);
+
+    // No RSVPs once the event message is deleted
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]).mockResolvedValueOnce([[]]);
+    const gone = await request(app)
+      .put('/chat/12/events/4/rsvp')
+      .set('Authorization', bearer(6))
+      .send({ status: 'maybe' });
+    expect(gone.status).toBe(404);
+    expect(gone.body.error).toBe('Event not found');
+  });
+
+  test('location messages store coordinates and live shares stream updates', async () => {
+    const conn = {
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(async () => {}),
+      release: jest.fn(),
+      query: jest
+        .fn()
+        .mockResolvedValueOnce([{ insertId: 80 }]) // chat_messages
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // chat_locations
+        .mockResolvedValueOnce([[]]) // no earlier live share
+        .mockResolvedValueOnce([{ insertId: 81 }])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]),
+    };
+    db.getConnection = jest.fn(async () => conn);
+
+    // Older clients nest the coordinates in `message`
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+    const pin = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message_type: 'location', message: { location: { latitude: 51.5, longitude: -0.12 } } });
+
+    expect(pin.status).toBe(201);
+    expect(conn.query.mock.calls[0][1]).toEqual([12, 5, 'Location', null]);
+    expect(conn.query.mock.calls[1][1]).toEqual([80, 12, 5, 51.5, -0.12, null, null, false, null]);
+    expect(io.__room.emit).toHaveBeenCalledWith(
+      'chat:new_message',
+      expect.objectContaining({ id: 80, content: 'Location', location: expect.objectContaining({ latitude: 51.5, is_live: false }) })
+    );
+
+    const incomplete = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message_type: 'location', location: { latitude: 51.5 } });
+    expect(incomplete.status).toBe(400);
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+    const live = await request(app)
+      .post('/chat/12/live-locations')
+      .set('Authorization', bearer(5))
+      .send({ latitude: 51.5, longitude: -0.12, duration_minutes: 30 });
+
+    expect(live.status).toBe(201);
+    expect(live.body).toMatchObject({ message_id: 81, location: { is_live: true, is_active: true } });
+
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]).mockResolvedValueOnce([{ affectedRows: 1 }]);
+    const moved = await request(app)
+      .put('/chat/12/live-locations/81')
+      .set('Authorization', bearer(5))
+      .send({ latitude: 51.51, longitude: -0.13, accuracy_m: 10 });
+
+    expect(moved.status).toBe(200);
+    expect(io.__room.emit).toHaveBeenLastCalledWith(
+      'chat:live_location',
+      expect.objectContaining({ chat_id: 12, message_id: 81, user_id: 5, latitude: 51.51, accuracy_m: 10 })
+    );
+
+    // Someone else's (or an ended) share is not updated
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]).mockResolvedValueOnce([{ affectedRows: 0 }]);
+    const other = await request(app)
+      .delete('/chat/12/live-locations/81')
+      .set('Authorization', bearer(6));
+    expect(other.status).toBe(409);
+
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]).mockResolvedValueOnce([{ affectedRows: 1 }]);
+    const stopped = await request(app)
+      .delete('/chat/12/live-locations/81')
+      .set('Authorization', bearer(5));
+    expect(stopped.status).toBe(200);
+    expect(io.__room.emit).toHaveBeenLastCalledWith('chat:live_location_stopped', {
+      chat_id: 12,
+      message_id: 81,
+      user_id: 5,
+      reason: 'stopped',
+    });
+
+    const tooLong = await request(app)
+      .post('/chat/12/live-locations')
+      .set('Authorization', bearer(5))
+      .send({ latitude: 51.5, longitude: -0.12, duration_minutes: 600 });
+    expect(tooLong.status).toBe(400);
+  });
+
+  test('deleting a live location message ends the share; old location text still reads as a pin', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 81, sender_id: 5, message: 'Live location', message_type: 'location', reply_to_id: null, deleted_at: null }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]) // tombstone
+      .mockResolvedValueOnce([[{ user_id: 5 }]]) // active live share
+      .mockResolvedValueOnce([{ affectedRows: 1 }]); // chat_locations
+    const res = await request(app)
+      .delete('/chat/12/messages/81')
+      .set('Authorization', bearer(5));
+    expect(res.status).toBe(200);
+    expect(db.query.mock.calls[4]).toEqual(['DELETE FROM chat_locations WHERE message_id = ?', [81]]);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:live_location_stopped', {
+      chat_id: 12,
+      message_id: 81,
+      user_id: 5,
+      reason: 'deleted',
+    });
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[
+        { id: 3, chat_id: 12, sender_id: 6, first_name: 'B', content: '{latitude:51.5,longitude:-0.12}', message_type: 'location', deleted_at: null, created_at: '2025-01-01' },
+      ]])
+      .mockResolvedValue([[]]); // no chat_locations row and no other extras
+    const history = await request(app)
+      .get('/chat/12/messages')
+      .set('Authorization', bearer(5));
+    expect(history.status).toBe(200);
+    expect(history.body.data[0].location).toMatchObject({ message_id: 3, user_id: 6, latitude: 51.5, longitude: -0.12, is_live: false });
+  });
+
+  test('mentions notify members and read receipts move forward', async () => {
+    const members = [
+      { user_id: 5, first_name: 'Ann', last_name: 'Lee' },
+      { user_id: 6, first_name: 'Sam', last_name: 'Green' },
+      { user_id: 7, first_name: 'Sam', last_name: 'Hill' },
+    ];
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([{ insertId: 90 }])
+      .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]])
+      .mockResolvedValueOnce([members])
+      .mockResolvedValueOnce([[]]) // no earlier mentions
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+    const sent = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message: '@SamHill can you bring sandbags? @Sam @Ann ann@example.com' });
+
+    expect(sent.status).toBe(201);
+    // "@Sam" is ambiguous and "@Ann" is the sender, so only Sam Hill is mentioned
+    expect(db.query.mock.calls[5]).toEqual([
+      'INSERT IGNORE INTO chat_message_mentions (message_id, chat_id, user_id) VALUES ?',
+      [[[90, 12, 7]]],
+    ]);
+    expect(db.query.mock.calls[6][1][0][0]).toEqual([
+      7, 'chat', 12, 'Ann Lee mentioned you', '@SamHill can you bring sandbags? @Sam @Ann ann@example.com', 'advisory', 'system',
+    ]);
+    expect(io.to).toHaveBeenCalledWith('user_7');
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:mention', {
+      chat_id: 12,
+      message_id: 90,
+      sender: { id: 5, name: 'Ann Lee' },
+      content: '@SamHill can you bring sandbags? @Sam @Ann ann@example.com',
+    });
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:new_message', expect.objectContaining({ id: 90, mentions: [7] }));
+
+    // Editing the mention out removes it from Sam Hill's mention_count
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 90, sender_id: 5, message: '@SamHill can you bring sandbags?', message_type: 'text', deleted_at: null }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[{ user_id: 7 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]);
+    const edited = await request(app)
+      .patch('/chat/12/messages/90')
+      .set('Authorization', bearer(5))
+      .send({ message: 'Can anyone bring sandbags?' });
+
+    expect(edited.status).toBe(200);
+    expect(edited.body.data.mentions).toEqual([]);
+    expect(db.query.mock.calls[11]).toEqual([
+      'DELETE FROM chat_message_mentions WHERE message_id = ? AND user_id IN (?)',
+      [90, [7]],
+    ]);
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[{ id: 90 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]);
+    const read = await request(app)
+      .post('/chat/12/read')
+      .set('Authorization', bearer(7))
+      .send({ message_id: 90 });
+
+    expect(read.status).toBe(200);
+    expect(db.query.mock.calls[14][0]).toMatch(/GREATEST\(message_id, VALUES\(message_id\)\)/);
+    expect(db.query.mock.calls[14][1]).toEqual([12, 7, 90]);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:read_receipt', expect.objectContaining({ chat_id: 12, user_id: 7, message_id: 90 }));
+
+    // Messages from other chats cannot be marked as read here
+    db.query.mockResolvedValueOnce([[{ role: 'member' }]]).mockResolvedValueOnce([[]]);
+    const foreign = await request(app)
+      .post('/chat/read')
+      .set('Authorization', bearer(7))
+      .send({ chat_id: 12, message_id: 91 });
+    expect(foreign.status).toBe(400);
+  });
+
+  test('members list shows who is online and when others were last seen', async () => {
+    const presence = createPresenceTracker();
+    presence.connect(6, 'phone');
+    app.set('presence', presence);
+
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([[
+        { id: 5, first_name: 'Ann', last_name: 'Lee', email: 'a@example.com', profile_picture_url: null, last_seen_at: '2026-03-01T08:00:00Z', role: 'owner' },
+        { id: 6, first_name: 'Sam', last_name: null, email: 's@example.com', profile_picture_url: null, last_seen_at: '2026-03-01T09:00:00Z', role: 'member' },
+      ]]);
+
+    const res = await request(app)
+      .get('/chat/12/members')
+      .set('Authorization', bearer(5));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(({ id, online, last_seen_at }) => ({ id, online, last_seen_at }))).toEqual([
+      { id: 5, online: false, last_seen_at: '2026-03-01T08:00:00Z' },
+      { id: 6, online: true, last_seen_at: '2026-03-01T09:00:00Z' },
+    ]);
+  });
+
+  test('retried sends with the same client_id are stored once', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockResolvedValueOnce([{ insertId: 77 }])
+      .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+
+    const first = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message: 'Need water', client_id: 'a1b2-c3' });
+
+    expect(first.status).toBe(201);
+    expect(db.query.mock.calls[1][1]).toEqual([12, 5, 'Need water', 'text', null, 'a1b2-c3']);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:new_message', expect.objectContaining({ id: 77, client_id: 'a1b2-c3' }));
+
+    expect(db.query.mock.calls[3]).toEqual(['UPDATE chat_messages SET published_at = NOW() WHERE id = ?', [77]]);
+
+    io.__room.emit.mockClear();
+    const stored = { id: 77, message: 'Need water', message_type: 'text', reply_to_id: null, published_at: new Date() };
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }))
+      .mockResolvedValueOnce([[stored]]);
+
+    const retry = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message: 'Need water', client_id: 'a1b2-c3' });
+
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual({ success: true, message: 'Message already sent', message_id: 77, duplicate: true });
+    expect(db.query.mock.calls[6][1]).toEqual([12, 5, 'a1b2-c3']);
+    expect(io.__room.emit).not.toHaveBeenCalled();
+
+    // The first attempt was stored but never broadcast → the retry delivers it
+    db.query
+      .mockResolvedValueOnce([[{ role: 'member' }]])
+      .mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }))
+      .mockResolvedValueOnce([[{ ...stored, published_at: null }]])
+      .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+
+    const undelivered = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message: 'Need water', client_id: 'a1b2-c3' });
+
+    expect(undelivered.status).toBe(200);
+    expect(undelivered.body.duplicate).toBe(true);
+    expect(io.__room.emit).toHaveBeenCalledWith('chat:new_message', expect.objectContaining({ id: 77, client_id: 'a1b2-c3' }));
+
+    const invalid = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message: 'Need water', client_id: 'not valid!' });
+    expect(invalid.status).toBe(400);
+
+    // Location messages are not deduplicated, so a client_id is refused
+    const queries = db.query.mock.calls.length;
+    const location = await request(app)
+      .post('/chat/12/messages')
+      .set('Authorization', bearer(5))
+      .send({ message_type: 'location', location: { latitude: 51.5, longitude: -0.12 }, client_id: 'loc-1' });
+    expect(location.status).toBe(400);
+    expect(location.body.error).toBe('client_id is not supported for location messages');
+    expect(db.query).toHaveBeenCalledTimes(queries);
+  });
 });
@@ -6,6 +6,7 @@
  * 2) POST /documents — 400 on missing fields; 201 on success with defaults/trim.
  * 3) POST /documents/read — upserts read state (ON DUPLICATE KEY UPDATE).
  * 4) DELETE /documents/read — 404 when not marked; DELETE /documents/all — clears all.
+ * 5) Auth — 401 without a token; 403 when listing another user's documents.
  */
 
 const request = require('supertest');
@@ -14,6 +15,12 @@ const express = require('express');
 // Update this path to where your router file actually lives:
 const buildRouter = require('../../../routes/v0.0/documents'); // <-- adjust if needed
 
+const { createTokenService } = require('../../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'user') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
+
 describe('Documents Router', () => {
   let app;
   let db;
@@ -21,6 +28,7 @@ describe('Documents Router', () => {
   beforeEach(() => {
     db = { query: jest.fn() };
     app = express();
+    app.set('tokens', tokens);
     app.use(express.json());
     app.use('/documents', buildRouter(db));
   });
@@ -31,7 +39,9 @@ describe('Documents Router', () => {
 
   test('GET /documents/:userId validates ID and returns document list with read_at', async () => {
     // Invalid ID
-    const bad = await request(app).get('/documents/not-a-number');
+    const bad = await request(app)
+      .get('/documents/not-a-number')
+      .set('Authorization', bearer(7));
     expect(bad.status).toBe(400);
     expect(bad.body).toEqual({
       success: false,
@@ -57,7 +67,9 @@ describe('Documents Router', () => {
     db.query
       .mockResolvedValueOnce([rows]); // for SELECT
 
-    const ok = await request(app).get('/documents/7');
+    const ok = await request(app)
+      .get('/documents/7')
+      .set('Authorization', bearer(7));
     expect(ok.status).toBe(200);
     expect(ok.body).toEqual({ success: true, data: rows });
 
@@ -72,29 +84,32 @@ describe('Documents Router', () => {
 
   test('POST /documents returns 400 on missing fields, then 201 on success with defaults and trimming', async () => {
     // Missing required
-    const bad = await request(app).post('/documents').send({
-      // user_id missing
-      title: 'Doc',
-      url: 'https://f/x',
-    });
+    const bad = await request(app)
+      .post('/documents')
+      .set('Authorization', bearer(5))
+      .send({
+        // title missing
+        url: 'https://f/x',
+      });
     expect(bad.status).toBe(400);
     expect(bad.body).toEqual({
       success: false,
-      message: 'Missing required fields (user_id, title, url)',
+      message: 'Missing required fields (title, url)',
     });
 
     // Success insert
     db.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
 
-    const res = await request(app).post('/documents').send({
-      user_id: 5,
-      title: '  Handbook  ',
-      description: null,
-      url: '  https://cdn/handbook.pdf  ',
-      // file_type omitted -> null
-      // category omitted -> 'General'
-      // uploadedBy omitted -> null
-    });
+    const res = await request(app)
+      .post('/documents')
+      .set('Authorization', bearer(5))
+      .send({
+        title: '  Handbook  ',
+        description: null,
+        url: '  https://cdn/handbook.pdf  ',
+        // file_type omitted -> null
+        // category omitted -> 'General'
+      });
 
     expect(res.status).toBe(201);
     expect(res.body).toEqual({
@@ -106,23 +121,23 @@ describe('Documents Router', () => {
     const [sql, params] = db.query.mock.calls[0];
     expect(sql).toMatch(/INSERT INTO documents/i);
     expect(params).toEqual([
-      5,                          // user_id
+      5,                          // user_id (from token)
       'Handbook',                 // title.trim()
       null,                       // description
       'https://cdn/handbook.pdf', // file_url.trim()
       null,                       // file_type default
       'General',                  // category default
-      null,                       // uploadedBy default
+      5,                          // uploaded_by (from token)
     ]);
   });
 
   test('POST /documents/read upserts read state and returns success', async () => {
     db.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
 
-    const res = await request(app).post('/documents/read').send({
-      user_id: 7,
-      document_id: 10,
-    });
+    const res = await request(app)
+      .post('/documents/read')
+      .set('Authorization', bearer(7))
+      .send({ document_id: 10 });
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({
@@ -143,7 +158,8 @@ describe('Documents Router', () => {
 
     const notMarked = await request(app)
       .delete('/documents/read')
-      .query({ user_id: 9, document_id: 123 });
+      .set('Authorization', bearer(9))
+      .query({ document_id: 123 });
 
     expect(notMarked.status).toBe(404);
     expect(notMarked.body).toEqual({
@@ -156,7 +172,7 @@ describe('Documents Router', () => {
 
     const cleared = await request(app)
       .delete('/documents/all')
-      .send({ user_id: 9 });
+      .set('Authorization', bearer(9));
 
     expect(cleared.status).toBe(200);
     expect(cleared.body).toEqual({
@@ -167,10 +183,24 @@ describe('Documents Router', () => {
     // SQL checks for both queries
     const [sql1, params1] = db.query.mock.calls[0];
     expect(sql1).toMatch(/DELETE FROM document_reads WHERE user_id = \? AND document_id = \?/i);
-    expect(params1).toEqual(['9', '123']);
+    expect(params1).toEqual([9, '123']);
 
     const [sql2, params2] = db.query.mock.calls[1];
     expect(sql2).toMatch(/UPDATE documents\s+SET deleted_at = CURRENT_TIMESTAMP\s+WHERE user_id = \?/i);
     expect(params2).toEqual([9]);
   });
+
+  test('rejects missing tokens and access to another user\'s documents', async () => {
+    const anon = await request(app).get('/documents/7');
+    expect(anon.status).toBe(401);
+    expect(anon.body).toEqual({ success: false, error: 'Authentication required' });
+
+    const other = await request(app)
+      .get('/documents/7')
+      .set('Authorization', bearer(8));
+    expect(other.status).toBe(403);
+    expect(other.body).toEqual({ success: false, error: 'Forbidden' });
+
+    expect(db.query).not.toHaveBeenCalled();
+  });
 });
@@ -2,7 +2,7 @@
  * newsBookmarks.test.js
  *
  * Covers:
- * 1) GET /bookmarks — requires user_id and returns rows ordered by bookmarkedAt DESC.
+ * 1) GET /bookmarks — requires a token and returns the caller's rows ordered by bookmarkedAt DESC.
  * 2) POST /bookmarks — inserts with proper defaulting/formatting (happy path).
  * 3) POST /bookmarks — duplicate key -> 409 with "Bookmark already exists".
  * 4) DELETE /bookmarks — not found -> 404; and DELETE /bookmarks/all — clears and returns count.
@@ -14,6 +14,12 @@ const express = require('express');
 // Adjust the path below to where this router file lives:
 const buildRouter = require('../../../routes/v0.0/news'); // <-- update if needed
 
+const { createTokenService } = require('../../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'user') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
+
 describe('News Bookmarks Router', () => {
   let app;
   let db;
@@ -21,6 +27,7 @@ describe('News Bookmarks Router', () => {
   beforeEach(() => {
     db = { query: jest.fn() };
     app = express();
+    app.set('tokens', tokens);
     app.use(express.json());
     app.use('/', buildRouter(db));
   });
@@ -29,13 +36,13 @@ describe('News Bookmarks Router', () => {
     jest.clearAllMocks();
   });
 
-  test('GET /bookmarks returns 400 without user_id and 200 with rows when provided', async () => {
-    // Missing user_id
+  test('GET /bookmarks returns 401 without a token and 200 with the caller\'s rows', async () => {
+    // Missing token
     const bad = await request(app).get('/bookmarks');
-    expect(bad.status).toBe(400);
-    expect(bad.body).toEqual({ error: 'Missing user_id' });
+    expect(bad.status).toBe(401);
+    expect(bad.body).toEqual({ success: false, error: 'Authentication required' });
 
-    // With user_id
+    // With token
     const rows = [
       {
         id: 2,
@@ -70,7 +77,9 @@ describe('News Bookmarks Router', () => {
     ];
     db.query.mockResolvedValueOnce([rows]);
 
-    const ok = await request(app).get('/bookmarks').query({ user_id: '7' });
+    const ok = await request(app)
+      .get('/bookmarks')
+      .set('Authorization', bearer(7));
 
     expect(ok.status).toBe(200);
     expect(Array.isArray(ok.body)).toBe(true);
@@ -78,7 +87,7 @@ describe('News Bookmarks Router', () => {
     expect(db.query).toHaveBeenCalledTimes(1);
     const [sql, params] = db.query.mock.calls[0];
     expect(sql).toMatch(/FROM news_bookmarks\s+WHERE user_id = \?\s+ORDER BY bookmarkedAt DESC/i);
-    expect(params).toEqual(['7']);
+    expect(params).toEqual([7]);
   });
 
   test('POST /bookmarks inserts with defaults and date formatting (happy path)', async () => {
@@ -86,7 +95,6 @@ describe('News Bookmarks Router', () => {
     db.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
 
     const payload = {
-      user_id: 9,
       url: 'https://news.example/item',
       title: 'Nice Read',
       description: 'Short summary',
@@ -99,7 +107,10 @@ describe('News Bookmarks Router', () => {
       // bookmarkedAt omitted -> now (formatted)
     };
 
-    const res = await request(app).post('/bookmarks').send(payload);
+    const res = await request(app)
+      .post('/bookmarks')
+      .set('Authorization', bearer(9))
+      .send(payload);
 
     expect(res.status).toBe(200);
     expect(res.body).toEqual({ status: 'added' });
@@ -136,10 +147,10 @@ describe('News Bookmarks Router', () => {
     dupErr.code = 'ER_DUP_ENTRY';
     db.query.mockRejectedValueOnce(dupErr);
 
-    const res = await request(app).post('/bookmarks').send({
-      user_id: 3,
-      url: 'https://dup.example/x',
-    });
+    const res = await request(app)
+      .post('/bookmarks')
+      .set('Authorization', bearer(3))
+      .send({ url: 'https://dup.example/x' });
 
     expect(res.status).toBe(409);
     expect(res.body).toEqual({ error: 'Bookmark already exists' });
@@ -151,7 +162,8 @@ describe('News Bookmarks Router', () => {
 
     const notFound = await request(app)
       .delete('/bookmarks')
-      .query({ user_id: 5, url: 'https://none.example' });
+      .set('Authorization', bearer(5))
+      .query({ url: 'https://none.example' });
 
     expect(notFound.status).toBe(404);
     expect(notFound.body).toEqual({ message: 'Bookmark not found' });
@@ -161,7 +173,7 @@ describe('News Bookmarks Router', () => {
 
     const cleared = await request(app)
       .delete('/bookmarks/all')
-      .query({ user_id: 5 });
+      .set('Authorization', bearer(5));
 
     expect(cleared.status).toBe(200);
     expect(cleared.body).toEqual({ status: 'cleared', deleted: 12 });
@@ -169,10 +181,10 @@ describe('News Bookmarks Router', () => {
     // SQL checks
     const [sql1, params1] = db.query.mock.calls[0];
     expect(sql1).toMatch(/DELETE FROM news_bookmarks WHERE user_id = \? AND url = \?/i);
-    expect(params1).toEqual([ '5', 'https://none.example' ]);
+    expect(params1).toEqual([ 5, 'https://none.example' ]);
 
     const [sql2, params2] = db.query.mock.calls[1];
     expect(sql2).toMatch(/DELETE FROM news_bookmarks WHERE user_id = \?/i);
-    expect(params2).toEqual([ '5' ]);
+    expect(params2).toEqual([ 5 ]);
   });
 });
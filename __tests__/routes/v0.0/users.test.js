@@ -14,6 +14,34 @@
  *
  * 4) GET /user/suggestions (search mapping)
  *    - Respects active filter, maps DB rows to response shape (name, flags, etc.).
+ *    - Requires a bearer token.
+ *
+ * 5) POST /user/verify-otp (happy path)
+ *    - Opens a user_sessions row and returns access + refresh tokens.
+ *
+ * 6) OTP hashing & lockout
+ *    - Wrong codes count attempts; the last allowed failure locks the OTP (429).
+ *    - Codes are only returned by /request-otp in dev mode.
+ *    - Delivery falls back across channels, records each attempt, and /request-otp and
+ *      /register both 502 when none succeed.
+ *
+ * 7) OTP throttling
+ *    - Per-phone cooldown and per-IP limits return 429 with `retry_after`.
+ *
+ * 8) Device sessions
+ *    - POST /user/token/refresh rotates refresh tokens; unknown/revoked ones get 401.
+ *    - GET /user/sessions, DELETE /user/sessions/:id and DELETE /user/sessions
+ *      list/revoke sessions and disconnect revoked sockets.
+ *
+ * 9) Profile updates
+ *    - PATCH /user/:id validates each field, rejects taken emails and sets updated_by.
+ *      Object.prototype keys such as __proto__ and constructor are unknown fields.
+ *    - POST /user/:id/avatar stores PNG/JPEG/WebP uploads and removes the old file.
+ *
+ * 10) Account deletion & export
+ *    - DELETE /user/:id anonymises the user in one transaction, disconnects sockets and
+ *      removes the stored files of their chat attachments.
+ *    - GET /user/:id/export downloads a JSON archive without secrets.
  *
  * Notes:
  * - DB is mocked via a simple `db.query` Jest mock with sequential `mockResolvedValueOnce`.
@@ -21,11 +49,26 @@
  * - This suite avoids any schema or migration side-effects.
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const express = require('express');
 
 // IMPORTANT: Set this to the correct relative path for your project.
 const buildUserRouter = require('../../../routes/v0.0/users'); // <-- adjust if needed
+const bcrypt = require('bcryptjs');
+const { createTokenService } = require('../../../services/tokenService');
+const { createOtpThrottle } = require('../../../middleware/otpThrottle');
+const {
+  createOtpDelivery,
+  createConsoleAdapter,
+} = require('../../../services/otpDelivery');
+const { createLocalAvatarStorage } = require('../../../services/avatarStorage');
+
+const tokens = createTokenService({ secret: 'test-secret' });
+const bearer = (id, role = 'user') =>
+  `Bearer ${tokens.signAccessToken({ id, role })}`;
 
 jest.mock('geoip-lite', () => ({
   lookup: jest.fn(),
@@ -37,10 +80,19 @@ const geoip = require('geoip-lite');
 describe('User & Contacts Router', () => {
   let app;
   let db;
+  let otpLogger;
 
   beforeEach(() => {
     db = { query: jest.fn() };
     app = express();
+    app.set('tokens', tokens);
+    otpLogger = { log: jest.fn() };
+    app.set(
+      'otpDelivery',
+      createOtpDelivery({ adapters: { console: createConsoleAdapter({ logger: otpLogger }) } })
+    );
+    // OTP throttling has its own test below; let other tests request freely
+    app.set('otpThrottle', (req, res, next) => next());
     app.use(express.json());
     app.use('/user', buildUserRouter(db));
   });
@@ -96,6 +148,9 @@ describe('User & Contacts Router', () => {
     db.query.mockResolvedValueOnce([{ insertId: 42 }]);
 
     // 3) Insert OTP log
+    db.query.mockResolvedValueOnce([{ insertId: 9 }]);
+
+    // 4) Record delivery
     db.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
 
     geoip.lookup.mockReturnValue({
@@ -124,10 +179,12 @@ describe('User & Contacts Router', () => {
       success: true,
       message: 'User registered successfully',
       user_id: 42,
+      delivery: [{ channel: 'console', status: 'sent' }],
     });
+    expect(res.body).not.toHaveProperty('otp_code');
 
-    // Assert the three DB interactions in order
-    expect(db.query).toHaveBeenCalledTimes(3);
+    // Assert the four DB interactions in order
+    expect(db.query).toHaveBeenCalledTimes(4);
 
     // Uniqueness check
     const [sql1, params1] = db.query.mock.calls[0];
@@ -144,10 +201,16 @@ describe('User & Contacts Router', () => {
     const [sql3, params3] = db.query.mock.calls[2];
     expect(sql3).toMatch(/INSERT INTO otp_logins/i);
     expect(params3[0]).toBe(42); // user_id
-    expect(typeof params3[1]).toBe('string'); // otp_code (6-digit, but route doesn't enforce format here)
+    expect(params3[1]).toMatch(/^\$2[aby]\$10\$/); // otp_code stored as a bcrypt hash
     expect(params3[2]).toBeInstanceOf(Date); // expires_at
     expect(typeof params3[3]).toBe('string'); // ip_address (derived)
     expect(typeof params3[4]).toBe('string'); // user_agent
+
+    // Delivery status recorded against the OTP row
+    const [sql4, params4] = db.query.mock.calls[3];
+    expect(sql4).toMatch(/INSERT INTO otp_deliveries/i);
+    expect(params4.slice(0, 4)).toEqual([9, 'console', '+440700000000', 'sent']);
+    expect(otpLogger.log).toHaveBeenCalledWith(expect.stringContaining('+440700000000'));
   });
 
   test('GET /user/suggestions maps active users and limits to 5', async () => {
@@ -201,6 +264,7 @@ describe('User & Contacts Router', () => {
 
     const res = await request(app)
       .get('/user/suggestions')
+      .set('Authorization', bearer(3))
       .query({ search: 'jo' });
 
     expect(res.status).toBe(200);
@@ -239,4 +303,570 @@ describe('User & Contacts Router', () => {
     const [sql] = db.query.mock.calls[0];
     expect(sql).toMatch(/ORDER BY created_at DESC LIMIT 5/);
   });
+
+  test('GET /user/suggestions returns 401 without a token', async () => {
+    const res = await request(app).get('/user/suggestions');
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ success: false, error: 'Authentication required' });
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('POST /user/verify-otp opens a device session and issues a token pair', async () => {
+    db.query
+      .mockResolvedValueOnce([[{
+        id: 9,
+        otp_code: bcrypt.hashSync('123456', 4),
+        attempts: 0,
+        max_attempts: 5,
+        ip_address: '10.0.0.5',
+        user_agent: 'ResQZone/1.0 (Android)',
+      }]]) // otp lookup
+      .mockResolvedValueOnce([{ affectedRows: 1 }]) // take an attempt
+      .mockResolvedValueOnce([{ affectedRows: 1 }]) // mark OTP used
+      .mockResolvedValueOnce([{ affectedRows: 1 }]) // mark phone verified
+      .mockResolvedValueOnce([[{ id: 42, first_name: 'Jane', role: 'moderator' }]])
+      .mockResolvedValueOnce([{ insertId: 300 }]); // insert user_sessions
+
+    const res = await request(app)
+      .post('/user/verify-otp')
+      .send({ user_id: 42, otp_code: '123456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      message: 'OTP verified',
+      token_type: 'Bearer',
+      expires_in: tokens.accessTokenTtlSeconds,
+      refresh_expires_in: tokens.refreshTokenTtlSeconds,
+      session_id: 300,
+    });
+    expect(tokens.verifyAccessToken(res.body.access_token)).toEqual({
+      id: 42,
+      role: 'moderator',
+      sessionId: 300,
+    });
+
+    expect(db.query.mock.calls[2][0]).toMatch(/verified_at = NOW\(\)/);
+    expect(db.query.mock.calls[2][1]).toEqual([9]);
+
+    // Session row stores only the refresh token hash plus the OTP's device info
+    const [sql, params] = db.query.mock.calls[5];
+    expect(sql).toMatch(/INSERT INTO user_sessions/i);
+    expect(params.slice(0, 5)).toEqual([
+      42,
+      9,
+      tokens.hashRefreshToken(res.body.refresh_token),
+      '10.0.0.5',
+      'ResQZone/1.0 (Android)',
+    ]);
+    expect(params[5]).toBeInstanceOf(Date);
+  });
+
+  test('POST /user/verify-otp counts failed attempts and locks after max_attempts', async () => {
+    const otpRow = (attempts) => [[{
+      id: 9,
+      otp_code: bcrypt.hashSync('123456', 4),
+      attempts,
+      max_attempts: 5,
+    }]];
+
+    db.query
+      .mockResolvedValueOnce(otpRow(0))
+      .mockResolvedValueOnce([{ affectedRows: 1 }]); // attempts + 1
+    const wrong = await request(app)
+      .post('/user/verify-otp')
+      .send({ user_id: 42, otp_code: '000000' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body).toEqual({
+      success: false,
+      message: 'Invalid or expired OTP',
+      attempts_remaining: 4,
+    });
+    expect(db.query.mock.calls[1][0]).toMatch(
+      /SET attempts = attempts \+ 1\s+WHERE id = \? AND attempts < max_attempts AND is_used = FALSE/
+    );
+    expect(db.query.mock.calls[1][1]).toEqual([9]);
+
+    // Fifth failure uses up the last attempt
+    db.query
+      .mockResolvedValueOnce(otpRow(4))
+      .mockResolvedValueOnce([{ affectedRows: 1 }]);
+    const last = await request(app)
+      .post('/user/verify-otp')
+      .send({ user_id: 42, otp_code: '000000' });
+    expect(last.status).toBe(429);
+
+    // Locked OTPs reject even the correct code without touching the row
+    db.query.mockClear();
+    db.query.mockResolvedValueOnce(otpRow(5));
+    const locked = await request(app)
+      .post('/user/verify-otp')
+      .send({ user_id: 42, otp_code: '123456' });
+    expect(locked.status).toBe(429);
+    expect(locked.body).toEqual({ success: false, message: 'Too many attempts' });
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('POST /user/request-otp hashes the code and only returns it in dev mode', async () => {
+    const requestOtp = () => {
+      db.query
+        .mockResolvedValueOnce([[{ id: 42, phone_number: '0700000000', country_code: '+44' }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]) // invalidate previous
+        .mockResolvedValueOnce([{ insertId: 9 }]) // insert OTP
+        .mockResolvedValueOnce([{ affectedRows: 1 }]); // record delivery
+      return request(app).post('/user/request-otp').send({ phone_number: '0700000000' });
+    };
+
+    const prod = await requestOtp();
+    expect(prod.status).toBe(200);
+    expect(prod.body).toEqual({
+      success: true,
+      message: 'OTP sent successfully',
+      user_id: 42,
+      delivery: [{ channel: 'console', status: 'sent' }],
+    });
+
+    app.set('otpDevMode', true);
+    const dev = await requestOtp();
+    expect(dev.body.otp_code).toMatch(/^\d{6}$/);
+    const [, insertParams] = db.query.mock.calls[6];
+    expect(bcrypt.compareSync(dev.body.otp_code, insertParams[1])).toBe(true);
+  });
+
+  test('POST /user/request-otp falls back across channels and reports failed delivery', async () => {
+    const sms = { destination: () => '+440700000000', send: jest.fn() };
+    const email = { destination: (u) => u.email || null, send: jest.fn() };
+    app.set('otpDelivery', createOtpDelivery({ adapters: { sms, email }, channels: ['sms', 'email'] }));
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const user = { id: 42, email: 'jane@example.com', phone_number: '0700000000', country_code: '+44' };
+    const queueDb = () =>
+      db.query
+        .mockResolvedValueOnce([[user]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([{ insertId: 9 }])
+        .mockResolvedValue([{ affectedRows: 1 }]); // delivery rows
+
+    // SMS provider down → email succeeds
+    sms.send.mockRejectedValueOnce(new Error('SMS provider returned 503'));
+    email.send.mockResolvedValueOnce({ providerMessageId: 'msg-1' });
+    queueDb();
+    const res = await request(app).post('/user/request-otp').send({ phone_number: '0700000000' });
+    expect(res.status).toBe(200);
+    expect(res.body.delivery).toEqual([
+      { channel: 'sms', status: 'failed' },
+      { channel: 'email', status: 'sent' },
+    ]);
+    const deliveryRows = db.query.mock.calls.slice(3).map(([, p]) => p.slice(0, 6));
+    expect(deliveryRows).toEqual([
+      [9, 'sms', '+440700000000', 'failed', null, 'SMS provider returned 503'],
+      [9, 'email', 'jane@example.com', 'sent', 'msg-1', null],
+    ]);
+
+    // Explicit channel that fails → 502
+    db.query.mockReset();
+    email.send.mockRejectedValueOnce(new Error('SMTP down'));
+    queueDb();
+    const failed = await request(app)
+      .post('/user/request-otp')
+      .send({ phone_number: '0700000000', channel: 'email' });
+    expect(failed.status).toBe(502);
+    expect(failed.body).toMatchObject({
+      success: false,
+      message: 'OTP delivery failed',
+      delivery: [{ channel: 'email', status: 'failed' }],
+    });
+
+    // Registration reports the same failure (the account is still created)
+    db.query.mockReset();
+    email.send.mockRejectedValueOnce(new Error('SMTP down'));
+    db.query
+      .mockResolvedValueOnce([[]])
+      .mockResolvedValueOnce([{ insertId: 43 }])
+      .mockResolvedValueOnce([{ insertId: 10 }])
+      .mockResolvedValue([{ affectedRows: 1 }]);
+    const registered = await request(app)
+      .post('/user/register')
+      .send({ first_name: 'Ann', email: 'ann@example.com', phone_number: '0700000001', channel: 'email' });
+    expect(registered.status).toBe(502);
+    expect(registered.body).toMatchObject({
+      success: false,
+      message: 'OTP delivery failed',
+      user_id: 43,
+      delivery: [{ channel: 'email', status: 'failed' }],
+    });
+
+    // Unknown channel is rejected before any DB work
+    db.query.mockReset();
+    const unsupported = await request(app)
+      .post('/user/request-otp')
+      .send({ phone_number: '0700000000', channel: 'console' });
+    expect(unsupported.status).toBe(400);
+    expect(db.query).not.toHaveBeenCalled();
+
+    warnSpy.mockRestore();
+  });
+
+  test('OTP requests are throttled per phone number and per IP with retry_after', async () => {
+    app.set('otpThrottle', createOtpThrottle({ cooldownMs: 60 * 1000, phoneMax: 5, ipMax: 3 }));
+    const requestOtp = (phone, ip = '1.1.1.1') => {
+      db.query
+        .mockResolvedValueOnce([[{ id: 42, phone_number: phone, country_code: '+44' }]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+        .mockResolvedValueOnce([{ insertId: 9 }])
+        .mockResolvedValueOnce([{ affectedRows: 1 }]);
+      return request(app)
+        .post('/user/request-otp')
+        .set('x-forwarded-for', ip)
+        .send({ phone_number: phone });
+    };
+    app.set('trust proxy', true);
+
+    expect((await requestOtp('0700000001')).status).toBe(200);
+
+    // Same number inside the cooldown (spaces are normalised away)
+    const cooldown = await request(app)
+      .post('/user/request-otp')
+      .set('x-forwarded-for', '2.2.2.2')
+      .send({ phone_number: '07000 00001' });
+    expect(cooldown.status).toBe(429);
+    expect(cooldown.body).toMatchObject({
+      success: false,
+      message: 'Please wait before requesting another code',
+    });
+    expect(cooldown.body.retry_after).toBeGreaterThan(55);
+    expect(cooldown.body.retry_after).toBeLessThanOrEqual(60);
+    expect(cooldown.headers['retry-after']).toBe(String(cooldown.body.retry_after));
+
+    // Different numbers from one IP hit the IP limit (3 per window)
+    expect((await requestOtp('0700000002')).status).toBe(200);
+    expect((await requestOtp('0700000003')).status).toBe(200);
+    db.query.mockClear();
+    const blocked = await request(app)
+      .post('/user/request-otp')
+      .set('x-forwarded-for', '1.1.1.1')
+      .send({ phone_number: '0700000004' });
+    expect(blocked.status).toBe(429);
+    expect(blocked.body).toMatchObject({
+      success: false,
+      message: 'Too many OTP requests from this IP address',
+    });
+    expect(blocked.body.retry_after).toBeGreaterThan(3500);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('POST /user/token/refresh rotates the refresh token and rejects unknown ones', async () => {
+    db.query
+      .mockResolvedValueOnce([[{ id: 300, user_id: 42, role: 'user' }]]) // active session
+      .mockResolvedValueOnce([{ affectedRows: 1 }]); // rotate
+
+    const ok = await request(app)
+      .post('/user/token/refresh')
+      .set('user-agent', 'jest-test')
+      .send({ refresh_token: 'old-token' });
+
+    expect(ok.status).toBe(200);
+    expect(ok.body).toMatchObject({ success: true, session_id: 300 });
+    expect(ok.body.refresh_token).not.toBe('old-token');
+    expect(tokens.verifyAccessToken(ok.body.access_token)).toEqual({
+      id: 42,
+      role: 'user',
+      sessionId: 300,
+    });
+
+    const [lookupSql, lookupParams] = db.query.mock.calls[0];
+    expect(lookupSql).toMatch(/revoked_at IS NULL/);
+    expect(lookupParams).toEqual([tokens.hashRefreshToken('old-token')]);
+    const [, rotateParams] = db.query.mock.calls[1];
+    expect(rotateParams[0]).toBe(tokens.hashRefreshToken(ok.body.refresh_token));
+    expect(rotateParams[4]).toBe(300);
+    expect(rotateParams[5]).toBe(tokens.hashRefreshToken('old-token'));
+    expect(db.query.mock.calls[1][0]).toMatch(/WHERE id = \? AND refresh_token_hash = \? AND revoked_at IS NULL/);
+
+    // A parallel refresh with the same token loses the race
+    db.query
+      .mockResolvedValueOnce([[{ id: 300, user_id: 42, role: 'user' }]])
+      .mockResolvedValueOnce([{ affectedRows: 0 }]);
+    const raced = await request(app)
+      .post('/user/token/refresh')
+      .send({ refresh_token: 'old-token' });
+    expect(raced.status).toBe(401);
+
+    db.query.mockResolvedValueOnce([[]]);
+    const bad = await request(app)
+      .post('/user/token/refresh')
+      .send({ refresh_token: 'revoked-token' });
+    expect(bad.status).toBe(401);
+    expect(bad.body).toEqual({
+      success: false,
+      message: 'Invalid or expired refresh token',
+    });
+  });
+
+  test('GET /user/sessions lists active sessions and flags the current one', async () => {
+    db.query.mockResolvedValueOnce([[
+      { id: 300, ip_address: '10.0.0.5', user_agent: 'Android', last_seen_at: '2025-01-02' },
+      { id: 301, ip_address: '10.0.0.6', user_agent: 'iOS', last_seen_at: '2025-01-01' },
+    ]]);
+
+    const res = await request(app)
+      .get('/user/sessions')
+      .set('Authorization', `Bearer ${tokens.signAccessToken({ id: 42 }, 301)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((s) => [s.id, s.current])).toEqual([
+      [300, false],
+      [301, true],
+    ]);
+    expect(db.query.mock.calls[0][1]).toEqual([42]);
+  });
+
+  test('DELETE /user/sessions/:id revokes one session and disconnects its sockets', async () => {
+    const disconnectSockets = jest.fn();
+    const io = { in: jest.fn(() => ({ disconnectSockets })) };
+    app.set('io', io);
+
+    db.query
+      .mockResolvedValueOnce([[{ id: 300 }]]) // owned, active session
+      .mockResolvedValueOnce([{ affectedRows: 1 }]); // revoke
+
+    const res = await request(app)
+      .delete('/user/sessions/300')
+      .set('Authorization', bearer(42));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, message: 'Session revoked' });
+    expect(db.query.mock.calls[0][1]).toEqual([42, 300]);
+    expect(db.query.mock.calls[1][0]).toMatch(/SET revoked_at = NOW\(\)/);
+    expect(db.query.mock.calls[1][1]).toEqual([[300]]);
+    expect(io.in).toHaveBeenCalledWith('session_300');
+    expect(disconnectSockets).toHaveBeenCalledWith(true);
+
+    // Someone else's (or an already revoked) session
+    db.query.mockResolvedValueOnce([[]]);
+    const missing = await request(app)
+      .delete('/user/sessions/999')
+      .set('Authorization', bearer(42));
+    expect(missing.status).toBe(404);
+  });
+
+  test('DELETE /user/sessions logs out everywhere', async () => {
+    const disconnectSockets = jest.fn();
+    const io = { in: jest.fn(() => ({ disconnectSockets })) };
+    app.set('io', io);
+
+    db.query
+      .mockResolvedValueOnce([[{ id: 300 }, { id: 301 }]])
+      .mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+    const res = await request(app)
+      .delete('/user/sessions')
+      .set('Authorization', bearer(42));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      success: true,
+      message: 'Logged out of 2 sessions',
+      revoked: [300, 301],
+    });
+    expect(db.query.mock.calls[0][1]).toEqual([42]);
+    expect(io.in.mock.calls.map(([room]) => room)).toEqual(['session_300', 'session_301']);
+  });
+
+  test('PATCH /user/:id validates fields and records who updated the profile', async () => {
+    const invalid = await request(app)
+      .patch('/user/42')
+      .set('Authorization', bearer(42))
+      .send({ email: 'not-an-email', date_of_birth: '2001-02-30', first_name: '  ' });
+
+    expect(invalid.status).toBe(400);
+    expect(Object.keys(invalid.body.errors).sort()).toEqual(['date_of_birth', 'email', 'first_name']);
+
+    const unknown = await request(app)
+      .patch('/user/42')
+      .set('Authorization', bearer(42))
+      .send({ role: 'admin' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe('Unknown fields: role');
+    expect(db.query).not.toHaveBeenCalled();
+
+    db.query
+      .mockResolvedValueOnce([[]]) // email not taken
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([[{ id: 42, first_name: 'Jane', email: 'jane@example.com' }]]);
+
+    const res = await request(app)
+      .patch('/user/42')
+      .set('Authorization', bearer(42))
+      .send({ first_name: ' Jane ', email: 'Jane@Example.com', postal_code: 'SW1A 1AA', last_name: '' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, message: 'Profile updated', user: { id: 42 } });
+    const [sql, params] = db.query.mock.calls[1];
+    expect(sql).toMatch(/updated_by = \?, updated_at = NOW\(\)/);
+    expect(params).toEqual(['Jane', 'jane@example.com', 'SW1A 1AA', null, 42, 42]);
+  });
+
+  test('PATCH /user/:id rejects emails used by another account and other users', async () => {
+    db.query.mockResolvedValueOnce([[{ id: 7 }]]);
+    const taken = await request(app)
+      .patch('/user/42')
+      .set('Authorization', bearer(42))
+      .send({ email: 'taken@example.com' });
+    expect(taken.status).toBe(409);
+
+    const other = await request(app)
+      .patch('/user/43')
+      .set('Authorization', bearer(42))
+      .send({ first_name: 'Mallory' });
+    expect(other.status).toBe(403);
+  });
+
+  test('PATCH /user/:id treats __proto__ and constructor as unknown fields', async () => {
+    const proto = await request(app)
+      .patch('/user/42')
+      .set('Authorization', bearer(42))
+      .set('Content-Type', 'application/json')
+      .send('{"__proto__": {"first_name": "Jane"}}');
+    expect(proto.status).toBe(400);
+    expect(proto.body.message).toBe('Unknown fields: __proto__');
+
+    const ctor = await request(app)
+      .patch('/user/42')
+      .set('Authorization', bearer(42))
+      .send({ constructor: 'x' });
+    expect(ctor.status).toBe(400);
+    expect(ctor.body.message).toBe('Unknown fields: constructor');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('POST /user/:id/avatar stores the image and replaces the previous one', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'avatars-'));
+    app.set('avatarStorage', createLocalAvatarStorage({ directory }));
+    fs.writeFileSync(path.join(directory, 'old.png'), 'old');
+    const png = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(16)]);
+
+    db.query
+      .mockResolvedValueOnce([[{ profile_picture_url: '/uploads/avatars/old.png' }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]);
+
+    const res = await request(app)
+      .post('/user/42/avatar')
+      .set('Authorization', bearer(42))
+      .attach('avatar', png, { filename: 'me.png', contentType: 'image/png' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.profile_picture_url).toMatch(/^\/uploads\/avatars\/42-[0-9a-f]+\.png$/);
+    expect(fs.readdirSync(directory)).toEqual([path.basename(res.body.profile_picture_url)]);
+    expect(db.query.mock.calls[1][1]).toEqual([res.body.profile_picture_url, 42, 42]);
+
+    // A text file declared as an image is rejected by its signature
+    const spoofed = await request(app)
+      .post('/user/42/avatar')
+      .set('Authorization', bearer(42))
+      .attach('avatar', Buffer.from('definitely not an image'), {
+        filename: 'x.png',
+        contentType: 'image/png',
+      });
+    expect(spoofed.status).toBe(400);
+
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('DELETE /user/:id anonymises the account in a transaction', async () => {
+    const conn = {
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn(),
+      // Lookups return no rows, writes succeed
+      query: jest.fn(async (sql) => (/^\s*SELECT/.test(sql) ? [[]] : [{ affectedRows: 1 }])),
+    };
+    conn.query
+      .mockResolvedValueOnce([[{ id: 42, profile_picture_url: null }]])
+      .mockResolvedValueOnce([[{ chat_id: 5, role: 'owner' }, { chat_id: 6, role: 'member' }]])
+      .mockResolvedValueOnce([[{ file_url: '5-a.png', thumbnail_url: '5-a-thumb.webp' }]]); // their attachments
+    db.getConnection = jest.fn().mockResolvedValue(conn);
+    const disconnectSockets = jest.fn();
+    app.set('io', { in: jest.fn(() => ({ disconnectSockets })) });
+    const attachments = { remove: jest.fn(async () => {}) };
+    app.set('chatAttachmentStorage', attachments);
+
+    const res = await request(app).delete('/user/42').set('Authorization', bearer(42));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, message: 'Account deleted' });
+    expect(conn.commit).toHaveBeenCalled();
+    expect(conn.release).toHaveBeenCalled();
+
+    const sql = conn.query.mock.calls.map(([q]) => q.replace(/\s+/g, ' '));
+    expect(sql).toEqual(
+      expect.arrayContaining([
+        expect.stringMatching(/UPDATE chat_messages SET message = ''/),
+        expect.stringMatching(/UPDATE chat_members SET role = 'owner'/),
+        'DELETE FROM quiz_submissions WHERE user_id = ?',
+        'DELETE FROM news_bookmarks WHERE user_id = ?',
+        'DELETE FROM user_alerts WHERE user_id = ?',
+        expect.stringMatching(/DELETE a FROM chat_attachments a JOIN chat_messages m ON m\.id = a\.message_id WHERE m\.sender_id = \?/),
+        expect.stringMatching(/UPDATE audit_logs SET ip_address = NULL, user_agent = NULL, changes = NULL/),
+      ])
+    );
+    const [anonymise, params] = conn.query.mock.calls[conn.query.mock.calls.length - 1];
+    expect(anonymise).toMatch(/email = NULL[\s\S]*deleted_at = NOW\(\)/);
+    expect(params).toEqual(['deleted-42', 42, 42]);
+    expect(disconnectSockets).toHaveBeenCalledWith(true);
+    expect(attachments.remove.mock.calls).toEqual([['5-a.png'], ['5-a-thumb.webp']]);
+
+    // Someone else's account
+    const other = await request(app).delete('/user/43').set('Authorization', bearer(42));
+    expect(other.status).toBe(403);
+  });
+
+  test('DELETE /user/:id rolls back when a step fails', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const conn = {
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn().mockResolvedValue(),
+      release: jest.fn(),
+      query: jest
+        .fn()
+        .mockResolvedValueOnce([[{ id: 42, profile_picture_url: null }]])
+        .mockRejectedValueOnce(new Error('deadlock')),
+    };
+    db.getConnection = jest.fn().mockResolvedValue(conn);
+
+    const res = await request(app).delete('/user/42').set('Authorization', bearer(42));
+
+    expect(res.status).toBe(500);
+    expect(conn.rollback).toHaveBeenCalled();
+    expect(conn.commit).not.toHaveBeenCalled();
+    expect(conn.release).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  test('GET /user/:id/export downloads a JSON archive of the user data', async () => {
+    db.query.mockImplementation(async (sql) => {
+      if (/FROM users/.test(sql)) return [[{ id: 42, first_name: 'Jane' }]];
+      if (/FROM news_bookmarks/.test(sql)) return [[{ url: 'https://news.example/a' }]];
+      if (/FROM user_levels/.test(sql)) return [[{ xp: 120, level: 2 }]];
+      return [[]];
+    });
+
+    const res = await request(app).get('/user/42/export').set('Authorization', bearer(42));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="resqzone-export-42-/);
+    expect(res.body).toMatchObject({
+      profile: { id: 42, first_name: 'Jane' },
+      bookmarks: [{ url: 'https://news.example/a' }],
+      level: { xp: 120, level: 2 },
+      messages: [],
+      quiz_history: [],
+      emergency_contacts: [],
+    });
+    const sql = db.query.mock.calls.map(([q]) => q).join('\n');
+    expect(sql).not.toMatch(/otp_code|refresh_token_hash/);
+  });
 });
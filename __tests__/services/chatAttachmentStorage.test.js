@@ -0,0 +1,89 @@
+/**
+ * chatAttachmentStorage.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. Type detection
+ *    - Recognises images and PDFs by signature; anything else is rejected.
+ *
+ * 2. Local storage
+ *    - Images are written with a WebP thumbnail that fits the configured size.
+ *    - PDFs are written without a thumbnail; read() and remove() only accept keys
+ *      the storage issued (legacy `/uploads/chat/<name>` values included).
+ *
+ * 3. removeAttachmentFiles()
+ *    - Removes file and thumbnail keys of each row and only logs failures.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const {
+  createLocalAttachmentStorage,
+  detectAttachmentType,
+  removeAttachmentFiles,
+} = require('../../services/chatAttachmentStorage');
+
+const pdf = Buffer.from('%PDF-1.4\n%âãÏÓ\n1 0 obj\n<<>>\nendobj\n');
+
+let directory;
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-attachments-'));
+});
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test('detectAttachmentType sniffs signatures instead of trusting names', () => {
+  expect(detectAttachmentType(pdf)).toEqual({ ext: 'pdf', mime: 'application/pdf', kind: 'file' });
+  expect(detectAttachmentType(Buffer.from('GIF89a-----------'))).toMatchObject({ ext: 'gif', kind: 'image' });
+  expect(detectAttachmentType(Buffer.from('MZ executable payload'))).toBeNull();
+});
+
+test('images get a thumbnail; PDFs do not; read() and remove() only touch issued keys', async () => {
+  const storage = createLocalAttachmentStorage({ directory, thumbnailSize: 64 });
+  const png = await sharp({
+    create: { width: 400, height: 200, channels: 3, background: '#c00' },
+  })
+    .png()
+    .toBuffer();
+
+  const image = await storage.save({ chatId: 12, buffer: png });
+  expect(image).toMatchObject({ kind: 'image', fileType: 'image/png' });
+  expect(image.fileKey).toMatch(/^12-[0-9a-f]{16}\.png$/);
+  expect(image.thumbnailKey).toBe(image.fileKey.replace('.png', '-thumb.webp'));
+
+  const meta = await sharp(await storage.read(image.thumbnailKey)).metadata();
+  expect([meta.width, meta.height]).toEqual([64, 32]);
+  expect(await storage.read(`/uploads/chat/${image.fileKey}`)).toEqual(png);
+  expect(await storage.read('../package.json')).toBeNull();
+  expect(await storage.read('12-0000000000000000.png')).toBeNull();
+
+  const file = await storage.save({ chatId: 12, buffer: pdf });
+  expect(file).toMatchObject({ kind: 'file', fileType: 'application/pdf', thumbnailKey: null });
+
+  await storage.remove('12-file.pdf');
+  await storage.remove(file.fileKey);
+  expect(fs.readdirSync(directory)).toHaveLength(2);
+
+  await expect(storage.save({ chatId: 12, buffer: Buffer.from('not a real file at all') })).rejects.toThrow(
+    'Unsupported file type'
+  );
+});
+
+test('removeAttachmentFiles removes every stored key and logs failures', async () => {
+  const storage = { remove: jest.fn().mockResolvedValue().mockRejectedValueOnce(new Error('EACCES')) };
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  await removeAttachmentFiles(storage, [
+    { file_url: '12-a.png', thumbnail_url: '12-a-thumb.webp' },
+    { file_url: '12-b.pdf', thumbnail_url: null },
+  ]);
+
+  expect(storage.remove.mock.calls).toEqual([['12-a.png'], ['12-a-thumb.webp'], ['12-b.pdf']]);
+  expect(warn).toHaveBeenCalledWith('Failed to remove attachment:', 'EACCES');
+  await expect(removeAttachmentFiles(null, [{ file_url: 'x' }])).resolves.toBeUndefined();
+  warn.mockRestore();
+});
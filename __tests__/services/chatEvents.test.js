@@ -0,0 +1,106 @@
+/**
+ * chatEvents.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. parseEventInput
+ *    - Accepts a valid event; rejects past starts, bad end times, half coordinates,
+ *      non-positive capacities and out-of-range reminder lead times.
+ *
+ * 2. loadEvents
+ *    - Counts RSVPs per status, lists attendees and the caller's RSVP.
+ *
+ * 3. sendDueReminders
+ *    - Creates one user_alerts row per due RSVP and marks those RSVPs as reminded.
+ */
+
+const { parseEventInput, loadEvents, sendDueReminders } = require('../../services/chatEvents');
+
+test('parseEventInput validates time, place, capacity and reminder', () => {
+  const future = new Date(Date.now() + 24 * 3600e3).toISOString();
+  expect(
+    parseEventInput({
+      title: ' Flood-prep meeting ',
+      starts_at: future,
+      location_name: 'Community centre',
+      latitude: 51.5,
+      longitude: -0.12,
+      capacity: 40,
+    })
+  ).toEqual({
+    event: {
+      title: 'Flood-prep meeting',
+      description: null,
+      startsAt: new Date(future),
+      endsAt: null,
+      locationName: 'Community centre',
+      latitude: 51.5,
+      longitude: -0.12,
+      capacity: 40,
+      reminderMinutes: 60,
+    },
+  });
+
+  expect(parseEventInput({ title: 'T', starts_at: '2000-01-01' }).error).toMatch(/future/);
+  expect(parseEventInput({ title: 'T', starts_at: future, ends_at: future }).error).toMatch(/ends_at/);
+  expect(parseEventInput({ title: 'T', starts_at: future, latitude: 51.5 }).error).toMatch(/together/);
+  expect(parseEventInput({ title: 'T', starts_at: future, capacity: 0 }).error).toMatch(/capacity/);
+  expect(parseEventInput({ title: 'T', starts_at: future, reminder_minutes: 0 }).error).toMatch(/reminder_minutes/);
+  expect(parseEventInput({ title: 'T', starts_at: future, reminder_minutes: null }).event.reminderMinutes).toBeNull();
+});
+
+test('loadEvents counts RSVPs and lists attendees', async () => {
+  const db = {
+    query: jest
+      .fn()
+      .mockResolvedValueOnce([[
+        { id: 4, message_id: 70, chat_id: 12, created_by: 5, title: 'Sandbags', description: null, starts_at: '2000-01-01T10:00:00Z', ends_at: null, location_name: null, latitude: '51.5000000', longitude: '-0.1200000', capacity: 3, reminder_minutes: 60 },
+      ]])
+      .mockResolvedValueOnce([[
+        { event_id: 4, user_id: 5, status: 'going', responded_at: 't1', first_name: 'Ann', last_name: 'Lee' },
+        { event_id: 4, user_id: 6, status: 'maybe', responded_at: 't2', first_name: 'Sam', last_name: null },
+      ]]),
+  };
+
+  const [event] = await loadEvents(db, { messageIds: [70] }, 6);
+
+  expect(db.query.mock.calls[0][0]).toMatch(/m\.deleted_at IS NULL\s+WHERE e\.message_id IN \(\?\)/);
+  expect(event).toMatchObject({
+    location: { name: null, latitude: 51.5, longitude: -0.12 },
+    has_started: true,
+    counts: { going: 1, maybe: 1, not_going: 0 },
+    spots_left: 2,
+    my_rsvp: 'maybe',
+  });
+  expect(event.attendees[0]).toEqual({ id: 5, name: 'Ann Lee', status: 'going', responded_at: 't1' });
+  expect(await loadEvents(db, { eventIds: [] }, 6)).toEqual([]);
+});
+
+test('sendDueReminders alerts each due RSVP once', async () => {
+  const now = new Date('2026-03-01T09:00:00Z');
+  const conn = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(async () => {}),
+    release: jest.fn(),
+    query: jest
+      .fn()
+      .mockResolvedValueOnce([[
+        { event_id: 4, user_id: 5, chat_id: 12, title: 'Sandbags', starts_at: '2026-03-01T09:45:00Z', location_name: 'Town hall' },
+        { event_id: 4, user_id: 6, chat_id: 12, title: 'Sandbags', starts_at: '2026-03-01T09:45:00Z', location_name: 'Town hall' },
+      ]])
+      .mockResolvedValue([{ affectedRows: 2 }]),
+  };
+  const db = { getConnection: jest.fn(async () => conn) };
+
+  expect(await sendDueReminders(db, now)).toBe(2);
+
+  expect(conn.query.mock.calls[0][0]).toMatch(/reminded_at IS NULL/);
+  expect(conn.query.mock.calls[1][0]).toMatch(/INSERT INTO user_alerts/);
+  expect(conn.query.mock.calls[1][1][0][0]).toEqual([
+    5, 'chat', 12, 'Event reminder', '"Sandbags" starts in 45 minutes at Town hall.', 'advisory', 'system',
+  ]);
+  expect(conn.query.mock.calls[2][1]).toEqual([[[4, 5], [4, 6]]]);
+  expect(conn.commit).toHaveBeenCalled();
+  expect(conn.release).toHaveBeenCalled();
+});
@@ -0,0 +1,127 @@
+/**
+ * chatLocations.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. parseCoordinates / parseLiveDuration
+ *    - Accepts valid coordinates (including 0); rejects out-of-range or missing values.
+ *
+ * 2. createLocation
+ *    - A new live share stops the user's previous one in the same chat.
+ *
+ * 3. expireLiveLocations
+ *    - Ends shares past expires_at and tells the chat room why.
+ *
+ * 4. legacyLocation
+ *    - Parses "{latitude:x,longitude:y}" text of old location messages into a pin.
+ */
+
+const {
+  parseCoordinates,
+  parseLiveDuration,
+  createLocation,
+  expireLiveLocations,
+  legacyLocation,
+} = require('../../services/chatLocations');
+
+test('parseCoordinates and parseLiveDuration validate input', () => {
+  expect(parseCoordinates({ latitude: 0, longitude: 0 })).toEqual({
+    coords: { latitude: 0, longitude: 0, accuracy: null, label: null },
+  });
+  expect(parseCoordinates({ latitude: 51.5, longitude: -0.12, accuracy_m: 12, label: ' Shelter ' }).coords).toMatchObject({
+    accuracy: 12,
+    label: 'Shelter',
+  });
+  expect(parseCoordinates({ latitude: 91, longitude: 0 }).error).toMatch(/valid coordinates/);
+  expect(parseCoordinates({ latitude: '51.5', longitude: '-0.12' }).error).toMatch(/valid coordinates/);
+  expect(parseCoordinates(undefined).error).toMatch(/valid coordinates/);
+  expect(parseCoordinates({ latitude: 1, longitude: 1, accuracy_m: -5 }).error).toMatch(/accuracy_m/);
+
+  expect(parseLiveDuration()).toBe(60);
+  expect(parseLiveDuration(15)).toBe(15);
+  expect(parseLiveDuration(481)).toBeNull();
+  expect(parseLiveDuration('15')).toBeNull();
+});
+
+test('createLocation replaces an earlier live share', async () => {
+  const conn = {
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(async () => {}),
+    release: jest.fn(),
+    query: jest
+      .fn()
+      .mockResolvedValueOnce([[{ message_id: 50 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([{ insertId: 80 }])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]),
+  };
+  const db = { getConnection: jest.fn(async () => conn) };
+
+  const saved = await createLocation(db, {
+    chatId: 12,
+    userId: 5,
+    coords: { latitude: 51.5, longitude: -0.12, accuracy: null, label: null },
+    liveMinutes: 15,
+  });
+
+  expect(conn.query.mock.calls[1]).toEqual(['UPDATE chat_locations SET stopped_at = NOW() WHERE message_id IN (?)', [[50]]]);
+  expect(conn.query.mock.calls[2][1]).toEqual([12, 5, 'Live location', null]);
+  expect(conn.query.mock.calls[3][1].slice(0, 8)).toEqual([80, 12, 5, 51.5, -0.12, null, null, true]);
+  expect(saved).toMatchObject({
+    messageId: 80,
+    content: 'Live location',
+    stopped: [50],
+    location: { is_live: true, is_active: true },
+  });
+  expect(new Date(saved.location.expires_at) - Date.now()).toBeGreaterThan(14 * 60e3);
+  expect(conn.commit).toHaveBeenCalled();
+});
+
+test('expireLiveLocations stops expired shares and notifies the chat room', async () => {
+  const db = {
+    query: jest
+      .fn()
+      .mockResolvedValueOnce([[{ message_id: 80, chat_id: 12, user_id: 5 }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]),
+  };
+  const room = { emit: jest.fn() };
+  const io = { to: jest.fn(() => room) };
+
+  expect(await expireLiveLocations(db, io)).toBe(1);
+  expect(db.query.mock.calls[1][0]).toMatch(/SET stopped_at = expires_at/);
+  expect(io.to).toHaveBeenCalledWith('chat_12');
+  expect(room.emit).toHaveBeenCalledWith('chat:live_location_stopped', {
+    chat_id: 12,
+    message_id: 80,
+    user_id: 5,
+    reason: 'expired',
+  });
+
+  db.query.mockResolvedValueOnce([[]]);
+  expect(await expireLiveLocations(db, io)).toBe(0);
+  expect(db.query).toHaveBeenCalledTimes(3);
+});
+
+test('legacyLocation reads coordinates from old location message text', () => {
+  const message = { id: 7, chat_id: 12, sender_id: 5, content: '{latitude:51.5,longitude:-0.12}', created_at: '2025-01-01' };
+
+  expect(legacyLocation(message)).toEqual({
+    message_id: 7,
+    chat_id: 12,
+    user_id: 5,
+    latitude: 51.5,
+    longitude: -0.12,
+    accuracy_m: null,
+    label: null,
+    is_live: false,
+    is_active: false,
+    expires_at: null,
+    stopped_at: null,
+    updated_at: '2025-01-01',
+  });
+  expect(legacyLocation({ ...message, content: '{latitude:95,longitude:0}' })).toBeNull();
+  expect(legacyLocation({ ...message, content: '{latitude:abc,longitude:0}' })).toBeNull();
+  expect(legacyLocation({ ...message, content: 'Shelter' })).toBeNull();
+  expect(legacyLocation({ ...message, content: null })).toBeNull();
+});
@@ -0,0 +1,45 @@
+/**
+ * chatMentions.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. mentionHandles
+ *    - Extracts normalised handles, ignoring e-mail addresses and duplicates.
+ *
+ * 2. resolveMentions
+ *    - Full names win; first names only match when they are unique in the chat.
+ *
+ * 3. recordMentions
+ *    - A database failure is logged and reported as no mentions, never thrown.
+ */
+
+const { mentionHandles, resolveMentions, recordMentions } = require('../../services/chatMentions');
+
+test('mentionHandles finds @handles but not e-mail addresses', () => {
+  expect(mentionHandles('@Ann, meet @sam_green at the hall. Mail ann@example.com or @ANN')).toEqual(['ann', 'samgreen']);
+  expect(mentionHandles('(@Zoë) and @José.')).toEqual(['zoë', 'josé']);
+  expect(mentionHandles('no mentions @ all')).toEqual([]);
+});
+
+test('resolveMentions matches members by full or unique first name', () => {
+  const members = [
+    { user_id: 1, first_name: 'Ann', last_name: 'Lee' },
+    { user_id: 2, first_name: 'Sam', last_name: 'Green' },
+    { user_id: 3, first_name: 'Sam', last_name: 'Hill' },
+  ];
+  expect(resolveMentions(['ann', 'samgreen', 'sam', 'bob'], members)).toEqual([1, 2]);
+  expect(resolveMentions(['annlee', 'ann'], members)).toEqual([1]);
+});
+
+test('recordMentions never fails the send it runs after', async () => {
+  const db = { query: jest.fn().mockRejectedValueOnce(new Error('Lock wait timeout')) };
+  const io = { to: jest.fn() };
+  const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  await expect(
+    recordMentions(db, io, { chatId: 3, messageId: 55, senderId: 8, text: 'Thanks @Ann' })
+  ).resolves.toEqual([]);
+  expect(spy).toHaveBeenCalledWith('Recording mentions for message 55 failed:', 'Lock wait timeout');
+  expect(io.to).not.toHaveBeenCalled();
+  spy.mockRestore();
+});
@@ -0,0 +1,86 @@
+/**
+ * chatMessages.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. parseClientId
+ *    - Accepts short letter/digit/-/_ IDs, flags anything else, and treats a missing
+ *      ID as absent.
+ *
+ * 2. insertMessage
+ *    - Returns the stored message for a clientId repeated in the same chat; other
+ *      insert errors (and duplicates without a clientId or from another chat) are
+ *      rethrown.
+ *
+ * 3. sendMessage
+ *    - Publishes new messages and duplicates whose first attempt was never
+ *      broadcast (with the stored content); published duplicates are not re-sent.
+ */
+
+const { parseClientId, insertMessage, sendMessage } = require('../../services/chatMessages');
+
+test('parseClientId accepts short opaque IDs only', () => {
+  expect(parseClientId('3f2a-9c_01')).toBe('3f2a-9c_01');
+  expect(parseClientId(undefined)).toBeUndefined();
+  expect(parseClientId(null)).toBeUndefined();
+  expect(parseClientId('has space')).toBeNull();
+  expect(parseClientId('x'.repeat(65))).toBeNull();
+  expect(parseClientId(42)).toBeNull();
+});
+
+test('insertMessage dedupes on clientId and rethrows other errors', async () => {
+  const duplicate = Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+  const db = {
+    query: jest
+      .fn()
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce([[{ id: 55, message: 'Road closed', message_type: 'text', reply_to_id: null, published_at: new Date() }]])
+      .mockRejectedValueOnce(duplicate)
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce([[]]) // the clientId was used in another chat
+      .mockRejectedValueOnce(new Error('Connection lost')),
+  };
+  const message = { chatId: 3, senderId: 8, content: 'Road closed', clientId: 'abc' };
+
+  expect(await insertMessage(db, message)).toEqual({
+    messageId: 55,
+    duplicate: true,
+    published: true,
+    stored: { content: 'Road closed', messageType: 'text', replyToId: null },
+  });
+  expect(db.query.mock.calls[1][0]).toMatch(/WHERE chat_id = \? AND sender_id = \? AND client_id = \?/);
+  expect(db.query.mock.calls[1][1]).toEqual([3, 8, 'abc']);
+
+  await expect(insertMessage(db, { ...message, clientId: null })).rejects.toBe(duplicate);
+  await expect(insertMessage(db, message)).rejects.toBe(duplicate);
+  await expect(insertMessage(db, message)).rejects.toThrow('Connection lost');
+});
+
+test('sendMessage publishes a stored duplicate that was never delivered', async () => {
+  const room = { emit: jest.fn() };
+  const io = { to: jest.fn(() => room) };
+  const duplicate = Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+  const db = {
+    query: jest
+      .fn()
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce([[{ id: 55, message: 'Road closed', message_type: 'text', reply_to_id: null, published_at: null }]])
+      .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]) // published_at
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce([[{ id: 55, message: 'Road closed', message_type: 'text', reply_to_id: null, published_at: new Date() }]]),
+  };
+  const message = { chatId: 3, senderId: 8, content: 'Road closed?', clientId: 'abc' };
+
+  expect(await sendMessage(db, io, message)).toEqual({ messageId: 55, duplicate: true });
+  expect(room.emit).toHaveBeenCalledWith(
+    'chat:new_message',
+    expect.objectContaining({ id: 55, chat_id: 3, content: 'Road closed', client_id: 'abc' })
+  );
+  expect(db.query.mock.calls[3]).toEqual(['UPDATE chat_messages SET published_at = NOW() WHERE id = ?', [55]]);
+
+  room.emit.mockClear();
+  expect(await sendMessage(db, io, message)).toEqual({ messageId: 55, duplicate: true });
+  expect(room.emit).not.toHaveBeenCalled();
+  expect(db.query).toHaveBeenCalledTimes(6);
+});
@@ -0,0 +1,77 @@
+/**
+ * chatPolls.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. parsePollInput
+ *    - Accepts a valid poll; rejects too few/duplicate options and past closing times.
+ *
+ * 2. loadPolls
+ *    - Tallies votes per option, counts distinct voters, returns the caller's
+ *      votes, and hides voter names for anonymous polls.
+ *    - Skips polls whose message was deleted.
+ */
+
+const { parsePollInput, loadPolls, isClosed } = require('../../services/chatPolls');
+
+test('parsePollInput validates question, options and closing time', () => {
+  const future = new Date(Date.now() + 3600e3).toISOString();
+  expect(
+    parsePollInput({
+      question: ' Who needs transport to the shelter? ',
+      options: ['Me', 'My family', 'No thanks'],
+      closes_at: future,
+    })
+  ).toEqual({
+    poll: {
+      question: 'Who needs transport to the shelter?',
+      options: ['Me', 'My family', 'No thanks'],
+      allowsMultiple: false,
+      isAnonymous: false,
+      closesAt: new Date(future),
+    },
+  });
+
+  expect(parsePollInput({ question: 'Q', options: ['Only one'] }).error).toMatch(/options/);
+  expect(parsePollInput({ question: 'Q', options: ['Yes', 'yes'] }).error).toMatch(/distinct/);
+  expect(parsePollInput({ question: 'Q', options: ['A', 'B'], closes_at: '2000-01-01' }).error).toMatch(/future/);
+  expect(parsePollInput({ question: 'Q', options: ['A', 'B'], is_anonymous: 'yes' }).error).toMatch(/booleans/);
+});
+
+test('loadPolls tallies votes and respects anonymity', async () => {
+  const db = {
+    query: jest
+      .fn()
+      .mockResolvedValueOnce([[
+        { id: 1, message_id: 10, chat_id: 4, created_by: 5, question: 'Transport?', allows_multiple: 1, is_anonymous: 0, closes_at: null, closed_at: null },
+        { id: 2, message_id: 11, chat_id: 4, created_by: 5, question: 'Secret?', allows_multiple: 0, is_anonymous: 1, closes_at: null, closed_at: '2026-01-01' },
+      ]])
+      .mockResolvedValueOnce([[
+        { id: 100, poll_id: 1, label: 'Me' },
+        { id: 101, poll_id: 1, label: 'Family' },
+        { id: 200, poll_id: 2, label: 'Yes' },
+      ]])
+      .mockResolvedValueOnce([[
+        { poll_id: 1, option_id: 100, user_id: 5, first_name: 'Ann', last_name: 'Lee' },
+        { poll_id: 1, option_id: 101, user_id: 5, first_name: 'Ann', last_name: 'Lee' },
+        { poll_id: 1, option_id: 100, user_id: 6, first_name: 'Sam', last_name: null },
+        { poll_id: 2, option_id: 200, user_id: 6, first_name: 'Sam', last_name: null },
+      ]]),
+  };
+
+  const [open, secret] = await loadPolls(db, { messageIds: [10, 11] }, 5);
+
+  expect(db.query.mock.calls[0][0]).toMatch(/m\.deleted_at IS NULL\s+WHERE p\.message_id IN \(\?\)/);
+  expect(open).toMatchObject({ allows_multiple: true, is_closed: false, total_voters: 2, my_votes: [100, 101] });
+  expect(open.options[0]).toEqual({
+    id: 100,
+    label: 'Me',
+    votes: 2,
+    voters: [{ id: 5, name: 'Ann Lee' }, { id: 6, name: 'Sam' }],
+  });
+  expect(secret).toMatchObject({ is_anonymous: true, is_closed: true, total_voters: 1, my_votes: [] });
+  expect(secret.options[0]).toEqual({ id: 200, label: 'Yes', votes: 1 });
+
+  expect(isClosed({ closes_at: '2026-03-01T00:00:00Z' }, new Date('2026-03-02'))).toBe(true);
+  expect(await loadPolls(db, { pollIds: [] }, 5)).toEqual([]);
+});
@@ -0,0 +1,47 @@
+/**
+ * messageSearch.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. searchTerms()
+ *    - Keeps lower-cased words (any script), drops operators and punctuation,
+ *      de-duplicates and caps the list at 10.
+ *
+ * 2. booleanQuery()
+ *    - Turns every term into a prefix match for MySQL BOOLEAN MODE.
+ *
+ * 3. highlightSnippet()
+ *    - Marks every match, escapes HTML around and inside marks, and cuts long text
+ *      around the first match with "…".
+ */
+
+const { searchTerms, booleanQuery, highlightSnippet } = require('../../services/messageSearch');
+
+test('searchTerms keeps words only, de-duplicated and capped', () => {
+  expect(searchTerms('Sandbags +hall -"church" sandbags*')).toEqual(['sandbags', 'hall', 'church']);
+  expect(searchTerms('Überschwemmung café 42')).toEqual(['überschwemmung', 'café', '42']);
+  expect(searchTerms('?!() <>')).toEqual([]);
+  expect(searchTerms(undefined)).toEqual([]);
+  expect(searchTerms('a b c d e f g h i j k l')).toHaveLength(10);
+});
+
+test('booleanQuery matches every term as a prefix', () => {
+  expect(booleanQuery(['sandbag', 'hall'])).toBe('sandbag* hall*');
+  expect(booleanQuery([])).toBe('');
+});
+
+test('highlightSnippet marks matches and escapes HTML', () => {
+  expect(highlightSnippet('Sandbags <free> at the church hall', ['sandbag', 'hall'])).toBe(
+    '<mark>Sandbag</mark>s &lt;free&gt; at the church <mark>hall</mark>'
+  );
+  expect(highlightSnippet('Tom & Jerry', ['&'])).toBe('Tom <mark>&amp;</mark> Jerry');
+  expect(highlightSnippet('<b>no match</b>', ['flood'])).toBe('&lt;b&gt;no match&lt;/b&gt;');
+  expect(highlightSnippet('<b>no terms</b>', [])).toBe('&lt;b&gt;no terms&lt;/b&gt;');
+});
+
+test('highlightSnippet cuts long text around the first match', () => {
+  const text = `${'a'.repeat(100)} flood ${'b'.repeat(100)}`;
+
+  expect(highlightSnippet(text, ['flood'], 10)).toBe(`…${'a'.repeat(9)} <mark>flood</mark> ${'b'.repeat(4)}…`);
+  expect(highlightSnippet('x'.repeat(50), ['flood'], 10)).toBe(`${'x'.repeat(20)}…`);
+});
@@ -0,0 +1,119 @@
+/**
+ * otpDelivery.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. SMS adapter
+ *    - Posts the message to the provider and returns its message id; non-2xx throws.
+ *
+ * 2. Email adapter
+ *    - Sends through a nodemailer transport (jsonTransport, no network).
+ *
+ * 3. Console/file adapter
+ *    - Appends one JSON line per code to the configured file.
+ *
+ * 4. Dispatcher
+ *    - Skips channels without a destination and records every attempt.
+ *    - buildOtpDelivery defaults to the console channel.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const {
+  createSmsAdapter,
+  createEmailAdapter,
+  createConsoleAdapter,
+  createOtpDelivery,
+  buildOtpDelivery,
+} = require('../../services/otpDelivery');
+
+const user = { id: 42, email: 'jane@example.com', phone_number: '0700000000', country_code: '+44' };
+
+test('SMS adapter posts to the provider and surfaces HTTP failures', async () => {
+  const fetchImpl = jest
+    .fn()
+    .mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ sid: 'SM1' }) })
+    .mockResolvedValueOnce({ ok: false, status: 503, json: async () => ({}) });
+  const sms = createSmsAdapter({ endpoint: 'https://sms.example/send', apiKey: 'k', from: 'ResQZone', fetchImpl });
+
+  expect(sms.destination(user)).toBe('+440700000000');
+  await expect(sms.send({ to: '+440700000000', code: '123456', user })).resolves.toEqual({
+    providerMessageId: 'SM1',
+  });
+
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe('https://sms.example/send');
+  expect(init.headers.Authorization).toBe('Bearer k');
+  expect(JSON.parse(init.body)).toMatchObject({ to: '+440700000000', from: 'ResQZone' });
+  expect(JSON.parse(init.body).body).toContain('123456');
+
+  await expect(sms.send({ to: '+440700000000', code: '123456', user })).rejects.toThrow('503');
+});
+
+test('email adapter sends the code through nodemailer', async () => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sendSpy = jest.spyOn(transport, 'sendMail');
+  const email = createEmailAdapter({ transport, from: 'no-reply@resqzone.example' });
+
+  expect(email.destination({ id: 1 })).toBeNull();
+  const result = await email.send({ to: user.email, code: '654321', user });
+
+  expect(result.providerMessageId).toBeTruthy();
+  expect(sendSpy.mock.calls[0][0]).toMatchObject({
+    to: 'jane@example.com',
+    from: 'no-reply@resqzone.example',
+  });
+  expect(sendSpy.mock.calls[0][0].text).toContain('654321');
+});
+
+test('console adapter writes codes to a local file when configured', async () => {
+  const filePath = path.join(os.tmpdir(), `otp-${process.pid}-${Date.now()}.log`);
+  const adapter = createConsoleAdapter({ filePath });
+
+  await adapter.send({ to: '+440700000000', code: '111222', user });
+  await adapter.send({ to: '+440700000000', code: '333444', user });
+
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+  fs.unlinkSync(filePath);
+  expect(lines.map((l) => l.code)).toEqual(['111222', '333444']);
+  expect(lines[0]).toMatchObject({ to: '+440700000000', user_id: 42 });
+});
+
+test('dispatcher skips channels without a destination and records each attempt', async () => {
+  const db = { query: jest.fn().mockResolvedValue([{ affectedRows: 1 }]) };
+  const logger = { log: jest.fn() };
+  const delivery = createOtpDelivery({
+    adapters: {
+      email: createEmailAdapter({ transport: nodemailer.createTransport({ jsonTransport: true }) }),
+      console: createConsoleAdapter({ logger }),
+    },
+    channels: ['email', 'console'],
+  });
+
+  const results = await delivery.deliver(db, {
+    otpId: 9,
+    user: { ...user, email: null },
+    code: '123456',
+  });
+
+  expect(results).toEqual([
+    { channel: 'email', status: 'skipped' },
+    { channel: 'console', status: 'sent' },
+  ]);
+  expect(db.query.mock.calls.map(([, p]) => p.slice(0, 4))).toEqual([
+    [9, 'email', null, 'skipped'],
+    [9, 'console', '+440700000000', 'sent'],
+  ]);
+  // The code itself is never persisted
+  expect(JSON.stringify(db.query.mock.calls)).not.toContain('123456');
+});
+
+test('buildOtpDelivery defaults to the console channel', () => {
+  expect(buildOtpDelivery().channels).toEqual(['console']);
+  expect(
+    buildOtpDelivery({ channels: ['sms', 'console'], sms: { endpoint: 'https://sms.example' } }).channels
+  ).toEqual(['sms', 'console']);
+});
@@ -0,0 +1,51 @@
+/**
+ * otpService.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. verifyOtp attempt limit
+ *    - Parallel wrong guesses share max_attempts: no more codes are compared than
+ *      attempts allowed, and the OTP stays locked for the right code afterwards.
+ */
+
+const bcrypt = require('bcryptjs');
+const { verifyOtp } = require('../../services/otpService');
+
+// One otp_logins row; the conditional UPDATEs apply atomically like MySQL would
+function makeOtpDb(row) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (/^SELECT/.test(sql)) return [[{ ...row }]];
+      if (/attempts < max_attempts/.test(sql)) {
+        if (row.is_used || row.attempts >= row.max_attempts) return [{ affectedRows: 0 }];
+        row.attempts++;
+        return [{ affectedRows: 1 }];
+      }
+      if (/SET is_used = TRUE/.test(sql)) {
+        if (row.is_used) return [{ affectedRows: 0 }];
+        row.is_used = true;
+        return [{ affectedRows: 1 }];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }),
+  };
+}
+
+test('parallel wrong guesses cannot exceed max_attempts', async () => {
+  const row = { id: 9, otp_code: bcrypt.hashSync('123456', 4), attempts: 0, max_attempts: 5, is_used: false };
+  const db = makeOtpDb(row);
+  const compare = jest.spyOn(bcrypt, 'compare');
+
+  const guesses = await Promise.all(
+    Array.from({ length: 12 }, (_, i) => verifyOtp(db, 42, String(100000 + i)))
+  );
+
+  expect(compare).toHaveBeenCalledTimes(5);
+  expect(row.attempts).toBe(5);
+  expect(guesses.filter((g) => g.status === 'invalid')).toHaveLength(5);
+  expect(guesses.filter((g) => g.status === 'locked')).toHaveLength(7);
+  expect(await verifyOtp(db, 42, '123456')).toEqual({ status: 'locked' });
+  expect(row.is_used).toBe(false);
+
+  compare.mockRestore();
+});
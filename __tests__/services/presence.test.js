@@ -0,0 +1,27 @@
+/**
+ * presence.test.js
+ *
+ * What This Test File Covers:
+ *
+ * 1. createPresenceTracker
+ *    - Reports the first connect and last disconnect per user across devices, and
+ *      ignores unknown or repeated disconnects.
+ */
+
+const { createPresenceTracker } = require('../../services/presence');
+
+test('users stay online until their last socket disconnects', () => {
+  const presence = createPresenceTracker();
+
+  expect(presence.connect(5, 'phone')).toBe(true);
+  expect(presence.connect(5, 'tablet')).toBe(false);
+  expect(presence.socketCount(5)).toBe(2);
+
+  expect(presence.disconnect(5, 'phone')).toBe(false);
+  expect(presence.isOnline(5)).toBe(true);
+  expect(presence.disconnect(5, 'phone')).toBe(false);
+
+  expect(presence.disconnect(5, 'tablet')).toBe(true);
+  expect(presence.isOnline(5)).toBe(false);
+  expect(presence.disconnect(6, 'unknown')).toBe(false);
+});
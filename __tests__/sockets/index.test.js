@@ -3,28 +3,56 @@
  *
  * What This Test File Covers:
  *
- * 1. User Room Joining
- *    - "join_user_room" joins the expected room string.
+ * 1. Handshake Authentication
+ *    - Connections without a token, or with an invalid one, are rejected.
+ *    - A valid token sets socket.data.user and joins `user_<id>` and `session_<sid>`.
+ *    - With an accountLookup, deactivated accounts and revoked sessions are refused
+ *      and the role comes from the database.
  *
- * 2. Chat Room Join/Leave
- *    - "join_chat" adds room; "leave_chat" removes it.
+ * 2. User Room Joining
+ *    - "join_user_room" is only honoured for the authenticated user's own ID.
  *
- * 3. Typing Broadcast
- *    - "chat:typing_start" and "chat:typing_stop" broadcast via io.to(room).emit with correct payload.
+ * 3. Chat Room Join/Leave
+ *    - "join_chat" adds the room for chat members only; "leave_chat" removes it.
  *
- * 4. Invalid Inputs
- *    - Non-numeric IDs are ignored (no room join/leave).
- *    - Console warnings are emitted for invalid inputs.
+ * 4. Typing Broadcast
+ *    - Typing events use the authenticated user ID, not the payload's, and are
+ *      only relayed for chats the socket has joined.
+ *
+ * 5. Live Location
+ *    - "chat:live_location_update" moves the user's own share in a joined chat and
+ *      broadcasts chat:live_location; ended shares are refused via the ack.
+ *
+ * 6. Sending & Resync
+ *    - "chat:send" stores a member's message once per clientId, broadcasts it (a
+ *      retry only re-broadcasts a copy that was never delivered) and acks with the
+ *      message ID; "sync" returns messages after the client's last ID.
+ *
+ * 7. Presence
+ *    - Users stay online until their last socket disconnects; first connect and last
+ *      disconnect store last_seen_at and broadcast presence:update to their chats.
+ *
+ * 8. Invalid Inputs
+ *    - Non-numeric IDs are ignored (no room join/leave) and warnings are emitted.
  */
 
 const socketsInit = require('../../sockets');
+const { createPresenceTracker } = require('../../services/presence');
+const { createTokenService } = require('../../services/tokenService');
+
+const tokens = createTokenService({ secret: 'test-secret' });
 
 let warnSpy;
+let logSpy;
 
 function makeFakeIO() {
   const io = {
+    middleware: null,
     connectionHandler: null,
     toCalls: [],
+    use(fn) {
+      this.middleware = fn;
+    },
     on(event, handler) {
       if (event === 'connection') this.connectionHandler = handler;
     },
@@ -39,11 +67,15 @@ function makeFakeIO() {
   return io;
 }
 
-function makeFakeSocket() {
+let socketSeq = 0;
+
+function makeFakeSocket(handshake = {}) {
   const handlers = new Map();
   const rooms = new Set();
   const socket = {
-    id: 'sock-1',
+    id: `sock-${++socketSeq}`,
+    handshake,
+    data: {},
     rooms,
     on(event, cb) {
       handlers.set(event, cb);
@@ -55,81 +87,291 @@ function makeFakeSocket() {
       rooms.delete(room);
     },
     // test helpers to trigger server-side handlers
-    trigger(event, payload) {
+    trigger(event, ...args) {
       const cb = handlers.get(event);
-      if (cb) cb(payload);
+      return cb ? cb(...args) : undefined;
     },
   };
   return socket;
 }
 
+// Runs the handshake middleware, then the connection handler if it passes
+function connect(io, handshake) {
+  const socket = makeFakeSocket(handshake);
+  let error = null;
+  io.middleware(socket, (err) => {
+    error = err || null;
+  });
+  if (!error) io.connectionHandler(socket);
+  return { socket, error };
+}
+
 let io;
+let db;
 let socket;
+let presence;
+
+// Lets fire-and-forget handlers (presence updates) finish
+const flush = () => new Promise((resolve) => setImmediate(resolve));
 
 beforeAll(() => {
-  // Silence console.warn during tests but allow expectation checks
+  // Silence console output during tests but allow expectation checks
   warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
 });
 
 afterAll(() => {
-  if (warnSpy) warnSpy.mockRestore();
+  warnSpy.mockRestore();
+  logSpy.mockRestore();
 });
 
-beforeEach(() => {
+beforeEach(async () => {
+  warnSpy.mockClear();
   io = makeFakeIO();
-  socketsInit(io); // wires up io.on('connection', ...)
-  socket = makeFakeSocket();
-  // simulate a client connection
-  io.connectionHandler(socket);
+  db = { query: jest.fn().mockResolvedValue([[]]) };
+  presence = createPresenceTracker();
+  socketsInit(io, { tokens, db, presence }); // wires up io.use(...) and io.on('connection', ...)
+  ({ socket } = connect(io, {
+    auth: { token: tokens.signAccessToken({ id: 42 }, 31) },
+  }));
+  // Ignore the presence update of the shared socket (user 42 has no chats)
+  await flush();
+  db.query.mockClear();
 });
 
-test('join_user_room joins correct user room', () => {
-  socket.trigger('join_user_room', 42);
-  expect(socket.rooms.has('user_42')).toBe(true);
+test('handshake rejects missing and invalid tokens', () => {
+  expect(connect(io, {}).error.message).toBe('Authentication required');
+  expect(connect(io, { auth: { token: 'not-a-jwt' } }).error.message).toBe(
+    'Invalid or expired token'
+  );
 });
 
-test('join_chat adds room and leave_chat removes it', () => {
-  socket.trigger('join_chat', 99);
+test('handshake checks the account when given an accountLookup', async () => {
+  const lookupIO = makeFakeIO();
+  const accountLookup = jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce({ role: 'user' });
+  socketsInit(lookupIO, { tokens, db, presence: createPresenceTracker(), accountLookup });
+  const token = tokens.signAccessToken({ id: 7, role: 'admin' }, 55);
+
+  const results = [];
+  for (let i = 0; i < 2; i++) {
+    const fake = makeFakeSocket({ auth: { token } });
+    await lookupIO.middleware(fake, (err) => results.push({ fake, err }));
+  }
+
+  expect(accountLookup).toHaveBeenCalledWith(7, 55);
+  expect(results[0].err.message).toBe('Invalid or expired token');
+  expect(results[1].err).toBeUndefined();
+  expect(results[1].fake.data.user).toMatchObject({ id: 7, role: 'user', sessionId: 55 });
+});
+
+test('valid handshake joins the user and session rooms', () => {
+  expect(socket.data.user).toMatchObject({ id: 42, sessionId: 31 });
+  expect([...socket.rooms].sort()).toEqual(['session_31', 'user_42']);
+
+  const { socket: viaHeader } = connect(io, {
+    headers: { authorization: `Bearer ${tokens.signAccessToken({ id: 7 })}` },
+  });
+  expect([...viaHeader.rooms]).toEqual(['user_7']);
+});
+
+test('join_user_room only accepts the authenticated user', () => {
+  socket.trigger('join_user_room', 43);
+  expect(socket.rooms.has('user_43')).toBe(false);
+  expect(console.warn).toHaveBeenCalledWith(
+    expect.stringContaining('may not join user room'),
+    43
+  );
+});
+
+test('join_chat adds room for members and leave_chat removes it', async () => {
+  db.query.mockResolvedValueOnce([[{ 1: 1 }]]);
+  const ack = jest.fn();
+  await socket.trigger('join_chat', 99, ack);
+
+  expect(db.query.mock.calls[0][1]).toEqual([99, 42]);
   expect(socket.rooms.has('chat_99')).toBe(true);
+  expect(ack).toHaveBeenCalledWith({ ok: true });
 
   socket.trigger('leave_chat', 99);
   expect(socket.rooms.has('chat_99')).toBe(false);
 });
 
-test('typing events broadcast to chat room via io.to(...).emit', () => {
-  // start typing
+test('join_chat is refused for non-members', async () => {
+  db.query.mockResolvedValueOnce([[]]);
+  const ack = jest.fn();
+  await socket.trigger('join_chat', 5, ack);
+
+  expect(socket.rooms.has('chat_5')).toBe(false);
+  expect(ack).toHaveBeenCalledWith({
+    ok: false,
+    error: 'Not a member of this chat',
+  });
+});
+
+test('typing events use the authenticated user and require a joined chat', async () => {
+  // Not in the room yet: ignored
+  socket.trigger('chat:typing_start', { chatId: 7, userId: 123 });
+  expect(io.toCalls).toHaveLength(0);
+
+  db.query.mockResolvedValueOnce([[{ 1: 1 }]]);
+  await socket.trigger('join_chat', 7);
+
   socket.trigger('chat:typing_start', { chatId: 7, userId: 123 });
-  // stop typing
   socket.trigger('chat:typing_stop', { chatId: 7, userId: 123 });
 
-  // We should have two io.to calls, both for chat_7
-  expect(io.toCalls.length).toBe(2);
-  expect(io.toCalls[0].room).toBe('chat_7');
+  expect(io.toCalls.map((c) => c.room)).toEqual(['chat_7', 'chat_7']);
   expect(io.toCalls[0].emitted[0]).toEqual({
     event: 'chat:typing_start',
-    payload: { chatId: 7, userId: 123 },
+    payload: { chatId: 7, userId: 42 },
   });
-
-  expect(io.toCalls[1].room).toBe('chat_7');
   expect(io.toCalls[1].emitted[0]).toEqual({
     event: 'chat:typing_stop',
-    payload: { chatId: 7, userId: 123 },
+    payload: { chatId: 7, userId: 42 },
+  });
+});
+
+test('live location updates are broadcast to the joined chat', async () => {
+  const ack = jest.fn();
+  await socket.trigger('chat:live_location_update', { chatId: 7, messageId: 70, latitude: 51.5, longitude: -0.12 }, ack);
+  expect(ack).toHaveBeenLastCalledWith({ ok: false, error: 'Invalid chat or message' });
+
+  db.query.mockResolvedValueOnce([[{ 1: 1 }]]);
+  await socket.trigger('join_chat', 7);
+
+  db.query.mockResolvedValueOnce([{ affectedRows: 1 }]);
+  await socket.trigger('chat:live_location_update', { chatId: 7, messageId: 70, latitude: 51.5, longitude: -0.12, accuracy_m: 8 }, ack);
+
+  expect(db.query.mock.calls[1][1]).toEqual([51.5, -0.12, 8, 70, 7, 42]);
+  expect(ack).toHaveBeenLastCalledWith({ ok: true });
+  expect(io.toCalls[0].emitted[0]).toMatchObject({
+    event: 'chat:live_location',
+    payload: { chat_id: 7, message_id: 70, user_id: 42, latitude: 51.5, longitude: -0.12, accuracy_m: 8 },
+  });
+
+  db.query.mockResolvedValueOnce([{ affectedRows: 0 }]);
+  await socket.trigger('chat:live_location_update', { chatId: 7, messageId: 70, latitude: 51.6, longitude: -0.12 }, ack);
+  expect(ack).toHaveBeenLastCalledWith({ ok: false, error: 'Live location has ended' });
+  expect(io.toCalls).toHaveLength(1);
+});
+
+test('chat:send acks once per clientId and broadcasts only one copy', async () => {
+  const ack = jest.fn();
+  db.query
+    .mockResolvedValueOnce([[{ 1: 1 }]])
+    .mockResolvedValueOnce([{ insertId: 88 }])
+    .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+
+  await socket.trigger('chat:send', { chatId: 5, clientId: 'tmp-1', message: 'All clear' }, ack);
+
+  expect(ack).toHaveBeenCalledWith({ ok: true, message_id: 88, duplicate: false });
+  expect(db.query.mock.calls[1][1]).toEqual([5, 42, 'All clear', 'text', null, 'tmp-1']);
+  const room = io.toCalls.find((c) => c.room === 'chat_5');
+  expect(room.emitted[0]).toMatchObject({
+    event: 'chat:new_message',
+    payload: { id: 88, chat_id: 5, client_id: 'tmp-1', sender: { id: 42, name: 'Ann Lee' } },
   });
+
+  // A retry after a lost ack gets the same ID without a second broadcast
+  io.toCalls = [];
+  db.query
+    .mockResolvedValueOnce([[{ 1: 1 }]])
+    .mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }))
+    .mockResolvedValueOnce([[{ id: 88, message: 'All clear', message_type: 'text', reply_to_id: null, published_at: new Date() }]]);
+
+  await socket.trigger('chat:send', { chatId: 5, clientId: 'tmp-1', message: 'All clear' }, ack);
+
+  expect(ack).toHaveBeenLastCalledWith({ ok: true, message_id: 88, duplicate: true });
+  expect(db.query.mock.calls[db.query.mock.calls.length - 1][1]).toEqual([5, 42, 'tmp-1']);
+  expect(io.toCalls).toHaveLength(0);
+
+  // ...unless the first attempt was stored but never broadcast
+  db.query
+    .mockResolvedValueOnce([[{ 1: 1 }]])
+    .mockRejectedValueOnce(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }))
+    .mockResolvedValueOnce([[{ id: 88, message: 'All clear', message_type: 'text', reply_to_id: null, published_at: null }]])
+    .mockResolvedValueOnce([[{ first_name: 'Ann', last_name: 'Lee' }]]);
+
+  await socket.trigger('chat:send', { chatId: 5, clientId: 'tmp-1', message: 'All clear' }, ack);
+
+  expect(ack).toHaveBeenLastCalledWith({ ok: true, message_id: 88, duplicate: true });
+  expect(io.toCalls.find((c) => c.room === 'chat_5').emitted[0]).toMatchObject({
+    event: 'chat:new_message',
+    payload: { id: 88, content: 'All clear', client_id: 'tmp-1' },
+  });
+
+  db.query.mockClear();
+  await socket.trigger('chat:send', { chatId: 5, message: 'No ID' }, ack);
+  expect(ack).toHaveBeenLastCalledWith({ ok: false, error: 'chatId, clientId and message are required' });
+  expect(db.query).not.toHaveBeenCalled();
 });
 
-test('invalid inputs are ignored and warnings are emitted', () => {
-  socket.trigger('join_user_room', 'bad');
-  socket.trigger('join_chat', 'nope');
+test('sync returns messages after the last seen ID across the user\'s chats', async () => {
+  const ack = jest.fn();
+  const row = (id, chat_id) => ({
+    id, chat_id, sender_id: 7, first_name: 'Sam', last_name: null, content: `Update ${id}`,
+    message_type: 'text', created_at: '2026-03-01T10:00:00Z', edited_at: null, deleted_at: null,
+    reply_to_id: null, client_id: null, reply_count: 0,
+  });
+  db.query
+    .mockResolvedValueOnce([[row(101, 5), row(102, 9)]])
+    .mockResolvedValueOnce([[]])
+    .mockResolvedValueOnce([[]]);
+
+  await socket.trigger('sync', { lastMessageId: 100, limit: 1 }, ack);
+
+  expect(db.query.mock.calls[0][0]).toMatch(/JOIN chat_members cm ON cm.chat_id = m.chat_id AND cm.user_id = \?/);
+  expect(db.query.mock.calls[0][1]).toEqual([42, 100, 2]);
+  expect(ack).toHaveBeenCalledWith({
+    ok: true,
+    messages: [expect.objectContaining({ id: 101, chat_id: 5, content: 'Update 101' })],
+    has_more: true,
+    last_id: 101,
+  });
+
+  await socket.trigger('sync', { lastMessageId: 'latest' }, ack);
+  expect(ack).toHaveBeenLastCalledWith({ ok: false, error: 'lastMessageId must be a message ID and limit 1-500' });
+});
+
+test('presence follows the last live socket and is broadcast to the user\'s chats', async () => {
+  expect(presence.isOnline(42)).toBe(true);
+
+  db.query.mockResolvedValueOnce([{ affectedRows: 1 }]).mockResolvedValueOnce([[{ chat_id: 3 }, { chat_id: 9 }]]);
+  const { socket: phone } = connect(io, { auth: { token: tokens.signAccessToken({ id: 7 }) } });
+  const { socket: laptop } = connect(io, { auth: { token: tokens.signAccessToken({ id: 7 }) } });
+  await flush();
+
+  expect(db.query.mock.calls[0]).toEqual(['UPDATE users SET last_seen_at = NOW() WHERE id = ?', [7]]);
+  expect(db.query).toHaveBeenCalledTimes(2); // the second device does not announce again
+  expect(io.toCalls).toHaveLength(1);
+  expect(io.toCalls[0].room).toEqual(['chat_3', 'chat_9']);
+  expect(io.toCalls[0].emitted[0]).toMatchObject({
+    event: 'presence:update',
+    payload: { user_id: 7, online: true },
+  });
+
+  // Still online while the laptop is connected
+  phone.trigger('disconnect');
+  await flush();
+  expect(presence.isOnline(7)).toBe(true);
+  expect(io.toCalls).toHaveLength(1);
+
+  db.query.mockResolvedValueOnce([{ affectedRows: 1 }]).mockResolvedValueOnce([[{ chat_id: 3 }]]);
+  laptop.trigger('disconnect');
+  await flush();
+  expect(presence.isOnline(7)).toBe(false);
+  expect(io.toCalls[1].emitted[0]).toMatchObject({
+    event: 'presence:update',
+    payload: { user_id: 7, online: false },
+  });
+});
+
+test('invalid inputs are ignored and warnings are emitted', async () => {
+  await socket.trigger('join_chat', 'nope');
   socket.trigger('leave_chat', 'nope');
 
-  // No rooms should have been joined
-  expect([...socket.rooms]).toEqual([]);
+  expect(db.query).not.toHaveBeenCalled();
+  expect([...socket.rooms].sort()).toEqual(['session_31', 'user_42']);
 
-  // Verify console.warn was called with expected messages
-  expect(console.warn).toHaveBeenCalledWith(
-    expect.stringContaining('Invalid userId for join_user_room'),
-    'bad'
-  );
   expect(console.warn).toHaveBeenCalledWith(
     expect.stringContaining('Invalid chatId for join_chat'),
     'nope'
@@ -16,21 +16,52 @@
  *    - Compression: Enables gzip/deflate compression for all responses.
  *    - Body Parsers: Parses JSON and URL-encoded request bodies.
  *    - Decryption: Uses `decryptMiddleware` to handle encrypted payloads (after body parsing).
- *    - Encryption: Uses `encryptMiddleware` to wrap outgoing responses.
+ *    - Encryption: Uses `encryptMiddleware` to wrap outgoing responses (AES-256-GCM,
+ *      keys from `ENCRYPTION_KEYS` / `ENCRYPTION_ACTIVE_KEY_ID`; see services/payloadCrypto).
+ *      Both only apply to clients that opt in via `X-Payload-Encryption: v2` or the
+ *      encrypted content type (see middleware/encryptionPolicy).
+ *    - Encryption policy per route: `GET /health` and the public `GET /v0.0/users`
+ *      lookup always answer in plain JSON (`exemptFromEncryption`); the admin APIs
+ *      and `/v0.0/users/:userId/export` reject plain clients with 400
+ *      (`requireEncryption`). Static files are never encrypted.
+ *    - Audit Trail: `createAuditTrail(db)` writes every successful state-changing
+ *      request to `audit_logs` (actor, action, entity, IP, user agent, redacted diff).
  *    - Cookie Parser: Reads cookies from incoming requests.
  *    - Static Serving: Serves assets from `/www/static` and attaches favicon.
  *
- * 3. Optional Session Handling
+ * 3. Authentication
+ *    - Builds the token service from `JWT_SECRET` / `accessTokenTtl` / `refreshTokenTtl`
+ *      and exposes it via `app.set('tokens', ...)` for `middleware/authMiddleware`
+ *      and the session endpoints in the users router.
+ *    - Exposes `app.set('accountLookup', ...)` (services/sessionService.findActiveAccount)
+ *      so `requireAuth` and the socket handshake refuse deactivated users and revoked
+ *      sessions at once and use the role stored in the database.
+ *    - `OTP_DEV_MODE` (default off) sets `app.set('otpDevMode', ...)`, which makes
+ *      the users router echo OTP codes in responses for local testing.
+ *    - Builds the OTP delivery service from `OTP_DELIVERY` (sms / email / console
+ *      adapters, console only by default; the console adapter logs codes, so it is
+ *      for local use) and exposes it via `app.set('otpDelivery', ...)`.
+ *    - Builds local avatar storage (`AVATAR_STORAGE`: `directory`, `publicPath`; default
+ *      `www/static/uploads/avatars`) and exposes it via `app.set('avatarStorage', ...)`.
+ *    - Builds local chat attachment storage (`CHAT_ATTACHMENT_STORAGE`: `directory`,
+ *      `thumbnailSize`; default `storage/chat-attachments`, outside www/static so files
+ *      are only served to chat members by the chat router) and exposes it via
+ *      `app.set('chatAttachmentStorage', ...)`.
+ *
+ * 4. Optional Session Handling
  *    - If `enableSession` is true, configures sessions with `sessionSecret`.
  *    - Initializes Passport.js for authentication.
  *    - Enables flash messaging support.
  *
- * 4. Security & Access Controls
+ * 5. Security & Access Controls
  *    - Sets permissive CORS headers for all origins and methods.
  *    - Adds global rate limiting (`rateLimitWindowMs`, `rateLimitMaxRequests`).
  *    - Returns `{ error: "Too many API requests" }` when limit is exceeded.
+ *    - Builds the OTP throttle (`OTP_THROTTLE`: per-phone cooldown/window and per-IP
+ *      window) and exposes it via `app.set('otpThrottle', ...)` for the users router.
  *
- * 5. API Route Mounting
+ * 6. API Route Mounting
+ *    - `/health`            → Health check ({ status: 'ok' })
  *    - `/v0.0/users`        → User APIs
  *    - `/v0.0/news`         → News APIs
  *    - `/v0.0/documents`    → Document APIs
@@ -41,14 +72,18 @@
  *    - `/v0.0/dashboard`    → Dashboard APIs
  *    - `/v0.0/leaderboard`  → Leaderboard APIs
  *    - `/v0.0/alerts`       → Alert APIs
+ *    - `/v0.0/admin`        → Admin user management APIs
  *
- * 6. Error Handling
+ * 7. Error Handling
  *    - Adds a 404 handler for unmatched routes.
  *    - Defines a global error handler that renders `Error/error.ejs`.
  *
  * Notes:
  * - The `io` socket.io instance (if provided) is attached via `app.set('io', io)`
  *   so that routes can access it.
+ * - A presence tracker (services/presence) is exposed via `app.set('presence', ...)`;
+ *   bin/www hands it to the socket handlers, which keep it up to date, and the
+ *   chat router reads it for member presence.
  * - Rate limiting is global but could be scoped by uncommenting the prefixed uses.
  * - This file does not itself call `app.listen`; it only returns the configured `app`.
  *
@@ -67,6 +102,21 @@ const flash = require('connect-flash');
 const session = require('express-session');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const { createTokenService } = require('./services/tokenService');
+const { findActiveAccount } = require('./services/sessionService');
+const { buildOtpDelivery } = require('./services/otpDelivery');
+const { createLocalAvatarStorage } = require('./services/avatarStorage');
+const {
+    createLocalAttachmentStorage,
+} = require('./services/chatAttachmentStorage');
+const { createPresenceTracker } = require('./services/presence');
+const { createOtpThrottle } = require('./middleware/otpThrottle');
+const {
+    ENCRYPTED_CONTENT_TYPE,
+    exemptFromEncryption,
+    requireEncryption,
+} = require('./middleware/encryptionPolicy');
+const { createAuditTrail } = require('./middleware/auditMiddleware');
 
 // Config values
 const {
@@ -76,6 +126,14 @@ const {
     caseSensitiveRouting,
     rateLimitWindowMs,
     rateLimitMaxRequests,
+    JWT_SECRET,
+    accessTokenTtl,
+    refreshTokenTtl,
+    OTP_DEV_MODE,
+    OTP_DELIVERY,
+    OTP_THROTTLE,
+    AVATAR_STORAGE,
+    CHAT_ATTACHMENT_STORAGE,
 } = Config.domains.resqzone_api;
 
 module.exports = (db, io = null) => {
@@ -84,6 +142,48 @@ module.exports = (db, io = null) => {
     // Make socket.io instance accessible to routes if provided
     if (io) app.set('io', io);
 
+    // Access/refresh token handling shared by routes and auth middleware
+    app.set(
+        'tokens',
+        createTokenService({
+            secret: JWT_SECRET,
+            accessTokenTtl,
+            refreshTokenTtl,
+        })
+    );
+
+    // Checks access tokens against the current account state (middleware/authMiddleware)
+    app.set('accountLookup', (userId, sessionId) =>
+        findActiveAccount(db, userId, sessionId)
+    );
+
+    // Only for local/demo setups: return OTP codes in API responses
+    app.set('otpDevMode', OTP_DEV_MODE === true);
+
+    // OTP delivery channels used by /users/register and /users/request-otp
+    app.set('otpDelivery', buildOtpDelivery(OTP_DELIVERY));
+
+    // Profile pictures uploaded via /users/:userId/avatar (served from www/static)
+    app.set(
+        'avatarStorage',
+        createLocalAvatarStorage({
+            directory: path.join(__dirname, 'www/static/uploads/avatars'),
+            ...AVATAR_STORAGE,
+        })
+    );
+
+    // Files and images sent via /chat/:chat_id/attachments (private; never static)
+    app.set(
+        'chatAttachmentStorage',
+        createLocalAttachmentStorage({
+            directory: path.join(__dirname, 'storage/chat-attachments'),
+            ...CHAT_ATTACHMENT_STORAGE,
+        })
+    );
+
+    // Who has a live socket (updated by sockets/index.js, read by the chat router)
+    app.set('presence', createPresenceTracker());
+
     // EJS View Engine Setup
     app.set('views', path.join(__dirname, 'www/views'));
     app.set('view engine', 'ejs');
@@ -93,15 +193,20 @@ module.exports = (db, io = null) => {
     // Compress all HTTP responses
     app.use(compression());
     // Use this to show log Get output:- app.use(logger("dev"));
-    app.use(express.json());
+    app.use(
+        express.json({ type: ['application/json', ENCRYPTED_CONTENT_TYPE] })
+    );
     app.use(express.urlencoded({ extended: true }));
 
     // Decrypt any encrypted requests (must come AFTER body parsers)
     app.use(require('./middleware/decryptMiddleware'));
 
-    // Encrypt responses if needed (optional use case)
+    // Encrypt responses for clients that opt in (see middleware/encryptionPolicy)
     app.use(require('./middleware/encryptMiddleware'));
 
+    // Record successful POST/PUT/PATCH/DELETE requests in audit_logs
+    app.use(createAuditTrail(db));
+
     // Express body parser
     app.use(express.urlencoded({ extended: true }));
     app.use(cookieParser());
@@ -133,7 +238,7 @@ module.exports = (db, io = null) => {
         );
         res.setHeader(
             'Access-Control-Allow-Headers',
-            'X-Requested-With,content-type'
+            'X-Requested-With,content-type,Authorization,X-Payload-Encryption'
         );
         res.setHeader('Access-Control-Allow-Credentials', true);
         next();
@@ -147,12 +252,26 @@ module.exports = (db, io = null) => {
     });
     app.use(limiter);
 
+    // Stricter per-phone / per-IP limits for OTP issuance (users router)
+    app.set('otpThrottle', createOtpThrottle(OTP_THROTTLE));
+
     // only apply to requests that begin with /api/
     /* app.use('/all/', limiter);
     app.use('/user/', limiter);
     app.use('/ads/', limiter); */
     app.options('*', (req, res) => res.sendStatus(200));
 
+    // Health check for load balancers and monitors: always plain JSON
+    app.get('/health', exemptFromEncryption, (req, res) =>
+        res.json({ status: 'ok' })
+    );
+
+    // Public IP / geo lookup used before sign-in: always plain JSON
+    app.get('/v0.0/users', exemptFromEncryption);
+
+    // Personal data exports and the admin APIs only answer encrypted clients
+    app.use('/v0.0/users/:userId/export', requireEncryption);
+
     // Routes
     app.use('/v0.0/users', require('./routes/v0.0/users')(db));
     app.use('/v0.0/news', require('./routes/v0.0/news')(db));
@@ -168,6 +287,11 @@ module.exports = (db, io = null) => {
         require('./routes/v0.0/Games/leaderboard')(db)
     );
     app.use('/v0.0/alerts', require('./routes/v0.0/alerts')(db));
+    app.use(
+        '/v0.0/admin',
+        requireEncryption,
+        require('./routes/v0.0/admin')(db)
+    );
 
     // 404 handler
     app.use((req, res, next) => next(createError(404)));
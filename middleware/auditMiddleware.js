@@ -0,0 +1,176 @@
+/**
+ * auditMiddleware.js
+ *
+ * Records every successful state-changing request (POST, PUT, PATCH, DELETE) in
+ * `audit_logs`, once the response has been sent.
+ *
+ * Each row captures:
+ * - actor_user_id / actor_role → `req.user` set by requireAuth (NULL for anonymous calls
+ *   such as /users/register).
+ * - action       → method + mounted route pattern, e.g. `PATCH /v0.0/users/:userId`.
+ * - entity_type / entity_id → the path segment before the first `:param` (or the
+ *   router's mount name) and that param's numeric value; e.g.
+ *   `DELETE /v0.0/users/emergency-contacts/:id` → ('emergency-contacts', id).
+ * - ip_address, user_agent, status_code.
+ * - changes      → redacted diff `{ field: { from?, to } }` built from the request body,
+ *   limited to the fields allowlisted for the entity in AUDIT_FIELDS.
+ *
+ * Routes can refine the entry through `res.locals.audit`:
+ *   { entityType?, entityId?, before?: { field: oldValue }, skip?: true }
+ * `before` turns the body into a real diff: unchanged fields are dropped and
+ * changed ones get `from`.
+ *
+ * Allowlist: only fields listed for the entity type in AUDIT_FIELDS are recorded;
+ * everything else (message bodies, names, email, address, date of birth, ...) is
+ * left out, and entity types without an entry record no changes at all.
+ *
+ * Redaction: values of allowlisted keys that look like secrets (otp, code, token,
+ * password, secret, authorization, payload) are replaced with '[REDACTED]'; long
+ * strings are truncated.
+ *
+ * Exports:
+ * - createAuditTrail(db, { redactKeys?, fields? }) → middleware (mount before the
+ *   routers); `fields` replaces AUDIT_FIELDS.
+ * - buildChanges(body, before, allowed, redactKeys) → the diff object (exported for
+ *   tests).
+ * - AUDIT_FIELDS
+ *
+ * Notes:
+ * - Audit failures are logged and never affect the response.
+ * - Failed requests (status >= 400) are not recorded; they changed nothing.
+ * - accountService.deleteAccount scrubs the deleted user's rows.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const REDACT_KEYS =
+    /otp|code|token|password|secret|authorization|payload|refresh/i;
+const MAX_STRING_LENGTH = 500;
+
+// Entity type → body fields worth keeping in the trail (no free text or profile PII)
+const AUDIT_FIELDS = {
+    users: ['role', 'is_active'],
+    task: ['task_id'],
+    chat: [
+        'is_group',
+        'participant_ids',
+        'user_ids',
+        'message_type',
+        'reply_to_id',
+        'client_id',
+        'option_ids',
+        'status',
+        'duration_minutes',
+    ],
+    chat_message: ['message_type'],
+    alerts: ['type', 'urgency', 'radius_km', 'source'],
+    documents: ['document_id'],
+    badges: ['user_id', 'badge_id'],
+    quizzes: ['topic', 'difficulty'],
+};
+
+function redact(value, redactKeys, key = '') {
+    if (key && redactKeys.test(key)) return '[REDACTED]';
+    if (Array.isArray(value)) {
+        return value.slice(0, 50).map((v) => redact(v, redactKeys));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([k, v]) => [k, redact(v, redactKeys, k)])
+        );
+    }
+    if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+        return `${value.slice(0, MAX_STRING_LENGTH)}…`;
+    }
+    return value;
+}
+
+function buildChanges(
+    body,
+    before = null,
+    allowed = [],
+    redactKeys = REDACT_KEYS
+) {
+    if (!body || typeof body !== 'object') return null;
+
+    const changes = {};
+    Object.entries(body).forEach(([field, to]) => {
+        if (!allowed.includes(field)) return;
+        if (before && field in before) {
+            if (String(before[field]) === String(to)) return;
+            changes[field] = {
+                from: redact(before[field], redactKeys, field),
+                to: redact(to, redactKeys, field),
+            };
+        } else {
+            changes[field] = { to: redact(to, redactKeys, field) };
+        }
+    });
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Entity name/ID from the matched route, e.g. /emergency-contacts/:id
+function routeEntity(req) {
+    const segments = (req.route?.path || '').split('/').filter(Boolean);
+    const index = segments.findIndex((s) => s.startsWith(':'));
+    const param = index >= 0 ? segments[index].slice(1) : null;
+    const id = param ? parseInt(req.params[param]) : NaN;
+
+    return {
+        entityType:
+            index > 0
+                ? segments[index - 1]
+                : req.baseUrl.split('/').filter(Boolean).pop() || null,
+        entityId: isNaN(id) ? null : id,
+    };
+}
+
+function createAuditTrail(
+    db,
+    { redactKeys = REDACT_KEYS, fields = AUDIT_FIELDS } = {}
+) {
+    async function record(req, res) {
+        const audit = res.locals.audit || {};
+        if (audit.skip || res.statusCode >= 400) return;
+
+        const derived = routeEntity(req);
+        const entityType = audit.entityType ?? derived.entityType;
+        const changes = buildChanges(
+            req.body,
+            audit.before,
+            fields[entityType],
+            redactKeys
+        );
+
+        await db.query(
+            `INSERT INTO audit_logs (actor_user_id, actor_role, action, entity_type, entity_id, status_code, ip_address, user_agent, changes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                req.user?.id ?? null,
+                req.user?.role ?? null,
+                `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+                entityType,
+                audit.entityId ?? derived.entityId,
+                res.statusCode,
+                req.ip || req.connection?.remoteAddress || null,
+                req.headers['user-agent'] || null,
+                changes ? JSON.stringify(changes) : null,
+            ]
+        );
+    }
+
+    return (req, res, next) => {
+        if (!MUTATING_METHODS.includes(req.method)) return next();
+
+        res.on('finish', () => {
+            record(req, res).catch((err) =>
+                console.error('Audit log write failed:', err.message)
+            );
+        });
+        next();
+    };
+}
+
+module.exports = { createAuditTrail, buildChanges, AUDIT_FIELDS };
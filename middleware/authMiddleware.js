@@ -0,0 +1,92 @@
+/**
+ * authMiddleware.js
+ *
+ * Resolves the calling user from an `Authorization: Bearer <token>` header using
+ * the token service registered on the app (`app.set('tokens', ...)`).
+ *
+ * Exports:
+ * - requireAuth
+ *   → Verifies the access token and sets `req.user = { id, role, sessionId }`.
+ *   → When the app registers `accountLookup(userId, sessionId)` (app.js does, see
+ *     sessionService.findActiveAccount), the account is also checked against the
+ *     database on every request: `role` comes from there, and deactivated or deleted
+ *     users and revoked sessions are refused straight away instead of when the
+ *     access token expires.
+ *   → 401 { success: false, error: 'Authentication required' } when no token is sent.
+ *   → 401 { success: false, error: 'Invalid or expired token' } when verification or
+ *     the account check fails.
+ *
+ * - requireSelf(paramName)
+ *   → Guards routes that still carry a user ID in the URL (e.g. `/tasks/:user_id`).
+ *   → 403 { success: false, error: 'Forbidden' } unless the param equals `req.user.id`.
+ *   → Must run after `requireAuth`.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+function extractBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (!token || !/^Bearer$/i.test(scheme)) return null;
+    return token.trim();
+}
+
+async function requireAuth(req, res, next) {
+    const tokens = req.app.get('tokens');
+    if (!tokens) {
+        console.error('Auth error: token service is not configured');
+        return res
+            .status(500)
+            .json({ success: false, error: 'Authentication unavailable' });
+    }
+
+    const token = extractBearerToken(req);
+    if (!token) {
+        return res
+            .status(401)
+            .json({ success: false, error: 'Authentication required' });
+    }
+
+    let user;
+    try {
+        user = tokens.verifyAccessToken(token);
+    } catch (err) {
+        return res
+            .status(401)
+            .json({ success: false, error: 'Invalid or expired token' });
+    }
+
+    const accountLookup = req.app.get('accountLookup');
+    if (accountLookup) {
+        let account;
+        try {
+            account = await accountLookup(user.id, user.sessionId);
+        } catch (err) {
+            console.error('Auth error: account lookup failed:', err);
+            return res
+                .status(500)
+                .json({ success: false, error: 'Authentication unavailable' });
+        }
+        if (!account) {
+            return res
+                .status(401)
+                .json({ success: false, error: 'Invalid or expired token' });
+        }
+        user = { ...user, role: account.role };
+    }
+
+    req.user = user;
+    next();
+}
+
+function requireSelf(paramName) {
+    return (req, res, next) => {
+        const requestedId = parseInt(req.params[paramName]);
+        if (!isNaN(requestedId) && requestedId !== req.user?.id) {
+            return res.status(403).json({ success: false, error: 'Forbidden' });
+        }
+        next();
+    };
+}
+
+module.exports = { requireAuth, requireSelf, extractBearerToken };
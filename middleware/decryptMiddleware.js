@@ -1,44 +1,29 @@
-const crypto = require('crypto');
 const Config = require('../../config');
+const { buildPayloadCrypto } = require('../services/payloadCrypto');
+const {
+    wantsEncryption,
+    ENCRYPTED_CONTENT_TYPE,
+} = require('./encryptionPolicy');
 
-const ENCRYPTION_KEY = Config.domains.resqzone_api.ENCRYPTION_KEY; // Must be 32 characters (256 bits)
-const IV_LENGTH = Config.domains.resqzone_api.IV_LENGTH || 16;
-
-if (!ENCRYPTION_KEY || ENCRYPTION_KEY.length !== 32) {
-    throw new Error('ENCRYPTION_KEY must be 32 characters long (AES-256 key)');
-}
-
-function decrypt(encryptedInput) {
-    //console.log('encryptedInput: ', encryptedInput);
-    const parts = encryptedInput.split(':');
-    if (parts.length !== 2) throw new Error('Invalid encrypted format');
-
-    const iv = Buffer.from(parts[0], 'hex');
-    const encryptedText = Buffer.from(parts[1], 'hex');
-
-    const decipher = crypto.createDecipheriv(
-        'aes-256-cbc',
-        Buffer.from(ENCRYPTION_KEY),
-        iv
-    );
-
-    let decrypted = decipher.update(encryptedText);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-
-    console.log('decrypted: output', decrypted.toString());
-    return decrypted.toString();
-}
+// Accepts AES-256-GCM (v2, any configured key ID) and legacy AES-256-CBC payloads
+const payloadCrypto = buildPayloadCrypto(Config.domains.resqzone_api);
+const decrypt = (payload) => payloadCrypto.decrypt(payload);
 
 module.exports = (req, res, next) => {
+    // Plain clients may legitimately send a `payload` field; leave them untouched
+    if (!wantsEncryption(req)) return next();
+
     try {
         // Decrypt JSON body if present
         if (
-            req.is('application/json') &&
+            req.is(['application/json', ENCRYPTED_CONTENT_TYPE]) &&
             typeof req.body === 'object' &&
             req.body.payload
         ) {
             const decrypted = decrypt(req.body.payload);
             req.body = JSON.parse(decrypted);
+            // requireEncryption only accepts bodies that came through here
+            res.locals.decryptedBody = true;
         }
 
         // Decrypt query payload for all methods that might send encrypted query
@@ -0,0 +1,64 @@
+/**
+ * encryptionPolicy.js
+ *
+ * Decides per request whether payload encryption applies. Encryption is opt-in, so
+ * encrypted and plain clients can use the same server.
+ *
+ * A client opts in by either:
+ * - sending `X-Payload-Encryption: v2`, or
+ * - sending its body as `Content-Type: application/vnd.resqzone.encrypted+json`.
+ * GET/DELETE requests have no body, so they use the header.
+ *
+ * Exports:
+ * - wantsEncryption(req) → true when the client opted in.
+ * - exemptFromEncryption
+ *   → Route middleware; responses from the route are always sent as plain JSON.
+ * - requireEncryption
+ *   → Route middleware; plain clients get 400 { success: false, error: 'Encrypted payload required' }.
+ *     Opting in is not enough: a non-empty body must also have arrived as an encrypted
+ *     `payload` envelope (decryptMiddleware sets res.locals.decryptedBody), so a client
+ *     cannot send the header with a plaintext body.
+ * - ENCRYPTION_HEADER, ENCRYPTED_CONTENT_TYPE
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const ENCRYPTION_HEADER = 'X-Payload-Encryption';
+const ENCRYPTED_CONTENT_TYPE = 'application/vnd.resqzone.encrypted+json';
+
+function wantsEncryption(req) {
+    const header = req.get(ENCRYPTION_HEADER);
+    if (header && header.trim().toLowerCase() === 'v2') return true;
+    return Boolean(req.is(ENCRYPTED_CONTENT_TYPE));
+}
+
+const exemptFromEncryption = (req, res, next) => {
+    res.locals.encryption = 'exempt';
+    next();
+};
+
+function hasBody(req) {
+    return Boolean(
+        req.body &&
+            typeof req.body === 'object' &&
+            Object.keys(req.body).length > 0
+    );
+}
+
+const requireEncryption = (req, res, next) => {
+    if (!wantsEncryption(req) || (hasBody(req) && !res.locals.decryptedBody)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Encrypted payload required',
+        });
+    }
+    next();
+};
+
+module.exports = {
+    wantsEncryption,
+    exemptFromEncryption,
+    requireEncryption,
+    ENCRYPTION_HEADER,
+    ENCRYPTED_CONTENT_TYPE,
+};
@@ -0,0 +1,138 @@
+/**
+ * otpThrottle.js
+ *
+ * Limits how often OTP codes can be issued, on top of the global API limiter in
+ * app.js. Built on express-rate-limit with a per-key window store, so each phone
+ * number / IP gets its own window starting at its first request.
+ *
+ * Limits (defaults, overridable via `OTP_THROTTLE` in config):
+ * - cooldownMs  (60s)            → at most one code per phone number per cooldown.
+ * - phoneMax / phoneWindowMs     (5 per hour) → codes per phone number.
+ * - ipMax / ipWindowMs           (20 per hour) → codes requested from one IP address.
+ *
+ * Exports:
+ * - createOtpThrottle(options)
+ *   → Single middleware that runs the IP limit, then the phone cooldown and
+ *     phone window. The phone key is `country_code + phone_number` from the body
+ *     (country_code defaults to '+44'); requests without a phone number only
+ *     count against the IP limit.
+ *   → 429 { success: false, message, retry_after } with a matching `Retry-After`
+ *     header, where `retry_after` is the number of seconds until that window resets.
+ *
+ * - createKeyedWindowStore(windowMs)
+ *   → express-rate-limit store whose windows are tracked per key (the bundled
+ *     MemoryStore resets every key at the same moment, which would let a caller
+ *     skip most of a cooldown by timing requests around the global reset).
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const rateLimit = require('express-rate-limit');
+
+function createKeyedWindowStore(windowMs) {
+    let hits = new Map();
+
+    const live = (key) => {
+        const entry = hits.get(key);
+        if (entry && entry.resetTime.getTime() <= Date.now()) {
+            hits.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    const store = {
+        incr(key, cb) {
+            let entry = live(key);
+            if (!entry) {
+                entry = {
+                    count: 0,
+                    resetTime: new Date(Date.now() + windowMs),
+                };
+                hits.set(key, entry);
+            }
+            entry.count++;
+            cb(null, entry.count, entry.resetTime);
+        },
+        decrement(key) {
+            const entry = live(key);
+            if (entry && entry.count > 0) entry.count--;
+        },
+        resetKey(key) {
+            hits.delete(key);
+        },
+        resetAll() {
+            hits = new Map();
+        },
+    };
+
+    // Drop expired keys so idle numbers/IPs do not accumulate
+    const interval = setInterval(() => {
+        hits.forEach((entry, key) => live(key));
+    }, Math.max(windowMs, 1000));
+    if (interval.unref) interval.unref();
+
+    return store;
+}
+
+const phoneKey = (req) => {
+    const { phone_number, country_code = '+44' } = req.body || {};
+    return `${country_code}${phone_number}`.replace(/\s+/g, '');
+};
+
+const throttled = (message) => (req, res) => {
+    const retryAfter = Math.max(
+        1,
+        Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000)
+    );
+    res.setHeader('Retry-After', retryAfter);
+    res.status(429).json({ success: false, message, retry_after: retryAfter });
+};
+
+function createOtpThrottle({
+    cooldownMs = 60 * 1000,
+    phoneWindowMs = 60 * 60 * 1000,
+    phoneMax = 5,
+    ipWindowMs = 60 * 60 * 1000,
+    ipMax = 20,
+} = {}) {
+    const noPhone = (req) => !req.body?.phone_number;
+
+    const chain = [
+        rateLimit({
+            windowMs: ipWindowMs,
+            max: ipMax,
+            store: createKeyedWindowStore(ipWindowMs),
+            handler: throttled('Too many OTP requests from this IP address'),
+        }),
+        rateLimit({
+            windowMs: cooldownMs,
+            max: 1,
+            store: createKeyedWindowStore(cooldownMs),
+            keyGenerator: phoneKey,
+            skip: noPhone,
+            handler: throttled('Please wait before requesting another code'),
+        }),
+        rateLimit({
+            windowMs: phoneWindowMs,
+            max: phoneMax,
+            store: createKeyedWindowStore(phoneWindowMs),
+            keyGenerator: phoneKey,
+            skip: noPhone,
+            handler: throttled('Too many OTP requests for this phone number'),
+        }),
+    ];
+
+    return (req, res, next) => {
+        let i = 0;
+        const step = (err) => {
+            if (err) return next(err);
+            const limiter = chain[i++];
+            if (!limiter) return next();
+            limiter(req, res, step);
+        };
+        step();
+    };
+}
+
+module.exports = { createOtpThrottle, createKeyedWindowStore };
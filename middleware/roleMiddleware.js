@@ -0,0 +1,57 @@
+/**
+ * roleMiddleware.js
+ *
+ * Declarative role checks based on `users.role` (`user`, `admin`, `moderator`),
+ * which is carried in the access token as `req.user.role`.
+ *
+ * ROUTE_PERMISSIONS maps "<METHOD> <path>" (path as mounted under /v0.0) to the
+ * roles allowed to call it. Routes opt in with `authorize('<METHOD> <path>')`;
+ * any route not listed here is open to every authenticated user.
+ *
+ * Exports:
+ * - ROUTE_PERMISSIONS
+ *   → Frozen map of route key → allowed roles.
+ *
+ * - authorize(routeKey)
+ *   → Middleware that allows the request when `req.user.role` is listed for the key.
+ *   → 403 { success: false, error: 'Insufficient permissions', required_roles: [...] } otherwise.
+ *   → Throws at startup for keys missing from ROUTE_PERMISSIONS, so a typo cannot
+ *     silently leave a route unprotected.
+ *   → Must run after `requireAuth`.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const ROUTE_PERMISSIONS = Object.freeze({
+    'POST /alerts/emergency': ['admin', 'moderator'],
+    'POST /alerts/system': ['admin'],
+    'POST /badges/award': ['admin'],
+    'POST /quizzes/ai-generate': ['admin', 'moderator'],
+    'DELETE /chat/:chat_id': ['admin', 'moderator'],
+    'GET /admin/users': ['admin', 'moderator'],
+    'PATCH /admin/users/:userId/role': ['admin'],
+    'PATCH /admin/users/:userId/status': ['admin'],
+    'POST /admin/users/:userId/logout': ['admin'],
+    'POST /admin/users/:userId/restore': ['admin'],
+    'GET /admin/audit-logs': ['admin'],
+});
+
+function authorize(routeKey) {
+    const allowedRoles = ROUTE_PERMISSIONS[routeKey];
+    if (!allowedRoles) {
+        throw new Error(`No permissions declared for route "${routeKey}"`);
+    }
+
+    return (req, res, next) => {
+        if (!req.user || !allowedRoles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                required_roles: allowedRoles,
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { ROUTE_PERMISSIONS, authorize };
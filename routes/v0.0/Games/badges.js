@@ -7,7 +7,7 @@
  * Endpoints:
  * - GET "/"                → List all available badges (id, name, description, icon_url, condition).
  * - GET "/user/:user_id"   → List badges earned by a specific user (with earned_at), most recent first.
- * - POST "/award"          → Assign a badge to a user (idempotent via INSERT IGNORE).
+ * - POST "/award"          → Assign a badge to a user (idempotent via INSERT IGNORE). Admin only.
  *
  * Key behaviors & flow:
  * 1) Parsing:
@@ -32,6 +32,9 @@
  *    - On DB failure: 500 with { success: false, error: "Failed to assign badge" }.
  *
  * Notes:
+ * - All routes require a Bearer access token; "/user/:user_id" only serves the
+ *   caller (403 otherwise).
+ * - "/award" is restricted to admins via roleMiddleware (403 for other roles).
  * - SQL uses a backticked `condition` column to avoid keyword conflicts.
  * - The router is case-sensitive: new express.Router({ caseSensitive: true }).
  *
@@ -40,12 +43,21 @@
 
 const express = require('express');
 const bodyParser = require('body-parser');
+const {
+    requireAuth,
+    requireSelf,
+} = require('../../../middleware/authMiddleware');
+const { authorize } = require('../../../middleware/roleMiddleware');
 
 module.exports = (db) => {
     const router = express.Router({ caseSensitive: true });
 
     router.use(bodyParser.urlencoded({ extended: false }));
     router.use(bodyParser.json());
+    router.use(requireAuth);
+
+    const selfOnly = requireSelf('user_id');
+    const awardRoles = authorize('POST /badges/award');
 
     // GET /badges - List all available badges
     router.get('/', async (req, res) => {
@@ -66,7 +78,7 @@ module.exports = (db) => {
     });
 
     // GET /badges/user/:user_id - Get user's earned badges
-    router.get('/user/:user_id', async (req, res) => {
+    router.get('/user/:user_id', selfOnly, async (req, res) => {
         const userId = parseInt(req.params.user_id);
         if (isNaN(userId)) {
             return res.status(400).json({
@@ -98,7 +110,7 @@ module.exports = (db) => {
     });
 
     // POST /badges/award - Assign badge to user
-    router.post('/award', async (req, res) => {
+    router.post('/award', awardRoles, async (req, res) => {
         const userId = parseInt(req.body.user_id);
         const badgeId = parseInt(req.body.badge_id);
 
@@ -11,7 +11,12 @@
  * - GET "/:id/stats"              → Aggregate stats for a single quiz (attempts, max, average).
  * - GET "/:id"                    → Full quiz with questions and options (if active).
  * - POST "/:id/submit"            → Submit answers; awards XP and optional badge when perfect.
- * - POST "/ai-generate"           → Create a quiz (and optional checklist) via AI and assign to a chat's members.
+ * - POST "/ai-generate"           → Create a quiz (and optional checklist) via AI and assign to a chat's members (admin, moderator).
+ *
+ * Authentication:
+ * - All routes require a Bearer access token; `:user_id` routes only serve the
+ *   caller (403 otherwise) and submissions are recorded for `req.user`.
+ * - "/ai-generate" is restricted to admins and moderators via roleMiddleware.
  *
  * Validation & Flow Highlights:
  * - Integer checks for `:user_id`/`:id` where applicable; 400 on invalid input.
@@ -40,12 +45,21 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const { generateQuizFromAI } = require('../../../services/quizAI');
+const {
+    requireAuth,
+    requireSelf,
+} = require('../../../middleware/authMiddleware');
+const { authorize } = require('../../../middleware/roleMiddleware');
 
 module.exports = (db) => {
     const router = express.Router({ caseSensitive: true });
 
     router.use(bodyParser.urlencoded({ extended: false }));
     router.use(bodyParser.json());
+    router.use(requireAuth);
+
+    const selfOnly = requireSelf('user_id');
+    const aiGenerateRoles = authorize('POST /quizzes/ai-generate');
 
     // GET /quizzes - All active quizzes
     router.get('/', async (req, res) => {
@@ -65,7 +79,7 @@ module.exports = (db) => {
     });
 
     // GET /quizzes/user/:user_id - Assigned quizzes only
-    router.get('/user/:user_id', async (req, res) => {
+    router.get('/user/:user_id', selfOnly, async (req, res) => {
         const userId = parseInt(req.params.user_id);
         if (isNaN(userId)) {
             return res
@@ -93,7 +107,7 @@ module.exports = (db) => {
     });
 
     // GET /quizzes/history/:user_id
-    router.get('/history/:user_id', async (req, res) => {
+    router.get('/history/:user_id', selfOnly, async (req, res) => {
         const userId = parseInt(req.params.user_id);
         if (isNaN(userId))
             return res
@@ -189,12 +203,13 @@ module.exports = (db) => {
     // POST /quizzes/:id/submit - Submit quiz answers
     router.post('/:id/submit', async (req, res) => {
         const quizId = parseInt(req.params.id);
-        const { user_id, answers } = req.body;
+        const user_id = req.user.id;
+        const { answers } = req.body;
 
-        if (!user_id || !Array.isArray(answers)) {
+        if (!Array.isArray(answers)) {
             return res.status(400).json({
                 success: false,
-                message: 'user_id and answers[] required',
+                message: 'answers[] required',
             });
         }
 
@@ -334,10 +349,10 @@ module.exports = (db) => {
     });
 
     // POST /quizzes/ai-generate
-    router.post('/ai-generate', async (req, res) => {
-        const { topic, difficulty = 'medium', chatId, createdBy, checklist } = req.body;
+    router.post('/ai-generate', aiGenerateRoles, async (req, res) => {
+        const { topic, difficulty = 'medium', chatId, checklist } = req.body;
 
-        if (!topic || !chatId || !createdBy) {
+        if (!topic || !chatId) {
             return res.status(400).json({ success: false, message: 'Missing required fields' });
         }
 
@@ -29,9 +29,12 @@
  *          - If completedCount < 5         → remove "Prep Pro".
  *          - If completedCount < total     → remove "Checklist Champion".
  *      * Logs the action into admin_action_logs.
+ *      * Recorded in audit_logs as a 'task' entity (middleware/auditMiddleware).
  *
  * Validation & Errors:
+ * - All routes require a Bearer access token; complete/uncomplete act on `req.user`.
  * - Path params user_id must be integers; otherwise 400 with a clear message.
+ * - Path params user_id must match the authenticated user; otherwise 403.
  * - Task existence check on complete/uncomplete; 404 when missing/inactive as appropriate.
  * - Database errors respond 500 with stable error strings per route.
  *
@@ -44,15 +47,22 @@
 
 const express = require('express');
 const bodyParser = require('body-parser');
+const {
+    requireAuth,
+    requireSelf,
+} = require('../../../middleware/authMiddleware');
 
 module.exports = (db) => {
     const router = express.Router({ caseSensitive: true });
 
     router.use(bodyParser.urlencoded({ extended: false }));
     router.use(bodyParser.json());
+    router.use(requireAuth);
+
+    const selfOnly = requireSelf('user_id');
 
     // GET /tasks/:user_id - Fetch checklist tasks assigned to a user
-    router.get('/:user_id', async (req, res) => {
+    router.get('/:user_id', selfOnly, async (req, res) => {
         const userId = parseInt(req.params.user_id);
         if (isNaN(userId)) {
             return res.status(400).json({
@@ -81,7 +91,7 @@ module.exports = (db) => {
     });
 
     // GET /tasks/progress/:user_id - Get user's completed checklist tasks
-    router.get('/progress/:user_id', async (req, res) => {
+    router.get('/progress/:user_id', selfOnly, async (req, res) => {
         const userId = parseInt(req.params.user_id);
         if (isNaN(userId)) {
             return res
@@ -108,12 +118,13 @@ module.exports = (db) => {
 
     // POST /tasks/complete - Mark a task as completed by a user
     router.post('/complete', async (req, res) => {
-        const { user_id, task_id } = req.body;
+        const user_id = req.user.id;
+        const { task_id } = req.body;
 
-        if (!user_id || !task_id) {
+        if (!task_id) {
             return res.status(400).json({
                 success: false,
-                message: 'user_id and task_id required',
+                message: 'task_id required',
             });
         }
 
@@ -215,12 +226,13 @@ module.exports = (db) => {
 
     // POST /tasks/uncomplete - Unmark a task as completed by a user
     router.post('/uncomplete', async (req, res) => {
-        const { user_id, task_id } = req.body;
+        const user_id = req.user.id;
+        const { task_id } = req.body;
 
-        if (!user_id || !task_id) {
+        if (!task_id) {
             return res.status(400).json({
                 success: false,
-                message: 'user_id and task_id required',
+                message: 'task_id required',
             });
         }
 
@@ -290,6 +302,7 @@ module.exports = (db) => {
                 ]
             );
 
+            res.locals.audit = { entityType: 'task', entityId: task_id };
             res.json({
                 success: true,
                 message: 'Task uncompleted and XP/Badges adjusted',
@@ -0,0 +1,459 @@
+// Server/src/routes/admin.js
+/**
+ * admin.js (Admin User Management)
+ *
+ * Lets administrators search users, change roles, activate/deactivate accounts,
+ * force logouts and restore soft-deleted accounts without touching SQL.
+ *
+ * Middleware:
+ * - body-parser: urlencoded + JSON parsing.
+ * - requireAuth: all routes require a Bearer access token (`req.user`).
+ * - authorize: role checks from middleware/roleMiddleware (403 when the caller's
+ *   role is not allowed).
+ *
+ * Endpoints:
+ * 1) GET /admin/users  (admin, moderator)
+ *    - Query: ?search=<term>&role=user|admin|moderator&status=active|inactive|deleted
+ *             &page=1&pageSize=20 (max 100)
+ *    - Searches name, email and phone; soft-deleted users only appear with status=deleted.
+ *    - 200: { success:true, users, page, pageSize, totalCount, hasMore }
+ *
+ * 2) PATCH /admin/users/:userId/role  (admin)
+ *    - Body: { role: 'user'|'admin'|'moderator' }
+ *    - Revokes the user's sessions so they sign in again with the new role.
+ *    - 200: { success:true, message:'Role updated', user:{ id, role }, revoked }
+ *    - 400 on invalid role or when changing your own role, 404 when not found.
+ *
+ * 3) PATCH /admin/users/:userId/status  (admin)
+ *    - Body: { is_active: boolean }. Deactivating also revokes every session.
+ *    - 200: { success:true, message:'User activated'|'User deactivated', revoked }
+ *    - 400 on invalid input or when deactivating yourself, 404 when not found.
+ *
+ * 4) POST /admin/users/:userId/logout  (admin)
+ *    - Revokes all of the user's sessions and disconnects their sockets.
+ *    - 200: { success:true, message:'Logged out of N sessions', revoked }
+ *
+ * 5) POST /admin/users/:userId/restore  (admin)
+ *    - Clears `deleted_at` and reactivates the account. Deleted accounts are
+ *      anonymised, so a new `phone_number` (and optional `country_code`) is needed
+ *      for the user to log in again.
+ *    - 200: { success:true, message:'User restored' }
+ *    - 404 when no soft-deleted user matches, 409 when the phone number is taken.
+ *
+ * 6) GET /admin/audit-logs  (admin)
+ *    - Query: ?actor_id=&entity_type=&entity_id=&from=<ISO date>&to=<ISO date>
+ *             &page=1&pageSize=50 (max 200)
+ *    - Newest first; `changes` holds the redacted diff recorded by middleware/auditMiddleware.
+ *    - 200: { success:true, logs, page, pageSize, totalCount, hasMore }
+ *    - 400 when a filter is malformed.
+ *
+ * Audit:
+ * - Every mutating action writes an `admin_action_logs` row (services/adminActionLog)
+ *   with the caller, target user, IP address, user agent and a description.
+ * - The generic audit trail (`audit_logs`) also records them; role and status
+ *   changes pass the previous value via `res.locals.audit.before` for a real diff.
+ * - Role and status changes apply at once: `requireAuth` reads the role and
+ *   `is_active` from the database on every request (see app.js `accountLookup`), and
+ *   both changes revoke the user's sessions.
+ *
+ * DB Contract:
+ * - Expects `db.query(sql, params)` that resolves to `[rows]` (SELECT) or
+ *   `[result]` with `{insertId, affectedRows}` (mutations).
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const { requireAuth } = require('../../middleware/authMiddleware');
+const { authorize } = require('../../middleware/roleMiddleware');
+const { revokeSessions } = require('../../services/sessionService');
+const { logAdminAction } = require('../../services/adminActionLog');
+
+const ROLES = ['user', 'admin', 'moderator'];
+const STATUS_FILTERS = {
+    active: 'u.deleted_at IS NULL AND u.is_active = TRUE',
+    inactive: 'u.deleted_at IS NULL AND u.is_active = FALSE',
+    deleted: 'u.deleted_at IS NOT NULL',
+};
+
+// Audit log query filters: param → [condition, parser returning null when invalid]
+const parseId = (v) => (/^\d+$/.test(v) ? parseInt(v) : null);
+const parseDate = (v) => (isNaN(Date.parse(v)) ? null : new Date(v));
+const AUDIT_FILTERS = {
+    actor_id: ['a.actor_user_id = ?', parseId],
+    entity_type: ['a.entity_type = ?', (v) => v.trim() || null],
+    entity_id: ['a.entity_id = ?', parseId],
+    from: ['a.created_at >= ?', parseDate],
+    to: ['a.created_at <= ?', parseDate],
+};
+
+module.exports = (db) => {
+    const router = express.Router({ caseSensitive: true });
+    router.use(bodyParser.urlencoded({ extended: false }));
+    router.use(bodyParser.json());
+    router.use(requireAuth);
+
+    // Role-restricted routes (see ROUTE_PERMISSIONS)
+    const listRoles = authorize('GET /admin/users');
+    const roleRoles = authorize('PATCH /admin/users/:userId/role');
+    const statusRoles = authorize('PATCH /admin/users/:userId/status');
+    const logoutRoles = authorize('POST /admin/users/:userId/logout');
+    const restoreRoles = authorize('POST /admin/users/:userId/restore');
+    const auditRoles = authorize('GET /admin/audit-logs');
+
+    // Parses :userId; sends 400 and returns null when it is not a number
+    const targetId = (req, res) => {
+        const userId = parseInt(req.params.userId);
+        if (isNaN(userId)) {
+            res.status(400).json({
+                success: false,
+                message: 'Invalid user ID',
+            });
+            return null;
+        }
+        return userId;
+    };
+
+    const findUser = async (userId) => {
+        const [rows] = await db.query(
+            'SELECT id, role, is_active FROM users WHERE id = ? AND deleted_at IS NULL',
+            [userId]
+        );
+        return rows[0] || null;
+    };
+
+    const userNotFound = (res) =>
+        res.status(404).json({ success: false, message: 'User not found' });
+
+    // GET /admin/users - Search and page through users
+    router.get('/users', listRoles, async (req, res) => {
+        const {
+            search = '',
+            role,
+            status,
+            page = 1,
+            pageSize = 20,
+        } = req.query;
+        const size = Math.min(Math.max(parseInt(pageSize) || 20, 1), 100);
+        const current = Math.max(parseInt(page) || 1, 1);
+        const offset = (current - 1) * size;
+
+        if (
+            (role && !ROLES.includes(role)) ||
+            (status && !STATUS_FILTERS[status])
+        ) {
+            return res
+                .status(400)
+                .json({ success: false, message: 'Invalid filter' });
+        }
+
+        const conditions = [
+            status ? STATUS_FILTERS[status] : 'u.deleted_at IS NULL',
+        ];
+        const params = [];
+        if (role) {
+            conditions.push('u.role = ?');
+            params.push(role);
+        }
+        if (search.trim()) {
+            const term = `%${search.trim()}%`;
+            conditions.push(
+                `(CONCAT_WS(' ', u.first_name, u.last_name) LIKE ? OR u.email LIKE ? OR u.phone_number LIKE ?)`
+            );
+            params.push(term, term, term);
+        }
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        try {
+            const [countRows] = await db.query(
+                `SELECT COUNT(*) AS totalCount FROM users u ${whereClause}`,
+                params
+            );
+            const totalCount = countRows[0].totalCount;
+
+            const [users] = await db.query(
+                `SELECT u.id, u.first_name, u.last_name, u.email, u.phone_number, u.country_code,
+                    u.role, u.is_active, u.created_at, u.updated_at, u.deleted_at
+                 FROM users u
+                 ${whereClause}
+                 ORDER BY u.created_at DESC
+                 LIMIT ? OFFSET ?`,
+                [...params, size, offset]
+            );
+
+            res.json({
+                success: true,
+                users,
+                page: current,
+                pageSize: size,
+                totalCount,
+                hasMore: offset + size < totalCount,
+            });
+        } catch (err) {
+            console.error('GET /admin/users error:', err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch users',
+            });
+        }
+    });
+
+    // PATCH /admin/users/:userId/role - Change a user's role
+    router.patch('/users/:userId/role', roleRoles, async (req, res) => {
+        const userId = targetId(req, res);
+        if (userId === null) return;
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `role must be one of: ${ROLES.join(', ')}`,
+            });
+        }
+        if (userId === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role',
+            });
+        }
+
+        try {
+            const user = await findUser(userId);
+            if (!user) return userNotFound(res);
+            res.locals.audit = { before: { role: user.role } };
+
+            await db.query(
+                'UPDATE users SET role = ?, updated_by = ?, updated_at = NOW() WHERE id = ?',
+                [role, req.user.id, userId]
+            );
+            const revoked = await revokeSessions(db, req.app.get('io'), userId);
+            await logAdminAction(db, req, {
+                action: 'change_role',
+                targetUserId: userId,
+                entityId: userId,
+                description: `Role changed from ${user.role} to ${role}; ${revoked.length} sessions revoked`,
+            });
+
+            res.json({
+                success: true,
+                message: 'Role updated',
+                user: { id: userId, role },
+                revoked,
+            });
+        } catch (err) {
+            console.error('PATCH /admin/users/:id/role error:', err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update role',
+            });
+        }
+    });
+
+    // PATCH /admin/users/:userId/status - Activate or deactivate an account
+    router.patch('/users/:userId/status', statusRoles, async (req, res) => {
+        const userId = targetId(req, res);
+        if (userId === null) return;
+        const { is_active } = req.body;
+
+        if (typeof is_active !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'is_active must be a boolean',
+            });
+        }
+        if (userId === req.user.id && !is_active) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot deactivate your own account',
+            });
+        }
+
+        try {
+            const user = await findUser(userId);
+            if (!user) return userNotFound(res);
+            res.locals.audit = {
+                before: { is_active: Boolean(user.is_active) },
+            };
+
+            await db.query(
+                'UPDATE users SET is_active = ?, updated_by = ?, updated_at = NOW() WHERE id = ?',
+                [is_active, req.user.id, userId]
+            );
+            const revoked = is_active
+                ? []
+                : await revokeSessions(db, req.app.get('io'), userId);
+            await logAdminAction(db, req, {
+                action: is_active ? 'activate_user' : 'deactivate_user',
+                targetUserId: userId,
+                entityId: userId,
+                description: is_active
+                    ? 'Account activated'
+                    : `Account deactivated; ${revoked.length} sessions revoked`,
+            });
+
+            res.json({
+                success: true,
+                message: is_active ? 'User activated' : 'User deactivated',
+                revoked,
+            });
+        } catch (err) {
+            console.error('PATCH /admin/users/:id/status error:', err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update status',
+            });
+        }
+    });
+
+    // POST /admin/users/:userId/logout - Force logout on every device
+    router.post('/users/:userId/logout', logoutRoles, async (req, res) => {
+        const userId = targetId(req, res);
+        if (userId === null) return;
+
+        try {
+            const user = await findUser(userId);
+            if (!user) return userNotFound(res);
+
+            const revoked = await revokeSessions(db, req.app.get('io'), userId);
+            await logAdminAction(db, req, {
+                action: 'force_logout',
+                targetUserId: userId,
+                entityId: userId,
+                description: `${revoked.length} sessions revoked`,
+            });
+
+            res.json({
+                success: true,
+                message: `Logged out of ${revoked.length} sessions`,
+                revoked,
+            });
+        } catch (err) {
+            console.error('POST /admin/users/:id/logout error:', err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to log out user',
+            });
+        }
+    });
+
+    // POST /admin/users/:userId/restore - Undo a soft delete
+    router.post('/users/:userId/restore', restoreRoles, async (req, res) => {
+        const userId = targetId(req, res);
+        if (userId === null) return;
+        const { phone_number, country_code = '+44' } = req.body;
+
+        try {
+            if (phone_number) {
+                const [taken] = await db.query(
+                    'SELECT id FROM users WHERE phone_number = ? AND country_code = ? AND id != ?',
+                    [phone_number.trim(), country_code.trim(), userId]
+                );
+                if (taken.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Phone number already in use',
+                    });
+                }
+            }
+
+            let phoneUpdate = '';
+            const params = [req.user.id];
+            if (phone_number) {
+                phoneUpdate = ', phone_number = ?, country_code = ?';
+                params.push(phone_number.trim(), country_code.trim());
+            }
+
+            const [result] = await db.query(
+                `UPDATE users SET deleted_at = NULL, is_active = TRUE, updated_by = ?, updated_at = NOW()${phoneUpdate}
+                 WHERE id = ? AND deleted_at IS NOT NULL`,
+                [...params, userId]
+            );
+            if (result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Deleted user not found',
+                });
+            }
+
+            await logAdminAction(db, req, {
+                action: 'restore_user',
+                targetUserId: userId,
+                entityId: userId,
+                description: phone_number
+                    ? 'Account restored with a new phone number'
+                    : 'Account restored',
+            });
+
+            res.json({ success: true, message: 'User restored' });
+        } catch (err) {
+            console.error('POST /admin/users/:id/restore error:', err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to restore user',
+            });
+        }
+    });
+
+    // GET /admin/audit-logs - Query the audit trail
+    router.get('/audit-logs', auditRoles, async (req, res) => {
+        const { page = 1, pageSize = 50 } = req.query;
+        const size = Math.min(Math.max(parseInt(pageSize) || 50, 1), 200);
+        const current = Math.max(parseInt(page) || 1, 1);
+        const offset = (current - 1) * size;
+
+        const conditions = [];
+        const params = [];
+        for (const [name, [condition, parse]] of Object.entries(
+            AUDIT_FILTERS
+        )) {
+            if (req.query[name] === undefined) continue;
+            const value = parse(String(req.query[name]));
+            if (value === null) {
+                return res
+                    .status(400)
+                    .json({ success: false, message: `Invalid ${name}` });
+            }
+            conditions.push(condition);
+            params.push(value);
+        }
+        const whereClause = conditions.length
+            ? `WHERE ${conditions.join(' AND ')}`
+            : '';
+
+        try {
+            const [countRows] = await db.query(
+                `SELECT COUNT(*) AS totalCount FROM audit_logs a ${whereClause}`,
+                params
+            );
+            const totalCount = countRows[0].totalCount;
+
+            const [logs] = await db.query(
+                `SELECT a.id, a.actor_user_id, a.actor_role, a.action, a.entity_type, a.entity_id,
+                    a.status_code, a.ip_address, a.user_agent, a.changes, a.created_at
+                 FROM audit_logs a
+                 ${whereClause}
+                 ORDER BY a.created_at DESC, a.id DESC
+                 LIMIT ? OFFSET ?`,
+                [...params, size, offset]
+            );
+
+            res.json({
+                success: true,
+                logs,
+                page: current,
+                pageSize: size,
+                totalCount,
+                hasMore: offset + size < totalCount,
+            });
+        } catch (err) {
+            console.error('GET /admin/audit-logs error:', err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch audit logs',
+            });
+        }
+    });
+
+    return router;
+};
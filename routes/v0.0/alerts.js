@@ -7,6 +7,9 @@
  *
  * Middleware:
  * - body-parser: urlencoded + JSON parsing.
+ * - requireAuth: all routes require a Bearer access token (`req.user`).
+ * - authorize: role checks from middleware/roleMiddleware (403 when the caller's
+ *   role is not allowed).
  *
  * Endpoints:
  * 1) GET /alerts
@@ -18,34 +21,36 @@
  * 2) GET /alerts/user/:userId
  *    - Lists user-specific alerts (most recent first).
  *    - 200: { success:true, alerts }
- *    - 400 on bad userId, 500 on DB error.
+ *    - 400 on bad userId, 403 when userId is not the caller, 500 on DB error.
  *
  * 3) GET /alerts/system
  *    - Lists active system alerts and includes per-user read flag by LEFT JOIN
- *      against system_alert_reads for the supplied ?userId (optional; 0 when absent).
+ *      against system_alert_reads for the authenticated user.
  *    - 200: { success:true, systemAlerts } or 500 on error.
  *
- * 4) POST /alerts/system
+ * 4) POST /alerts/system  (admin)
  *    - Creates user_alerts for each userId provided.
  *    - Body: { userIds:number[], title, message, urgency?, latitude?, longitude?, radius_km?, source? }
  *    - 200: { success:true, message:`Alerts sent to N users` }
  *    - 400 on validation fail, 500 on DB error.
  *
- * 5) POST /alerts/emergency
+ * 5) POST /alerts/emergency  (admin, moderator)
  *    - Inserts a system_alert (category='emergency') then finds users within
  *      radius using Haversine SQL and creates user_alerts + emergency_logs.
- *    - Body: { title, message, latitude, longitude, radius_km, urgency?, created_by? }
+ *    - Body: { title, message, latitude, longitude, radius_km, urgency? }
+ *      (created_by is the authenticated user)
  *    - 200: { success:true, message:`Emergency alert sent to N users`, alert_id }
  *    - 400/500 on errors.
  *
  * 6) PATCH /alerts/:alertId/read
- *    - Marks a user alert read OR records a system alert as read for a user.
- *    - Body: { type:'user'|'system', userId? } (userId required for 'system').
+ *    - Marks one of the caller's user alerts read OR records a system alert as read
+ *      for the caller.
+ *    - Body: { type:'user'|'system' }
  *    - 200 with specific success message, 400 on invalid params, 500 on error.
  *
  * 7) DELETE /alerts/:alertId
- *    - Deletes a user_alert by id.
- *    - 200: { success:true, message:'Alert deleted' }, 400/500 on errors.
+ *    - Deletes one of the caller's user_alerts by id.
+ *    - 200: { success:true, message:'Alert deleted' }, 404 when not found, 400/500 on errors.
  *
  * DB Contract:
  * - Expects `db.query(sql, params)` that resolves to `[rows]` (SELECT) or
@@ -56,11 +61,18 @@
 
 const express = require('express');
 const bodyParser = require('body-parser');
+const { requireAuth, requireSelf } = require('../../middleware/authMiddleware');
+const { authorize } = require('../../middleware/roleMiddleware');
 
 module.exports = (db) => {
     const router = express.Router({ caseSensitive: true });
     router.use(bodyParser.urlencoded({ extended: false }));
     router.use(bodyParser.json());
+    router.use(requireAuth);
+
+    // Role-restricted routes (see ROUTE_PERMISSIONS)
+    const systemRoles = authorize('POST /alerts/system');
+    const emergencyRoles = authorize('POST /alerts/emergency');
 
     router.get('/', async (req, res) => {
         const { category = 'All', page = 1, pageSize = 6 } = req.query;
@@ -106,7 +118,7 @@ module.exports = (db) => {
     });
 
     // GET /alerts/user/:userId - Fetch user alerts
-    router.get('/user/:userId', async (req, res) => {
+    router.get('/user/:userId', requireSelf('userId'), async (req, res) => {
         const userId = parseInt(req.params.userId);
         if (isNaN(userId)) {
             return res
@@ -132,7 +144,7 @@ module.exports = (db) => {
     });
 
     router.get('/system', async (req, res) => {
-        const userId = parseInt(req.query.userId);
+        const userId = req.user.id;
 
         try {
             let query = `
@@ -146,7 +158,7 @@ module.exports = (db) => {
             ORDER BY sa.created_at DESC
         `;
 
-            const [systemAlerts] = await db.query(query, [userId || 0]);
+            const [systemAlerts] = await db.query(query, [userId]);
 
             res.json({ success: true, systemAlerts });
         } catch (err) {
@@ -159,7 +171,7 @@ module.exports = (db) => {
     });
 
     // POST /alerts/system - Create system alert for users
-    router.post('/system', async (req, res) => {
+    router.post('/system', systemRoles, async (req, res) => {
         const {
             userIds,
             title,
@@ -208,16 +220,10 @@ module.exports = (db) => {
     });
 
     // POST /alerts/emergency - Create emergency alerts based on location proximity
-    router.post('/emergency', async (req, res) => {
-        const {
-            title,
-            message,
-            urgency,
-            latitude,
-            longitude,
-            radius_km,
-            created_by,
-        } = req.body;
+    router.post('/emergency', emergencyRoles, async (req, res) => {
+        const { title, message, urgency, latitude, longitude, radius_km } =
+            req.body;
+        const created_by = req.user.id;
         if (
             !title ||
             !message ||
@@ -243,7 +249,7 @@ module.exports = (db) => {
                     latitude,
                     longitude,
                     radius_km,
-                    created_by || null,
+                    created_by,
                 ]
             );
             const alertId = alertResult.insertId;
@@ -301,9 +307,10 @@ module.exports = (db) => {
     // PATCH /alerts/:alertId/read - Mark an alert as read
     router.patch('/:alertId/read', async (req, res) => {
         const alertId = parseInt(req.params.alertId);
-        const { type, userId } = req.body;
+        const { type } = req.body;
+        const userId = req.user.id;
 
-        if (isNaN(alertId) || !type || (type === 'system' && !userId)) {
+        if (isNaN(alertId) || !type) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid parameters',
@@ -313,8 +320,8 @@ module.exports = (db) => {
         try {
             if (type === 'user') {
                 await db.query(
-                    `UPDATE user_alerts SET is_read = TRUE WHERE id = ?`,
-                    [alertId]
+                    `UPDATE user_alerts SET is_read = TRUE WHERE id = ? AND user_id = ?`,
+                    [alertId, userId]
                 );
                 return res.json({
                     success: true,
@@ -353,7 +360,15 @@ module.exports = (db) => {
                 .json({ success: false, message: 'Invalid alert ID' });
         }
         try {
-            await db.query(`DELETE FROM user_alerts WHERE id = ?`, [alertId]);
+            const [result] = await db.query(
+                `DELETE FROM user_alerts WHERE id = ? AND user_id = ?`,
+                [alertId, req.user.id]
+            );
+            if (result.affectedRows === 0) {
+                return res
+                    .status(404)
+                    .json({ success: false, message: 'Alert not found' });
+            }
             res.json({ success: true, message: 'Alert deleted' });
         } catch (err) {
             console.error('DELETE /alerts/:id error:', err);
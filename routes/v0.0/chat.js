@@ -6,12 +6,20 @@
  * read receipts, listing and discovery of local groups, and hard deletes.
  *
  * Middleware:
- * - body-parser: JSON + urlencoded parsing.
+ * - body-parser: JSON + urlencoded parsing; multer for attachment uploads.
+ * - requireAuth: every route needs a Bearer access token; the caller's ID is
+ *   taken from `req.user` rather than `user_id` / `sender_id` in the request.
+ * - authorize: role checks from middleware/roleMiddleware (403 when the caller's
+ *   role is not allowed).
  *
  * Endpoints:
  * 1) GET /chat/list/:user_id
+ *    - `:user_id` must be the authenticated user (403 otherwise).
  *    - Returns all chats the user participates in with enrichment:
  *      • last message (content/sender/timestamp), members list (with role),
+ *      • `unread_count`: messages from others after the caller's read receipt
+ *        (since joining when there is none), and `mention_count`: how many of
+ *        those mention the caller,
  *      • group metadata (radius, lat/lng), and `is_nearby` flag for 1:1 chats
  *        based on matching postal codes.
  *    - Emits `chat:list_update` to the user's room after computing payload.
@@ -22,7 +30,7 @@
  *
  * 2) POST /chat/create
  *    - Creates a new direct or group chat. If direct and already exists, returns it.
- *    - Body: { user_id, participant_ids: number[], is_group=false, group_name=null }
+ *    - Body: { participant_ids: number[], is_group=false, group_name=null }
  *    - Side effects:
  *      • Inserts chat, members (owner/member roles), and user_alerts for participants.
  *    - 201: { success: true, message, chat_id, chat: {..., members:[...] } }
@@ -31,7 +39,7 @@
  *
  * 3) POST /chat/:chat_id/add-members
  *    - Adds members to an existing group (INSERT IGNORE to avoid duplicates).
- *    - Body: { user_id, user_ids: number[] }
+ *    - Body: { user_ids: number[] } (caller must be a member, 403 otherwise)
  *    - Inserts user_alerts for each added member (urgency='advisory').
  *    - Emits `chat:list_update:trigger` to each added member.
  *    - 200: { success: true, message, added_user_ids }
@@ -39,44 +47,199 @@
  *
  * 4) DELETE /chat/:chat_id/remove-member
  *    - Removes a member from a group; only owner can remove others.
- *    - Query: ?user_id=<removee>&requested_by=<ownerId>
+ *    - Query: ?user_id=<removee> (the requester is the authenticated user)
  *    - If the group becomes empty afterwards, deletes messages, receipts, and the chat.
  *    - Emits `chat:list_update:trigger` to the removed user.
  *    - 200 / 400 (owner cannot remove self) / 403 (non-owner) / 500.
  *
  * 5) POST /chat/local-groups/join
  *    - Finds a nearby location-based group via Haversine distance; joins or creates one.
- *    - Body: { userId, latitude, longitude, hasAddress, address }
+ *    - Body: { latitude, longitude, hasAddress, address }
  *    - Inserts a 'moderate' system alert and emits list update.
  *    - 201 when a new group is created, 200 when joined, 400/500 on errors.
  *
- * 6) DELETE /chat/:chat_id
- *    - Hard-deletes a chat and its messages/members.
- *    - 200 on success, 400/500 on errors.
+ * 6) DELETE /chat/:chat_id  (admin, moderator)
+ *    - Hard-deletes a chat and its messages/members, including stored attachment files.
+ *    - 200 on success, 403 for other roles, 400/500 on errors.
  *
  * 7) GET /chat/:chat_id/members
- *    - Lists chat members with display-ready mapping.
+ *    - Lists chat members with display-ready mapping (members only).
+ *    - Each member carries `online` (has a live socket; see sockets/index.js) and
+ *      `last_seen_at`; live changes arrive as `presence:update`.
  *    - 200: { success: true, data: members[] }, 400/500 on errors.
  *
+ * 7a) GET /chat/search
+ *    - Full-text search over messages in every chat the caller belongs to.
+ *    - Query: ?q=<words> (required) &chat_id= &sender_id= &from=<ISO date> &to=<ISO date>
+ *             &page=1&pageSize=20 (max 50)
+ *    - Words match as prefixes (see services/messageSearch); best matches first.
+ *      A `to` date without a time (YYYY-MM-DD) is inclusive: messages from anywhere
+ *      on that day are returned. A `to` with a time is the exact cut-off.
+ *      Deleted messages are never returned; `chat_id` of a chat the caller is not
+ *      in gets 403.
+ *    - 200: { success: true, data: [{ id, chat, sender, message_type, snippet,
+ *      timestamp }], page, pageSize, totalCount, hasMore } where `snippet` is
+ *      HTML-escaped text with matches wrapped in <mark>…</mark>.
+ *    - 400 when q is empty or a filter is malformed, 500 on errors.
+ *
  * 8) GET /chat/:chat_id/messages
- *    - Paged ascending chronological message fetch.
- *    - Query: ?limit=&offset=
- *    - 200: { success: true, data: messages[] }, 400/500 on errors.
+ *    - Cursor-paged message history, newest first (members only).
+ *    - Query: ?limit= (1-100, default 50) and at most one of:
+ *      • before_id=<id> → older messages (scrolling back); `next_cursor` is the next before_id.
+ *      • after_id=<id>  → messages newer than the last one seen (catch-up after a
+ *        reconnect); pages are taken oldest-first so none are skipped, and
+ *        `next_cursor` is the newest ID of the page to use as the next after_id.
+ *      • neither        → the latest messages.
+ *    - Edits and deletions of already-loaded messages arrive via socket events.
+ *    - Each message carries `edited_at`, `is_deleted`, `deleted_at` and `attachments`
+ *      ([{ id, file_url, file_type, thumbnail_url }], URLs of 9e); deleted messages stay in place
+ *      as tombstones with `content: null` and no attachments.
+ *    - Replies carry `reply_to` { id, sender, content (first 140 chars, null when
+ *      deleted), is_deleted }; every message carries its live `reply_count`.
+ *    - `reactions` holds counts per reaction ({ seen: 3, on_my_way: 1 }) and
+ *      `my_reactions` the ones left by the caller.
+ *    - Poll messages carry `poll` with the current results (see 8c), event messages
+ *      `event` with attendance (see 8d) and location messages `location`
+ *      { latitude, longitude, accuracy_m, label, is_live, is_active, expires_at, ... }
+ *      (see 9 and 9d); each is `null` on other messages.
+ *    - 200: { success: true, data: messages[], next_cursor, has_more }
+ *    - 400 on an invalid chat_id or cursor, 500 on errors.
+ *
+ * 8a) GET /chat/:chat_id/messages/:message_id/thread
+ *    - One thread: the parent message and its replies, oldest first (members only).
+ *    - Query: ?limit= (1-100, default 50) &after_id=<last reply seen>
+ *    - 200: { success: true, data: { parent, replies }, next_cursor, has_more }
+ *    - 400 / 403 / 404 (no such message in this chat) / 500.
+ *
+ * 8b) PUT | DELETE /chat/:chat_id/messages/:message_id/reactions/:reaction
+ *    - Adds or removes the caller's reaction (members only). Reactions: seen,
+ *      on_my_way, need_help, thumbs_up, thanks; one per user per reaction, and
+ *      adding twice is a no-op.
+ *    - Emits `chat:reaction` { chat_id, message_id, user_id, reaction,
+ *      action: 'added'|'removed', reactions } to the chat room.
+ *    - 200: { success: true, data: { message_id, reactions, my_reactions } }
+ *    - 400 (unknown reaction) / 403 / 404 (missing or deleted message) / 500.
+ *
+ * 8c) Polls (members only; see services/chatPolls)
+ *    - POST /chat/:chat_id/polls
+ *      Body: { question, options: string[2-10], allows_multiple=false,
+ *              is_anonymous=false, closes_at=null }
+ *      Creates a 'poll' message and emits `chat:new_message` with `poll`.
+ *      201: { success: true, message: 'Poll created', message_id, poll }
+ *    - GET /chat/:chat_id/polls/:poll_id → { success: true, poll }
+ *    - PUT /chat/:chat_id/polls/:poll_id/votes  Body: { option_ids: number[] }
+ *      Replaces the caller's votes (exactly one option unless allows_multiple).
+ *    - DELETE /chat/:chat_id/polls/:poll_id/votes  Retracts the caller's votes.
+ *    - POST /chat/:chat_id/polls/:poll_id/close  Creator only; closes early.
+ *    - Votes and closing emit `chat:poll_updated` (results without `my_votes`) to
+ *      the chat room. Anonymous polls only expose counts; others list `voters`.
+ *    - Polls past `closes_at` count as closed without an event (clients know the time).
+ *    - 400 (invalid input) / 403 (non-member, or closing someone else's poll) /
+ *      404 (also once the poll's message is deleted) / 409 (poll closed) / 500.
+ *
+ * 8d) Events (members only; see services/chatEvents)
+ *    - POST /chat/:chat_id/events
+ *      Body: { title, starts_at, ends_at?, description?, location_name?, latitude?,
+ *              longitude?, capacity?, reminder_minutes=60 }
+ *      Creates an 'event' message and emits `chat:new_message` with `event`.
+ *      201: { success: true, message: 'Event created', message_id, event }
+ *    - GET /chat/:chat_id/events/:event_id → { success: true, event }
+ *      `event` carries counts per status, `spots_left`, the `attendees` list and
+ *      the caller's `my_rsvp`.
+ *    - PUT /chat/:chat_id/events/:event_id/rsvp  Body: { status: 'going'|'maybe'|'not_going' }
+ *    - DELETE /chat/:chat_id/events/:event_id/rsvp  Withdraws the caller's RSVP.
+ *    - RSVP changes emit `chat:event_updated` (without `my_rsvp`) to the chat room.
+ *    - 'going'/'maybe' RSVPs get a `user_alerts` reminder `reminder_minutes` before
+ *      the start (sent by the reminder job started in bin/www).
+ *    - 400 (invalid input) / 403 / 404 (also once the event's message is deleted) /
+ *      409 (event full, or already started) / 500.
  *
  * 9) POST /chat/:chat_id/messages
- *    - Sends a message; supports message_type 'text' or 'location' (stores "{latitude:x,longitude:y}").
- *    - Emits `chat:new_message` to chat room and `chat:list_update:trigger` to sender room.
+ *    - Sends a message as the authenticated user (members only); supports message_type
+ *      'text' or 'location'. Location messages take
+ *      `location: { latitude, longitude, accuracy_m?, label? }` (older clients send it
+ *      as `message.location`) and are stored as coordinates (see services/chatLocations).
+ *    - Optional `reply_to_id` references a live message in the same chat (400 otherwise).
+ *    - Emits `chat:new_message` to chat room and `chat:list_update:trigger` to sender room;
+ *      replies also emit `chat:thread_reply` { chat_id, parent_id, message_id,
+ *      reply_count } to the chat room for thread badges.
+ *    - `@Name` mentions of members in text messages (see services/chatMentions) are
+ *      stored; each mentioned member gets a `user_alerts` entry and `chat:mention`
+ *      { chat_id, message_id, sender, content } in their user room. The new message
+ *      lists their IDs in `mentions`.
+ *    - Optional `client_id` (1-64 letters, digits, '-' or '_', text messages) is a
+ *      sender-generated ID echoed in `chat:new_message` and message listings. A
+ *      retry with the same `client_id` in the same chat is not stored again, and only
+ *      broadcast if the first attempt failed before broadcasting:
+ *      200 { success: true, message: 'Message already sent', message_id, duplicate: true }.
+ *      Location messages are not deduplicated and get 400 when they carry one.
+ *      Sockets can send with `chat:send` and catch up with `sync` (sockets/index.js).
  *    - 201: { success: true, message: 'Message sent', message_id }
  *    - 400/500 on errors.
  *
- * 10) POST /chat/read
- *    - Upserts read receipts for a chat: { chat_id (via req.params—see route), user_id, message_id }.
- *      NOTE: The handler path is `/read` and reads `req.params.chat_id`.
- *    - Emits `chat:read_receipt` to the chat room.
- *    - 200 or 400/500 on errors.
+ * 9a) POST /chat/:chat_id/attachments
+ *    - Multipart upload (members only): `file` (PNG, JPEG, WebP, GIF or PDF, max 10 MB)
+ *      and an optional `message` caption (defaults to the file name).
+ *    - Stores the file via `app.get('chatAttachmentStorage')` (images get a thumbnail),
+ *      creates an 'image' or 'file' message and its `chat_attachments` row.
+ *    - Emits `chat:new_message` (with `attachments`) to the chat room and
+ *      `chat:list_update:trigger` to the sender.
+ *    - 201: { success: true, message: 'Attachment sent', message_id, attachment }
+ *    - 400 (missing/unsupported/too large) / 403 / 500.
+ *
+ * 9b) PATCH /chat/:chat_id/messages/:message_id
+ *    - Body: { message } — edits a text message; sets `edited_at` / `edited_by`.
+ *    - Allowed for the sender, chat owners/admins, and platform admins/moderators.
+ *    - Emits `chat:message_updated` { id, chat_id, content, edited_at, edited_by,
+ *      mentions } to the chat room; members first mentioned by the edit are notified
+ *      as in 9), and mentions the edit removed no longer count in `mention_count`.
+ *    - 200: { success: true, message: 'Message updated', data }
+ *    - 400 (empty or non-text message) / 403 / 404 (missing or deleted, also when
+ *      deleted while the edit was in flight) / 500.
+ *
+ * 9c) DELETE /chat/:chat_id/messages/:message_id
+ *    - Same permissions as PATCH. Clears the content and sets `deleted_at`
+ *      (`edited_by` records who deleted it); the row stays as a tombstone.
+ *      Attachments and their stored files are removed, as are the coordinates of
+ *      location messages (an active live share also emits `chat:live_location_stopped`
+ *      with reason 'deleted', see 9d).
+ *    - Emits `chat:message_deleted` { id, chat_id, deleted_at, deleted_by } to the
+ *      chat room; deleting a reply also emits `chat:thread_reply` (as in 9) with the
+ *      parent's lowered `reply_count`.
+ *    - 200: { success: true, message: 'Message deleted', data } / 403 / 404 / 500.
+ *
+ * 9d) Live location (members only)
+ *    - POST /chat/:chat_id/live-locations
+ *      Body: { latitude, longitude, accuracy_m?, label?, duration_minutes=60 (1-480) }
+ *      Creates a live 'location' message (emits `chat:new_message`); an earlier live
+ *      share of the caller in this chat ends with reason 'replaced'.
+ *      201: { success: true, message: 'Live location started', message_id, location }
+ *    - PUT /chat/:chat_id/live-locations/:message_id  Body: { latitude, longitude, accuracy_m? }
+ *      Moves the caller's active share and emits `chat:live_location` { chat_id,
+ *      message_id, user_id, latitude, longitude, accuracy_m, updated_at } to the chat
+ *      room. Sockets can stream the same update with `chat:live_location_update`.
+ *    - DELETE /chat/:chat_id/live-locations/:message_id  Stops sharing early.
+ *    - Ends emit `chat:live_location_stopped` { chat_id, message_id, user_id, reason }
+ *      with reason 'stopped', 'replaced', 'expired' (the expiry job in bin/www) or
+ *      'deleted' (the message was deleted, see 9c).
+ *    - 400 / 403 / 409 (not the caller's share, or it has ended) / 500.
+ *
+ * 9e) GET /chat/:chat_id/attachments/:attachment_id[/thumbnail]
+ *    - Members only: streams the stored file (or its WebP thumbnail) of a live
+ *      message in the chat with `Cache-Control: private`. Files are kept outside
+ *      www/static, so this is the only way to fetch them.
+ *    - 400 / 403 / 404 (unknown, deleted, no thumbnail or file missing) / 500.
+ *
+ * 10) POST /chat/:chat_id/read
+ *    - Upserts the caller's read receipt for a chat (members only): { message_id }.
+ *      `POST /chat/read` with { chat_id, message_id } is kept for older clients.
+ *    - Receipts only move forward; an older message_id leaves the receipt as is.
+ *    - Emits `chat:read_receipt` to the chat room and `chat:list_update:trigger` to
+ *      the caller's room (unread counts changed).
+ *    - 200 / 400 (missing IDs, or a message from another chat) / 403 / 500.
  *
  * 11) GET /chat/:chat_id/read-receipts
- *    - Lists read receipts with user info.
+ *    - Lists read receipts with user info (members only).
  *    - 200: { success: true, data: [...] }, 400/500 on errors.
  *
  * Socket Rooms:
@@ -91,16 +254,237 @@
 
 const express = require('express');
 const bodyParser = require('body-parser');
+const multer = require('multer');
 const fetch = require('node-fetch');
+const { requireAuth, requireSelf } = require('../../middleware/authMiddleware');
+const { authorize } = require('../../middleware/roleMiddleware');
+const {
+    searchTerms,
+    booleanQuery,
+    highlightSnippet,
+} = require('../../services/messageSearch');
+const {
+    parsePollInput,
+    createPoll,
+    loadPolls,
+    castVote,
+} = require('../../services/chatPolls');
+const {
+    RSVP_STATUSES,
+    parseEventInput,
+    createEvent,
+    loadEvents,
+    setRsvp,
+} = require('../../services/chatEvents');
+const {
+    parseCoordinates,
+    parseLiveDuration,
+    createLocation,
+    updateLiveLocation,
+    stopLiveLocation,
+} = require('../../services/chatLocations');
+const { recordMentions } = require('../../services/chatMentions');
+const {
+    removeAttachmentFiles,
+} = require('../../services/chatAttachmentStorage');
+const {
+    MESSAGE_SELECT,
+    fullName,
+    toMessage,
+    toAttachment,
+    loadExtras,
+    getReactions,
+    sendMessage,
+    publishMessage,
+    loadThreadUpdate,
+    parseClientId,
+    isLiveMessage,
+} = require('../../services/chatMessages');
+
+// A bare search `to` date is inclusive: results run up to the start of the next
+// day. A `to` with a time part is used as given.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const searchUntil = (value) =>
+    DATE_ONLY.test(value)
+        ? new Date(Date.parse(value) + DAY_MS)
+        : new Date(value);
+
+// Who may edit/delete other members' messages
+const CHAT_ADMIN_ROLES = ['owner', 'admin'];
+const STAFF_ROLES = ['admin', 'moderator'];
+
+// Chat attachment uploads (content is re-checked by signature in the storage)
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_MIME_TYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/webp',
+    'image/gif',
+    'application/pdf',
+];
+const ATTACHMENT_MESSAGE_TYPES = ['image', 'file'];
+
+// Quick acknowledgements members can leave on a message
+const REACTIONS = ['seen', 'on_my_way', 'need_help', 'thumbs_up', 'thanks'];
 
 module.exports = (db, io) => {
     const router = express.Router({ caseSensitive: true });
 
     router.use(bodyParser.json());
     router.use(bodyParser.urlencoded({ extended: false }));
+    router.use(requireAuth);
+
+    // Role-restricted routes (see ROUTE_PERMISSIONS)
+    const deleteChatRoles = authorize('DELETE /chat/:chat_id');
+
+    // Caller's chat_members row for a chat, or undefined when not a member
+    const getMembership = async (chatId, userId) => {
+        const [[member]] = await db.query(
+            `SELECT role FROM chat_members WHERE chat_id = ? AND user_id = ? LIMIT 1`,
+            [chatId, userId]
+        );
+        return member;
+    };
+
+    const notMember = (res) =>
+        res
+            .status(403)
+            .json({ success: false, error: 'Not a member of this chat' });
+
+    // Loads a live message for PATCH/DELETE and checks the caller may change it:
+    // the sender, a chat owner/admin, or a platform admin/moderator.
+    // Sends the error response and returns null when not allowed.
+    const loadChangeableMessage = async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        const messageId = parseInt(req.params.message_id);
+        if (isNaN(chatId) || isNaN(messageId)) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid chat_id or message_id',
+            });
+            return null;
+        }
+
+        const isStaff = STAFF_ROLES.includes(req.user.role);
+        const member = isStaff
+            ? null
+            : await getMembership(chatId, req.user.id);
+        if (!isStaff && !member) {
+            notMember(res);
+            return null;
+        }
+
+        const [[message]] = await db.query(
+            `SELECT id, sender_id, message, message_type, reply_to_id, deleted_at
+             FROM chat_messages WHERE id = ? AND chat_id = ? LIMIT 1`,
+            [messageId, chatId]
+        );
+        if (!message || message.deleted_at) {
+            res.status(404).json({
+                success: false,
+                error: 'Message not found',
+            });
+            return null;
+        }
+
+        if (
+            !isStaff &&
+            message.sender_id !== req.user.id &&
+            !CHAT_ADMIN_ROLES.includes(member.role)
+        ) {
+            res.status(403).json({
+                success: false,
+                error: 'Only the sender or a chat admin can change this message',
+            });
+            return null;
+        }
+
+        return { chatId, message };
+    };
+
+    // Deletes a message's attachment rows and their stored files
+    const removeAttachments = async (req, messageId) => {
+        const [rows] = await db.query(
+            'SELECT file_url, thumbnail_url FROM chat_attachments WHERE message_id = ?',
+            [messageId]
+        );
+        await db.query('DELETE FROM chat_attachments WHERE message_id = ?', [
+            messageId,
+        ]);
+        await removeAttachmentFiles(req.app.get('chatAttachmentStorage'), rows);
+    };
+
+    // Loads :poll_id for a member of :chat_id; sends the error response and
+    // returns null when the caller may not see it
+    const findPoll = async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        const pollId = parseInt(req.params.poll_id);
+        if (isNaN(chatId) || isNaN(pollId)) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid chat_id or poll_id',
+            });
+            return null;
+        }
+        if (!(await getMembership(chatId, req.user.id))) {
+            notMember(res);
+            return null;
+        }
+
+        const [poll] = await loadPolls(db, { pollIds: [pollId] }, req.user.id);
+        if (!poll || poll.chat_id !== chatId) {
+            res.status(404).json({ success: false, error: 'Poll not found' });
+            return null;
+        }
+        return poll;
+    };
+
+    // Live results for everyone in the chat (each client keeps its own my_votes)
+    const broadcastPoll = (poll) => {
+        if (!io) return;
+        const { my_votes, ...results } = poll;
+        io.to(`chat_${poll.chat_id}`).emit('chat:poll_updated', results);
+    };
+
+    // Loads :event_id for a member of :chat_id; sends the error response and
+    // returns null when the caller may not see it
+    const findEvent = async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        const eventId = parseInt(req.params.event_id);
+        if (isNaN(chatId) || isNaN(eventId)) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid chat_id or event_id',
+            });
+            return null;
+        }
+        if (!(await getMembership(chatId, req.user.id))) {
+            notMember(res);
+            return null;
+        }
+
+        const [event] = await loadEvents(
+            db,
+            { eventIds: [eventId] },
+            req.user.id
+        );
+        if (!event || event.chat_id !== chatId) {
+            res.status(404).json({ success: false, error: 'Event not found' });
+            return null;
+        }
+        return event;
+    };
+
+    // Live attendance for everyone in the chat (each client keeps its own my_rsvp)
+    const broadcastEvent = (event) => {
+        if (!io) return;
+        const { my_rsvp, ...details } = event;
+        io.to(`chat_${event.chat_id}`).emit('chat:event_updated', details);
+    };
 
     // GET /chat/list/:user_id
-    router.get('/list/:user_id', async (req, res) => {
+    router.get('/list/:user_id', requireSelf('user_id'), async (req, res) => {
         const userId = parseInt(req.params.user_id);
         if (isNaN(userId)) {
             return res
@@ -190,7 +574,30 @@ module.exports = (db, io) => {
                 });
             }
 
-            // Step 4: Final enrich
+            // Step 4: Unread messages from others after the caller's read receipt (or,
+            // without one, since they joined) and how many of those mention them
+            const [unread] = await db.query(
+                `
+                SELECT
+                    m.chat_id,
+                    COUNT(*) AS unread_count,
+                    COUNT(mm.user_id) AS mention_count
+                FROM chat_messages m
+                JOIN chat_members cm ON cm.chat_id = m.chat_id AND cm.user_id = ?
+                LEFT JOIN chat_read_receipts r ON r.chat_id = m.chat_id AND r.user_id = cm.user_id
+                LEFT JOIN chat_message_mentions mm ON mm.message_id = m.id AND mm.user_id = cm.user_id
+                WHERE m.chat_id IN (?)
+                  AND m.deleted_at IS NULL
+                  AND (m.sender_id IS NULL OR m.sender_id <> cm.user_id)
+                  AND (r.message_id IS NULL OR m.id > r.message_id)
+                  AND (r.message_id IS NOT NULL OR m.created_at >= cm.joined_at)
+                GROUP BY m.chat_id
+                `,
+                [userId, chatIds]
+            );
+            const unreadMap = new Map(unread.map((row) => [row.chat_id, row]));
+
+            // Step 5: Final enrich
             const enriched = chats.map((chat) => {
                 const isGroup = !!chat.is_group;
                 const chatMembers = membersMap[chat.chat_id] || [];
@@ -205,6 +612,7 @@ module.exports = (db, io) => {
 
                 const isNearby =
                     !isGroup && otherUser?.postal_code === userPostal;
+                const counts = unreadMap.get(chat.chat_id);
 
                 return {
                     id: chat.chat_id,
@@ -227,6 +635,8 @@ module.exports = (db, io) => {
                     radius_km: chat.radius_km,
                     members: chatMembers,
                     is_nearby: isNearby,
+                    unread_count: counts ? Number(counts.unread_count) : 0,
+                    mention_count: counts ? Number(counts.mention_count) : 0,
                     updated_at: chat.updated_at,
                 };
             });
@@ -248,21 +658,17 @@ module.exports = (db, io) => {
 
     // POST /chat/create
     router.post('/create', async (req, res) => {
+        const user_id = req.user.id;
         const {
-            user_id,
             participant_ids,
             is_group = false,
             group_name = null,
         } = req.body;
 
-        if (
-            !user_id ||
-            !Array.isArray(participant_ids) ||
-            participant_ids.length === 0
-        ) {
+        if (!Array.isArray(participant_ids) || participant_ids.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'user_id and participant_ids are required',
+                error: 'participant_ids are required',
             });
         }
 
@@ -374,21 +780,20 @@ module.exports = (db, io) => {
     // POST /chat/:chat_id/add-members
     router.post('/:chat_id/add-members', async (req, res) => {
         const chatId = parseInt(req.params.chat_id);
-        const { user_id, user_ids } = req.body;
+        const { user_ids } = req.body;
 
-        if (
-            !chatId ||
-            !user_id ||
-            !Array.isArray(user_ids) ||
-            user_ids.length === 0
-        ) {
+        if (!chatId || !Array.isArray(user_ids) || user_ids.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'chat_id, user_id, and user_ids are required',
+                error: 'chat_id and user_ids are required',
             });
         }
 
         try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
+
             // Insert new members into chat_members
             const values = user_ids
                 .map((uid) => `(${chatId}, ${uid}, 'member')`)
@@ -435,20 +840,18 @@ module.exports = (db, io) => {
     // DELETE /chat/:chat_id/remove-member
     router.delete('/:chat_id/remove-member', async (req, res) => {
         const chatId = parseInt(req.params.chat_id);
-        const { user_id, requested_by } = req.query;
-
-        console.log(req.params, user_id, requested_by, chatId);
+        const { user_id } = req.query;
 
-        if (!chatId || !user_id || !requested_by) {
+        if (!chatId || !user_id) {
             return res.status(400).json({
                 success: false,
-                error: 'chat_id, user_id, and requested_by are required',
+                error: 'chat_id and user_id are required',
             });
         }
 
         try {
             const userId = parseInt(user_id);
-            const requestedBy = parseInt(requested_by);
+            const requestedBy = req.user.id;
 
             // Step 1: Ensure requester is group owner
             const [[roleRow]] = await db.query(
@@ -499,8 +902,9 @@ module.exports = (db, io) => {
                 });
             }
 
-            // Step 5: Notify removed user
+            // Step 5: Drop the removed user from the chat room and notify them
             if (io) {
+                io.in(`user_${userId}`).socketsLeave(`chat_${chatId}`);
                 io.to(`user_${userId}`).emit('chat:list_update:trigger');
             }
 
@@ -523,12 +927,13 @@ module.exports = (db, io) => {
     // POST /chat/local-groups/join
     const RADIUS_KM = 0.2; // Default radius for local groups
     router.post('/local-groups/join', async (req, res) => {
-        const { userId, latitude, longitude, hasAddress, address } = req.body;
+        const userId = req.user.id;
+        const { latitude, longitude, hasAddress, address } = req.body;
 
-        if (!userId || !latitude || !longitude || !address) {
+        if (!latitude || !longitude || !address) {
             return res.status(400).json({
                 success: false,
-                error: 'userId, latitude, and longitude are required',
+                error: 'latitude, longitude, and address are required',
             });
         }
 
@@ -630,12 +1035,19 @@ module.exports = (db, io) => {
     });
 
     // DELETE /chat/:chat_id
-    router.delete('/:chat_id', async (req, res) => {
+    router.delete('/:chat_id', deleteChatRoles, async (req, res) => {
         const chatId = parseInt(req.params.chat_id);
         if (isNaN(chatId))
             return res.status(400).json({ error: 'Invalid chat ID' });
 
         try {
+            // Attachment rows go with their messages; the files are removed after
+            const [attachments] = await db.query(
+                `SELECT a.file_url, a.thumbnail_url
+                 FROM chat_attachments a JOIN chat_messages m ON m.id = a.message_id
+                 WHERE m.chat_id = ?`,
+                [chatId]
+            );
             await db.query(`DELETE FROM chat_messages WHERE chat_id = ?`, [
                 chatId,
             ]);
@@ -643,6 +1055,10 @@ module.exports = (db, io) => {
                 chatId,
             ]);
             await db.query(`DELETE FROM chats WHERE id = ?`, [chatId]);
+            await removeAttachmentFiles(
+                req.app.get('chatAttachmentStorage'),
+                attachments
+            );
 
             res.status(200).json({
                 success: true,
@@ -663,20 +1079,28 @@ module.exports = (db, io) => {
                 .json({ success: false, error: 'Invalid chat_id' });
 
         try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
+
             const [rows] = await db.query(
-                `SELECT u.id, u.first_name, u.last_name, u.email, u.profile_picture_url, cm.role
+                `SELECT u.id, u.first_name, u.last_name, u.email, u.profile_picture_url,
+                    u.last_seen_at, cm.role
                  FROM chat_members cm
                  JOIN users u ON cm.user_id = u.id
                  WHERE cm.chat_id = ?`,
                 [chatId]
             );
 
+            const presence = req.app.get('presence');
             const members = rows.map((user) => ({
                 id: user.id,
                 name: `${user.first_name} ${user.last_name || ''}`.trim(),
                 email: user.email,
                 avatar: user.profile_picture_url,
                 role: user.role,
+                online: Boolean(presence && presence.isOnline(user.id)),
+                last_seen_at: user.last_seen_at,
             }));
 
             res.json({ success: true, data: members });
@@ -689,189 +1113,1384 @@ module.exports = (db, io) => {
         }
     });
 
-    // GET /chat/:chat_id/messages
-    router.get('/:chat_id/messages', async (req, res) => {
-        const chatId = parseInt(req.params.chat_id);
-        const limit = parseInt(req.query.limit) || 50;
-        const offset = parseInt(req.query.offset) || 0;
-
-        if (isNaN(chatId))
+    // GET /chat/search
+    router.get('/search', async (req, res) => {
+        const {
+            q,
+            chat_id,
+            sender_id,
+            from,
+            to,
+            page = 1,
+            pageSize = 20,
+        } = req.query;
+        const size = Math.min(Math.max(parseInt(pageSize) || 20, 1), 50);
+        const current = Math.max(parseInt(page) || 1, 1);
+        const offset = (current - 1) * size;
+        const terms = searchTerms(q);
+
+        if (terms.length === 0) {
             return res
                 .status(400)
-                .json({ success: false, error: 'Invalid chat_id' });
+                .json({ success: false, error: 'q is required' });
+        }
+
+        const conditions = ['m.deleted_at IS NULL'];
+        const params = [];
+        const filters = [
+            ['m.chat_id = ?', chat_id, parseInt],
+            ['m.sender_id = ?', sender_id, parseInt],
+            ['m.created_at >= ?', from, (v) => new Date(v)],
+            ['m.created_at < ?', to, searchUntil],
+        ];
+        for (const [condition, raw, parse] of filters) {
+            if (raw === undefined) continue;
+            const value = parse(raw);
+            if (isNaN(value)) {
+                return res
+                    .status(400)
+                    .json({ success: false, error: 'Invalid filter' });
+            }
+            conditions.push(condition);
+            params.push(value);
+        }
+
+        const match = 'MATCH(m.message) AGAINST (? IN BOOLEAN MODE)';
+        const query = booleanQuery(terms);
+        // Membership join keeps results inside the caller's chats
+        const memberJoin =
+            'JOIN chat_members cm ON cm.chat_id = m.chat_id AND cm.user_id = ?';
+        const whereClause = `WHERE ${match} AND ${conditions.join(' AND ')}`;
 
         try {
+            if (
+                chat_id !== undefined &&
+                !(await getMembership(parseInt(chat_id), req.user.id))
+            ) {
+                return notMember(res);
+            }
+
+            const [countRows] = await db.query(
+                `SELECT COUNT(*) AS totalCount FROM chat_messages m ${memberJoin} ${whereClause}`,
+                [req.user.id, query, ...params]
+            );
+            const totalCount = countRows[0].totalCount;
+
             const [rows] = await db.query(
-                `SELECT m.id, m.chat_id, m.sender_id, u.first_name, u.last_name,
-                        m.message AS content, m.message_type, m.created_at
+                `SELECT m.id, m.chat_id, c.name AS chat_name, c.is_group, m.sender_id,
+                        u.first_name, u.last_name, m.message, m.message_type, m.created_at,
+                        ${match} AS score
                  FROM chat_messages m
-                 LEFT JOIN users u ON m.sender_id = u.id
-                 WHERE m.chat_id = ?
-                 ORDER BY m.created_at ASC
+                 ${memberJoin}
+                 JOIN chats c ON c.id = m.chat_id
+                 LEFT JOIN users u ON u.id = m.sender_id
+                 ${whereClause}
+                 ORDER BY score DESC, m.id DESC
                  LIMIT ? OFFSET ?`,
-                [chatId, limit, offset]
+                [query, req.user.id, query, ...params, size, offset]
             );
 
-            const messages = rows.map((msg) => ({
+            const results = rows.map((msg) => ({
                 id: msg.id,
-                chat_id: msg.chat_id,
+                chat: {
+                    id: msg.chat_id,
+                    name: msg.chat_name,
+                    is_group: Boolean(msg.is_group),
+                },
                 sender: {
                     id: msg.sender_id,
                     name: `${msg.first_name || ''} ${
                         msg.last_name || ''
                     }`.trim(),
                 },
-                content: msg.content,
                 message_type: msg.message_type,
+                snippet: highlightSnippet(msg.message, terms),
                 timestamp: msg.created_at,
             }));
 
-            res.json({ success: true, data: messages });
+            res.json({
+                success: true,
+                data: results,
+                page: current,
+                pageSize: size,
+                totalCount,
+                hasMore: offset + size < totalCount,
+            });
         } catch (error) {
-            console.error(`GET /chat/${chatId}/messages failed:`, error);
+            console.error('GET /chat/search failed:', error);
             res.status(500).json({
                 success: false,
-                error: 'Failed to fetch messages',
+                error: 'Failed to search messages',
             });
         }
     });
 
-    // POST /chat/:chat_id/messages
-    router.post('/:chat_id/messages', async (req, res) => {
+    // GET /chat/:chat_id/messages
+    router.get('/:chat_id/messages', async (req, res) => {
         const chatId = parseInt(req.params.chat_id);
-        const { sender_id, message, message_type = 'text' } = req.body;
+        const limit = Math.min(
+            Math.max(parseInt(req.query.limit) || 50, 1),
+            100
+        );
+        const { before_id, after_id } = req.query;
+        const cursor = before_id ?? after_id;
+        const cursorId = parseInt(cursor);
 
-        if (!sender_id || !message) {
+        if (isNaN(chatId))
+            return res
+                .status(400)
+                .json({ success: false, error: 'Invalid chat_id' });
+        if (
+            (before_id !== undefined && after_id !== undefined) ||
+            (cursor !== undefined && !(cursorId > 0))
+        ) {
             return res.status(400).json({
                 success: false,
-                error: 'sender_id and message are required',
+                error: 'Use one positive before_id or after_id',
             });
         }
 
         try {
-            let messageContent = message;
-            let locationData = null;
-
-            // If the message type is "location", extract the latitude and longitude from message
-            if (message_type === 'location' && message.location) {
-                const { latitude, longitude } = message.location;
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
 
-                if (latitude && longitude) {
-                    locationData = { latitude, longitude };
-                    messageContent = `{latitude:${latitude},longitude:${longitude}}`;
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        error: 'Location data is incomplete',
-                    });
-                }
+            // after_id walks forward (oldest first) so catch-up pages have no gaps;
+            // everything else walks back from the newest message. One extra row
+            // tells whether another page exists.
+            const forward = after_id !== undefined;
+            let cursorClause = '';
+            const params = [chatId];
+            if (cursor !== undefined) {
+                cursorClause = forward ? 'AND m.id > ?' : 'AND m.id < ?';
+                params.push(cursorId);
             }
 
-            // Insert the message into the database
-            const [result] = await db.query(
-                `INSERT INTO chat_messages (chat_id, sender_id, message, message_type)
-                VALUES (?, ?, ?, ?)`,
-                [chatId, sender_id, messageContent, message_type]
+            const [page] = await db.query(
+                `${MESSAGE_SELECT}
+                 WHERE m.chat_id = ? ${cursorClause}
+                 ORDER BY m.id ${forward ? 'ASC' : 'DESC'}
+                 LIMIT ?`,
+                [...params, limit + 1]
             );
 
-            const [senderRows] = await db.query(
-                `SELECT first_name, last_name FROM users WHERE id = ?`,
-                [sender_id]
-            );
+            const has_more = page.length > limit;
+            const rows = page.slice(0, limit);
+            const next_cursor = has_more ? rows[rows.length - 1].id : null;
+            if (forward) rows.reverse();
 
-            const senderName = senderRows.length
-                ? `${senderRows[0].first_name} ${
-                      senderRows[0].last_name || ''
-                  }`.trim()
-                : 'Unknown';
+            const extras = await loadExtras(db, rows, req.user.id);
+            const messages = rows.map((msg) => toMessage(msg, extras));
 
-            const newMessage = {
-                id: result.insertId,
-                chat_id: chatId,
-                sender: { id: sender_id, name: senderName },
-                content: messageContent,
-                message_type,
-                timestamp: new Date().toISOString(),
-            };
+            res.json({ success: true, data: messages, next_cursor, has_more });
+        } catch (error) {
+            console.error(`GET /chat/${chatId}/messages failed:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch messages',
+            });
+        }
+    });
 
-            if (io) {
-                io.to(`chat_${chatId}`).emit('chat:new_message', newMessage);
-                io.to(`user_${sender_id}`).emit('chat:list_update:trigger');
-            } else {
-                console.warn(
-                    '⚠️ io not available in POST /chat/:chat_id/messages'
-                );
+    // GET /chat/:chat_id/messages/:message_id/thread
+    router.get('/:chat_id/messages/:message_id/thread', async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        const messageId = parseInt(req.params.message_id);
+        const limit = Math.min(
+            Math.max(parseInt(req.query.limit) || 50, 1),
+            100
+        );
+        const afterId = parseInt(req.query.after_id) || 0;
+
+        if (isNaN(chatId) || isNaN(messageId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid chat_id or message_id',
+            });
+        }
+
+        try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
             }
 
-            res.status(201).json({
+            const [[parent]] = await db.query(
+                `${MESSAGE_SELECT}
+                 WHERE m.id = ? AND m.chat_id = ?`,
+                [messageId, chatId]
+            );
+            if (!parent) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                });
+            }
+
+            // Replies oldest first; one extra row tells whether more follow
+            const [page] = await db.query(
+                `${MESSAGE_SELECT}
+                 WHERE m.reply_to_id = ? AND m.id > ?
+                 ORDER BY m.id ASC
+                 LIMIT ?`,
+                [messageId, afterId, limit + 1]
+            );
+            const has_more = page.length > limit;
+            const replies = page.slice(0, limit);
+
+            const extras = await loadExtras(
+                db,
+                [parent, ...replies],
+                req.user.id
+            );
+
+            res.json({
                 success: true,
-                message: 'Message sent',
-                message_id: result.insertId,
+                data: {
+                    parent: toMessage(parent, extras),
+                    replies: replies.map((msg) => toMessage(msg, extras)),
+                },
+                next_cursor: has_more ? replies[replies.length - 1].id : null,
+                has_more,
             });
         } catch (error) {
-            console.error(`POST /chat/${chatId}/messages failed:`, error);
+            console.error(
+                `GET /chat/${chatId}/messages/${messageId}/thread failed:`,
+                error
+            );
             res.status(500).json({
                 success: false,
-                error: 'Failed to send message',
+                error: 'Failed to fetch thread',
             });
         }
     });
 
-    // POST /chat/:chat_id/read
-    router.post('/read', async (req, res) => {
+    // PUT/DELETE /chat/:chat_id/messages/:message_id/reactions/:reaction
+    const changeReaction = (added) => async (req, res) => {
         const chatId = parseInt(req.params.chat_id);
-        const { user_id, message_id } = req.body;
+        const messageId = parseInt(req.params.message_id);
+        const { reaction } = req.params;
 
-        if (!chatId || !user_id || !message_id) {
+        if (isNaN(chatId) || isNaN(messageId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid chat_id or message_id',
+            });
+        }
+        if (!REACTIONS.includes(reaction)) {
             return res.status(400).json({
                 success: false,
-                error: 'chat_id, user_id, and message_id are required',
+                error: `reaction must be one of: ${REACTIONS.join(', ')}`,
             });
         }
 
         try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
+
+            const [[message]] = await db.query(
+                `SELECT id FROM chat_messages WHERE id = ? AND chat_id = ? AND deleted_at IS NULL`,
+                [messageId, chatId]
+            );
+            if (!message) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                });
+            }
+
             await db.query(
-                `
-            INSERT INTO chat_read_receipts (chat_id, user_id, message_id, read_at)
-            VALUES (?, ?, ?, NOW())
-            ON DUPLICATE KEY UPDATE message_id = VALUES(message_id), read_at = NOW()
-            `,
-                [chatId, user_id, message_id]
+                added
+                    ? `INSERT IGNORE INTO chat_message_reactions (message_id, user_id, reaction) VALUES (?, ?, ?)`
+                    : `DELETE FROM chat_message_reactions WHERE message_id = ? AND user_id = ? AND reaction = ?`,
+                [messageId, req.user.id, reaction]
             );
 
+            const reactions = await getReactions(db, [messageId], req.user.id);
+            const { counts = {}, mine = [] } = reactions.get(messageId) || {};
+
             if (io) {
-                io.to(`chat_${chatId}`).emit('chat:read_receipt', {
+                io.to(`chat_${chatId}`).emit('chat:reaction', {
                     chat_id: chatId,
-                    user_id,
-                    message_id,
-                    read_at: new Date().toISOString(),
+                    message_id: messageId,
+                    user_id: req.user.id,
+                    reaction,
+                    action: added ? 'added' : 'removed',
+                    reactions: counts,
                 });
             }
 
-            res.status(200).json({
+            res.json({
                 success: true,
-                message: 'Read receipt updated',
+                data: {
+                    message_id: messageId,
+                    reactions: counts,
+                    my_reactions: mine,
+                },
             });
         } catch (error) {
-            console.error(`POST /chat/read failed:`, error);
+            console.error(
+                `${req.method} /chat/${chatId}/messages/${messageId}/reactions failed:`,
+                error
+            );
             res.status(500).json({
                 success: false,
-                error: 'Failed to update read receipt',
+                error: 'Failed to update reaction',
             });
         }
-    });
-
-    // GET /chat/:chat_id/read-receipts
-    router.get('/:chat_id/read-receipts', async (req, res) => {
+    };
+    router.put(
+        '/:chat_id/messages/:message_id/reactions/:reaction',
+        changeReaction(true)
+    );
+    router.delete(
+        '/:chat_id/messages/:message_id/reactions/:reaction',
+        changeReaction(false)
+    );
+
+    // POST /chat/:chat_id/polls
+    router.post('/:chat_id/polls', async (req, res) => {
         const chatId = parseInt(req.params.chat_id);
         if (isNaN(chatId)) {
-            return res.status(400).json({
+            return res
+                .status(400)
+                .json({ success: false, error: 'Invalid chat_id' });
+        }
+
+        const { poll, error } = parsePollInput(req.body);
+        if (error) return res.status(400).json({ success: false, error });
+
+        try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
+
+            const { messageId, pollId } = await createPoll(db, {
+                chatId,
+                userId: req.user.id,
+                poll,
+            });
+            const [created] = await loadPolls(
+                db,
+                { pollIds: [pollId] },
+                req.user.id
+            );
+
+            const [senderRows] = await db.query(
+                `SELECT first_name, last_name FROM users WHERE id = ?`,
+                [req.user.id]
+            );
+            const newMessage = {
+                id: messageId,
+                chat_id: chatId,
+                sender: {
+                    id: req.user.id,
+                    name: senderRows.length
+                        ? fullName(
+                              senderRows[0].first_name,
+                              senderRows[0].last_name
+                          )
+                        : 'Unknown',
+                },
+                content: poll.question,
+                message_type: 'poll',
+                timestamp: new Date().toISOString(),
+                attachments: [],
+                reply_to_id: null,
+                poll: created,
+            };
+
+            if (io) {
+                io.to(`chat_${chatId}`).emit('chat:new_message', newMessage);
+                io.to(`user_${req.user.id}`).emit('chat:list_update:trigger');
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Poll created',
+                message_id: messageId,
+                poll: created,
+            });
+        } catch (err) {
+            console.error(`POST /chat/${chatId}/polls failed:`, err);
+            res.status(500).json({
                 success: false,
-                error: 'Invalid chat_id',
+                error: 'Failed to create poll',
+            });
+        }
+    });
+
+    // GET /chat/:chat_id/polls/:poll_id
+    router.get('/:chat_id/polls/:poll_id', async (req, res) => {
+        try {
+            const poll = await findPoll(req, res);
+            if (!poll) return;
+            res.json({ success: true, poll });
+        } catch (err) {
+            console.error(`GET /chat/polls/${req.params.poll_id} failed:`, err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch poll',
+            });
+        }
+    });
+
+    // PUT/DELETE /chat/:chat_id/polls/:poll_id/votes
+    const changeVote = (retract) => async (req, res) => {
+        try {
+            const poll = await findPoll(req, res);
+            if (!poll) return;
+            if (poll.is_closed) {
+                return res
+                    .status(409)
+                    .json({ success: false, error: 'Poll is closed' });
+            }
+
+            let optionIds = [];
+            if (!retract) {
+                const { option_ids } = req.body;
+                const valid = new Set(poll.options.map((o) => o.id));
+                optionIds = Array.isArray(option_ids)
+                    ? [...new Set(option_ids.map((id) => parseInt(id)))]
+                    : [];
+                if (
+                    optionIds.length === 0 ||
+                    optionIds.some((id) => !valid.has(id)) ||
+                    (!poll.allows_multiple && optionIds.length > 1)
+                ) {
+                    return res.status(400).json({
+                        success: false,
+                        error: poll.allows_multiple
+                            ? 'option_ids must list options of this poll'
+                            : 'option_ids must contain exactly one option of this poll',
+                    });
+                }
+            }
+
+            await castVote(db, poll.id, req.user.id, optionIds);
+            const [updated] = await loadPolls(
+                db,
+                { pollIds: [poll.id] },
+                req.user.id
+            );
+            broadcastPoll(updated);
+
+            res.json({ success: true, poll: updated });
+        } catch (err) {
+            console.error(
+                `${req.method} /chat/polls/${req.params.poll_id}/votes failed:`,
+                err
+            );
+            res.status(500).json({
+                success: false,
+                error: 'Failed to record vote',
             });
         }
+    };
+    router.put('/:chat_id/polls/:poll_id/votes', changeVote(false));
+    router.delete('/:chat_id/polls/:poll_id/votes', changeVote(true));
 
+    // POST /chat/:chat_id/polls/:poll_id/close
+    router.post('/:chat_id/polls/:poll_id/close', async (req, res) => {
         try {
+            const poll = await findPoll(req, res);
+            if (!poll) return;
+            if (poll.created_by !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Only the poll creator can close it',
+                });
+            }
+            if (poll.is_closed) {
+                return res
+                    .status(409)
+                    .json({ success: false, error: 'Poll is closed' });
+            }
+
+            await db.query(
+                'UPDATE chat_polls SET closed_at = NOW() WHERE id = ? AND closed_at IS NULL',
+                [poll.id]
+            );
+            const [closed] = await loadPolls(
+                db,
+                { pollIds: [poll.id] },
+                req.user.id
+            );
+            broadcastPoll(closed);
+
+            res.json({ success: true, message: 'Poll closed', poll: closed });
+        } catch (err) {
+            console.error(
+                `POST /chat/polls/${req.params.poll_id}/close failed:`,
+                err
+            );
+            res.status(500).json({
+                success: false,
+                error: 'Failed to close poll',
+            });
+        }
+    });
+
+    // POST /chat/:chat_id/events
+    router.post('/:chat_id/events', async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        if (isNaN(chatId)) {
+            return res
+                .status(400)
+                .json({ success: false, error: 'Invalid chat_id' });
+        }
+
+        const { event, error } = parseEventInput(req.body);
+        if (error) return res.status(400).json({ success: false, error });
+
+        try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
+
+            const { messageId, eventId } = await createEvent(db, {
+                chatId,
+                userId: req.user.id,
+                event,
+            });
+            const [created] = await loadEvents(
+                db,
+                { eventIds: [eventId] },
+                req.user.id
+            );
+
+            const [senderRows] = await db.query(
+                `SELECT first_name, last_name FROM users WHERE id = ?`,
+                [req.user.id]
+            );
+            const newMessage = {
+                id: messageId,
+                chat_id: chatId,
+                sender: {
+                    id: req.user.id,
+                    name: senderRows.length
+                        ? fullName(
+                              senderRows[0].first_name,
+                              senderRows[0].last_name
+                          )
+                        : 'Unknown',
+                },
+                content: event.title,
+                message_type: 'event',
+                timestamp: new Date().toISOString(),
+                attachments: [],
+                reply_to_id: null,
+                event: created,
+            };
+
+            if (io) {
+                io.to(`chat_${chatId}`).emit('chat:new_message', newMessage);
+                io.to(`user_${req.user.id}`).emit('chat:list_update:trigger');
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Event created',
+                message_id: messageId,
+                event: created,
+            });
+        } catch (err) {
+            console.error(`POST /chat/${chatId}/events failed:`, err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to create event',
+            });
+        }
+    });
+
+    // GET /chat/:chat_id/events/:event_id
+    router.get('/:chat_id/events/:event_id', async (req, res) => {
+        try {
+            const event = await findEvent(req, res);
+            if (!event) return;
+            res.json({ success: true, event });
+        } catch (err) {
+            console.error(
+                `GET /chat/events/${req.params.event_id} failed:`,
+                err
+            );
+            res.status(500).json({
+                success: false,
+                error: 'Failed to fetch event',
+            });
+        }
+    });
+
+    // PUT/DELETE /chat/:chat_id/events/:event_id/rsvp
+    const changeRsvp = (retract) => async (req, res) => {
+        try {
+            const { status } = req.body || {};
+            if (!retract && !RSVP_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `status must be one of: ${RSVP_STATUSES.join(', ')}`,
+                });
+            }
+
+            const event = await findEvent(req, res);
+            if (!event) return;
+            if (event.has_started) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Event has already started',
+                });
+            }
+
+            if (retract) {
+                await db.query(
+                    'DELETE FROM chat_event_rsvps WHERE event_id = ? AND user_id = ?',
+                    [event.id, req.user.id]
+                );
+            } else if (!(await setRsvp(db, event.id, req.user.id, status))) {
+                return res
+                    .status(409)
+                    .json({ success: false, error: 'Event is full' });
+            }
+
+            const [updated] = await loadEvents(
+                db,
+                { eventIds: [event.id] },
+                req.user.id
+            );
+            broadcastEvent(updated);
+
+            res.json({ success: true, event: updated });
+        } catch (err) {
+            console.error(
+                `${req.method} /chat/events/${req.params.event_id}/rsvp failed:`,
+                err
+            );
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update RSVP',
+            });
+        }
+    };
+    router.put('/:chat_id/events/:event_id/rsvp', changeRsvp(false));
+    router.delete('/:chat_id/events/:event_id/rsvp', changeRsvp(true));
+
+    // POST /chat/:chat_id/live-locations
+    router.post('/:chat_id/live-locations', async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        if (isNaN(chatId)) {
+            return res
+                .status(400)
+                .json({ success: false, error: 'Invalid chat_id' });
+        }
+
+        const { coords, error } = parseCoordinates(req.body);
+        if (error) return res.status(400).json({ success: false, error });
+        const minutes = parseLiveDuration(req.body.duration_minutes);
+        if (!minutes) {
+            return res.status(400).json({
+                success: false,
+                error: 'duration_minutes must be 1-480',
+            });
+        }
+
+        try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
+
+            const saved = await createLocation(db, {
+                chatId,
+                userId: req.user.id,
+                coords,
+                liveMinutes: minutes,
+            });
+
+            const [senderRows] = await db.query(
+                `SELECT first_name, last_name FROM users WHERE id = ?`,
+                [req.user.id]
+            );
+            const newMessage = {
+                id: saved.messageId,
+                chat_id: chatId,
+                sender: {
+                    id: req.user.id,
+                    name: senderRows.length
+                        ? fullName(
+                              senderRows[0].first_name,
+                              senderRows[0].last_name
+                          )
+                        : 'Unknown',
+                },
+                content: saved.content,
+                message_type: 'location',
+                timestamp: new Date().toISOString(),
+                attachments: [],
+                reply_to_id: null,
+                location: saved.location,
+            };
+
+            if (io) {
+                // Starting a new share ends the previous one in this chat
+                saved.stopped.forEach((messageId) =>
+                    io.to(`chat_${chatId}`).emit('chat:live_location_stopped', {
+                        chat_id: chatId,
+                        message_id: messageId,
+                        user_id: req.user.id,
+                        reason: 'replaced',
+                    })
+                );
+                io.to(`chat_${chatId}`).emit('chat:new_message', newMessage);
+                io.to(`user_${req.user.id}`).emit('chat:list_update:trigger');
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Live location started',
+                message_id: saved.messageId,
+                location: saved.location,
+            });
+        } catch (err) {
+            console.error(`POST /chat/${chatId}/live-locations failed:`, err);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to start live location',
+            });
+        }
+    });
+
+    // PUT/DELETE /chat/:chat_id/live-locations/:message_id
+    const changeLiveLocation = (stop) => async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        const messageId = parseInt(req.params.message_id);
+        if (isNaN(chatId) || isNaN(messageId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid chat_id or message_id',
+            });
+        }
+
+        let coords = null;
+        if (!stop) {
+            const parsed = parseCoordinates(req.body);
+            if (parsed.error) {
+                return res
+                    .status(400)
+                    .json({ success: false, error: parsed.error });
+            }
+            coords = parsed.coords;
+        }
+
+        try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
+
+            const target = { chatId, messageId, userId: req.user.id };
+            const update = stop
+                ? await stopLiveLocation(db, target)
+                : await updateLiveLocation(db, { ...target, coords });
+            if (!update) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'No active live location of yours with this ID',
+                });
+            }
+
+            if (io && stop) {
+                io.to(`chat_${chatId}`).emit('chat:live_location_stopped', {
+                    chat_id: chatId,
+                    message_id: messageId,
+                    user_id: req.user.id,
+                    reason: 'stopped',
+                });
+            } else if (io) {
+                io.to(`chat_${chatId}`).emit('chat:live_location', update);
+            }
+
+            res.json(
+                stop
+                    ? { success: true, message: 'Live location stopped' }
+                    : { success: true, data: update }
+            );
+        } catch (err) {
+            console.error(
+                `${req.method} /chat/${chatId}/live-locations/${messageId} failed:`,
+                err
+            );
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update live location',
+            });
+        }
+    };
+    router.put(
+        '/:chat_id/live-locations/:message_id',
+        changeLiveLocation(false)
+    );
+    router.delete(
+        '/:chat_id/live-locations/:message_id',
+        changeLiveLocation(true)
+    );
+
+    // POST /chat/:chat_id/messages
+    router.post('/:chat_id/messages', async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        const sender_id = req.user.id;
+        const {
+            message,
+            message_type = 'text',
+            reply_to_id,
+            location,
+            client_id,
+        } = req.body;
+        const replyToId =
+            reply_to_id === undefined || reply_to_id === null
+                ? null
+                : parseInt(reply_to_id);
+        const isLocation = message_type === 'location';
+        const clientId = parseClientId(client_id);
+
+        if (
+            isNaN(chatId) ||
+            (!message && !isLocation) ||
+            Number.isNaN(replyToId)
+        ) {
+            return res.status(400).json({
+                success: false,
+                error: 'chat_id and message are required',
+            });
+        }
+        if (clientId === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'client_id must be 1-64 letters, digits, - or _',
+            });
+        }
+        // createLocation does not store client_id, so a retry could not be matched
+        if (isLocation && clientId !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'client_id is not supported for location messages',
+            });
+        }
+
+        // Location messages: { location } (older clients nest it in `message`)
+        let coords = null;
+        if (isLocation) {
+            const parsed = parseCoordinates(location || message?.location);
+            if (parsed.error) {
+                return res
+                    .status(400)
+                    .json({ success: false, error: parsed.error });
+            }
+            coords = parsed.coords;
+        }
+
+        try {
+            if (!(await getMembership(chatId, sender_id))) {
+                return notMember(res);
+            }
+
+            if (
+                replyToId !== null &&
+                !(await isLiveMessage(db, chatId, replyToId))
+            ) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'reply_to_id does not match a message in this chat',
+                });
+            }
+
+            let messageId;
+            if (coords) {
+                const saved = await createLocation(db, {
+                    chatId,
+                    userId: sender_id,
+                    coords,
+                    replyToId,
+                });
+                messageId = saved.messageId;
+                await publishMessage(db, io, {
+                    chatId,
+                    messageId,
+                    senderId: sender_id,
+                    content: saved.content,
+                    messageType: message_type,
+                    replyToId,
+                    location: saved.location,
+                });
+            } else {
+                const sent = await sendMessage(db, io, {
+                    chatId,
+                    senderId: sender_id,
+                    content: message,
+                    messageType: message_type,
+                    replyToId,
+                    clientId,
+                });
+                messageId = sent.messageId;
+
+                // A retried request: already stored, and now delivered
+                if (sent.duplicate) {
+                    return res.json({
+                        success: true,
+                        message: 'Message already sent',
+                        message_id: messageId,
+                        duplicate: true,
+                    });
+                }
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Message sent',
+                message_id: messageId,
+            });
+        } catch (error) {
+            console.error(`POST /chat/${chatId}/messages failed:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send message',
+            });
+        }
+    });
+
+    // Multipart `file` field kept in memory until the storage backend saves it
+    const attachmentUpload = (req, res, next) => {
+        multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 },
+            fileFilter: (req, file, cb) =>
+                cb(null, ATTACHMENT_MIME_TYPES.includes(file.mimetype)),
+        }).single('file')(req, res, (err) => {
+            if (!err) return next();
+            res.status(400).json({
+                success: false,
+                error:
+                    err.code === 'LIMIT_FILE_SIZE'
+                        ? 'Attachment must be at most 10 MB'
+                        : 'Invalid attachment upload',
+            });
+        });
+    };
+
+    // POST /chat/:chat_id/attachments
+    router.post('/:chat_id/attachments', attachmentUpload, async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        const sender_id = req.user.id;
+        const storage = req.app.get('chatAttachmentStorage');
+
+        if (!storage) {
+            console.error('Chat attachment storage is not configured');
+            return res.status(500).json({
+                success: false,
+                error: 'Attachment storage unavailable',
+            });
+        }
+        if (isNaN(chatId) || !req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'chat_id and a PNG, JPEG, WebP, GIF or PDF file are required',
+            });
+        }
+
+        let saved = null;
+        try {
+            if (!(await getMembership(chatId, sender_id))) {
+                return notMember(res);
+            }
+
+            try {
+                saved = await storage.save({ chatId, buffer: req.file.buffer });
+            } catch (err) {
+                if (err.message !== 'Unsupported file type') throw err;
+                return res.status(400).json({
+                    success: false,
+                    error: 'Unsupported file type',
+                });
+            }
+
+            // Caption, falling back to the file name for the chat list preview
+            const caption =
+                (typeof req.body.message === 'string' &&
+                    req.body.message.trim()) ||
+                req.file.originalname.slice(0, 255);
+
+            const [result] = await db.query(
+                `INSERT INTO chat_messages (chat_id, sender_id, message, message_type)
+                VALUES (?, ?, ?, ?)`,
+                [chatId, sender_id, caption, saved.kind]
+            );
+            const [attachmentResult] = await db.query(
+                `INSERT INTO chat_attachments (message_id, file_url, file_type, thumbnail_url)
+                VALUES (?, ?, ?, ?)`,
+                [
+                    result.insertId,
+                    saved.fileKey,
+                    saved.fileType,
+                    saved.thumbnailKey,
+                ]
+            );
+
+            const [senderRows] = await db.query(
+                `SELECT first_name, last_name FROM users WHERE id = ?`,
+                [sender_id]
+            );
+            const senderName = senderRows.length
+                ? `${senderRows[0].first_name} ${
+                      senderRows[0].last_name || ''
+                  }`.trim()
+                : 'Unknown';
+
+            const attachment = toAttachment({
+                id: attachmentResult.insertId,
+                chat_id: chatId,
+                file_type: saved.fileType,
+                thumbnail_url: saved.thumbnailKey,
+            });
+            const newMessage = {
+                id: result.insertId,
+                chat_id: chatId,
+                sender: { id: sender_id, name: senderName },
+                content: caption,
+                message_type: saved.kind,
+                timestamp: new Date().toISOString(),
+                attachments: [attachment],
+                reply_to_id: null,
+            };
+
+            if (io) {
+                io.to(`chat_${chatId}`).emit('chat:new_message', newMessage);
+                io.to(`user_${sender_id}`).emit('chat:list_update:trigger');
+            }
+
+            res.status(201).json({
+                success: true,
+                message: 'Attachment sent',
+                message_id: result.insertId,
+                attachment,
+            });
+        } catch (error) {
+            console.error(`POST /chat/${chatId}/attachments failed:`, error);
+            if (saved) {
+                [saved.fileKey, saved.thumbnailKey].forEach((key) =>
+                    storage.remove(key).catch(() => {})
+                );
+            }
+            res.status(500).json({
+                success: false,
+                error: 'Failed to send attachment',
+            });
+        }
+    });
+
+    // GET /chat/:chat_id/attachments/:attachment_id[/thumbnail]
+    router.get(
+        [
+            '/:chat_id/attachments/:attachment_id',
+            '/:chat_id/attachments/:attachment_id/thumbnail',
+        ],
+        async (req, res) => {
+            const chatId = parseInt(req.params.chat_id);
+            const attachmentId = parseInt(req.params.attachment_id);
+            const thumbnail = req.path.endsWith('/thumbnail');
+            const storage = req.app.get('chatAttachmentStorage');
+
+            if (isNaN(chatId) || isNaN(attachmentId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid chat_id or attachment_id',
+                });
+            }
+            const notFound = () =>
+                res
+                    .status(404)
+                    .json({ success: false, error: 'Attachment not found' });
+
+            try {
+                if (!(await getMembership(chatId, req.user.id))) {
+                    return notMember(res);
+                }
+
+                const [[attachment]] = await db.query(
+                    `SELECT a.file_url, a.file_type, a.thumbnail_url
+                     FROM chat_attachments a JOIN chat_messages m ON m.id = a.message_id
+                     WHERE a.id = ? AND m.chat_id = ? AND m.deleted_at IS NULL`,
+                    [attachmentId, chatId]
+                );
+                const key =
+                    attachment &&
+                    (thumbnail
+                        ? attachment.thumbnail_url
+                        : attachment.file_url);
+                if (!key) return notFound();
+
+                const file = storage ? await storage.read(key) : null;
+                if (!file) return notFound();
+
+                res.set({
+                    'Content-Type': thumbnail
+                        ? 'image/webp'
+                        : attachment.file_type || 'application/octet-stream',
+                    'Cache-Control': 'private, max-age=3600',
+                    'X-Content-Type-Options': 'nosniff',
+                });
+                res.send(file);
+            } catch (error) {
+                console.error(
+                    `GET /chat/${chatId}/attachments/${attachmentId} failed:`,
+                    error
+                );
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to load attachment',
+                });
+            }
+        }
+    );
+
+    // PATCH /chat/:chat_id/messages/:message_id
+    router.patch('/:chat_id/messages/:message_id', async (req, res) => {
+        const content =
+            typeof req.body.message === 'string' ? req.body.message.trim() : '';
+        if (!content) {
+            return res.status(400).json({
+                success: false,
+                error: 'message is required',
+            });
+        }
+
+        try {
+            const found = await loadChangeableMessage(req, res);
+            if (!found) return;
+            const { chatId, message } = found;
+
+            if (message.message_type !== 'text') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Only text messages can be edited',
+                });
+            }
+
+            // Deleted between the lookup and the edit → 404, nothing is resurrected
+            const [result] = await db.query(
+                `UPDATE chat_messages SET message = ?, edited_at = NOW(), edited_by = ?
+                 WHERE id = ? AND deleted_at IS NULL`,
+                [content, req.user.id, message.id]
+            );
+            if (result.affectedRows === 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found',
+                });
+            }
+            res.locals.audit = {
+                entityType: 'chat_message',
+                entityId: message.id,
+            };
+            const mentions = await recordMentions(db, io, {
+                chatId,
+                messageId: message.id,
+                senderId: message.sender_id,
+                text: content,
+                edited: true,
+            });
+
+            const updated = {
+                id: message.id,
+                chat_id: chatId,
+                content,
+                edited_at: new Date().toISOString(),
+                edited_by: req.user.id,
+                mentions,
+            };
+            if (io) {
+                io.to(`chat_${chatId}`).emit('chat:message_updated', updated);
+            }
+
+            res.json({
+                success: true,
+                message: 'Message updated',
+                data: updated,
+            });
+        } catch (error) {
+            console.error(
+                `PATCH /chat/${req.params.chat_id}/messages/${req.params.message_id} failed:`,
+                error
+            );
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update message',
+            });
+        }
+    });
+
+    // DELETE /chat/:chat_id/messages/:message_id
+    router.delete('/:chat_id/messages/:message_id', async (req, res) => {
+        try {
+            const found = await loadChangeableMessage(req, res);
+            if (!found) return;
+            const { chatId, message } = found;
+
+            // Tombstone: the row stays in history with its content cleared
+            await db.query(
+                `UPDATE chat_messages SET message = '', deleted_at = NOW(), edited_by = ?
+                 WHERE id = ? AND deleted_at IS NULL`,
+                [req.user.id, message.id]
+            );
+            if (ATTACHMENT_MESSAGE_TYPES.includes(message.message_type)) {
+                await removeAttachments(req, message.id);
+            }
+            let liveShare = null;
+            if (message.message_type === 'location') {
+                // Drops the coordinates and ends a live share
+                [[liveShare]] = await db.query(
+                    `SELECT user_id FROM chat_locations
+                     WHERE message_id = ? AND is_live = TRUE
+                       AND stopped_at IS NULL AND expires_at > NOW()`,
+                    [message.id]
+                );
+                await db.query(
+                    'DELETE FROM chat_locations WHERE message_id = ?',
+                    [message.id]
+                );
+            }
+            res.locals.audit = {
+                entityType: 'chat_message',
+                entityId: message.id,
+            };
+
+            const deleted = {
+                id: message.id,
+                chat_id: chatId,
+                deleted_at: new Date().toISOString(),
+                deleted_by: req.user.id,
+            };
+            // Deleted replies lower the parent's thread badge
+            const threadUpdate = message.reply_to_id
+                ? await loadThreadUpdate(db, {
+                      chatId,
+                      parentId: message.reply_to_id,
+                      messageId: message.id,
+                  })
+                : null;
+            if (io) {
+                io.to(`chat_${chatId}`).emit('chat:message_deleted', deleted);
+                if (threadUpdate) {
+                    io.to(`chat_${chatId}`).emit(
+                        'chat:thread_reply',
+                        threadUpdate
+                    );
+                }
+                if (liveShare) {
+                    io.to(`chat_${chatId}`).emit('chat:live_location_stopped', {
+                        chat_id: chatId,
+                        message_id: message.id,
+                        user_id: liveShare.user_id,
+                        reason: 'deleted',
+                    });
+                }
+            }
+
+            res.json({
+                success: true,
+                message: 'Message deleted',
+                data: deleted,
+            });
+        } catch (error) {
+            console.error(
+                `DELETE /chat/${req.params.chat_id}/messages/${req.params.message_id} failed:`,
+                error
+            );
+            res.status(500).json({
+                success: false,
+                error: 'Failed to delete message',
+            });
+        }
+    });
+
+    // POST /chat/:chat_id/read
+    const markRead = async (req, res) => {
+        const chatId = parseInt(req.params.chat_id || req.body.chat_id);
+        const user_id = req.user.id;
+        const message_id = parseInt(req.body.message_id);
+
+        if (!chatId || !message_id) {
+            return res.status(400).json({
+                success: false,
+                error: 'chat_id and message_id are required',
+            });
+        }
+
+        try {
+            if (!(await getMembership(chatId, user_id))) {
+                return notMember(res);
+            }
+
+            const [[message]] = await db.query(
+                `SELECT id FROM chat_messages WHERE id = ? AND chat_id = ?`,
+                [message_id, chatId]
+            );
+            if (!message) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'message_id does not match a message in this chat',
+                });
+            }
+
+            // Receipts only move forward, so a late request cannot mark messages unread
+            await db.query(
+                `
+            INSERT INTO chat_read_receipts (chat_id, user_id, message_id, read_at)
+            VALUES (?, ?, ?, NOW())
+            ON DUPLICATE KEY UPDATE
+                read_at = IF(VALUES(message_id) > message_id, NOW(), read_at),
+                message_id = GREATEST(message_id, VALUES(message_id))
+            `,
+                [chatId, user_id, message_id]
+            );
+
+            if (io) {
+                io.to(`chat_${chatId}`).emit('chat:read_receipt', {
+                    chat_id: chatId,
+                    user_id,
+                    message_id,
+                    read_at: new Date().toISOString(),
+                });
+                // Other devices of the caller refresh their unread counts
+                io.to(`user_${user_id}`).emit('chat:list_update:trigger');
+            }
+
+            res.status(200).json({
+                success: true,
+                message: 'Read receipt updated',
+            });
+        } catch (error) {
+            console.error(`POST /chat/${chatId}/read failed:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to update read receipt',
+            });
+        }
+    };
+    router.post('/:chat_id/read', markRead);
+    router.post('/read', markRead); // older clients send chat_id in the body
+
+    // GET /chat/:chat_id/read-receipts
+    router.get('/:chat_id/read-receipts', async (req, res) => {
+        const chatId = parseInt(req.params.chat_id);
+        if (isNaN(chatId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid chat_id',
+            });
+        }
+
+        try {
+            if (!(await getMembership(chatId, req.user.id))) {
+                return notMember(res);
+            }
+
             const [rows] = await db.query(
                 `
             SELECT rr.user_id, rr.message_id, rr.read_at,
@@ -7,6 +7,7 @@
  * Middleware:
  * - express-prettify: pretty JSON when `?pretty=true`.
  * - body-parser: urlencoded + JSON parsing.
+ * - requireAuth: all routes require a Bearer access token and act on `req.user`.
  *
  * Endpoints:
  * 1) GET /documents/:userId
@@ -14,39 +15,40 @@
  *    - Includes a per-document `read_at` for the requesting user via subquery.
  *    - 200: { success: true, data: [...] }
  *    - 400: { success: false, message: 'Invalid or missing user ID' }
+ *    - 403: { success: false, error: 'Forbidden' } when userId is not the caller
  *    - 500: { success: false, message: 'Failed to fetch documents' }
  *
  * 2) POST /documents
  *    - Adds a new document.
- *    - Body required: { user_id, title, url }
- *    - Optional: { description?, file_type?, category='General', uploadedBy=null }
+ *    - Body required: { title, url }
+ *    - Optional: { description?, file_type?, category='General' }
+ *    - user_id / uploaded_by are the authenticated user.
  *    - 201: { success: true, message: 'Document added successfully' }
- *    - 400: { success: false, message: 'Missing required fields (user_id, title, url)' }
+ *    - 400: { success: false, message: 'Missing required fields (title, url)' }
  *    - 500: { success: false, message: 'Failed to add document' }
  *
  * 3) POST /documents/read
  *    - Marks a document as read for a user (upserts with `ON DUPLICATE KEY UPDATE`).
- *    - Body: { user_id, document_id }
+ *    - Body: { document_id }
  *    - 200: { success: true, message: 'Document marked as read' }
  *    - 400 / 500 on validation or DB errors.
  *
  * 4) DELETE /documents/read
  *    - Marks a document as unread by deleting the read marker.
- *    - Query: ?user_id=&document_id=
+ *    - Query: ?document_id=
  *    - 200: { success: true, message: 'Document marked as unread' }
  *    - 404: { success: false, message: 'Document was not marked as read' } (no affected rows)
  *    - 400 / 500 on validation or DB errors.
  *
  * 5) DELETE /documents
  *    - Soft-deletes a single document for a user by URL.
- *    - Body: { user_id, url }
+ *    - Body: { url }
  *    - 200: { success: true, message: 'Document removed' }
  *    - 404: { success: false, message: 'Document not found' }
  *    - 400 / 500 on validation or DB errors.
  *
  * 6) DELETE /documents/all
  *    - Soft-deletes all documents for a user.
- *    - Body: { user_id }
  *    - 200: { success: true, message: 'All documents cleared for user' }
  *    - 400 / 500 on validation or DB errors.
  *
@@ -59,6 +61,7 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const pretty = require('express-prettify');
+const { requireAuth, requireSelf } = require('../../middleware/authMiddleware');
 
 module.exports = (db) => {
     const router = express.Router({ caseSensitive: true });
@@ -66,9 +69,10 @@ module.exports = (db) => {
     router.use(pretty({ query: 'pretty' }));
     router.use(bodyParser.urlencoded({ extended: false }));
     router.use(bodyParser.json());
+    router.use(requireAuth);
 
     // GET /documents/:userId - List docs
-    router.get('/:userId', async (req, res) => {
+    router.get('/:userId', requireSelf('userId'), async (req, res) => {
         const user_id = parseInt(req.params.userId);
 
         if (!user_id || isNaN(user_id)) {
@@ -100,20 +104,19 @@ module.exports = (db) => {
 
     // POST /documents - Add new document
     router.post('/', async (req, res) => {
+        const user_id = req.user.id;
         const {
-            user_id,
             title,
             description,
             url: file_url,
             file_type,
             category = 'General',
-            uploadedBy = null,
         } = req.body;
 
-        if (!user_id || !title || !file_url) {
+        if (!title || !file_url) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields (user_id, title, url)',
+                message: 'Missing required fields (title, url)',
             });
         }
 
@@ -129,7 +132,7 @@ module.exports = (db) => {
                     file_url.trim(),
                     file_type || null,
                     category,
-                    uploadedBy,
+                    user_id,
                 ]
             );
 
@@ -148,12 +151,13 @@ module.exports = (db) => {
 
     // POST /documents/:id/read - Mark as read
     router.post('/read', async (req, res) => {
-        const { user_id, document_id } = req.body;
+        const user_id = req.user.id;
+        const { document_id } = req.body;
 
-        if (!user_id || !document_id) {
+        if (!document_id) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing user_id or document_id',
+                message: 'Missing document_id',
             });
         }
 
@@ -177,12 +181,13 @@ module.exports = (db) => {
 
     // DELETE /documents/:id/read - Mark as unread
     router.delete('/read', async (req, res) => {
-        const { user_id, document_id } = req.query;
+        const user_id = req.user.id;
+        const { document_id } = req.query;
 
-        if (!user_id || !document_id) {
+        if (!document_id) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing user_id or document_id',
+                message: 'Missing document_id',
             });
         }
 
@@ -211,12 +216,13 @@ module.exports = (db) => {
 
     // DELETE /documents - Soft delete a document by URL
     router.delete('/', async (req, res) => {
-        const { user_id, url } = req.body;
+        const user_id = req.user.id;
+        const { url } = req.body;
 
-        if (!user_id || !url) {
+        if (!url) {
             return res.status(400).json({
                 success: false,
-                message: 'User ID and document URL required',
+                message: 'Document URL required',
             });
         }
 
@@ -246,13 +252,7 @@ module.exports = (db) => {
 
     // DELETE /documents/all - Soft delete all user docs
     router.delete('/all', async (req, res) => {
-        const { user_id } = req.body;
-
-        if (!user_id) {
-            return res
-                .status(400)
-                .json({ success: false, message: 'User ID required' });
-        }
+        const user_id = req.user.id;
 
         try {
             await db.query(
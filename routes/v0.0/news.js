@@ -7,39 +7,39 @@
  * Middleware:
  * - express-prettify: pretty JSON output when `?pretty=true`.
  * - body-parser: urlencoded + JSON parsing.
+ * - requireAuth: all /bookmarks routes require a Bearer access token; bookmarks
+ *   always belong to the authenticated user.
  *
  * Helper:
  * - formatDateForMySQL(isoDate): Converts an ISO string to "YYYY-MM-DD HH:MM:SS" (MySQL DATETIME).
  *   Returns null if no date provided.
  *
  * Endpoints:
- * 1) GET /bookmarks?user_id=<id>
+ * 1) GET /bookmarks
  *    - Lists all bookmarks for a user ordered by `bookmarkedAt` DESC.
  *    - 200: Array of bookmarks with normalized field names and ISO-like date strings.
- *    - 400: { error: 'Missing user_id' } if query param absent.
  *    - 500: { error: 'Failed to fetch bookmarks' } on DB error.
  *
  * 2) POST /bookmarks
  *    - Adds a bookmark. Body fields:
- *      { user_id, url, title, description, author?, source?: { id?, name? }, urlToImage?, content?, publishedAt?, category?, bookmarkedAt? }
+ *      { url, title, description, author?, source?: { id?, name? }, urlToImage?, content?, publishedAt?, category?, bookmarkedAt? }
  *    - Defaults: author=null, source fields=null, urlToImage=null, content=null, category='General',
  *      publishedAt -> formatted or null, bookmarkedAt -> provided or "now" (formatted).
  *    - 200: { status: 'added' } on success.
- *    - 400: { error: 'Missing user_id or url' } when required fields absent.
+ *    - 400: { error: 'Missing url' } when required fields absent.
  *    - 409: { error: 'Bookmark already exists' } when MySQL ER_DUP_ENTRY thrown.
  *    - 500: { error: 'Failed to add bookmark', detail } on other DB errors.
  *
- * 3) DELETE /bookmarks?user_id=<id>&url=<url>
+ * 3) DELETE /bookmarks?url=<url>
  *    - Deletes a single bookmark.
  *    - 200: { status: 'deleted' } on success.
  *    - 404: { message: 'Bookmark not found' } when no rows affected.
- *    - 400: { error: 'Missing user_id or url' } when parameters missing.
+ *    - 400: { error: 'Missing url' } when parameters missing.
  *    - 500: { error: 'Failed to delete bookmark' } on DB error.
  *
- * 4) DELETE /bookmarks/all?user_id=<id>
+ * 4) DELETE /bookmarks/all
  *    - Deletes all bookmarks for the given user.
  *    - 200: { status: 'cleared', deleted: <affectedRows> }.
- *    - 400: { error: 'Missing user_id' } when parameter missing.
  *    - 500: { error: 'Failed to delete all bookmarks' } on DB error.
  *
  * DB Contract:
@@ -51,6 +51,7 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const pretty = require('express-prettify');
+const { requireAuth } = require('../../middleware/authMiddleware');
 
 module.exports = (db) => {
     const router = express.Router({ caseSensitive: true });
@@ -58,6 +59,7 @@ module.exports = (db) => {
     router.use(pretty({ query: 'pretty' }));
     router.use(bodyParser.urlencoded({ extended: false }));
     router.use(bodyParser.json());
+    router.use('/bookmarks', requireAuth);
 
     const formatDateForMySQL = (isoDate) => {
         if (!isoDate) return null;
@@ -66,9 +68,7 @@ module.exports = (db) => {
 
     // GET /bookmarks - Get all bookmarks for a user
     router.get('/bookmarks', async (req, res) => {
-        const userId = req.query.user_id;
-
-        if (!userId) return res.status(400).json({ error: 'Missing user_id' });
+        const userId = req.user.id;
 
         try {
             const [rows] = await db.query(
@@ -100,8 +100,8 @@ module.exports = (db) => {
 
     // POST /bookmarks - Add a new bookmark
     router.post('/bookmarks', async (req, res) => {
+        const user_id = req.user.id;
         const {
-            user_id,
             url,
             title,
             description,
@@ -114,8 +114,8 @@ module.exports = (db) => {
             bookmarkedAt,
         } = req.body;
 
-        if (!user_id || !url) {
-            return res.status(400).json({ error: 'Missing user_id or url' });
+        if (!url) {
+            return res.status(400).json({ error: 'Missing url' });
         }
 
         try {
@@ -158,10 +158,11 @@ module.exports = (db) => {
 
     // DELETE /bookmarks - Delete a single bookmark
     router.delete('/bookmarks', async (req, res) => {
-        const { user_id, url } = req.query;
+        const user_id = req.user.id;
+        const { url } = req.query;
 
-        if (!user_id || !url) {
-            return res.status(400).json({ error: 'Missing user_id or url' });
+        if (!url) {
+            return res.status(400).json({ error: 'Missing url' });
         }
 
         try {
@@ -183,11 +184,7 @@ module.exports = (db) => {
 
     // DELETE /bookmarks/all - Delete all bookmarks for a user
     router.delete('/bookmarks/all', async (req, res) => {
-        const { user_id } = req.query;
-
-        if (!user_id) {
-            return res.status(400).json({ error: 'Missing user_id' });
-        }
+        const user_id = req.user.id;
 
         try {
             const [result] = await db.query(
@@ -2,9 +2,9 @@
 /**
  * user.js (User & Contact Routes)
  *
- * This Express router exposes user-facing endpoints for profile lookup, search suggestions,
- * registration and OTP login, basic geo-IP context, location updates, and CRUD-style
- * emergency contact management.
+ * This Express router exposes user-facing endpoints for profile lookup and updates, search
+ * suggestions, registration and OTP login, basic geo-IP context, location updates, CRUD-style
+ * emergency contact management, device sessions, and account deletion / data export.
  *
  * Middlewares:
  * - express-prettify: optional pretty-printing when `?pretty=true` is supplied.
@@ -19,7 +19,7 @@
  *      • 200: { ip, geoData }
  *    - Errors: 500 with { error: 'Failed to process request' } on DB failures.
  *
- * 2) GET /user/suggestions?search=<term>
+ * 2) GET /user/suggestions?search=<term>  (auth)
  *    - Finds up to 5 recently created, active users matching the search term across
  *      name, email, phone, and location fields.
  *      • 200: { success: true, data: <mapped user summaries> }
@@ -29,52 +29,141 @@
  *    - Registers a new user (first_name, email, phone_number, country_code required).
  *      • De-dupes by (phone_number, country_code) OR email.
  *      • Enriches city/state/country/lat/long from geo-IP when not supplied.
- *      • Creates an OTP record (6-digit code, 5-minute expiry).
- *      • 200: { success: true, user_id, message }
+ *      • Creates an OTP record (6-digit code, 5-minute expiry, stored bcrypt-hashed)
+ *        and sends it via the OTP delivery service (optional body `channel`).
+ *      • 200: { success: true, user_id, message, delivery } (+ otp_code in dev mode only)
+ *      • 502: { success: false, message: 'OTP delivery failed', user_id, delivery } when no
+ *        channel succeeded (the user is still created; request a new code via /request-otp)
  *      • 409: { success: false, message: 'User already exists' }
+ *      • 429: { success: false, message, retry_after } when OTP requests are throttled
  *      • 400 / 500 on validation or server errors.
  *
  * 4) POST /user/request-otp
  *    - Issues a new OTP for an existing user; invalidates unused prior OTPs.
- *      • 200: { success: true, user_id, message, otp_code }
+ *    - Body: { phone_number, country_code?, channel? ('sms' | 'email' | 'console') }
+ *      • 200: { success: true, user_id, message, delivery } (+ otp_code in dev mode only)
+ *      • 502: { success: false, message: 'OTP delivery failed', user_id, delivery } when no channel succeeded
  *      • 404: { success: false, message: 'User not found' }
+ *      • 429: { success: false, message, retry_after } when OTP requests are throttled
  *      • 400 / 500 on validation or server errors.
  *
  * 5) POST /user/verify-otp
- *    - Verifies a valid (non-expired, not already used) OTP and marks the user’s
- *      phone as verified.
- *      • 200: { success: true, message: 'OTP verified', user }
- *      • 401: { success: false, message: 'Invalid or expired OTP' }
- *      • 429: { success: false, message: 'Too many attempts' }
+ *    - Verifies the user's newest valid (non-expired, not already used) OTP against
+ *      its hash, sets `verified_at` and marks the user’s phone as verified.
+ *    - Wrong codes increment `attempts`; after `max_attempts` the OTP is locked.
+ *    - Opens a device session (user_sessions) using the IP / user agent captured
+ *      with the OTP request and returns a short-lived access token plus a refresh token.
+ *      • 200: { success: true, message: 'OTP verified', user, access_token, token_type,
+ *               expires_in, refresh_token, refresh_expires_in, session_id }
+ *      • 401: { success: false, message: 'Invalid or expired OTP', attempts_remaining? }
+ *      • 429: { success: false, message: 'Too many attempts' } once locked
  *      • 400 / 500 on validation or server errors.
  *
- * 6) PATCH /user/:userId/location
+ * 6) PATCH /user/:userId/location  (auth, self only)
  *    - Updates a user’s latitude/longitude.
  *      • 200: { success: true, message: 'User location updated' }
  *      • 400 / 500 on validation or server errors.
  *
- * 7) GET /user/emergency-contacts/:userId
+ * 7) PATCH /user/:userId  (auth, self only)
+ *    - Updates any of first_name, last_name, email, date_of_birth (YYYY-MM-DD),
+ *      address_line1, address_line2, city, state, postal_code, country and
+ *      profile_picture_url (http/https). Empty strings clear optional fields.
+ *      • 200: { success: true, message: 'Profile updated', user }
+ *      • 400: { success: false, message: 'Invalid input', errors: { field: reason } }
+ *             or unknown / missing fields
+ *      • 404: { success: false, message: 'User not found' } for deleted users
+ *      • 409: { success: false, message: 'Email already in use' }
+ *
+ * 8) POST /user/:userId/avatar  (auth, self only)
+ *    - multipart/form-data with one `avatar` file (PNG, JPEG or WebP, max 2 MB; the
+ *      file signature is checked, not just the declared type). Saved through the
+ *      app's `avatarStorage` backend; the previous uploaded avatar is removed.
+ *      • 200: { success: true, message: 'Avatar updated', profile_picture_url }
+ *      • 400: { success: false, message } for missing, oversized or non-image files
+ *      • 404: { success: false, message: 'User not found' }
+ *
+ * 9) GET /user/emergency-contacts/:userId  (auth, self only)
  *    - Lists non-deleted emergency contacts for the user, newest first.
  *      • 200: { success: true, data: [...] }
  *      • 400 / 500 on validation or server errors.
  *
- * 8) POST /user/emergency-contacts
+ * 10) POST /user/emergency-contacts  (auth; contact is added for the caller)
  *    - Adds an emergency contact if not present; restores if previously soft-deleted.
  *      • 200: { success: true, message: 'Emergency contact added' | 'Emergency contact restored' }
  *      • 409: { success: false, message: 'Contact already exists' } if active duplicate
  *      • 400 / 500 on validation or server errors.
  *
- * 9) DELETE /user/emergency-contacts/:id
- *    - Soft-deletes a contact (sets deleted_at).
+ * 11) DELETE /user/emergency-contacts/:id  (auth)
+ *    - Soft-deletes one of the caller's contacts (sets deleted_at).
  *      • 200: { success: true, message: 'Emergency contact deleted' }
+ *      • 404: { success: false, message: 'Contact not found' }
  *      • 400 / 500 on validation or server errors.
  *
+ * 12) POST /user/token/refresh
+ *    - Body: { refresh_token }. Rotates the refresh token (one-time use), updates the
+ *      session's last-seen time/IP/user agent and issues a new access token.
+ *      • 200: { success: true, access_token, token_type, expires_in, refresh_token,
+ *               refresh_expires_in, session_id }
+ *      • 401: { success: false, message: 'Invalid or expired refresh token' }
+ *
+ * 13) GET /user/sessions  (auth)
+ *    - Lists the caller's active device sessions; `current` marks the calling session.
+ *      • 200: { success: true, data: [{ id, ip_address, user_agent, created_at,
+ *               last_seen_at, expires_at, current }] }
+ *
+ * 14) DELETE /user/sessions/:sessionId  (auth)
+ *    - Revokes one of the caller's sessions and disconnects its sockets.
+ *      • 200: { success: true, message: 'Session revoked' }
+ *      • 404: { success: false, message: 'Session not found' }
+ *
+ * 15) POST /user/logout  (auth)
+ *    - Revokes the session the access token belongs to.
+ *      • 200: { success: true, message: 'Logged out' }
+ *
+ * 16) DELETE /user/sessions  (auth)
+ *    - "Log out everywhere": revokes every active session of the caller.
+ *      • 200: { success: true, message: 'Logged out of N sessions', revoked }
+ *
+ * 17) GET /user/:userId/export  (auth, self only)
+ *    - Downloads a JSON archive (Content-Disposition: attachment) of everything held
+ *      about the user: profile, emergency contacts, chats and messages, alerts, quiz
+ *      history, tasks, badges/XP, bookmarks, documents, sessions and logins.
+ *      • 200: { exported_at, profile, emergency_contacts, chats, messages, ... }
+ *      • 404: { success: false, message: 'User not found' }
+ *
+ * 18) DELETE /user/:userId  (auth, self only)
+ *    - Deletes the account (services/accountService): anonymises and soft-deletes the
+ *      user row, blanks their chat messages, hands owned groups to another member,
+ *      removes personal rows (contacts, bookmarks, alerts, quiz history, ...),
+ *      revokes all sessions and disconnects the user's sockets. The avatar and the
+ *      stored files of removed chat attachments are deleted after the commit.
+ *      • 200: { success: true, message: 'Account deleted' }
+ *      • 404: { success: false, message: 'User not found' }
+ *
  * Implementation Notes:
  * - IP Derivation: prioritizes 'x-forwarded-for' then connection/socket addresses.
  * - Geo: Uses `geoip-lite.lookup(ip)`; fields may be undefined depending on IP.
  * - DB Layer: expects a `db.query(sql, params)` with [rows] semantics.
- * - Security: OTP values are logged to the server console for dev/testing; in production,
- *   use a secure channel (e.g., SMS provider) and remove logs.
+ * - Profile writes (location, profile, avatar) set `updated_by` to the caller and
+ *   bump `updated_at` explicitly, even when the new values equal the old ones.
+ * - Auth: routes marked (auth) require `Authorization: Bearer <access_token>` as
+ *   issued by /verify-otp or /token/refresh; the caller's ID comes from the token,
+ *   not the body. On every request requireAuth also looks the account up through the
+ *   app's `accountLookup` (sessionService.findActiveAccount): the role comes from
+ *   the users row, and revoked sessions and deactivated or deleted users get 401
+ *   straight away. Revoking a session also disconnects its sockets immediately.
+ * - OTP throttling: /register and /request-otp share per-phone (cooldown + hourly window)
+ *   and per-IP limits; throttled calls get 429 { success: false, message, retry_after }
+ *   where `retry_after` is in seconds (also sent as the `Retry-After` header).
+ * - OTP delivery: `delivery` lists `{ channel, status }` per attempted channel
+ *   ('sent' | 'failed' | 'skipped'); each attempt is recorded in `otp_deliveries`.
+ *   An unknown `channel` is rejected with 400 'Unsupported delivery channel'.
+ * - Security: OTP codes are stored as bcrypt hashes (services/otpService). They are only
+ *   returned in responses when the app runs with `otpDevMode` enabled (`OTP_DEV_MODE`
+ *   in config), e.g. for the demo client's auto-verification. The 'console' delivery
+ *   channel logs every code it sends (or appends it to its `filePath`), whatever
+ *   `otpDevMode` says, and is the default when `OTP_DELIVERY` configures no
+ *   provider, so production setups must configure sms and/or email.
  *
  * Author: Sunidhi Abhange
  */
@@ -83,6 +172,104 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const geoip = require('geoip-lite');
 const pretty = require('express-prettify');
+const multer = require('multer');
+const emailValidator = require('email-validator');
+const { requireAuth, requireSelf } = require('../../middleware/authMiddleware');
+const {
+    createSession,
+    rotateSession,
+    listSessions,
+    revokeSessions,
+} = require('../../services/sessionService');
+const { issueOtp, verifyOtp } = require('../../services/otpService');
+const { detectImageType } = require('../../services/avatarStorage');
+const {
+    removeAttachmentFiles,
+} = require('../../services/chatAttachmentStorage');
+const {
+    deleteAccount,
+    exportAccount,
+} = require('../../services/accountService');
+
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+const AVATAR_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Optional trimmed string of at most `max` characters ('' clears the field)
+const text =
+    (max, { required = false, pattern = null } = {}) =>
+    (value) => {
+        if (value == null || value === '') {
+            return required ? { error: 'is required' } : { value: null };
+        }
+        if (typeof value !== 'string') return { error: 'must be a string' };
+        const trimmed = value.trim();
+        if (required && !trimmed) return { error: 'is required' };
+        if (trimmed.length > max) {
+            return { error: `must be at most ${max} characters` };
+        }
+        if (trimmed && pattern && !pattern.test(trimmed)) {
+            return { error: 'has an invalid format' };
+        }
+        return { value: trimmed || null };
+    };
+
+const dateOfBirth = (value) => {
+    if (value == null || value === '') return { value: null };
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match && new Date(`${value}T00:00:00Z`);
+    if (!date || date.toISOString().slice(0, 10) !== value) {
+        return { error: 'must be a valid YYYY-MM-DD date' };
+    }
+    if (date > new Date() || date.getUTCFullYear() < 1900) {
+        return { error: 'must be a date between 1900 and today' };
+    }
+    return { value };
+};
+
+const email = (value) => {
+    const result = text(255, { required: true })(value);
+    if (result.error) return result;
+    if (!emailValidator.validate(result.value)) {
+        return { error: 'must be a valid email address' };
+    }
+    return { value: result.value.toLowerCase() };
+};
+
+const httpUrl = (value) => {
+    if (value == null || value === '') return { value: null };
+    try {
+        const url = new URL(value);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+        return value.length > 2048
+            ? { error: 'must be at most 2048 characters' }
+            : { value };
+    } catch (err) {
+        return { error: 'must be an http(s) URL' };
+    }
+};
+
+// Fields accepted by PATCH /user/:userId and how each one is validated
+const PROFILE_FIELDS = {
+    first_name: text(100, { required: true }),
+    last_name: text(100),
+    email,
+    date_of_birth: dateOfBirth,
+    address_line1: text(255),
+    address_line2: text(255),
+    city: text(100),
+    state: text(100),
+    postal_code: text(20, { pattern: /^[A-Za-z0-9][A-Za-z0-9 -]*$/ }),
+    country: text(100),
+    profile_picture_url: httpUrl,
+};
+
+// Own keys only, so `__proto__` or `constructor` in a body is an unknown field
+const isProfileField = (field) =>
+    Object.prototype.hasOwnProperty.call(PROFILE_FIELDS, field);
+
+const PROFILE_COLUMNS = `id, first_name, last_name, email, phone_number, country_code, date_of_birth,
+    address_line1, address_line2, city, state, postal_code, country, profile_picture_url,
+    updated_by, updated_at`;
 
 module.exports = (db) => {
     const router = express.Router({ caseSensitive: true });
@@ -91,6 +278,66 @@ module.exports = (db) => {
     router.use(bodyParser.urlencoded({ extended: false }));
     router.use(bodyParser.json());
 
+    // Routes addressed by :userId may only be called by that user
+    const selfOnly = [requireAuth, requireSelf('userId')];
+
+    // OTP codes are only echoed back when `otpDevMode` is enabled
+    const devOtp = (req, otp) =>
+        req.app.get('otpDevMode') ? { otp_code: otp.code } : {};
+
+    // Per-phone / per-IP OTP limits configured on the app (middleware/otpThrottle)
+    const otpThrottle = (req, res, next) => {
+        const throttle = req.app.get('otpThrottle');
+        if (!throttle) {
+            console.error('OTP throttle is not configured');
+            return res
+                .status(500)
+                .json({ success: false, message: 'OTP service unavailable' });
+        }
+        throttle(req, res, next);
+    };
+
+    // Optional `channel` in the body must be one the delivery service offers
+    const badChannel = (req) => {
+        const { channel } = req.body;
+        return (
+            channel && !req.app.get('otpDelivery').channels.includes(channel)
+        );
+    };
+
+    // Dispatch through services/otpDelivery; returns per-channel statuses
+    const sendOtp = (req, user, otp) =>
+        req.app.get('otpDelivery').deliver(db, {
+            otpId: otp.otpId,
+            user,
+            code: otp.code,
+            channel: req.body.channel || null,
+        });
+
+    // 502 when no channel delivered the code, so the client knows none was sent
+    const deliveryFailed = (res, user_id, delivery) =>
+        res.status(502).json({
+            success: false,
+            message: 'OTP delivery failed',
+            user_id,
+            delivery,
+        });
+
+    const unsupportedChannel = (res) =>
+        res
+            .status(400)
+            .json({ success: false, message: 'Unsupported delivery channel' });
+
+    // Token fields shared by /verify-otp and /token/refresh
+    const tokenResponse = (tokens, user, session) => ({
+        access_token: tokens.signAccessToken(user, session.sessionId),
+        token_type: 'Bearer',
+        expires_in: tokens.accessTokenTtlSeconds,
+        refresh_token: session.refreshToken,
+        refresh_expires_in: tokens.refreshTokenTtlSeconds,
+        session_id: session.sessionId,
+    });
+
     // GET /user - By token or IP
     router.get('/', async (req, res) => {
         const getToken = req.query.token;
@@ -123,7 +370,7 @@ module.exports = (db) => {
     });
 
     // GET /chat/suggestions?q=search_term — Search active users
-    router.get('/suggestions', async (req, res) => {
+    router.get('/suggestions', requireAuth, async (req, res) => {
         const search =
             typeof req.query.search === 'string'
                 ? req.query.search.trim().toLowerCase()
@@ -202,7 +449,7 @@ module.exports = (db) => {
     });
 
     // POST /register
-    router.post('/register', async (req, res) => {
+    router.post('/register', otpThrottle, async (req, res) => {
         const {
             first_name,
             last_name,
@@ -221,6 +468,7 @@ module.exports = (db) => {
                 .status(400)
                 .json({ success: false, message: 'Missing required fields' });
         }
+        if (badChannel(req)) return unsupportedChannel(res);
 
         try {
             const [existing] = await db.query(
@@ -254,26 +502,33 @@ module.exports = (db) => {
                 ]
             );
 
-            const otp_code = Math.floor(
-                100000 + Math.random() * 900000
-            ).toString();
-            const expires_at = new Date(Date.now() + 5 * 60 * 1000);
-            const ip = req.ip || req.connection.remoteAddress;
-            const userAgent = req.headers['user-agent'] || '';
-
-            await db.query(
-                `INSERT INTO otp_logins (user_id, otp_code, expires_at, ip_address, user_agent)
-                VALUES (?, ?, ?, ?, ?)`,
-                [insertResult.insertId, otp_code, expires_at, ip, userAgent]
+            const otp = await issueOtp(db, {
+                userId: insertResult.insertId,
+                ipAddress: req.ip || req.connection.remoteAddress,
+                userAgent: req.headers['user-agent'] || '',
+            });
+            const delivery = await sendOtp(
+                req,
+                {
+                    id: insertResult.insertId,
+                    email: email.trim().toLowerCase(),
+                    phone_number: phone_number.trim(),
+                    country_code: country_code.trim(),
+                },
+                otp
             );
 
-            console.log(`OTP for user ${insertResult.insertId}:`, otp_code);
+            // The account exists either way; the client retries via /request-otp
+            if (!delivery.some((d) => d.status === 'sent')) {
+                return deliveryFailed(res, insertResult.insertId, delivery);
+            }
 
             return res.status(200).json({
                 success: true,
                 message: 'User registered successfully',
                 user_id: insertResult.insertId,
-                otp_code: otp_code
+                delivery,
+                ...devOtp(req, otp),
             });
         } catch (err) {
             console.error(err);
@@ -284,7 +539,7 @@ module.exports = (db) => {
     });
 
     // POST /request-otp - Generate OTP for existing user and invalidate previous
-    router.post('/request-otp', async (req, res) => {
+    router.post('/request-otp', otpThrottle, async (req, res) => {
         const { phone_number, country_code = '+44' } = req.body;
 
         if (!phone_number) {
@@ -292,10 +547,11 @@ module.exports = (db) => {
                 .status(400)
                 .json({ success: false, message: 'Phone number required' });
         }
+        if (badChannel(req)) return unsupportedChannel(res);
 
         try {
             const [users] = await db.query(
-                'SELECT id FROM users WHERE phone_number = ? AND country_code = ?',
+                'SELECT id, email, phone_number, country_code FROM users WHERE phone_number = ? AND country_code = ?',
                 [phone_number, country_code]
             );
 
@@ -312,26 +568,23 @@ module.exports = (db) => {
                 [user_id]
             );
 
-            const otp_code = Math.floor(
-                100000 + Math.random() * 900000
-            ).toString();
-            const expires_at = new Date(Date.now() + 5 * 60 * 1000);
-            const ip = req.ip || req.connection.remoteAddress;
-            const userAgent = req.headers['user-agent'] || '';
-
-            await db.query(
-                `INSERT INTO otp_logins (user_id, otp_code, expires_at, ip_address, user_agent)
-                VALUES (?, ?, ?, ?, ?)`,
-                [user_id, otp_code, expires_at, ip, userAgent]
-            );
+            const otp = await issueOtp(db, {
+                userId: user_id,
+                ipAddress: req.ip || req.connection.remoteAddress,
+                userAgent: req.headers['user-agent'] || '',
+            });
+            const delivery = await sendOtp(req, users[0], otp);
 
-            console.log(`New OTP for user ${user_id}:`, otp_code);
+            if (!delivery.some((d) => d.status === 'sent')) {
+                return deliveryFailed(res, user_id, delivery);
+            }
 
             return res.json({
                 success: true,
                 message: 'OTP sent successfully',
                 user_id,
-                otp_code,
+                delivery,
+                ...devOtp(req, otp),
             });
         } catch (err) {
             console.error(err);
@@ -341,7 +594,7 @@ module.exports = (db) => {
         }
     });
 
-    // POST /verify-otp - Validate OTP and return user
+    // POST /verify-otp - Validate OTP and return user with an access token
     router.post('/verify-otp', async (req, res) => {
         const { user_id, otp_code } = req.body;
 
@@ -353,32 +606,24 @@ module.exports = (db) => {
         }
 
         try {
-            const now = new Date();
-            const [results] = await db.query(
-                `SELECT * FROM otp_logins
-                WHERE user_id = ? AND otp_code = ? AND is_used = FALSE AND expires_at > ?
-                ORDER BY created_at DESC LIMIT 1`,
-                [user_id, otp_code, now]
-            );
+            const result = await verifyOtp(db, user_id, otp_code);
 
-            if (results.length === 0) {
+            if (result.status === 'locked') {
+                return res
+                    .status(429)
+                    .json({ success: false, message: 'Too many attempts' });
+            }
+            if (result.status !== 'verified') {
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid or expired OTP',
+                    ...(result.status === 'invalid' && {
+                        attempts_remaining: result.attemptsRemaining,
+                    }),
                 });
             }
 
-            const otp = results[0];
-            if (otp.attempts >= otp.max_attempts) {
-                return res
-                    .status(429)
-                    .json({ success: false, message: 'Too many attempts' });
-            }
-
-            await db.query(
-                `UPDATE otp_logins SET is_used = TRUE, attempts = attempts + 1 WHERE id = ?`,
-                [otp.id]
-            );
+            const { otp } = result;
             await db.query(
                 `UPDATE users SET is_phone_verified = TRUE WHERE id = ?`,
                 [user_id]
@@ -388,11 +633,21 @@ module.exports = (db) => {
                 `SELECT * FROM users WHERE id = ?`,
                 [user_id]
             );
+            const user = userResults[0];
+
+            const tokens = req.app.get('tokens');
+            const session = await createSession(db, tokens, {
+                userId: user.id,
+                otpLoginId: otp.id,
+                ipAddress: otp.ip_address || req.ip,
+                userAgent: otp.user_agent || req.headers['user-agent'] || null,
+            });
 
             return res.json({
                 success: true,
                 message: 'OTP verified',
-                user: userResults[0],
+                user,
+                ...tokenResponse(tokens, user, session),
             });
         } catch (err) {
             console.error(err);
@@ -403,7 +658,7 @@ module.exports = (db) => {
     });
 
     // PATCH /user/:userId/location - Update user's location
-    router.patch('/:userId/location', async (req, res) => {
+    router.patch('/:userId/location', selfOnly, async (req, res) => {
         const userId = parseInt(req.params.userId);
         const { latitude, longitude } = req.body;
 
@@ -415,8 +670,8 @@ module.exports = (db) => {
 
         try {
             await db.query(
-                `UPDATE users SET latitude = ?, longitude = ? WHERE id = ?`,
-                [latitude, longitude, userId]
+                `UPDATE users SET latitude = ?, longitude = ?, updated_by = ?, updated_at = NOW() WHERE id = ?`,
+                [latitude, longitude, req.user.id, userId]
             );
             res.json({ success: true, message: 'User location updated' });
         } catch (err) {
@@ -428,8 +683,161 @@ module.exports = (db) => {
         }
     });
 
+    // PATCH /user/:userId - Update profile fields
+    router.patch('/:userId', selfOnly, async (req, res) => {
+        const userId = parseInt(req.params.userId);
+        try {
+            const body = req.body || {};
+            const unknown = Object.keys(body).filter((f) => !isProfileField(f));
+            const fields = Object.keys(body).filter(isProfileField);
+
+            if (isNaN(userId) || unknown.length > 0 || fields.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message:
+                        unknown.length > 0
+                            ? `Unknown fields: ${unknown.join(', ')}`
+                            : 'No profile fields provided',
+                });
+            }
+
+            const errors = {};
+            const updates = {};
+            fields.forEach((field) => {
+                const result = PROFILE_FIELDS[field](body[field]);
+                if (result.error) errors[field] = `${field} ${result.error}`;
+                else updates[field] = result.value;
+            });
+            if (Object.keys(errors).length > 0) {
+                return res
+                    .status(400)
+                    .json({ success: false, message: 'Invalid input', errors });
+            }
+
+            if (updates.email) {
+                const [taken] = await db.query(
+                    'SELECT id FROM users WHERE email = ? AND id != ?',
+                    [updates.email, userId]
+                );
+                if (taken.length > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Email already in use',
+                    });
+                }
+            }
+
+            const columns = Object.keys(updates);
+            const [result] = await db.query(
+                `UPDATE users SET ${columns
+                    .map((c) => `${c} = ?`)
+                    .join(', ')}, updated_by = ?, updated_at = NOW()
+                WHERE id = ? AND deleted_at IS NULL`,
+                [...columns.map((c) => updates[c]), req.user.id, userId]
+            );
+            if (result.affectedRows === 0) {
+                return res
+                    .status(404)
+                    .json({ success: false, message: 'User not found' });
+            }
+
+            const [rows] = await db.query(
+                `SELECT ${PROFILE_COLUMNS} FROM users WHERE id = ?`,
+                [userId]
+            );
+            res.json({
+                success: true,
+                message: 'Profile updated',
+                user: rows[0],
+            });
+        } catch (err) {
+            console.error('PATCH /user/:id error:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update profile',
+            });
+        }
+    });
+
+    // Multipart `avatar` field kept in memory until the storage backend saves it
+    const avatarUpload = (req, res, next) => {
+        multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+            fileFilter: (req, file, cb) =>
+                cb(null, AVATAR_MIME_TYPES.includes(file.mimetype)),
+        }).single('avatar')(req, res, (err) => {
+            if (!err) return next();
+            res.status(400).json({
+                success: false,
+                message:
+                    err.code === 'LIMIT_FILE_SIZE'
+                        ? 'Avatar must be at most 2 MB'
+                        : 'Invalid avatar upload',
+            });
+        });
+    };
+
+    // POST /user/:userId/avatar - Upload a new profile picture
+    router.post('/:userId/avatar', selfOnly, avatarUpload, async (req, res) => {
+        const userId = parseInt(req.params.userId);
+        const storage = req.app.get('avatarStorage');
+
+        if (!storage) {
+            console.error('Avatar storage is not configured');
+            return res.status(500).json({
+                success: false,
+                message: 'Avatar storage unavailable',
+            });
+        }
+        if (isNaN(userId) || !req.file || !detectImageType(req.file.buffer)) {
+            return res.status(400).json({
+                success: false,
+                message: 'avatar must be a PNG, JPEG or WebP image',
+            });
+        }
+
+        try {
+            const [rows] = await db.query(
+                'SELECT profile_picture_url FROM users WHERE id = ? AND deleted_at IS NULL',
+                [userId]
+            );
+            if (rows.length === 0) {
+                return res
+                    .status(404)
+                    .json({ success: false, message: 'User not found' });
+            }
+
+            const url = await storage.save({
+                userId,
+                buffer: req.file.buffer,
+            });
+            await db.query(
+                `UPDATE users SET profile_picture_url = ?, updated_by = ?, updated_at = NOW() WHERE id = ?`,
+                [url, req.user.id, userId]
+            );
+            await storage
+                .remove(rows[0].profile_picture_url)
+                .catch((err) =>
+                    console.warn('Failed to remove old avatar:', err.message)
+                );
+
+            res.json({
+                success: true,
+                message: 'Avatar updated',
+                profile_picture_url: url,
+            });
+        } catch (err) {
+            console.error('POST /user/:id/avatar error:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update avatar',
+            });
+        }
+    });
+
     // Emergency Contact Routes
-    router.get('/emergency-contacts/:userId', async (req, res) => {
+    router.get('/emergency-contacts/:userId', selfOnly, async (req, res) => {
         const userId = parseInt(req.params.userId);
         if (isNaN(userId)) {
             return res
@@ -452,10 +860,11 @@ module.exports = (db) => {
         }
     });
 
-    router.post('/emergency-contacts', async (req, res) => {
-        const { user_id, name, phone_number } = req.body;
+    router.post('/emergency-contacts', requireAuth, async (req, res) => {
+        const user_id = req.user.id;
+        const { name, phone_number } = req.body;
 
-        if (!user_id || !name || !phone_number) {
+        if (!name || !phone_number) {
             return res
                 .status(400)
                 .json({ success: false, message: 'Missing required fields' });
@@ -510,7 +919,7 @@ module.exports = (db) => {
         }
     });
 
-    router.delete('/emergency-contacts/:id', async (req, res) => {
+    router.delete('/emergency-contacts/:id', requireAuth, async (req, res) => {
         const contactId = parseInt(req.params.id);
         if (isNaN(contactId)) {
             return res
@@ -519,10 +928,15 @@ module.exports = (db) => {
         }
 
         try {
-            await db.query(
-                'UPDATE emergency_contacts SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [contactId]
+            const [result] = await db.query(
+                'UPDATE emergency_contacts SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+                [contactId, req.user.id]
             );
+            if (result.affectedRows === 0) {
+                return res
+                    .status(404)
+                    .json({ success: false, message: 'Contact not found' });
+            }
             res.json({ success: true, message: 'Emergency contact deleted' });
         } catch (err) {
             console.error('DELETE /emergency-contacts error:', err);
@@ -533,5 +947,199 @@ module.exports = (db) => {
         }
     });
 
+    // POST /token/refresh - Exchange a refresh token for a new token pair
+    router.post('/token/refresh', async (req, res) => {
+        const { refresh_token } = req.body;
+        if (!refresh_token) {
+            return res
+                .status(400)
+                .json({ success: false, message: 'Missing refresh_token' });
+        }
+
+        try {
+            const tokens = req.app.get('tokens');
+            const session = await rotateSession(db, tokens, refresh_token, {
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent'] || null,
+            });
+
+            if (!session) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired refresh token',
+                });
+            }
+
+            res.json({
+                success: true,
+                ...tokenResponse(tokens, session.user, session),
+            });
+        } catch (err) {
+            console.error('POST /token/refresh error:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Token refresh failed',
+            });
+        }
+    });
+
+    // GET /sessions - Caller's active device sessions
+    router.get('/sessions', requireAuth, async (req, res) => {
+        try {
+            const rows = await listSessions(db, req.user.id);
+            res.json({
+                success: true,
+                data: rows.map((s) => ({
+                    ...s,
+                    current: s.id === req.user.sessionId,
+                })),
+            });
+        } catch (err) {
+            console.error('GET /sessions error:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch sessions',
+            });
+        }
+    });
+
+    // DELETE /sessions/:sessionId - Revoke one device session
+    router.delete('/sessions/:sessionId', requireAuth, async (req, res) => {
+        const sessionId = parseInt(req.params.sessionId);
+        if (isNaN(sessionId)) {
+            return res
+                .status(400)
+                .json({ success: false, message: 'Invalid session ID' });
+        }
+
+        try {
+            const revoked = await revokeSessions(
+                db,
+                req.app.get('io'),
+                req.user.id,
+                sessionId
+            );
+            if (revoked.length === 0) {
+                return res
+                    .status(404)
+                    .json({ success: false, message: 'Session not found' });
+            }
+            res.json({ success: true, message: 'Session revoked' });
+        } catch (err) {
+            console.error('DELETE /sessions/:sessionId error:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke session',
+            });
+        }
+    });
+
+    // POST /logout - Revoke the calling session
+    router.post('/logout', requireAuth, async (req, res) => {
+        if (!req.user.sessionId) {
+            return res
+                .status(400)
+                .json({ success: false, message: 'Token has no session' });
+        }
+
+        try {
+            await revokeSessions(
+                db,
+                req.app.get('io'),
+                req.user.id,
+                req.user.sessionId
+            );
+            res.json({ success: true, message: 'Logged out' });
+        } catch (err) {
+            console.error('POST /logout error:', err);
+            res.status(500).json({ success: false, message: 'Logout failed' });
+        }
+    });
+
+    // DELETE /sessions - Log out everywhere
+    router.delete('/sessions', requireAuth, async (req, res) => {
+        try {
+            const revoked = await revokeSessions(
+                db,
+                req.app.get('io'),
+                req.user.id
+            );
+            res.json({
+                success: true,
+                message: `Logged out of ${revoked.length} sessions`,
+                revoked,
+            });
+        } catch (err) {
+            console.error('DELETE /sessions error:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke sessions',
+            });
+        }
+    });
+
+    // GET /user/:userId/export - Download everything held about the user
+    router.get('/:userId/export', selfOnly, async (req, res) => {
+        const userId = parseInt(req.params.userId);
+
+        try {
+            const archive = await exportAccount(db, userId);
+            if (!archive) {
+                return res
+                    .status(404)
+                    .json({ success: false, message: 'User not found' });
+            }
+
+            const date = archive.exported_at.slice(0, 10);
+            res.attachment(`resqzone-export-${userId}-${date}.json`);
+            res.json(archive);
+        } catch (err) {
+            console.error('GET /user/:id/export error:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export account data',
+            });
+        }
+    });
+
+    // DELETE /user/:userId - Anonymise and soft-delete the account
+    // (registered last so it does not shadow DELETE /sessions)
+    router.delete('/:userId', selfOnly, async (req, res) => {
+        const userId = parseInt(req.params.userId);
+
+        try {
+            const deleted = await deleteAccount(db, userId, req.user.id);
+            if (!deleted) {
+                return res
+                    .status(404)
+                    .json({ success: false, message: 'User not found' });
+            }
+
+            const io = req.app.get('io');
+            if (io) io.in(`user_${userId}`).disconnectSockets(true);
+
+            const storage = req.app.get('avatarStorage');
+            if (storage) {
+                await storage
+                    .remove(deleted.avatarUrl)
+                    .catch((err) =>
+                        console.warn('Failed to remove avatar:', err.message)
+                    );
+            }
+            await removeAttachmentFiles(
+                req.app.get('chatAttachmentStorage'),
+                deleted.attachments
+            );
+
+            res.json({ success: true, message: 'Account deleted' });
+        } catch (err) {
+            console.error('DELETE /user/:id error:', err);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete account',
+            });
+        }
+    });
+
     return router;
 };
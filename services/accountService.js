@@ -0,0 +1,247 @@
+// services/accountService.js
+/**
+ * accountService.js
+ *
+ * Purpose:
+ * Account deletion and personal data export for `DELETE /user/:userId` and
+ * `GET /user/:userId/export`.
+ *
+ * Public API (all functions take the mysql2 pool as `db`):
+ * - deleteAccount(db, userId, actorId)
+ *   Runs in one transaction on a pooled connection:
+ *   1. Chat messages sent by the user are blanked and marked deleted and lose
+ *      their attachments; the user leaves every chat. Groups they owned pass to
+ *      the longest-standing admin (or member), and chats left without members are
+ *      deleted.
+ *   2. Rows that only describe the user are deleted (contacts, bookmarks, alerts
+ *      and alert reads, quiz submissions, tasks, badges, XP, message reactions,
+ *      poll votes, OTP logins, ...).
+ *   3. Personal documents are soft-deleted and every active session is revoked.
+ *      Audit rows the user made or that describe their account lose their IP,
+ *      user agent and recorded changes.
+ *   4. The users row is anonymised (name, email, phone, address, location and
+ *      avatar cleared), deactivated and soft-deleted via `deleted_at`.
+ *   → { avatarUrl, attachments, revokedSessions } or null when the user does not
+ *     exist. `attachments` are the removed chat_attachments rows ({ file_url,
+ *     thumbnail_url }) whose stored files the caller deletes after the commit.
+ *
+ * - exportAccount(db, userId)
+ *   → { exported_at, profile, ...sections } with every table that holds data
+ *     about the user, or null when the user does not exist. Secrets (OTP hashes,
+ *     refresh token hashes) are left out.
+ *
+ * Notes:
+ * - The row is kept (not hard-deleted) so foreign keys from other users' data,
+ *   such as group chat history, stay valid; the anonymised phone number frees
+ *   the original number for a new registration.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const { revokeSessions } = require('./sessionService');
+
+// Tables whose rows only describe the user and are removed on deletion
+const PERSONAL_TABLES = [
+    'emergency_contacts',
+    'news_bookmarks',
+    'user_alerts',
+    'system_alert_reads',
+    'emergency_logs',
+    'quiz_submissions',
+    'user_assigned_quizzes',
+    'user_tasks',
+    'user_assigned_tasks',
+    'user_badges',
+    'user_levels',
+    'document_reads',
+    'chat_read_receipts',
+    'chat_message_reactions',
+    'chat_poll_votes',
+    'chat_event_rsvps',
+    'chat_locations',
+    'chat_message_mentions',
+    'otp_logins',
+];
+
+// Export sections: name → query taking the user ID
+const EXPORT_QUERIES = {
+    emergency_contacts: `SELECT id, name, phone_number, created_at, updated_at, deleted_at
+        FROM emergency_contacts WHERE user_id = ? ORDER BY created_at`,
+    chats: `SELECT c.id, c.is_group, c.name, m.role, m.joined_at
+        FROM chat_members m JOIN chats c ON c.id = m.chat_id
+        WHERE m.user_id = ? ORDER BY m.joined_at`,
+    messages: `SELECT id, chat_id, message, message_type, created_at, edited_at, deleted_at
+        FROM chat_messages WHERE sender_id = ? ORDER BY created_at`,
+    alerts: `SELECT id, type, related_id, title, message, is_read, urgency, latitude, longitude,
+        radius_km, source, created_at
+        FROM user_alerts WHERE user_id = ? ORDER BY created_at`,
+    system_alert_reads: `SELECT system_alert_id, read_at
+        FROM system_alert_reads WHERE user_id = ? ORDER BY read_at`,
+    quiz_history: `SELECT s.quiz_id, q.title, s.score, s.total_questions, s.submitted_at
+        FROM quiz_submissions s JOIN quizzes q ON q.id = s.quiz_id
+        WHERE s.user_id = ? ORDER BY s.submitted_at`,
+    tasks: `SELECT t.task_id, c.title, t.completed_at
+        FROM user_tasks t JOIN checklist_tasks c ON c.id = t.task_id
+        WHERE t.user_id = ? ORDER BY t.completed_at`,
+    badges: `SELECT b.id, b.name, b.description, ub.earned_at
+        FROM user_badges ub JOIN badges b ON b.id = ub.badge_id
+        WHERE ub.user_id = ? ORDER BY ub.earned_at`,
+    level: `SELECT xp, level, updated_at FROM user_levels WHERE user_id = ?`,
+    bookmarks: `SELECT url, title, description, author, source_name, category, publishedAt, bookmarkedAt
+        FROM news_bookmarks WHERE user_id = ? ORDER BY bookmarkedAt`,
+    documents: `SELECT id, title, description, file_url, file_type, category, uploaded_at, deleted_at
+        FROM documents WHERE user_id = ? ORDER BY uploaded_at`,
+    document_reads: `SELECT document_id, read_at FROM document_reads WHERE user_id = ? ORDER BY read_at`,
+    reactions: `SELECT message_id, reaction, created_at
+        FROM chat_message_reactions WHERE user_id = ? ORDER BY created_at`,
+    poll_votes: `SELECT v.poll_id, p.question, o.label, v.voted_at
+        FROM chat_poll_votes v
+        JOIN chat_polls p ON p.id = v.poll_id
+        JOIN chat_poll_options o ON o.id = v.option_id
+        WHERE v.user_id = ? ORDER BY v.voted_at`,
+    event_rsvps: `SELECT r.event_id, e.title, e.starts_at, r.status, r.responded_at
+        FROM chat_event_rsvps r JOIN chat_events e ON e.id = r.event_id
+        WHERE r.user_id = ? ORDER BY r.responded_at`,
+    locations: `SELECT message_id, chat_id, latitude, longitude, accuracy_m, label, is_live,
+        expires_at, stopped_at, updated_at
+        FROM chat_locations WHERE user_id = ? ORDER BY message_id`,
+    sessions: `SELECT id, ip_address, user_agent, created_at, last_seen_at, expires_at, revoked_at
+        FROM user_sessions WHERE user_id = ? ORDER BY created_at`,
+    logins: `SELECT id, ip_address, user_agent, created_at, verified_at
+        FROM otp_logins WHERE user_id = ? ORDER BY created_at`,
+};
+
+async function deleteAccount(db, userId, actorId) {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const [users] = await conn.query(
+            'SELECT id, profile_picture_url FROM users WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+            [userId]
+        );
+        if (users.length === 0) {
+            await conn.rollback();
+            return null;
+        }
+
+        // Step 1: Chats
+        const [memberships] = await conn.query(
+            'SELECT chat_id, role FROM chat_members WHERE user_id = ?',
+            [userId]
+        );
+        const [attachments] = await conn.query(
+            `SELECT a.file_url, a.thumbnail_url
+            FROM chat_attachments a JOIN chat_messages m ON m.id = a.message_id
+            WHERE m.sender_id = ?`,
+            [userId]
+        );
+        await conn.query(
+            `DELETE a FROM chat_attachments a JOIN chat_messages m ON m.id = a.message_id
+            WHERE m.sender_id = ?`,
+            [userId]
+        );
+        await conn.query(
+            `UPDATE chat_messages SET message = '', deleted_at = NOW()
+            WHERE sender_id = ? AND deleted_at IS NULL`,
+            [userId]
+        );
+        await conn.query('DELETE FROM chat_members WHERE user_id = ?', [
+            userId,
+        ]);
+
+        const owned = memberships.filter((m) => m.role === 'owner');
+        for (const { chat_id } of owned) {
+            await conn.query(
+                `UPDATE chat_members SET role = 'owner' WHERE chat_id = ?
+                ORDER BY role = 'admin' DESC, joined_at ASC LIMIT 1`,
+                [chat_id]
+            );
+        }
+        if (memberships.length > 0) {
+            // Other members' attachments in chats about to be deleted
+            const [orphaned] = await conn.query(
+                `SELECT a.file_url, a.thumbnail_url
+                FROM chat_attachments a JOIN chat_messages m ON m.id = a.message_id
+                WHERE m.chat_id IN (?)
+                AND NOT EXISTS (SELECT 1 FROM chat_members cm WHERE cm.chat_id = m.chat_id)`,
+                [memberships.map((m) => m.chat_id)]
+            );
+            attachments.push(...orphaned);
+            await conn.query(
+                `DELETE FROM chats WHERE id IN (?)
+                AND NOT EXISTS (SELECT 1 FROM chat_members m WHERE m.chat_id = chats.id)`,
+                [memberships.map((m) => m.chat_id)]
+            );
+        }
+
+        // Step 2: Rows that only describe the user
+        for (const table of PERSONAL_TABLES) {
+            await conn.query(`DELETE FROM ${table} WHERE user_id = ?`, [
+                userId,
+            ]);
+        }
+
+        // Step 3: Documents, sessions and audit trail
+        await conn.query(
+            'UPDATE documents SET deleted_at = NOW() WHERE user_id = ? AND deleted_at IS NULL',
+            [userId]
+        );
+        const revokedSessions = await revokeSessions(conn, null, userId);
+        await conn.query(
+            `UPDATE audit_logs SET ip_address = NULL, user_agent = NULL, changes = NULL
+            WHERE actor_user_id = ? OR (entity_type = 'users' AND entity_id = ?)`,
+            [userId, userId]
+        );
+
+        // Step 4: Anonymise and soft-delete the user
+        await conn.query(
+            `UPDATE users SET
+                phone_number = ?, email = NULL, first_name = 'Deleted', last_name = 'user',
+                date_of_birth = NULL, gender = 'other', address_line1 = NULL, address_line2 = NULL,
+                city = NULL, state = NULL, postal_code = NULL, country = NULL,
+                profile_picture_url = NULL, latitude = NULL, longitude = NULL,
+                is_phone_verified = FALSE, is_active = FALSE,
+                updated_by = ?, updated_at = NOW(), deleted_at = NOW()
+            WHERE id = ?`,
+            [`deleted-${userId}`, actorId, userId]
+        );
+
+        await conn.commit();
+        return {
+            avatarUrl: users[0].profile_picture_url,
+            attachments,
+            revokedSessions,
+        };
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+async function exportAccount(db, userId) {
+    const [users] = await db.query(
+        `SELECT id, phone_number, country_code, email, first_name, last_name, date_of_birth,
+            gender, address_line1, address_line2, city, state, postal_code, country,
+            profile_picture_url, is_phone_verified, role, is_active, latitude, longitude,
+            created_at, updated_at
+        FROM users WHERE id = ? AND deleted_at IS NULL`,
+        [userId]
+    );
+    if (users.length === 0) return null;
+
+    const archive = {
+        exported_at: new Date().toISOString(),
+        profile: users[0],
+    };
+    for (const [section, sql] of Object.entries(EXPORT_QUERIES)) {
+        const [rows] = await db.query(sql, [userId]);
+        archive[section] = section === 'level' ? rows[0] || null : rows;
+    }
+
+    return archive;
+}
+
+module.exports = { deleteAccount, exportAccount };
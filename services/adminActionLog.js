@@ -0,0 +1,45 @@
+// services/adminActionLog.js
+/**
+ * adminActionLog.js
+ *
+ * Purpose:
+ * Record privileged actions in `admin_action_logs`.
+ *
+ * Public API:
+ * - logAdminAction(db, req, { action, targetUserId, entityType, entityId, description })
+ *   Inserts one row for the authenticated caller (`req.user.id`), with the
+ *   request's IP address and user agent.
+ *   → insertId of the log row.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+async function logAdminAction(
+    db,
+    req,
+    {
+        action,
+        targetUserId = null,
+        entityType = 'user',
+        entityId = null,
+        description = null,
+    }
+) {
+    const [result] = await db.query(
+        `INSERT INTO admin_action_logs (admin_user_id, action, target_user_id, entity_type, entity_id, ip_address, user_agent, description)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            req.user.id,
+            action,
+            targetUserId,
+            entityType,
+            entityId,
+            req.ip || req.connection?.remoteAddress || null,
+            req.headers['user-agent'] || null,
+            description,
+        ]
+    );
+    return result.insertId;
+}
+
+module.exports = { logAdminAction };
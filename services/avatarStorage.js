@@ -0,0 +1,82 @@
+// services/avatarStorage.js
+/**
+ * avatarStorage.js
+ *
+ * Purpose:
+ * Store profile pictures uploaded through `POST /user/:userId/avatar`.
+ *
+ * Public API:
+ * - createLocalAvatarStorage({ directory, publicPath = '/uploads/avatars' })
+ *   Writes files into `directory` (created on first use), which should be served
+ *   statically under `publicPath`.
+ *   → {
+ *       save({ userId, buffer }) → Promise<url>   throws 'Unsupported image type'
+ *       remove(url)              → Promise<void>  ignores URLs it did not issue
+ *     }
+ *
+ * - detectImageType(buffer) → 'png' | 'jpg' | 'webp' | null
+ *   Sniffs the file signature, so the declared upload MIME type is not trusted.
+ *
+ * Notes:
+ * - File names are `<userId>-<random>.<ext>`; a new upload never overwrites an
+ *   older file, so cached URLs stay valid until the old avatar is removed.
+ * - Any other backend (e.g. object storage) only needs the same save/remove shape.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function detectImageType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer.slice(0, 8).equals(Buffer.from('89504e470d0a1a0a', 'hex'))) {
+        return 'png';
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'jpg';
+    }
+    if (
+        buffer.toString('ascii', 0, 4) === 'RIFF' &&
+        buffer.toString('ascii', 8, 12) === 'WEBP'
+    ) {
+        return 'webp';
+    }
+    return null;
+}
+
+function createLocalAvatarStorage({
+    directory,
+    publicPath = '/uploads/avatars',
+}) {
+    if (!directory) throw new Error('Avatar storage requires a directory');
+    const prefix = publicPath.replace(/\/+$/, '');
+
+    async function save({ userId, buffer }) {
+        const ext = detectImageType(buffer);
+        if (!ext) throw new Error('Unsupported image type');
+
+        const filename = `${userId}-${crypto
+            .randomBytes(8)
+            .toString('hex')}.${ext}`;
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(path.join(directory, filename), buffer);
+
+        return `${prefix}/${filename}`;
+    }
+
+    async function remove(url) {
+        if (!url || !url.startsWith(`${prefix}/`)) return;
+
+        try {
+            await fs.promises.unlink(path.join(directory, path.basename(url)));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    return { save, remove };
+}
+
+module.exports = { createLocalAvatarStorage, detectImageType };
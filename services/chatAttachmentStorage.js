@@ -0,0 +1,162 @@
+// services/chatAttachmentStorage.js
+/**
+ * chatAttachmentStorage.js
+ *
+ * Purpose:
+ * Store files and images sent through `POST /chat/:chat_id/attachments`.
+ *
+ * Public API:
+ * - createLocalAttachmentStorage({ directory, thumbnailSize = 320 })
+ *   Writes files into `directory` (created on first use). The directory must not be
+ *   served statically: files are only handed out by
+ *   `GET /chat/:chat_id/attachments/:attachment_id`, which checks chat membership.
+ *   → {
+ *       save({ chatId, buffer }) → Promise<{ kind, fileKey, fileType, thumbnailKey }>
+ *         kind is 'image' or 'file'; images also get a WebP thumbnail that fits
+ *         within thumbnailSize × thumbnailSize. Throws 'Unsupported file type'.
+ *         The keys are what `chat_attachments.file_url` / `thumbnail_url` store.
+ *       read(key)   → Promise<Buffer | null>  null for unknown or missing files
+ *       remove(key) → Promise<void>           ignores keys it did not issue
+ *     }
+ *
+ * - removeAttachmentFiles(storage, rows)
+ *   Removes the stored files of `chat_attachments` rows ({ file_url, thumbnail_url });
+ *   failures are logged, not thrown, since the rows are already gone.
+ *
+ * - detectAttachmentType(buffer) → { ext, mime, kind } | null
+ *   Sniffs the file signature (PNG, JPEG, WebP, GIF, PDF), so the declared upload
+ *   MIME type is not trusted.
+ *
+ * Notes:
+ * - Keys are file names `<chatId>-<random>.<ext>` (thumbnails `...-thumb.webp`).
+ *   Values from before the move out of `www/static` (`/uploads/chat/<name>`) resolve
+ *   to the same file name, so old rows keep working once their files are moved.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { detectImageType } = require('./avatarStorage');
+
+// Keys this storage issues; anything else never touches the file system
+const KEY_PATTERN = /^\d+-[0-9a-f]{16}(-thumb\.webp|\.(png|jpg|webp|gif|pdf))$/;
+
+const ATTACHMENT_TYPES = {
+    png: { mime: 'image/png', kind: 'image' },
+    jpg: { mime: 'image/jpeg', kind: 'image' },
+    webp: { mime: 'image/webp', kind: 'image' },
+    gif: { mime: 'image/gif', kind: 'image' },
+    pdf: { mime: 'application/pdf', kind: 'file' },
+};
+
+function detectAttachmentType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    let ext = detectImageType(buffer);
+    if (!ext && buffer.toString('ascii', 0, 4) === 'GIF8') ext = 'gif';
+    if (!ext && buffer.toString('ascii', 0, 5) === '%PDF-') ext = 'pdf';
+
+    return ext ? { ext, ...ATTACHMENT_TYPES[ext] } : null;
+}
+
+// File path for a stored key, or null when the key was not issued here
+function keyPath(directory, key) {
+    const name = typeof key === 'string' ? path.basename(key) : '';
+    return KEY_PATTERN.test(name) ? path.join(directory, name) : null;
+}
+
+function createLocalAttachmentStorage({ directory, thumbnailSize = 320 }) {
+    if (!directory) throw new Error('Attachment storage requires a directory');
+
+    async function save({ chatId, buffer }) {
+        const type = detectAttachmentType(buffer);
+        if (!type) throw new Error('Unsupported file type');
+
+        // Thumbnail first: a truncated or corrupt image fails here, before any write
+        let thumbnail = null;
+        if (type.kind === 'image') {
+            try {
+                thumbnail = await sharp(buffer)
+                    .rotate()
+                    .resize(thumbnailSize, thumbnailSize, {
+                        fit: 'inside',
+                        withoutEnlargement: true,
+                    })
+                    .webp({ quality: 70 })
+                    .toBuffer();
+            } catch {
+                throw new Error('Unsupported file type');
+            }
+        }
+
+        const name = `${chatId}-${crypto.randomBytes(8).toString('hex')}`;
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(directory, `${name}.${type.ext}`),
+            buffer
+        );
+
+        let thumbnailKey = null;
+        if (thumbnail) {
+            thumbnailKey = `${name}-thumb.webp`;
+            await fs.promises.writeFile(
+                path.join(directory, thumbnailKey),
+                thumbnail
+            );
+        }
+
+        return {
+            kind: type.kind,
+            fileKey: `${name}.${type.ext}`,
+            fileType: type.mime,
+            thumbnailKey,
+        };
+    }
+
+    async function read(key) {
+        const file = keyPath(directory, key);
+        if (!file) return null;
+
+        try {
+            return await fs.promises.readFile(file);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async function remove(key) {
+        const file = keyPath(directory, key);
+        if (!file) return;
+
+        try {
+            await fs.promises.unlink(file);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    return { save, read, remove };
+}
+
+async function removeAttachmentFiles(storage, rows) {
+    if (!storage) return;
+
+    const keys = rows.flatMap((r) => [r.file_url, r.thumbnail_url]);
+    for (const key of keys.filter(Boolean)) {
+        await storage
+            .remove(key)
+            .catch((err) =>
+                console.warn('Failed to remove attachment:', err.message)
+            );
+    }
+}
+
+module.exports = {
+    createLocalAttachmentStorage,
+    detectAttachmentType,
+    removeAttachmentFiles,
+};
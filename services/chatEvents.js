@@ -0,0 +1,380 @@
+// services/chatEvents.js
+/**
+ * chatEvents.js
+ *
+ * Purpose:
+ * Scheduled community events posted in chats (`message_type = 'event'`), such as
+ * flood-prep meetings or sandbag distribution, with RSVPs and reminder alerts.
+ * Used by the event endpoints in routes/v0.0/chat.js and by bin/www.
+ *
+ * Public API (all functions take the mysql2 pool as `db`):
+ * - parseEventInput(body) → { event } | { error }
+ *   Validates { title, description, starts_at, ends_at, location_name, latitude,
+ *   longitude, capacity, reminder_minutes }: a title of up to 255 characters, a
+ *   future start, an optional end after it, coordinates given as a pair, an
+ *   optional positive capacity and a reminder lead time (default 60 minutes,
+ *   null for no reminder).
+ *
+ * - createEvent(db, { chatId, userId, event }) → { messageId, eventId }
+ *   Inserts the event message and the event in one transaction.
+ *
+ * - loadEvents(db, { messageIds } | { eventIds }, userId) → events[]
+ *   → [{ id, message_id, chat_id, created_by, title, description, starts_at,
+ *        ends_at, location: { name, latitude, longitude } | null, capacity,
+ *        reminder_minutes, has_started, counts: { going, maybe, not_going },
+ *        spots_left, attendees: [{ id, name, status, responded_at }], my_rsvp }]
+ *   Events whose message was deleted are not returned.
+ *
+ * - setRsvp(db, eventId, userId, status) → boolean
+ *   Records 'going', 'maybe' or 'not_going'; returns false (nothing stored) when
+ *   'going' would exceed the capacity.
+ *
+ * - sendDueReminders(db, now = new Date()) → number of alerts created
+ *   Adds a `user_alerts` row for every 'going'/'maybe' RSVP whose event starts
+ *   within its reminder lead time, once per RSVP.
+ *
+ * - startEventReminders(db, intervalMs = 60000) → interval handle
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const RSVP_STATUSES = ['going', 'maybe', 'not_going'];
+const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+
+const optionalText = (value, max) => {
+    if (value === undefined || value === null) return { text: null };
+    if (typeof value !== 'string' || value.trim().length > max) {
+        return { error: true };
+    }
+    return { text: value.trim() || null };
+};
+
+function parseEventInput(body = {}) {
+    const {
+        title,
+        description,
+        starts_at,
+        ends_at = null,
+        location_name,
+        latitude = null,
+        longitude = null,
+        capacity = null,
+        reminder_minutes = 60,
+    } = body;
+
+    const name = typeof title === 'string' ? title.trim() : '';
+    if (!name || name.length > 255) {
+        return { error: 'title must be 1-255 characters' };
+    }
+
+    const details = optionalText(description, 2000);
+    if (details.error) {
+        return { error: 'description must be up to 2000 characters' };
+    }
+
+    const startsAt = new Date(starts_at);
+    if (!starts_at || isNaN(startsAt) || startsAt <= new Date()) {
+        return { error: 'starts_at must be a future date' };
+    }
+
+    let endsAt = null;
+    if (ends_at !== null) {
+        endsAt = new Date(ends_at);
+        if (isNaN(endsAt) || endsAt <= startsAt) {
+            return { error: 'ends_at must be after starts_at' };
+        }
+    }
+
+    const place = optionalText(location_name, 255);
+    if (place.error) {
+        return { error: 'location_name must be up to 255 characters' };
+    }
+
+    if ((latitude === null) !== (longitude === null)) {
+        return { error: 'latitude and longitude must be given together' };
+    }
+    if (
+        latitude !== null &&
+        !(
+            typeof latitude === 'number' &&
+            typeof longitude === 'number' &&
+            Math.abs(latitude) <= 90 &&
+            Math.abs(longitude) <= 180
+        )
+    ) {
+        return { error: 'latitude and longitude must be valid coordinates' };
+    }
+
+    if (capacity !== null && !(Number.isInteger(capacity) && capacity > 0)) {
+        return { error: 'capacity must be a positive integer' };
+    }
+
+    if (
+        reminder_minutes !== null &&
+        !(
+            Number.isInteger(reminder_minutes) &&
+            reminder_minutes > 0 &&
+            reminder_minutes <= MAX_REMINDER_MINUTES
+        )
+    ) {
+        return {
+            error: `reminder_minutes must be 1-${MAX_REMINDER_MINUTES} or null`,
+        };
+    }
+
+    return {
+        event: {
+            title: name,
+            description: details.text,
+            startsAt,
+            endsAt,
+            locationName: place.text,
+            latitude,
+            longitude,
+            capacity,
+            reminderMinutes: reminder_minutes,
+        },
+    };
+}
+
+async function createEvent(db, { chatId, userId, event }) {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const [message] = await conn.query(
+            `INSERT INTO chat_messages (chat_id, sender_id, message, message_type)
+            VALUES (?, ?, ?, 'event')`,
+            [chatId, userId, event.title]
+        );
+        const [created] = await conn.query(
+            `INSERT INTO chat_events (message_id, chat_id, created_by, title, description,
+                starts_at, ends_at, location_name, latitude, longitude, capacity, reminder_minutes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                message.insertId,
+                chatId,
+                userId,
+                event.title,
+                event.description,
+                event.startsAt,
+                event.endsAt,
+                event.locationName,
+                event.latitude,
+                event.longitude,
+                event.capacity,
+                event.reminderMinutes,
+            ]
+        );
+
+        await conn.commit();
+        return { messageId: message.insertId, eventId: created.insertId };
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+async function loadEvents(db, { messageIds, eventIds }, userId) {
+    const ids = messageIds || eventIds;
+    if (!ids || ids.length === 0) return [];
+
+    const [events] = await db.query(
+        `SELECT e.id, e.message_id, e.chat_id, e.created_by, e.title, e.description,
+            e.starts_at, e.ends_at, e.location_name, e.latitude, e.longitude,
+            e.capacity, e.reminder_minutes
+        FROM chat_events e
+        JOIN chat_messages m ON m.id = e.message_id AND m.deleted_at IS NULL
+        WHERE ${messageIds ? 'e.message_id' : 'e.id'} IN (?)`,
+        [ids]
+    );
+    if (events.length === 0) return [];
+
+    const [rsvps] = await db.query(
+        `SELECT r.event_id, r.user_id, r.status, r.responded_at, u.first_name, u.last_name
+        FROM chat_event_rsvps r JOIN users u ON u.id = r.user_id
+        WHERE r.event_id IN (?) ORDER BY r.responded_at`,
+        [events.map((e) => e.id)]
+    );
+
+    const now = new Date();
+    return events.map((event) => {
+        const replies = rsvps.filter((r) => r.event_id === event.id);
+        const counts = { going: 0, maybe: 0, not_going: 0 };
+        replies.forEach((r) => counts[r.status]++);
+        const mine = replies.find((r) => r.user_id === userId);
+
+        return {
+            id: event.id,
+            message_id: event.message_id,
+            chat_id: event.chat_id,
+            created_by: event.created_by,
+            title: event.title,
+            description: event.description,
+            starts_at: event.starts_at,
+            ends_at: event.ends_at,
+            location:
+                event.location_name || event.latitude !== null
+                    ? {
+                          name: event.location_name,
+                          latitude:
+                              event.latitude === null
+                                  ? null
+                                  : Number(event.latitude),
+                          longitude:
+                              event.longitude === null
+                                  ? null
+                                  : Number(event.longitude),
+                      }
+                    : null,
+            capacity: event.capacity,
+            reminder_minutes: event.reminder_minutes,
+            has_started: new Date(event.starts_at) <= now,
+            counts,
+            spots_left:
+                event.capacity === null
+                    ? null
+                    : Math.max(event.capacity - counts.going, 0),
+            attendees: replies.map((r) => ({
+                id: r.user_id,
+                name: `${r.first_name || ''} ${r.last_name || ''}`.trim(),
+                status: r.status,
+                responded_at: r.responded_at,
+            })),
+            my_rsvp: mine ? mine.status : null,
+        };
+    });
+}
+
+async function setRsvp(db, eventId, userId, status) {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        if (status === 'going') {
+            // Lock the event so concurrent RSVPs cannot both take the last spot
+            const [[event]] = await conn.query(
+                'SELECT capacity FROM chat_events WHERE id = ? FOR UPDATE',
+                [eventId]
+            );
+            if (event && event.capacity !== null) {
+                const [[{ going }]] = await conn.query(
+                    `SELECT COUNT(*) AS going FROM chat_event_rsvps
+                    WHERE event_id = ? AND status = 'going' AND user_id <> ?`,
+                    [eventId, userId]
+                );
+                if (Number(going) >= event.capacity) {
+                    await conn.rollback();
+                    return false;
+                }
+            }
+        }
+
+        await conn.query(
+            `INSERT INTO chat_event_rsvps (event_id, user_id, status)
+            VALUES (?, ?, ?)
+            ON DUPLICATE KEY UPDATE status = VALUES(status), responded_at = NOW()`,
+            [eventId, userId, status]
+        );
+
+        await conn.commit();
+        return true;
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+const reminderText = (due, now) => {
+    const minutes = Math.max(
+        Math.round((new Date(due.starts_at) - now) / 60000),
+        1
+    );
+    const when =
+        minutes < 120
+            ? `${minutes} minute${minutes === 1 ? '' : 's'}`
+            : `${Math.round(minutes / 60)} hours`;
+    return `"${due.title}" starts in ${when}${
+        due.location_name ? ` at ${due.location_name}` : ''
+    }.`;
+};
+
+async function sendDueReminders(db, now = new Date()) {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        // SKIP LOCKED lets several app instances share the work without doubling up
+        const [due] = await conn.query(
+            `SELECT r.event_id, r.user_id, e.chat_id, e.title, e.starts_at, e.location_name
+            FROM chat_event_rsvps r
+            JOIN chat_events e ON e.id = r.event_id
+            JOIN chat_messages m ON m.id = e.message_id AND m.deleted_at IS NULL
+            WHERE r.status IN ('going', 'maybe')
+              AND r.reminded_at IS NULL
+              AND e.reminder_minutes IS NOT NULL
+              AND e.starts_at > ?
+              AND e.starts_at <= ? + INTERVAL e.reminder_minutes MINUTE
+            LIMIT 500
+            FOR UPDATE OF r SKIP LOCKED`,
+            [now, now]
+        );
+
+        if (due.length > 0) {
+            await conn.query(
+                `INSERT INTO user_alerts (user_id, type, related_id, title, message, urgency, source)
+                VALUES ?`,
+                [
+                    due.map((r) => [
+                        r.user_id,
+                        'chat',
+                        r.chat_id,
+                        'Event reminder',
+                        reminderText(r, now),
+                        'advisory',
+                        'system',
+                    ]),
+                ]
+            );
+            await conn.query(
+                `UPDATE chat_event_rsvps SET reminded_at = NOW()
+                WHERE (event_id, user_id) IN (?)`,
+                [due.map((r) => [r.event_id, r.user_id])]
+            );
+        }
+
+        await conn.commit();
+        return due.length;
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+function startEventReminders(db, intervalMs = 60 * 1000) {
+    const interval = setInterval(async () => {
+        try {
+            await sendDueReminders(db);
+        } catch (err) {
+            console.error('Event reminders failed:', err.message);
+        }
+    }, intervalMs);
+    if (interval.unref) interval.unref();
+    return interval;
+}
+
+module.exports = {
+    RSVP_STATUSES,
+    parseEventInput,
+    createEvent,
+    loadEvents,
+    setRsvp,
+    sendDueReminders,
+    startEventReminders,
+};
@@ -0,0 +1,327 @@
+// services/chatLocations.js
+/**
+ * chatLocations.js
+ *
+ * Purpose:
+ * Structured coordinates for chat location messages (`message_type = 'location'`),
+ * both one-off pins and time-limited live-location shares. Used by
+ * routes/v0.0/chat.js, the socket handlers and bin/www.
+ *
+ * Public API (functions that touch the database take the mysql2 pool as `db`):
+ * - parseCoordinates(input) → { coords } | { error }
+ *   Validates { latitude, longitude, accuracy_m?, label? } (numbers in range, an
+ *   optional non-negative accuracy in metres, a label of up to 255 characters).
+ *
+ * - parseLiveDuration(minutes = 60) → number | null
+ *   Live shares last 1-480 minutes; null when out of range.
+ *
+ * - createLocation(db, { chatId, userId, coords, liveMinutes, replyToId })
+ *   → { messageId, content, location, stopped }
+ *   Inserts the location message and its coordinates in one transaction; with
+ *   `liveMinutes` the share is live and any other live share of the user in the
+ *   chat is stopped first (returned as `stopped`: message IDs).
+ *
+ * - loadLocations(db, messageIds) → locations[]
+ *   → [{ message_id, chat_id, user_id, latitude, longitude, accuracy_m, label,
+ *        is_live, is_active, expires_at, stopped_at, updated_at }]
+ *
+ * - legacyLocation(message) → location | null
+ *   Location messages sent before chat_locations existed only hold the text
+ *   "{latitude:x,longitude:y}". For such a MESSAGE_SELECT row ({ id, chat_id,
+ *   sender_id, content, created_at }) this returns the same shape as loadLocations
+ *   (a one-off pin), or null when the text is not in that format.
+ *
+ * - updateLiveLocation(db, { chatId, messageId, userId, coords }) → update | null
+ *   Moves an active live share of `userId`; null when it has ended or is not theirs.
+ *   → { chat_id, message_id, user_id, latitude, longitude, accuracy_m, updated_at }
+ *
+ * - stopLiveLocation(db, { chatId, messageId, userId }) → boolean
+ *
+ * - expireLiveLocations(db, io) → number of shares ended
+ *   Marks shares past `expires_at` as stopped and emits
+ *   `chat:live_location_stopped` { chat_id, message_id, user_id, reason: 'expired' }.
+ *
+ * - startLiveLocationExpiry(db, io, intervalMs = 30000) → interval handle
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const DEFAULT_LIVE_MINUTES = 60;
+const MAX_LIVE_MINUTES = 8 * 60;
+
+function parseCoordinates(input) {
+    const {
+        latitude,
+        longitude,
+        accuracy_m = null,
+        label = null,
+    } = input && typeof input === 'object' ? input : {};
+
+    if (
+        typeof latitude !== 'number' ||
+        typeof longitude !== 'number' ||
+        !(Math.abs(latitude) <= 90) ||
+        !(Math.abs(longitude) <= 180)
+    ) {
+        return { error: 'latitude and longitude must be valid coordinates' };
+    }
+    if (
+        accuracy_m !== null &&
+        !(typeof accuracy_m === 'number' && accuracy_m >= 0)
+    ) {
+        return { error: 'accuracy_m must be a non-negative number' };
+    }
+    if (
+        label !== null &&
+        (typeof label !== 'string' || label.trim().length > 255)
+    ) {
+        return { error: 'label must be up to 255 characters' };
+    }
+
+    return {
+        coords: {
+            latitude,
+            longitude,
+            accuracy: accuracy_m,
+            label: label ? label.trim() || null : null,
+        },
+    };
+}
+
+function parseLiveDuration(minutes = DEFAULT_LIVE_MINUTES) {
+    return Number.isInteger(minutes) &&
+        minutes > 0 &&
+        minutes <= MAX_LIVE_MINUTES
+        ? minutes
+        : null;
+}
+
+async function createLocation(
+    db,
+    { chatId, userId, coords, liveMinutes = null, replyToId = null }
+) {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        let stopped = [];
+        if (liveMinutes) {
+            const [active] = await conn.query(
+                `SELECT message_id FROM chat_locations
+                WHERE chat_id = ? AND user_id = ? AND is_live = TRUE
+                  AND stopped_at IS NULL AND expires_at > NOW()`,
+                [chatId, userId]
+            );
+            stopped = active.map((row) => row.message_id);
+            if (stopped.length > 0) {
+                await conn.query(
+                    'UPDATE chat_locations SET stopped_at = NOW() WHERE message_id IN (?)',
+                    [stopped]
+                );
+            }
+        }
+
+        const content =
+            coords.label || (liveMinutes ? 'Live location' : 'Location');
+        const [message] = await conn.query(
+            `INSERT INTO chat_messages (chat_id, sender_id, message, message_type, reply_to_id)
+            VALUES (?, ?, ?, 'location', ?)`,
+            [chatId, userId, content, replyToId]
+        );
+        const expiresAt = liveMinutes
+            ? new Date(Date.now() + liveMinutes * 60 * 1000)
+            : null;
+        await conn.query(
+            `INSERT INTO chat_locations (message_id, chat_id, user_id, latitude, longitude,
+                accuracy_m, label, is_live, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                message.insertId,
+                chatId,
+                userId,
+                coords.latitude,
+                coords.longitude,
+                coords.accuracy,
+                coords.label,
+                Boolean(liveMinutes),
+                expiresAt,
+            ]
+        );
+
+        await conn.commit();
+
+        const now = new Date().toISOString();
+        return {
+            messageId: message.insertId,
+            content,
+            stopped,
+            location: {
+                message_id: message.insertId,
+                chat_id: chatId,
+                user_id: userId,
+                latitude: coords.latitude,
+                longitude: coords.longitude,
+                accuracy_m: coords.accuracy,
+                label: coords.label,
+                is_live: Boolean(liveMinutes),
+                is_active: Boolean(liveMinutes),
+                expires_at: expiresAt && expiresAt.toISOString(),
+                stopped_at: null,
+                updated_at: now,
+            },
+        };
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+const toNumber = (value) => (value === null ? null : Number(value));
+
+async function loadLocations(db, messageIds) {
+    if (!messageIds || messageIds.length === 0) return [];
+
+    const [rows] = await db.query(
+        `SELECT message_id, chat_id, user_id, latitude, longitude, accuracy_m, label,
+            is_live, expires_at, stopped_at, updated_at
+        FROM chat_locations WHERE message_id IN (?)`,
+        [messageIds]
+    );
+
+    const now = new Date();
+    return rows.map((row) => ({
+        message_id: row.message_id,
+        chat_id: row.chat_id,
+        user_id: row.user_id,
+        latitude: toNumber(row.latitude),
+        longitude: toNumber(row.longitude),
+        accuracy_m: toNumber(row.accuracy_m),
+        label: row.label,
+        is_live: Boolean(row.is_live),
+        is_active: Boolean(
+            row.is_live && !row.stopped_at && new Date(row.expires_at) > now
+        ),
+        expires_at: row.expires_at,
+        stopped_at: row.stopped_at,
+        updated_at: row.updated_at,
+    }));
+}
+
+// Text stored for location messages by the original POST /chat/:chat_id/messages
+const LEGACY_LOCATION = /^\{latitude:([^,{}]+),longitude:([^,{}]+)\}$/;
+
+function legacyLocation(message) {
+    const match = LEGACY_LOCATION.exec(String(message.content || '').trim());
+    const latitude = match ? Number(match[1]) : NaN;
+    const longitude = match ? Number(match[2]) : NaN;
+    if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+        return null;
+    }
+
+    return {
+        message_id: message.id,
+        chat_id: message.chat_id,
+        user_id: message.sender_id,
+        latitude,
+        longitude,
+        accuracy_m: null,
+        label: null,
+        is_live: false,
+        is_active: false,
+        expires_at: null,
+        stopped_at: null,
+        updated_at: message.created_at,
+    };
+}
+
+async function updateLiveLocation(db, { chatId, messageId, userId, coords }) {
+    const [result] = await db.query(
+        `UPDATE chat_locations
+        SET latitude = ?, longitude = ?, accuracy_m = ?, updated_at = NOW()
+        WHERE message_id = ? AND chat_id = ? AND user_id = ? AND is_live = TRUE
+          AND stopped_at IS NULL AND expires_at > NOW()`,
+        [
+            coords.latitude,
+            coords.longitude,
+            coords.accuracy,
+            messageId,
+            chatId,
+            userId,
+        ]
+    );
+    if (result.affectedRows === 0) return null;
+
+    return {
+        chat_id: chatId,
+        message_id: messageId,
+        user_id: userId,
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        accuracy_m: coords.accuracy,
+        updated_at: new Date().toISOString(),
+    };
+}
+
+async function stopLiveLocation(db, { chatId, messageId, userId }) {
+    const [result] = await db.query(
+        `UPDATE chat_locations SET stopped_at = NOW()
+        WHERE message_id = ? AND chat_id = ? AND user_id = ? AND is_live = TRUE
+          AND stopped_at IS NULL AND expires_at > NOW()`,
+        [messageId, chatId, userId]
+    );
+    return result.affectedRows > 0;
+}
+
+async function expireLiveLocations(db, io) {
+    const [expired] = await db.query(
+        `SELECT message_id, chat_id, user_id FROM chat_locations
+        WHERE is_live = TRUE AND stopped_at IS NULL AND expires_at <= NOW()
+        LIMIT 500`
+    );
+    if (expired.length === 0) return 0;
+
+    // stopped_at records when the share actually ended, not when we noticed
+    await db.query(
+        `UPDATE chat_locations SET stopped_at = expires_at
+        WHERE message_id IN (?) AND stopped_at IS NULL`,
+        [expired.map((row) => row.message_id)]
+    );
+
+    if (io) {
+        expired.forEach((row) =>
+            io.to(`chat_${row.chat_id}`).emit('chat:live_location_stopped', {
+                chat_id: row.chat_id,
+                message_id: row.message_id,
+                user_id: row.user_id,
+                reason: 'expired',
+            })
+        );
+    }
+    return expired.length;
+}
+
+function startLiveLocationExpiry(db, io, intervalMs = 30 * 1000) {
+    const interval = setInterval(async () => {
+        try {
+            await expireLiveLocations(db, io);
+        } catch (err) {
+            console.error('Live location expiry failed:', err.message);
+        }
+    }, intervalMs);
+    if (interval.unref) interval.unref();
+    return interval;
+}
+
+module.exports = {
+    parseCoordinates,
+    parseLiveDuration,
+    createLocation,
+    loadLocations,
+    legacyLocation,
+    updateLiveLocation,
+    stopLiveLocation,
+    expireLiveLocations,
+    startLiveLocationExpiry,
+};
@@ -0,0 +1,168 @@
+// services/chatMentions.js
+/**
+ * chatMentions.js
+ *
+ * Purpose:
+ * Finds `@user` mentions in chat messages, matches them to chat members and
+ * records them for the mention alerts and `mention_count` in routes/v0.0/chat.js.
+ *
+ * Public API:
+ * - mentionHandles(text) → string[]
+ *   Normalised handles written after "@" (lower-case letters and digits only), so
+ *   "@Ann", "@ann_lee" and "@Ann.Lee," give "ann" and "annlee". E-mail addresses
+ *   ("ann@example.com") are not mentions.
+ *
+ * - resolveMentions(handles, members) → userIds[]
+ *   members: [{ user_id, first_name, last_name }]
+ *   A handle matches a member's full name ("@AnnLee") or, when no other member
+ *   shares it, their first name ("@Ann"). Ambiguous and unknown handles are ignored.
+ *
+ * - recordMentions(db, io, { chatId, messageId, senderId, text, edited }) → userIds[]
+ *   Stores the members mentioned in a text message and notifies those not
+ *   mentioned before (so edits only alert newly added mentions): a `user_alerts`
+ *   entry and `chat:mention` { chat_id, message_id, sender, content } in their
+ *   `user_<id>` room. Returns everyone mentioned, excluding the sender.
+ *   With `edited: true` the stored mentions of members no longer mentioned are
+ *   removed, so they stop counting towards `mention_count`.
+ *   Never throws: it runs after the message is stored, so a failure is logged and
+ *   treated as no mentions rather than failing (and prompting a resend of) the send.
+ *
+ * - PREVIEW_LENGTH
+ *   Characters of message text shown in excerpts: mention alerts here and quoted
+ *   reply parents in services/chatMessages.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const MAX_MENTIONS = 20;
+// Message excerpts (mention alerts, quoted replies)
+const PREVIEW_LENGTH = 140;
+
+const normalise = (text) =>
+    String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]/gu, '');
+
+function mentionHandles(text) {
+    const source = String(text || '');
+    const handles = [];
+    const pattern =
+        /(^|[^\p{L}\p{N}_@.])@([\p{L}\p{N}][\p{L}\p{N}._-]{0,63})/gu;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const handle = normalise(match[2]);
+        if (handle && !handles.includes(handle)) handles.push(handle);
+    }
+    return handles.slice(0, MAX_MENTIONS);
+}
+
+function resolveMentions(handles, members) {
+    const ids = new Set();
+    handles.forEach((handle) => {
+        const full = members.filter(
+            (m) => normalise(`${m.first_name}${m.last_name || ''}`) === handle
+        );
+        const first = members.filter((m) => normalise(m.first_name) === handle);
+        const matches = full.length > 0 ? full : first;
+        if (matches.length === 1) ids.add(matches[0].user_id);
+    });
+    return [...ids];
+}
+
+async function recordMentions(db, io, message) {
+    try {
+        return await storeMentions(db, io, message);
+    } catch (err) {
+        console.error(
+            `Recording mentions for message ${message.messageId} failed:`,
+            err.message
+        );
+        return [];
+    }
+}
+
+async function loadMembers(db, chatId) {
+    const [members] = await db.query(
+        `SELECT cm.user_id, u.first_name, u.last_name
+        FROM chat_members cm JOIN users u ON u.id = cm.user_id
+        WHERE cm.chat_id = ?`,
+        [chatId]
+    );
+    return members;
+}
+
+async function storeMentions(
+    db,
+    io,
+    { chatId, messageId, senderId, text, edited = false }
+) {
+    const handles = mentionHandles(text);
+    // A new message has no stored mentions that could need removing
+    if (handles.length === 0 && !edited) return [];
+
+    const members = handles.length > 0 ? await loadMembers(db, chatId) : [];
+    const mentioned = resolveMentions(handles, members).filter(
+        (id) => id !== senderId
+    );
+    if (mentioned.length === 0 && !edited) return [];
+
+    const [existing] = await db.query(
+        `SELECT user_id FROM chat_message_mentions WHERE message_id = ?`,
+        [messageId]
+    );
+    const known = new Set(existing.map((row) => row.user_id));
+    const removed = [...known].filter((id) => !mentioned.includes(id));
+    if (removed.length > 0) {
+        await db.query(
+            'DELETE FROM chat_message_mentions WHERE message_id = ? AND user_id IN (?)',
+            [messageId, removed]
+        );
+    }
+    const added = mentioned.filter((id) => !known.has(id));
+    if (added.length === 0) return mentioned;
+
+    await db.query(
+        `INSERT IGNORE INTO chat_message_mentions (message_id, chat_id, user_id) VALUES ?`,
+        [added.map((id) => [messageId, chatId, id])]
+    );
+
+    const sender = members.find((m) => m.user_id === senderId);
+    const senderName = sender
+        ? `${sender.first_name || ''} ${sender.last_name || ''}`.trim()
+        : 'Someone';
+    const preview = String(text).slice(0, PREVIEW_LENGTH);
+    await db.query(
+        `INSERT INTO user_alerts (user_id, type, related_id, title, message, urgency, source)
+        VALUES ?`,
+        [
+            added.map((id) => [
+                id,
+                'chat',
+                chatId,
+                `${senderName} mentioned you`,
+                preview,
+                'advisory',
+                'system',
+            ]),
+        ]
+    );
+
+    if (io) {
+        added.forEach((id) =>
+            io.to(`user_${id}`).emit('chat:mention', {
+                chat_id: chatId,
+                message_id: messageId,
+                sender: { id: senderId, name: senderName },
+                content: preview,
+            })
+        );
+    }
+    return mentioned;
+}
+
+module.exports = {
+    PREVIEW_LENGTH,
+    mentionHandles,
+    resolveMentions,
+    recordMentions,
+};
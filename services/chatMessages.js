@@ -0,0 +1,407 @@
+// services/chatMessages.js
+/**
+ * chatMessages.js
+ *
+ * Purpose:
+ * Loading, storing and publishing chat messages, shared by the chat REST routes
+ * (routes/v0.0/chat.js) and the socket handlers (sockets/index.js).
+ *
+ * Public API (functions that touch the database take the mysql2 pool as `db`):
+ * - MESSAGE_SELECT, toMessage(row, extras)
+ *   Query prefix for message rows (with the quoted parent and reply count) and
+ *   the mapping to the API shape; deleted messages become tombstones. Location
+ *   messages from before chat_locations get coordinates parsed from their text
+ *   (see chatLocations.legacyLocation).
+ *
+ * - loadExtras(db, rows, userId) → { attachments, reactions, polls, events, locations }
+ *   Maps keyed by message ID for the live messages in `rows`.
+ *
+ * - toAttachment({ id, chat_id, file_type, thumbnail_url }) → { id, file_url, file_type, thumbnail_url }
+ *   API shape of a chat_attachments row: the URLs point at the member-only
+ *   `GET /v0.0/chat/:chat_id/attachments/:attachment_id` route (plus `/thumbnail`),
+ *   never at the stored file.
+ *
+ * - getReactions(db, messageIds, userId) → Map(messageId → { counts, mine })
+ *
+ * - insertMessage(db, { chatId, senderId, content, messageType, replyToId, clientId })
+ *   → { messageId, duplicate, published, stored }
+ *   `clientId` (see parseClientId) is unique per sender and chat: sending it again
+ *   returns the stored message with `duplicate: true` instead of a second copy,
+ *   whether it was already broadcast (`published`) and its stored `content`,
+ *   `messageType` and `replyToId`.
+ *
+ * - sendMessage(db, io, { chatId, senderId, content, messageType, replyToId, clientId })
+ *   → { messageId, duplicate }
+ *   insertMessage + publishMessage. A retry whose first attempt was stored but
+ *   never broadcast (publishing failed) publishes the stored message now, so a
+ *   duplicate is only acknowledged once it has been delivered.
+ *
+ * - publishMessage(db, io, { chatId, messageId, senderId, content, messageType,
+ *                            replyToId, clientId, location }) → message
+ *   Records @mentions of text messages and emits `chat:new_message` (plus
+ *   `chat:thread_reply` for replies) to the chat room and
+ *   `chat:list_update:trigger` to the sender's room. Messages with a `clientId`
+ *   are then marked `published_at`.
+ *
+ * - loadThreadUpdate(db, { chatId, parentId, messageId })
+ *   → { chat_id, parent_id, message_id, reply_count }
+ *   The `chat:thread_reply` payload, sent when a reply is added or deleted.
+ *
+ * - loadMessagesSince(db, userId, afterId, limit = 200) → { messages, has_more, last_id }
+ *   Messages with an ID above `afterId` across all of the user's chats, oldest
+ *   first, in the toMessage shape.
+ *
+ * - isLiveMessage(db, chatId, messageId) → boolean
+ *   Whether the message exists in the chat and is not deleted (reply targets).
+ *
+ * - parseClientId(value) → string | null | undefined
+ *   undefined when absent, null when invalid (1-64 letters, digits, '-' or '_').
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const { loadPolls } = require('./chatPolls');
+const { loadEvents } = require('./chatEvents');
+const { loadLocations, legacyLocation } = require('./chatLocations');
+const { PREVIEW_LENGTH, recordMentions } = require('./chatMentions');
+
+// Message columns plus the quoted parent and live reply count, shared by the
+// history, thread and sync queries
+const MESSAGE_SELECT = `SELECT m.id, m.chat_id, m.sender_id, u.first_name, u.last_name,
+        m.message AS content, m.message_type, m.created_at,
+        m.edited_at, m.deleted_at, m.reply_to_id, m.client_id,
+        p.sender_id AS reply_sender_id, pu.first_name AS reply_first_name,
+        pu.last_name AS reply_last_name, p.message AS reply_content,
+        p.deleted_at AS reply_deleted_at,
+        (SELECT COUNT(*) FROM chat_messages r
+         WHERE r.reply_to_id = m.id AND r.deleted_at IS NULL) AS reply_count
+    FROM chat_messages m
+    LEFT JOIN users u ON m.sender_id = u.id
+    LEFT JOIN chat_messages p ON p.id = m.reply_to_id
+    LEFT JOIN users pu ON pu.id = p.sender_id`;
+
+const fullName = (first, last) => `${first || ''} ${last || ''}`.trim();
+
+// Stored coordinates, or those parsed from a pre-chat_locations location message
+const locateMessage = (msg, locations) =>
+    locations.get(msg.id) ||
+    (msg.message_type === 'location' ? legacyLocation(msg) : null);
+
+// Maps a MESSAGE_SELECT row to the API shape; deleted messages become tombstones.
+// `extras` holds the attachment, reaction, poll, event and location maps from loadExtras().
+const toMessage = (
+    msg,
+    { attachments, reactions, polls, events, locations }
+) => ({
+    id: msg.id,
+    chat_id: msg.chat_id,
+    sender: {
+        id: msg.sender_id,
+        name: fullName(msg.first_name, msg.last_name),
+    },
+    content: msg.deleted_at ? null : msg.content,
+    message_type: msg.message_type,
+    client_id: msg.client_id || null,
+    timestamp: msg.created_at,
+    edited_at: msg.edited_at,
+    is_deleted: Boolean(msg.deleted_at),
+    deleted_at: msg.deleted_at,
+    attachments: attachments.get(msg.id) || [],
+    reactions: reactions.get(msg.id)?.counts || {},
+    my_reactions: reactions.get(msg.id)?.mine || [],
+    poll: msg.deleted_at ? null : polls.get(msg.id) || null,
+    event: msg.deleted_at ? null : events.get(msg.id) || null,
+    location: msg.deleted_at ? null : locateMessage(msg, locations),
+    reply_to: msg.reply_to_id
+        ? {
+              id: msg.reply_to_id,
+              sender: {
+                  id: msg.reply_sender_id,
+                  name: fullName(msg.reply_first_name, msg.reply_last_name),
+              },
+              content: msg.reply_deleted_at
+                  ? null
+                  : String(msg.reply_content || '').slice(0, PREVIEW_LENGTH),
+              is_deleted: Boolean(msg.reply_deleted_at),
+          }
+        : null,
+    reply_count: Number(msg.reply_count) || 0,
+});
+
+function toAttachment({ id, chat_id, file_type, thumbnail_url }) {
+    const fileUrl = `/v0.0/chat/${chat_id}/attachments/${id}`;
+    return {
+        id,
+        file_url: fileUrl,
+        file_type,
+        thumbnail_url: thumbnail_url ? `${fileUrl}/thumbnail` : null,
+    };
+}
+
+// Attachments for the given message IDs, grouped by message_id
+async function getAttachments(db, messageIds) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+
+    const [rows] = await db.query(
+        `SELECT a.id, a.message_id, m.chat_id, a.file_type, a.thumbnail_url
+         FROM chat_attachments a JOIN chat_messages m ON m.id = a.message_id
+         WHERE a.message_id IN (?) ORDER BY a.id`,
+        [messageIds]
+    );
+    rows.forEach((row) => {
+        if (!byMessage.has(row.message_id)) byMessage.set(row.message_id, []);
+        byMessage.get(row.message_id).push(toAttachment(row));
+    });
+    return byMessage;
+}
+
+// Reaction counts per message, plus the ones left by `userId`
+async function getReactions(db, messageIds, userId) {
+    const byMessage = new Map();
+    if (messageIds.length === 0) return byMessage;
+
+    const [rows] = await db.query(
+        `SELECT message_id, reaction, COUNT(*) AS count, SUM(user_id = ?) AS mine
+         FROM chat_message_reactions WHERE message_id IN (?)
+         GROUP BY message_id, reaction`,
+        [userId, messageIds]
+    );
+    rows.forEach(({ message_id, reaction, count, mine }) => {
+        if (!byMessage.has(message_id)) {
+            byMessage.set(message_id, { counts: {}, mine: [] });
+        }
+        const entry = byMessage.get(message_id);
+        entry.counts[reaction] = Number(count);
+        if (Number(mine) > 0) entry.mine.push(reaction);
+    });
+    return byMessage;
+}
+
+// Attachments, reactions, poll results, events and coordinates for the live
+// messages in `rows`
+async function loadExtras(db, rows, userId) {
+    const live = rows.filter((msg) => !msg.deleted_at);
+    const ids = live.map((msg) => msg.id);
+    const idsOfType = (type) =>
+        live.filter((msg) => msg.message_type === type).map((msg) => msg.id);
+    const polls = await loadPolls(
+        db,
+        { messageIds: idsOfType('poll') },
+        userId
+    );
+    const events = await loadEvents(
+        db,
+        { messageIds: idsOfType('event') },
+        userId
+    );
+    const locations = await loadLocations(db, idsOfType('location'));
+
+    return {
+        attachments: await getAttachments(db, ids),
+        reactions: await getReactions(db, ids, userId),
+        polls: new Map(polls.map((poll) => [poll.message_id, poll])),
+        events: new Map(events.map((event) => [event.message_id, event])),
+        locations: new Map(locations.map((loc) => [loc.message_id, loc])),
+    };
+}
+
+async function insertMessage(
+    db,
+    {
+        chatId,
+        senderId,
+        content,
+        messageType = 'text',
+        replyToId = null,
+        clientId = null,
+    }
+) {
+    try {
+        const [result] = await db.query(
+            `INSERT INTO chat_messages (chat_id, sender_id, message, message_type, reply_to_id, client_id)
+            VALUES (?, ?, ?, ?, ?, ?)`,
+            [chatId, senderId, content, messageType, replyToId, clientId]
+        );
+        return {
+            messageId: result.insertId,
+            duplicate: false,
+            published: false,
+            stored: {},
+        };
+    } catch (err) {
+        if (err.code !== 'ER_DUP_ENTRY' || !clientId) throw err;
+
+        // A retry of a message that already arrived in this chat
+        const [[existing]] = await db.query(
+            `SELECT id, message, message_type, reply_to_id, published_at
+            FROM chat_messages WHERE chat_id = ? AND sender_id = ? AND client_id = ?`,
+            [chatId, senderId, clientId]
+        );
+        if (!existing) throw err;
+
+        return {
+            messageId: existing.id,
+            duplicate: true,
+            published: Boolean(existing.published_at),
+            stored: {
+                content: existing.message,
+                messageType: existing.message_type,
+                replyToId: existing.reply_to_id,
+            },
+        };
+    }
+}
+
+async function sendMessage(db, io, message) {
+    const { messageId, duplicate, published, stored } = await insertMessage(
+        db,
+        message
+    );
+    if (!published) {
+        await publishMessage(db, io, { ...message, ...stored, messageId });
+    }
+    return { messageId, duplicate };
+}
+
+// `chat:thread_reply` payload with the parent's current live reply count
+async function loadThreadUpdate(db, { chatId, parentId, messageId }) {
+    const [[{ count }]] = await db.query(
+        `SELECT COUNT(*) AS count FROM chat_messages WHERE reply_to_id = ? AND deleted_at IS NULL`,
+        [parentId]
+    );
+    return {
+        chat_id: chatId,
+        parent_id: parentId,
+        message_id: messageId,
+        reply_count: count,
+    };
+}
+
+async function publishMessage(
+    db,
+    io,
+    {
+        chatId,
+        messageId,
+        senderId,
+        content,
+        messageType = 'text',
+        replyToId = null,
+        clientId = null,
+        location = null,
+    }
+) {
+    const [senderRows] = await db.query(
+        `SELECT first_name, last_name FROM users WHERE id = ?`,
+        [senderId]
+    );
+    const senderName = senderRows.length
+        ? `${senderRows[0].first_name} ${senderRows[0].last_name || ''}`.trim()
+        : 'Unknown';
+
+    const mentions =
+        messageType === 'text'
+            ? await recordMentions(db, io, {
+                  chatId,
+                  messageId,
+                  senderId,
+                  text: content,
+              })
+            : [];
+
+    const newMessage = {
+        id: messageId,
+        chat_id: chatId,
+        sender: { id: senderId, name: senderName },
+        content,
+        message_type: messageType,
+        client_id: clientId,
+        timestamp: new Date().toISOString(),
+        attachments: [],
+        reply_to_id: replyToId,
+        location,
+        mentions,
+    };
+
+    const threadUpdate =
+        replyToId !== null
+            ? await loadThreadUpdate(db, {
+                  chatId,
+                  parentId: replyToId,
+                  messageId,
+              })
+            : null;
+
+    if (io) {
+        io.to(`chat_${chatId}`).emit('chat:new_message', newMessage);
+        if (threadUpdate) {
+            io.to(`chat_${chatId}`).emit('chat:thread_reply', threadUpdate);
+        }
+        io.to(`user_${senderId}`).emit('chat:list_update:trigger');
+    } else {
+        console.warn('⚠️ io not available to publish chat messages');
+    }
+
+    // Retries of this clientId are now acknowledged without publishing again
+    if (clientId) {
+        await db.query(
+            'UPDATE chat_messages SET published_at = NOW() WHERE id = ?',
+            [messageId]
+        );
+    }
+
+    return newMessage;
+}
+
+async function loadMessagesSince(db, userId, afterId, limit = 200) {
+    const [rows] = await db.query(
+        `${MESSAGE_SELECT}
+        JOIN chat_members cm ON cm.chat_id = m.chat_id AND cm.user_id = ?
+        WHERE m.id > ?
+        ORDER BY m.id ASC
+        LIMIT ?`,
+        [userId, afterId, limit + 1]
+    );
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    const extras = await loadExtras(db, page, userId);
+
+    return {
+        messages: page.map((msg) => toMessage(msg, extras)),
+        has_more: hasMore,
+        last_id: page.length ? page[page.length - 1].id : afterId,
+    };
+}
+
+async function isLiveMessage(db, chatId, messageId) {
+    const [[row]] = await db.query(
+        `SELECT id FROM chat_messages WHERE id = ? AND chat_id = ? AND deleted_at IS NULL`,
+        [messageId, chatId]
+    );
+    return Boolean(row);
+}
+
+function parseClientId(value) {
+    if (value === undefined || value === null) return undefined;
+    return typeof value === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(value)
+        ? value
+        : null;
+}
+
+module.exports = {
+    MESSAGE_SELECT,
+    fullName,
+    toMessage,
+    toAttachment,
+    loadExtras,
+    getReactions,
+    insertMessage,
+    sendMessage,
+    publishMessage,
+    loadThreadUpdate,
+    loadMessagesSince,
+    isLiveMessage,
+    parseClientId,
+};
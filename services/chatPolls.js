@@ -0,0 +1,227 @@
+// services/chatPolls.js
+/**
+ * chatPolls.js
+ *
+ * Purpose:
+ * Storage and results for chat polls (`message_type = 'poll'`), used by the poll
+ * endpoints in routes/v0.0/chat.js.
+ *
+ * Public API (all functions take the mysql2 pool as `db`):
+ * - parsePollInput(body) → { poll } | { error }
+ *   Validates { question, options[], allows_multiple, is_anonymous, closes_at }:
+ *   2-10 distinct options of up to 100 characters, a question of up to 255, and
+ *   an optional closing time in the future.
+ *
+ * - createPoll(db, { chatId, userId, poll }) → { messageId, pollId }
+ *   Inserts the poll message, the poll and its options in one transaction.
+ *
+ * - loadPolls(db, { messageIds } | { pollIds }, userId) → results[]
+ *   → [{ id, message_id, chat_id, created_by, question, allows_multiple,
+ *        is_anonymous, closes_at, closed_at, is_closed, total_voters,
+ *        options: [{ id, label, votes, voters? }], my_votes }]
+ *   `voters` ([{ id, name }]) is only included for non-anonymous polls. Polls whose
+ *   message was deleted are not returned.
+ *
+ * - castVote(db, pollId, userId, optionIds)
+ *   Replaces the user's votes on the poll in one transaction.
+ *
+ * - isClosed(poll, now = new Date()) → boolean
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const MAX_OPTIONS = 10;
+
+function parsePollInput(body = {}) {
+    const {
+        question,
+        options,
+        allows_multiple = false,
+        is_anonymous = false,
+        closes_at = null,
+    } = body;
+
+    const text = typeof question === 'string' ? question.trim() : '';
+    if (!text || text.length > 255) {
+        return { error: 'question must be 1-255 characters' };
+    }
+
+    const labels = Array.isArray(options)
+        ? options.map((o) => (typeof o === 'string' ? o.trim() : ''))
+        : [];
+    if (
+        labels.length < 2 ||
+        labels.length > MAX_OPTIONS ||
+        labels.some((l) => !l || l.length > 100) ||
+        new Set(labels.map((l) => l.toLowerCase())).size !== labels.length
+    ) {
+        return {
+            error: `options must be 2-${MAX_OPTIONS} distinct strings of up to 100 characters`,
+        };
+    }
+
+    if (
+        typeof allows_multiple !== 'boolean' ||
+        typeof is_anonymous !== 'boolean'
+    ) {
+        return { error: 'allows_multiple and is_anonymous must be booleans' };
+    }
+
+    let closesAt = null;
+    if (closes_at !== null) {
+        closesAt = new Date(closes_at);
+        if (isNaN(closesAt) || closesAt <= new Date()) {
+            return { error: 'closes_at must be a future date' };
+        }
+    }
+
+    return {
+        poll: {
+            question: text,
+            options: labels,
+            allowsMultiple: allows_multiple,
+            isAnonymous: is_anonymous,
+            closesAt,
+        },
+    };
+}
+
+async function createPoll(db, { chatId, userId, poll }) {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const [message] = await conn.query(
+            `INSERT INTO chat_messages (chat_id, sender_id, message, message_type)
+            VALUES (?, ?, ?, 'poll')`,
+            [chatId, userId, poll.question]
+        );
+        const [created] = await conn.query(
+            `INSERT INTO chat_polls (message_id, chat_id, created_by, question, allows_multiple, is_anonymous, closes_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                message.insertId,
+                chatId,
+                userId,
+                poll.question,
+                poll.allowsMultiple,
+                poll.isAnonymous,
+                poll.closesAt,
+            ]
+        );
+        await conn.query(
+            'INSERT INTO chat_poll_options (poll_id, position, label) VALUES ?',
+            [poll.options.map((label, i) => [created.insertId, i, label])]
+        );
+
+        await conn.commit();
+        return { messageId: message.insertId, pollId: created.insertId };
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+function isClosed(poll, now = new Date()) {
+    return Boolean(
+        poll.closed_at || (poll.closes_at && new Date(poll.closes_at) <= now)
+    );
+}
+
+async function loadPolls(db, { messageIds, pollIds }, userId) {
+    const ids = messageIds || pollIds;
+    if (!ids || ids.length === 0) return [];
+
+    const [polls] = await db.query(
+        `SELECT p.id, p.message_id, p.chat_id, p.created_by, p.question, p.allows_multiple,
+            p.is_anonymous, p.closes_at, p.closed_at
+        FROM chat_polls p
+        JOIN chat_messages m ON m.id = p.message_id AND m.deleted_at IS NULL
+        WHERE ${messageIds ? 'p.message_id' : 'p.id'} IN (?)`,
+        [ids]
+    );
+    if (polls.length === 0) return [];
+
+    const found = polls.map((p) => p.id);
+    const [options] = await db.query(
+        `SELECT id, poll_id, label FROM chat_poll_options
+        WHERE poll_id IN (?) ORDER BY poll_id, position`,
+        [found]
+    );
+    const [votes] = await db.query(
+        `SELECT v.poll_id, v.option_id, v.user_id, u.first_name, u.last_name
+        FROM chat_poll_votes v JOIN users u ON u.id = v.user_id
+        WHERE v.poll_id IN (?) ORDER BY v.voted_at`,
+        [found]
+    );
+
+    return polls.map((poll) => {
+        const pollVotes = votes.filter((v) => v.poll_id === poll.id);
+        const anonymous = Boolean(poll.is_anonymous);
+
+        return {
+            id: poll.id,
+            message_id: poll.message_id,
+            chat_id: poll.chat_id,
+            created_by: poll.created_by,
+            question: poll.question,
+            allows_multiple: Boolean(poll.allows_multiple),
+            is_anonymous: anonymous,
+            closes_at: poll.closes_at,
+            closed_at: poll.closed_at,
+            is_closed: isClosed(poll),
+            total_voters: new Set(pollVotes.map((v) => v.user_id)).size,
+            options: options
+                .filter((o) => o.poll_id === poll.id)
+                .map((o) => {
+                    const chosen = pollVotes.filter(
+                        (v) => v.option_id === o.id
+                    );
+                    const option = {
+                        id: o.id,
+                        label: o.label,
+                        votes: chosen.length,
+                    };
+                    if (!anonymous) {
+                        option.voters = chosen.map((v) => ({
+                            id: v.user_id,
+                            name: `${v.first_name || ''} ${
+                                v.last_name || ''
+                            }`.trim(),
+                        }));
+                    }
+                    return option;
+                }),
+            my_votes: pollVotes
+                .filter((v) => v.user_id === userId)
+                .map((v) => v.option_id),
+        };
+    });
+}
+
+async function castVote(db, pollId, userId, optionIds) {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+        await conn.query(
+            'DELETE FROM chat_poll_votes WHERE poll_id = ? AND user_id = ?',
+            [pollId, userId]
+        );
+        if (optionIds.length > 0) {
+            await conn.query(
+                'INSERT INTO chat_poll_votes (poll_id, option_id, user_id) VALUES ?',
+                [optionIds.map((optionId) => [pollId, optionId, userId])]
+            );
+        }
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+module.exports = { parsePollInput, createPoll, loadPolls, castVote, isClosed };
@@ -0,0 +1,82 @@
+// services/messageSearch.js
+/**
+ * messageSearch.js
+ *
+ * Purpose:
+ * Query building and snippet highlighting for `GET /chat/search`.
+ *
+ * Public API:
+ * - searchTerms(q) → string[]
+ *   Words (letters/digits) from the user's query, lower-cased, de-duplicated and
+ *   capped at 10; operators and punctuation are dropped.
+ *
+ * - booleanQuery(terms) → string
+ *   MySQL BOOLEAN MODE expression matching any term as a prefix, so "sandbag"
+ *   also finds "sandbags": `sandbag* hall*`. Messages matching more terms score
+ *   higher, so natural questions ("where were the sandbags") still work.
+ *
+ * - highlightSnippet(text, terms, radius = 60) → string
+ *   Up to `radius` characters either side of the first match, HTML-escaped, with
+ *   matches wrapped in <mark>…</mark> and "…" where the text was cut.
+ *
+ * Notes:
+ * - InnoDB ignores terms shorter than `innodb_ft_min_token_size` (3 by default);
+ *   such terms are still highlighted but never match a message on their own.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const MAX_TERMS = 10;
+
+const escapeHtml = (text) =>
+    text.replace(
+        /[&<>"']/g,
+        (c) =>
+            ({
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#39;',
+            }[c])
+    );
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function searchTerms(q) {
+    const words = String(q || '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu);
+    return [...new Set(words || [])].slice(0, MAX_TERMS);
+}
+
+function booleanQuery(terms) {
+    return terms.map((term) => `${term}*`).join(' ');
+}
+
+function highlightSnippet(text, terms, radius = 60) {
+    const source = String(text || '');
+    if (terms.length === 0) return escapeHtml(source.slice(0, radius * 2));
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'giu');
+    const first = source.search(pattern);
+    const start = Math.max((first < 0 ? 0 : first) - radius, 0);
+    const end = Math.min((first < 0 ? radius : first) + radius, source.length);
+
+    // Escape and mark piece by piece so markup never splits an entity
+    let snippet = '';
+    let last = start;
+    const window = source.slice(0, end);
+    pattern.lastIndex = start;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+        snippet += escapeHtml(window.slice(last, match.index));
+        snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    snippet += escapeHtml(window.slice(last));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < source.length ? '…' : ''}`;
+}
+
+module.exports = { searchTerms, booleanQuery, highlightSnippet };
@@ -0,0 +1,191 @@
+// services/otpDelivery.js
+/**
+ * otpDelivery.js
+ *
+ * Purpose:
+ * Deliver one-time login codes through pluggable channels and record the outcome
+ * of every attempt in `otp_deliveries`.
+ *
+ * Adapters (each exposes `send({ to, code, user }) → { providerMessageId? }` and
+ * throws on failure):
+ * - createSmsAdapter({ endpoint, apiKey, from, fetchImpl = global fetch })
+ *   Posts `{ to, from, body }` as JSON to an HTTP SMS provider with a Bearer key.
+ * - createEmailAdapter({ transport | smtp, from })
+ *   Sends a plain-text email through nodemailer (an existing transport or SMTP options).
+ * - createConsoleAdapter({ filePath = null, logger = console })
+ *   Local development/tests: logs the code and, when `filePath` is set, appends a
+ *   JSON line to that file instead of contacting any provider.
+ *
+ * Public API:
+ * - createOtpDelivery({ adapters, channels = ['console'] })
+ *   Returns `{ channels, deliver(db, { otpId, user, code, channel }) }`.
+ *   `deliver` tries the requested channel, or each configured channel in order
+ *   until one succeeds, inserting one `otp_deliveries` row per attempt.
+ *   → [{ channel, status: 'sent' | 'failed' | 'skipped' }]
+ *
+ * - buildOtpDelivery(config)
+ *   Builds adapters from the `OTP_DELIVERY` config block (sms / email / console)
+ *   and defaults to the console adapter when nothing is configured.
+ *
+ * Notes:
+ * - A channel is 'skipped' when the user has no destination for it (e.g. no email).
+ * - Provider errors are recorded in `error_message`; the code itself is never stored.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+
+const otpMessage = (code) =>
+    `Your ResQZone verification code is ${code}. It expires in 5 minutes.`;
+
+// Step 1: Adapters
+function createSmsAdapter({
+    endpoint,
+    apiKey,
+    from,
+    fetchImpl = globalThis.fetch,
+}) {
+    if (!endpoint) throw new Error('SMS adapter requires an endpoint');
+
+    return {
+        destination: (user) =>
+            user.phone_number
+                ? `${user.country_code || ''}${user.phone_number}`
+                : null,
+        async send({ to, code }) {
+            const res = await fetchImpl(endpoint, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${apiKey}`,
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ to, from, body: otpMessage(code) }),
+            });
+            if (!res.ok) throw new Error(`SMS provider returned ${res.status}`);
+            const data = await res.json().catch(() => ({}));
+            return { providerMessageId: data.id || data.sid || null };
+        },
+    };
+}
+
+function createEmailAdapter({ transport, smtp, from }) {
+    const mailer = transport || nodemailer.createTransport(smtp);
+
+    return {
+        destination: (user) => user.email || null,
+        async send({ to, code }) {
+            const info = await mailer.sendMail({
+                from,
+                to,
+                subject: 'Your ResQZone verification code',
+                text: otpMessage(code),
+            });
+            return { providerMessageId: info.messageId || null };
+        },
+    };
+}
+
+function createConsoleAdapter({ filePath = null, logger = console } = {}) {
+    return {
+        destination: (user) =>
+            user.phone_number
+                ? `${user.country_code || ''}${user.phone_number}`
+                : `user:${user.id}`,
+        async send({ to, code, user }) {
+            if (filePath) {
+                const line = JSON.stringify({
+                    to,
+                    user_id: user.id,
+                    code,
+                    sent_at: new Date().toISOString(),
+                });
+                await fs.promises.appendFile(filePath, line + '\n');
+            } else {
+                logger.log(`[otp] ${to} (user ${user.id}): ${code}`);
+            }
+            return { providerMessageId: null };
+        },
+    };
+}
+
+// Step 2: Dispatcher
+function createOtpDelivery({ adapters = {}, channels = ['console'] } = {}) {
+    const available = channels.filter((c) => adapters[c]);
+    if (available.length === 0) {
+        throw new Error('OTP delivery needs at least one configured channel');
+    }
+
+    async function record(db, otpId, channel, to, status, extra = {}) {
+        await db.query(
+            `INSERT INTO otp_deliveries (otp_login_id, channel, destination, status, provider_message_id, error_message, sent_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                otpId,
+                channel,
+                to,
+                status,
+                extra.providerMessageId || null,
+                extra.error || null,
+                status === 'sent' ? new Date() : null,
+            ]
+        );
+    }
+
+    async function deliver(db, { otpId, user, code, channel = null }) {
+        const order = channel ? [channel] : available;
+        const results = [];
+
+        for (const name of order) {
+            const adapter = adapters[name];
+            const to = adapter?.destination(user);
+
+            if (!to) {
+                await record(db, otpId, name, null, 'skipped', {
+                    error: adapter ? 'No destination' : 'Channel unavailable',
+                });
+                results.push({ channel: name, status: 'skipped' });
+                continue;
+            }
+
+            try {
+                const sent = await adapter.send({ to, code, user });
+                await record(db, otpId, name, to, 'sent', sent);
+                results.push({ channel: name, status: 'sent' });
+                break;
+            } catch (err) {
+                console.warn(`OTP delivery via ${name} failed:`, err.message);
+                await record(db, otpId, name, to, 'failed', {
+                    error: err.message,
+                });
+                results.push({ channel: name, status: 'failed' });
+            }
+        }
+
+        return results;
+    }
+
+    return { channels: available, deliver };
+}
+
+// Step 3: Build from config
+function buildOtpDelivery(config = {}) {
+    const adapters = {};
+    if (config.sms) adapters.sms = createSmsAdapter(config.sms);
+    if (config.email) adapters.email = createEmailAdapter(config.email);
+    adapters.console = createConsoleAdapter(config.console || {});
+
+    return createOtpDelivery({
+        adapters,
+        channels: config.channels || ['console'],
+    });
+}
+
+module.exports = {
+    createSmsAdapter,
+    createEmailAdapter,
+    createConsoleAdapter,
+    createOtpDelivery,
+    buildOtpDelivery,
+};
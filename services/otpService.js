@@ -0,0 +1,96 @@
+// services/otpService.js
+/**
+ * otpService.js
+ *
+ * Purpose:
+ * Issue and verify one-time login codes stored in `otp_logins`. Codes are
+ * bcrypt-hashed at rest, so the plain code only exists in memory long enough to
+ * be delivered to the user.
+ *
+ * Public API (all functions take the mysql2 pool/connection as `db`):
+ * - issueOtp(db, { userId, ipAddress, userAgent })
+ *   Generates a 6-digit code, stores its hash with a 5-minute expiry.
+ *   → { otpId, code, expiresAt }
+ *
+ * - verifyOtp(db, userId, code)
+ *   Checks the user's newest unused, unexpired OTP.
+ *   → { status: 'verified', otp }
+ *   → { status: 'invalid', attemptsRemaining }   wrong code (attempt counted)
+ *   → { status: 'locked' }                       attempts >= max_attempts
+ *   → { status: 'missing' }                      no usable OTP
+ *   A successful check marks the row used and sets `verified_at`.
+ *
+ * Notes:
+ * - Every check uses up an attempt before the code is compared; once `attempts`
+ *   reaches `max_attempts` the code can no longer be used, even with the right value.
+ * - The attempt is taken with a conditional UPDATE (`attempts < max_attempts`), so
+ *   parallel guesses cannot get more than `max_attempts` comparisons between them.
+ * - Marking the row used is conditional on `is_used = FALSE`, so two concurrent
+ *   verifications cannot both succeed.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_HASH_ROUNDS = 10;
+
+function generateOtpCode() {
+    return crypto.randomInt(100000, 1000000).toString();
+}
+
+async function issueOtp(db, { userId, ipAddress = null, userAgent = '' }) {
+    const code = generateOtpCode();
+    const expiresAt = new Date(Date.now() + OTP_TTL_MS);
+    const otpHash = await bcrypt.hash(code, OTP_HASH_ROUNDS);
+
+    const [result] = await db.query(
+        `INSERT INTO otp_logins (user_id, otp_code, expires_at, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?)`,
+        [userId, otpHash, expiresAt, ipAddress, userAgent]
+    );
+
+    return { otpId: result.insertId, code, expiresAt };
+}
+
+async function verifyOtp(db, userId, code) {
+    const [rows] = await db.query(
+        `SELECT * FROM otp_logins
+        WHERE user_id = ? AND is_used = FALSE AND expires_at > ?
+        ORDER BY created_at DESC LIMIT 1`,
+        [userId, new Date()]
+    );
+    if (rows.length === 0) return { status: 'missing' };
+
+    const otp = rows[0];
+    if (otp.attempts >= otp.max_attempts) return { status: 'locked' };
+
+    // Take an attempt first; the condition makes parallel guesses queue on the row
+    const [attempt] = await db.query(
+        `UPDATE otp_logins SET attempts = attempts + 1
+        WHERE id = ? AND attempts < max_attempts AND is_used = FALSE`,
+        [otp.id]
+    );
+    if (attempt.affectedRows === 0) return { status: 'locked' };
+
+    const matches = await bcrypt.compare(String(code), otp.otp_code);
+    if (!matches) {
+        const attemptsRemaining = otp.max_attempts - otp.attempts - 1;
+        return attemptsRemaining > 0
+            ? { status: 'invalid', attemptsRemaining }
+            : { status: 'locked' };
+    }
+
+    const [result] = await db.query(
+        `UPDATE otp_logins SET is_used = TRUE, verified_at = NOW()
+        WHERE id = ? AND is_used = FALSE`,
+        [otp.id]
+    );
+    if (result.affectedRows === 0) return { status: 'missing' };
+
+    return { status: 'verified', otp };
+}
+
+module.exports = { issueOtp, verifyOtp };
@@ -0,0 +1,158 @@
+// services/payloadCrypto.js
+/**
+ * payloadCrypto.js
+ *
+ * Purpose:
+ * Encrypt and decrypt the `payload` strings exchanged by encryptMiddleware and
+ * decryptMiddleware.
+ *
+ * Formats:
+ * - v2 (current, AES-256-GCM):  `v2:<keyId>:<ivHex>:<tagHex>:<cipherHex>`
+ *   12-byte random IV, 16-byte auth tag; `v2:<keyId>` is bound as additional
+ *   authenticated data, so neither the ciphertext nor the key ID can be altered.
+ * - legacy (AES-256-CBC):       `<ivHex>:<cipherHex>`
+ *   No integrity check. Only decrypted, and only while a legacy key is configured.
+ *
+ * Public API:
+ * - createPayloadCrypto({ keys, activeKeyId, legacyKey })
+ *   `keys` maps key IDs to 32-byte keys; `activeKeyId` picks the one used to encrypt.
+ *   Any key in `keys` can decrypt, so old and new keys can overlap during a rotation.
+ *   → { activeKeyId, encrypt(plainText), decrypt(payload) }
+ *   `decrypt` throws on malformed payloads, unknown key IDs, IVs or auth tags of the
+ *   wrong length (the tag must be the full 16 bytes) and failed authentication.
+ *
+ * - buildPayloadCrypto(config)
+ *   Reads `ENCRYPTION_KEYS` / `ENCRYPTION_ACTIVE_KEY_ID` and the legacy
+ *   `ENCRYPTION_KEY` from the resqzone_api config. With only `ENCRYPTION_KEY` set,
+ *   it is used as key ID "default" and for legacy payloads.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v2';
+const GCM_IV_LENGTH = 12;
+const GCM_TAG_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const toKey = (key, label) => {
+    const buf = Buffer.from(String(key || ''));
+    if (buf.length !== 32) {
+        throw new Error(`${label} must be 32 characters long (AES-256 key)`);
+    }
+    return buf;
+};
+
+function createPayloadCrypto({ keys = {}, activeKeyId, legacyKey = null }) {
+    const keyring = new Map();
+    Object.entries(keys).forEach(([id, key]) => {
+        if (!KEY_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid encryption key ID: ${id}`);
+        }
+        keyring.set(id, toKey(key, `Encryption key "${id}"`));
+    });
+
+    if (!keyring.has(activeKeyId)) {
+        throw new Error('ENCRYPTION_ACTIVE_KEY_ID must name a configured key');
+    }
+    const legacy = legacyKey ? toKey(legacyKey, 'ENCRYPTION_KEY') : null;
+
+    function encrypt(plainText) {
+        const iv = crypto.randomBytes(GCM_IV_LENGTH);
+        const cipher = crypto.createCipheriv(
+            'aes-256-gcm',
+            keyring.get(activeKeyId),
+            iv
+        );
+        cipher.setAAD(Buffer.from(`${VERSION}:${activeKeyId}`));
+
+        const encrypted = Buffer.concat([
+            cipher.update(plainText, 'utf8'),
+            cipher.final(),
+        ]);
+        const tag = cipher.getAuthTag();
+
+        return [
+            VERSION,
+            activeKeyId,
+            iv.toString('hex'),
+            tag.toString('hex'),
+            encrypted.toString('hex'),
+        ].join(':');
+    }
+
+    function decryptGcm([, keyId, ivHex, tagHex, cipherHex]) {
+        const key = keyring.get(keyId);
+        if (!key) throw new Error('Unknown encryption key');
+        // Shorter tags would make forging one practical; accept full-length only
+        if (
+            !new RegExp(`^[0-9a-f]{${GCM_IV_LENGTH * 2}}$`, 'i').test(ivHex) ||
+            !new RegExp(`^[0-9a-f]{${GCM_TAG_LENGTH * 2}}$`, 'i').test(tagHex)
+        ) {
+            throw new Error('Invalid IV or auth tag length');
+        }
+
+        const decipher = crypto.createDecipheriv(
+            'aes-256-gcm',
+            key,
+            Buffer.from(ivHex, 'hex'),
+            { authTagLength: GCM_TAG_LENGTH }
+        );
+        decipher.setAAD(Buffer.from(`${VERSION}:${keyId}`));
+        decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(cipherHex, 'hex')),
+            decipher.final(),
+        ]).toString('utf8');
+    }
+
+    function decryptLegacy([ivHex, cipherHex]) {
+        if (!legacy) throw new Error('Legacy payloads are not accepted');
+
+        const decipher = crypto.createDecipheriv(
+            'aes-256-cbc',
+            legacy,
+            Buffer.from(ivHex, 'hex')
+        );
+
+        return Buffer.concat([
+            decipher.update(Buffer.from(cipherHex, 'hex')),
+            decipher.final(),
+        ]).toString('utf8');
+    }
+
+    function decrypt(payload) {
+        const parts = String(payload).split(':');
+        if (parts[0] === VERSION && parts.length === 5) {
+            return decryptGcm(parts);
+        }
+        if (parts.length === 2) return decryptLegacy(parts);
+        throw new Error('Invalid encrypted format');
+    }
+
+    return { activeKeyId, encrypt, decrypt };
+}
+
+function buildPayloadCrypto({
+    ENCRYPTION_KEYS,
+    ENCRYPTION_ACTIVE_KEY_ID,
+    ENCRYPTION_KEY,
+} = {}) {
+    if (!ENCRYPTION_KEYS) {
+        return createPayloadCrypto({
+            keys: { default: ENCRYPTION_KEY },
+            activeKeyId: 'default',
+            legacyKey: ENCRYPTION_KEY,
+        });
+    }
+
+    return createPayloadCrypto({
+        keys: ENCRYPTION_KEYS,
+        activeKeyId: ENCRYPTION_ACTIVE_KEY_ID,
+        legacyKey: ENCRYPTION_KEY || null,
+    });
+}
+
+module.exports = { createPayloadCrypto, buildPayloadCrypto };
@@ -0,0 +1,51 @@
+// services/presence.js
+/**
+ * presence.js
+ *
+ * Purpose:
+ * In-memory record of which users currently have a live socket, shared by
+ * sockets/index.js (which updates it) and routes/v0.0/chat.js (which reads it).
+ *
+ * Public API:
+ * - createPresenceTracker() → {
+ *     connect(userId, socketId)    → true when this is the user's first live socket
+ *     disconnect(userId, socketId) → true when it was the user's last live socket
+ *     isOnline(userId)             → boolean
+ *     socketCount(userId)          → number
+ *   }
+ *
+ * Notes:
+ * - Users count as online while any of their devices is connected.
+ * - State lives in this process only; with several app instances, a shared
+ *   socket.io adapter and store would be needed for a global view.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+function createPresenceTracker() {
+    const sockets = new Map(); // userId → Set of socket IDs
+
+    return {
+        connect(userId, socketId) {
+            const live = sockets.get(userId) || new Set();
+            live.add(socketId);
+            sockets.set(userId, live);
+            return live.size === 1;
+        },
+        disconnect(userId, socketId) {
+            const live = sockets.get(userId);
+            if (!live || !live.delete(socketId)) return false;
+            if (live.size > 0) return false;
+            sockets.delete(userId);
+            return true;
+        },
+        isOnline(userId) {
+            return sockets.has(userId);
+        },
+        socketCount(userId) {
+            return sockets.get(userId)?.size || 0;
+        },
+    };
+}
+
+module.exports = { createPresenceTracker };
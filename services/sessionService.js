@@ -0,0 +1,176 @@
+// services/sessionService.js
+/**
+ * sessionService.js
+ *
+ * Purpose:
+ * Persist device sessions (`user_sessions`) behind refresh tokens. A session is
+ * opened when an OTP is verified, copying the device's IP and user agent from
+ * the `otp_logins` row, and is refreshed, listed or revoked from the users API.
+ *
+ * Public API (all functions take the mysql2 pool/connection as `db`):
+ * - createSession(db, tokens, { userId, otpLoginId, ipAddress, userAgent })
+ *   → { sessionId, refreshToken, expiresAt }
+ *
+ * - rotateSession(db, tokens, refreshToken, { ipAddress, userAgent })
+ *   Looks up an active, unexpired session by refresh token hash, replaces the
+ *   token (one-time use) and bumps `last_seen_at`. The replacement only applies
+ *   while the old hash is still current, so of two parallel refreshes with the
+ *   same token only one succeeds.
+ *   → { sessionId, user: { id, role }, refreshToken, expiresAt } or null.
+ *
+ * - listSessions(db, userId)
+ *   → Active sessions for the user, most recently seen first.
+ *
+ * - findActiveAccount(db, userId, sessionId = null)
+ *   Current role of an active, not deleted user whose session (when given) has not
+ *   been revoked; used to check access tokens against the database.
+ *   → { role } or null.
+ *
+ * - revokeSessions(db, io, userId, sessionId = null)
+ *   Revokes one session (or every active session when `sessionId` is null) and
+ *   disconnects sockets that joined the matching `session_<id>` rooms.
+ *   → Array of revoked session IDs.
+ *
+ * Notes:
+ * - Refresh tokens are stored as SHA-256 hashes (see tokenService).
+ * - Inactive or soft-deleted users cannot refresh.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+async function createSession(
+    db,
+    tokens,
+    { userId, otpLoginId = null, ipAddress = null, userAgent = null }
+) {
+    const refreshToken = tokens.generateRefreshToken();
+    const expiresAt = new Date(
+        Date.now() + tokens.refreshTokenTtlSeconds * 1000
+    );
+
+    const [result] = await db.query(
+        `INSERT INTO user_sessions
+            (user_id, otp_login_id, refresh_token_hash, ip_address, user_agent, last_seen_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, NOW(), ?)`,
+        [
+            userId,
+            otpLoginId,
+            tokens.hashRefreshToken(refreshToken),
+            ipAddress,
+            userAgent,
+            expiresAt,
+        ]
+    );
+
+    return { sessionId: result.insertId, refreshToken, expiresAt };
+}
+
+async function rotateSession(
+    db,
+    tokens,
+    refreshToken,
+    { ipAddress = null, userAgent = null } = {}
+) {
+    const currentHash = tokens.hashRefreshToken(refreshToken);
+    const [[session]] = await db.query(
+        `SELECT s.id, s.user_id, u.role
+         FROM user_sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.refresh_token_hash = ?
+           AND s.revoked_at IS NULL
+           AND s.expires_at > NOW()
+           AND u.is_active = TRUE
+           AND u.deleted_at IS NULL
+         LIMIT 1`,
+        [currentHash]
+    );
+    if (!session) return null;
+
+    const nextToken = tokens.generateRefreshToken();
+    const expiresAt = new Date(
+        Date.now() + tokens.refreshTokenTtlSeconds * 1000
+    );
+
+    const [result] = await db.query(
+        `UPDATE user_sessions
+         SET refresh_token_hash = ?, expires_at = ?, last_seen_at = NOW(),
+             ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent)
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+        [
+            tokens.hashRefreshToken(nextToken),
+            expiresAt,
+            ipAddress,
+            userAgent,
+            session.id,
+            currentHash,
+        ]
+    );
+    // Another request already rotated (or revoked) this token
+    if (result.affectedRows === 0) return null;
+
+    return {
+        sessionId: session.id,
+        user: { id: session.user_id, role: session.role },
+        refreshToken: nextToken,
+        expiresAt,
+    };
+}
+
+async function listSessions(db, userId) {
+    const [rows] = await db.query(
+        `SELECT id, ip_address, user_agent, created_at, last_seen_at, expires_at
+         FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_seen_at DESC`,
+        [userId]
+    );
+    return rows;
+}
+
+async function findActiveAccount(db, userId, sessionId = null) {
+    const [[account]] = await db.query(
+        `SELECT u.role
+         FROM users u
+         WHERE u.id = ?
+           AND u.is_active = TRUE
+           AND u.deleted_at IS NULL
+           AND (? IS NULL OR EXISTS (
+               SELECT 1 FROM user_sessions s
+               WHERE s.id = ? AND s.user_id = u.id AND s.revoked_at IS NULL
+           ))`,
+        [userId, sessionId, sessionId]
+    );
+    return account ? { role: account.role } : null;
+}
+
+async function revokeSessions(db, io, userId, sessionId = null) {
+    const scope = sessionId ? ' AND id = ?' : '';
+    const params = sessionId ? [userId, sessionId] : [userId];
+
+    const [rows] = await db.query(
+        `SELECT id FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL${scope}`,
+        params
+    );
+    const ids = rows.map((r) => r.id);
+    if (ids.length === 0) return ids;
+
+    await db.query(
+        `UPDATE user_sessions SET revoked_at = NOW() WHERE id IN (?)`,
+        [ids]
+    );
+
+    // Drop live sockets opened with tokens from the revoked sessions
+    if (io) {
+        ids.forEach((id) => io.in(`session_${id}`).disconnectSockets(true));
+    }
+
+    return ids;
+}
+
+module.exports = {
+    createSession,
+    rotateSession,
+    listSessions,
+    findActiveAccount,
+    revokeSessions,
+};
@@ -0,0 +1,98 @@
+// services/tokenService.js
+/**
+ * tokenService.js
+ *
+ * Purpose:
+ * Issue and verify the signed access tokens that identify API callers once they
+ * have completed OTP verification. Tokens are HS256 JWTs carrying the user ID
+ * (`sub`), role and device session ID (`sid`), so routes can trust `req.user`
+ * instead of IDs supplied in request bodies or URLs.
+ *
+ * Access tokens are short-lived; clients renew them with an opaque refresh token
+ * bound to a `user_sessions` row. Only a SHA-256 hash of the refresh token is
+ * stored, so a database leak does not expose usable tokens.
+ *
+ * Public API:
+ * - createTokenService({ secret, accessTokenTtl = '15m', refreshTokenTtl = '30d', issuer = 'resqzone' })
+ *   Returns a service object bound to the given secret:
+ *     • signAccessToken(user, sessionId) → signed token string for `{ id, role }`.
+ *     • verifyAccessToken(token)   → `{ id, role, sessionId }` or throws on bad/expired token.
+ *     • generateRefreshToken()     → random opaque refresh token (base64url).
+ *     • hashRefreshToken(token)    → SHA-256 hex digest stored in `user_sessions`.
+ *     • accessTokenTtlSeconds      → lifetime in seconds (for `expires_in` fields).
+ *     • refreshTokenTtlSeconds     → refresh token / session lifetime in seconds.
+ *
+ * Notes:
+ * - The factory does not read config itself; app.js builds the service from
+ *   `Config.domains.resqzone_api` and exposes it with `app.set('tokens', ...)`.
+ * - Throws at construction time when no secret is provided, mirroring the
+ *   ENCRYPTION_KEY check in the crypto middleware.
+ *
+ * Author: Sunidhi Abhange
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+function toSeconds(ttl) {
+    if (typeof ttl === 'number') return ttl;
+    const match = /^(\d+)\s*([smhd])$/.exec(String(ttl).trim());
+    if (!match) throw new Error(`Invalid token TTL: ${ttl}`);
+    const units = { s: 1, m: 60, h: 3600, d: 86400 };
+    return parseInt(match[1], 10) * units[match[2]];
+}
+
+function createTokenService({
+    secret,
+    accessTokenTtl = '15m',
+    refreshTokenTtl = '30d',
+    issuer = 'resqzone',
+} = {}) {
+    if (!secret || typeof secret !== 'string') {
+        throw new Error('JWT_SECRET must be configured to issue access tokens');
+    }
+
+    const accessTokenTtlSeconds = toSeconds(accessTokenTtl);
+    const refreshTokenTtlSeconds = toSeconds(refreshTokenTtl);
+
+    function signAccessToken(user, sessionId = null) {
+        return jwt.sign({ role: user.role || 'user', sid: sessionId }, secret, {
+            subject: String(user.id),
+            expiresIn: accessTokenTtlSeconds,
+            issuer,
+        });
+    }
+
+    function verifyAccessToken(token) {
+        const payload = jwt.verify(token, secret, {
+            issuer,
+            algorithms: ['HS256'],
+        });
+        const id = parseInt(payload.sub, 10);
+        if (isNaN(id)) throw new Error('Token subject is not a user ID');
+        return {
+            id,
+            role: payload.role || 'user',
+            sessionId: payload.sid ?? null,
+        };
+    }
+
+    function generateRefreshToken() {
+        return crypto.randomBytes(48).toString('base64url');
+    }
+
+    function hashRefreshToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    return {
+        signAccessToken,
+        verifyAccessToken,
+        generateRefreshToken,
+        hashRefreshToken,
+        accessTokenTtlSeconds,
+        refreshTokenTtlSeconds,
+    };
+}
+
+module.exports = { createTokenService };
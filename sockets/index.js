@@ -2,99 +2,379 @@
  * services/sockets/index.js
  *
  * This module configures and manages real-time WebSocket communication using Socket.IO.
- * It defines event listeners for user-specific and chat-related rooms, typing indicators,
- * and connection lifecycle events to facilitate interactive chat features.
+ * It authenticates every connection, then defines event listeners for user-specific and
+ * chat-related rooms, typing indicators, and connection lifecycle events.
  *
  * Key functionalities:
+ * - **Handshake Authentication**:
+ *   - Clients must send an access token as `auth: { token }` (or an
+ *     `Authorization: Bearer <token>` header). It is verified with the token service;
+ *     failures reject the connection with `Authentication required` or
+ *     `Invalid or expired token`. With an `accountLookup` the account is checked too, so
+ *     deactivated users and revoked sessions cannot reconnect.
+ *   - The verified user is stored on `socket.data.user` and the socket joins its own
+ *     `user_<id>` room and its `session_<sessionId>` room (used to disconnect revoked
+ *     sessions) automatically.
+ *
  * - **User Room Management**:
- *   - `join_user_room`: Allows a client to join a private room tied to their user ID.
- *     Ensures the `userId` is a valid number before joining `user_<userId>`.
+ *   - `join_user_room`: Kept for older clients; only accepted for the authenticated
+ *     user's own ID (the room is already joined on connect).
  *
  * - **Chat Room Management**:
- *   - `join_chat`: Lets a socket join a specific chat room identified by `chatId`.
+ *   - `join_chat`: Joins `chat_<chatId>` only when the user is a member in `chat_members`.
  *   - `leave_chat`: Lets a socket leave a chat room. Both validate that `chatId` is numeric.
+ *   - Both accept an optional acknowledgement callback receiving `{ ok, error? }`.
  *
  * - **Typing Indicators**:
- *   - `chat:typing_start`: Broadcasts to all members of a chat room that a user has started typing.
- *   - `chat:typing_stop`: Broadcasts to all members of a chat room that a user has stopped typing.
- *   - Both events validate that `chatId` and `userId` are provided before broadcasting.
+ *   - `chat:typing_start` / `chat:typing_stop`: Broadcast to the chat room with the
+ *     authenticated user's ID (any `userId` in the payload is ignored), and only from
+ *     sockets that have joined that chat room.
+ *
+ * - **Sending Messages**:
+ *   - `chat:send` { chatId, clientId, message, replyToId? }: Stores a text message in
+ *     one of the user's chats and broadcasts it like `POST /chat/:chat_id/messages`.
+ *     `clientId` (1-64 letters, digits, `-` or `_`) is generated by the client and
+ *     reused on retries: a repeat in the same chat is not stored again, and only
+ *     broadcast if the first attempt failed before broadcasting. The ack receives
+ *     `{ ok, message_id, duplicate }` or `{ ok: false, error }`; until it arrives the
+ *     client should treat the message as pending and retry with the same `clientId`.
+ *
+ * - **Resync**:
+ *   - `sync` { lastMessageId, limit? }: After a reconnect, returns the messages with a
+ *     higher ID across all of the user's chats (oldest first, `limit` 1-500, default
+ *     200). The ack receives `{ ok, messages, has_more, last_id }`; while `has_more`
+ *     is true the client repeats `sync` from `last_id`. Edits and deletions of older
+ *     messages are not included.
+ *
+ * - **Live Location**:
+ *   - `chat:live_location_update` { chatId, messageId, latitude, longitude, accuracy_m? }:
+ *     Moves the user's own active live-location share (joined chats only) and
+ *     broadcasts `chat:live_location` to the chat room; the ack receives
+ *     `{ ok, error? }`. Same effect as `PUT /chat/:chat_id/live-locations/:message_id`.
+ *
+ * - **Presence**:
+ *   - A user is online while at least one of their sockets (devices) is connected.
+ *   - When their first socket connects or their last one disconnects, `users.last_seen_at`
+ *     is set to now and `presence:update` { user_id, online, last_seen_at } is sent
+ *     to the rooms of all their chats.
  *
  * - **Connection Lifecycle**:
  *   - Logs when a socket connects (with socket ID).
  *   - Logs when a socket disconnects, ensuring proper visibility into connection state changes.
  *
  * Error Handling & Validation:
- * - For `join_user_room`, `join_chat`, and `leave_chat`, invalid IDs (non-numeric) are ignored,
- *   and warnings are logged rather than throwing exceptions.
+ * - Invalid or unauthorized room requests are ignored and logged as warnings rather
+ *   than throwing exceptions.
  *
  * Notes:
- * - This module does not handle authentication; it assumes the caller has already verified
- *   the socket’s identity and authorization to join the requested rooms.
- * - Room names are namespaced with `user_` or `chat_` prefixes to avoid collisions.
+ * - `attachSocketEvents(io, { tokens, db, presence, accountLookup })` needs the token
+ *   service (see services/tokenService) and the MySQL pool for membership checks.
+ *   `presence` (services/presence) is the tracker the REST routes read; a private one
+ *   is used when omitted. `accountLookup` is the app's `accountLookup` (see app.js).
+ * - Room names are namespaced with `user_`, `chat_` or `session_` prefixes to avoid collisions.
  *
  * Author: Sunidhi Abhange
  */
 
-module.exports = (io) => {
+const {
+    parseCoordinates,
+    updateLiveLocation,
+} = require('../services/chatLocations');
+const { createPresenceTracker } = require('../services/presence');
+const {
+    sendMessage,
+    loadMessagesSince,
+    parseClientId,
+    isLiveMessage,
+} = require('../services/chatMessages');
+
+const MAX_SYNC_LIMIT = 500;
+
+const extractToken = (handshake = {}) => {
+    if (handshake.auth?.token) return handshake.auth.token;
+    const [scheme, token] = (handshake.headers?.authorization || '').split(' ');
+    return token && /^Bearer$/i.test(scheme) ? token : null;
+};
+
+module.exports = (
+    io,
+    {
+        tokens,
+        db,
+        presence = createPresenceTracker(),
+        accountLookup = null,
+    } = {}
+) => {
+    if (!tokens || !db) {
+        throw new Error('Socket events require the token service and db');
+    }
+
+    // Reject connections without a valid access token (or a live account)
+    io.use(async (socket, next) => {
+        const token = extractToken(socket.handshake);
+        if (!token) return next(new Error('Authentication required'));
+
+        let user;
+        try {
+            user = tokens.verifyAccessToken(token);
+        } catch (err) {
+            return next(new Error('Invalid or expired token'));
+        }
+
+        if (accountLookup) {
+            try {
+                const account = await accountLookup(user.id, user.sessionId);
+                if (!account) {
+                    return next(new Error('Invalid or expired token'));
+                }
+                user = { ...user, role: account.role };
+            } catch (err) {
+                console.error('Socket account lookup failed:', err);
+                return next(new Error('Authentication unavailable'));
+            }
+        }
+
+        socket.data.user = user;
+        next();
+    });
+
+    const isMember = async (chatId, userId) => {
+        const [rows] = await db.query(
+            `SELECT 1 FROM chat_members WHERE chat_id = ? AND user_id = ? LIMIT 1`,
+            [chatId, userId]
+        );
+        return rows.length > 0;
+    };
+
+    const reply = (ack, payload) => {
+        if (typeof ack === 'function') ack(payload);
+    };
+
+    // Records last-seen and tells the user's chats they came online or went offline
+    const announcePresence = async (userId, online) => {
+        try {
+            await db.query(
+                `UPDATE users SET last_seen_at = NOW() WHERE id = ?`,
+                [userId]
+            );
+            const [chats] = await db.query(
+                `SELECT chat_id FROM chat_members WHERE user_id = ?`,
+                [userId]
+            );
+            if (chats.length === 0) return;
+
+            const rooms = chats.map((c) => `chat_${c.chat_id}`);
+            io.to(rooms).emit('presence:update', {
+                user_id: userId,
+                online,
+                last_seen_at: new Date().toISOString(),
+            });
+        } catch (err) {
+            console.error('Presence update failed:', err);
+        }
+    };
+
     io.on('connection', (socket) => {
-        console.log(`🔌 Socket connected: ${socket.id}`);
+        const { id: userId, sessionId } = socket.data.user;
+        console.log(`🔌 Socket connected: ${socket.id} (user ${userId})`);
 
-        // Join user-specific room
-        socket.on('join_user_room', (userId) => {
-            if (typeof userId !== 'number') {
-                console.warn(`⚠️ Invalid userId for join_user_room:`, userId);
+        socket.join(`user_${userId}`);
+        if (sessionId) socket.join(`session_${sessionId}`);
+
+        if (presence.connect(userId, socket.id)) announcePresence(userId, true);
+
+        // Join user-specific room (own room only)
+        socket.on('join_user_room', (requestedId) => {
+            if (requestedId !== userId) {
+                console.warn(
+                    `⚠️ Socket ${socket.id} may not join user room:`,
+                    requestedId
+                );
                 return;
             }
 
-            const room = `user_${userId}`;
-            socket.join(room);
-            console.log(`👤 Socket ${socket.id} joined user room ${room}`);
+            socket.join(`user_${userId}`);
         });
 
-        // Join a chat room
-        socket.on('join_chat', (chatId) => {
+        // Join a chat room (members only)
+        socket.on('join_chat', async (chatId, ack) => {
             if (typeof chatId !== 'number') {
                 console.warn(`⚠️ Invalid chatId for join_chat:`, chatId);
-                return;
+                return reply(ack, { ok: false, error: 'Invalid chatId' });
             }
 
-            const room = `chat_${chatId}`;
-            socket.join(room);
-            console.log(`📥 Socket ${socket.id} joined room ${room}`);
+            try {
+                if (!(await isMember(chatId, userId))) {
+                    console.warn(
+                        `⚠️ User ${userId} is not a member of chat ${chatId}`
+                    );
+                    return reply(ack, {
+                        ok: false,
+                        error: 'Not a member of this chat',
+                    });
+                }
+
+                const room = `chat_${chatId}`;
+                socket.join(room);
+                console.log(`📥 Socket ${socket.id} joined room ${room}`);
+                reply(ack, { ok: true });
+            } catch (err) {
+                console.error('join_chat membership check failed:', err);
+                reply(ack, { ok: false, error: 'Failed to join chat' });
+            }
         });
 
         // Leave a chat room
-        socket.on('leave_chat', (chatId) => {
+        socket.on('leave_chat', (chatId, ack) => {
             if (typeof chatId !== 'number') {
                 console.warn(`⚠️ Invalid chatId for leave_chat:`, chatId);
-                return;
+                return reply(ack, { ok: false, error: 'Invalid chatId' });
             }
 
             const room = `chat_${chatId}`;
             socket.leave(room);
             console.log(`📤 Socket ${socket.id} left room ${room}`);
+            reply(ack, { ok: true });
         });
 
-        // Typing indicator (Enhanced)
-        socket.on('chat:typing_start', ({ chatId, userId }) => {
-            if (!chatId || !userId) return;
-            io.to(`chat_${chatId}`).emit('chat:typing_start', {
-                chatId,
-                userId,
-            });
+        // Typing indicator (authenticated user, joined chats only)
+        const relayTyping = (event) => (payload) => {
+            const chatId = payload?.chatId;
+            if (!chatId || !socket.rooms.has(`chat_${chatId}`)) return;
+            io.to(`chat_${chatId}`).emit(event, { chatId, userId });
+        };
+
+        socket.on('chat:typing_start', relayTyping('chat:typing_start'));
+        socket.on('chat:typing_stop', relayTyping('chat:typing_stop'));
+
+        // Send a text message; retries with the same clientId are stored once
+        socket.on('chat:send', async (payload, ack) => {
+            const chatId = payload?.chatId;
+            const clientId = parseClientId(payload?.clientId);
+            const message = payload?.message;
+            const replyToId = payload?.replyToId ?? null;
+            if (
+                typeof chatId !== 'number' ||
+                !clientId ||
+                typeof message !== 'string' ||
+                !message.trim() ||
+                (replyToId !== null && typeof replyToId !== 'number')
+            ) {
+                return reply(ack, {
+                    ok: false,
+                    error: 'chatId, clientId and message are required',
+                });
+            }
+
+            try {
+                if (!(await isMember(chatId, userId))) {
+                    return reply(ack, {
+                        ok: false,
+                        error: 'Not a member of this chat',
+                    });
+                }
+                if (
+                    replyToId !== null &&
+                    !(await isLiveMessage(db, chatId, replyToId))
+                ) {
+                    return reply(ack, {
+                        ok: false,
+                        error: 'replyToId does not match a message in this chat',
+                    });
+                }
+
+                const { messageId, duplicate } = await sendMessage(db, io, {
+                    chatId,
+                    senderId: userId,
+                    content: message,
+                    replyToId,
+                    clientId,
+                });
+
+                reply(ack, { ok: true, message_id: messageId, duplicate });
+            } catch (err) {
+                console.error('chat:send failed:', err);
+                reply(ack, { ok: false, error: 'Failed to send message' });
+            }
         });
 
-        socket.on('chat:typing_stop', ({ chatId, userId }) => {
-            if (!chatId || !userId) return;
-            io.to(`chat_${chatId}`).emit('chat:typing_stop', {
-                chatId,
-                userId,
-            });
+        // Messages missed while disconnected, across all of the user's chats
+        socket.on('sync', async (payload, ack) => {
+            const lastMessageId = payload?.lastMessageId ?? 0;
+            const limit = payload?.limit ?? 200;
+            if (
+                !Number.isInteger(lastMessageId) ||
+                lastMessageId < 0 ||
+                !Number.isInteger(limit) ||
+                limit < 1 ||
+                limit > MAX_SYNC_LIMIT
+            ) {
+                return reply(ack, {
+                    ok: false,
+                    error: `lastMessageId must be a message ID and limit 1-${MAX_SYNC_LIMIT}`,
+                });
+            }
+
+            try {
+                const result = await loadMessagesSince(
+                    db,
+                    userId,
+                    lastMessageId,
+                    limit
+                );
+                reply(ack, { ok: true, ...result });
+            } catch (err) {
+                console.error('sync failed:', err);
+                reply(ack, { ok: false, error: 'Failed to sync messages' });
+            }
+        });
+
+        // Live location stream (own active share, joined chats only)
+        socket.on('chat:live_location_update', async (payload, ack) => {
+            const chatId = payload?.chatId;
+            const messageId = payload?.messageId;
+            if (
+                typeof chatId !== 'number' ||
+                typeof messageId !== 'number' ||
+                !socket.rooms.has(`chat_${chatId}`)
+            ) {
+                return reply(ack, {
+                    ok: false,
+                    error: 'Invalid chat or message',
+                });
+            }
+
+            const { coords, error } = parseCoordinates(payload);
+            if (error) return reply(ack, { ok: false, error });
+
+            try {
+                const update = await updateLiveLocation(db, {
+                    chatId,
+                    messageId,
+                    userId,
+                    coords,
+                });
+                if (!update) {
+                    return reply(ack, {
+                        ok: false,
+                        error: 'Live location has ended',
+                    });
+                }
+
+                io.to(`chat_${chatId}`).emit('chat:live_location', update);
+                reply(ack, { ok: true });
+            } catch (err) {
+                console.error('chat:live_location_update failed:', err);
+                reply(ack, { ok: false, error: 'Failed to update location' });
+            }
         });
 
         // Disconnect
         socket.on('disconnect', () => {
             console.log(`❌ Socket disconnected: ${socket.id}`);
+            if (presence.disconnect(userId, socket.id)) {
+                announcePresence(userId, false);
+            }
         });
     });
 };